@@ -1,7 +1,8 @@
 const express = require('express');
 const supabase = require('../config/supabase');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, requireRole } = require('../middleware/auth');
 const fanvueApi = require('../services/fanvueApi');
+const { startEarningsBackfill, isBackfillRunning } = require('../services/earningsBackfill');
 
 const router = express.Router();
 
@@ -22,6 +23,10 @@ router.get('/', authenticate, async (req, res, next) => {
         is_active,
         needs_reconnect,
         last_synced,
+        backfill_status,
+        backfill_progress,
+        backfill_events,
+        backfill_error,
         created_at
       `)
       .eq('organization_id', req.user.organization_id)
@@ -71,7 +76,14 @@ router.get('/:accountId', authenticate, async (req, res, next) => {
         avatar_url: account.avatar_url,
         is_active: account.is_active,
         needs_reconnect: account.needs_reconnect,
-        last_synced: account.last_synced
+        last_synced: account.last_synced,
+        backfill: {
+          status: account.backfill_status,
+          progress: account.backfill_progress,
+          events: account.backfill_events,
+          through: account.backfill_through,
+          error: account.backfill_error
+        }
       },
       stats: stats.status === 'fulfilled' ? stats.value : null,
       earnings: earnings.status === 'fulfilled' ? earnings.value : null
@@ -103,4 +115,30 @@ router.patch('/:accountId', authenticate, async (req, res, next) => {
   }
 });
 
+/**
+ * POST /api/accounts/:accountId/backfill
+ * Re-run the historical earnings backfill: resumes a failed run, or catches a
+ * completed one up from where it stopped.
+ */
+router.post('/:accountId/backfill', authenticate, requireRole('owner', 'manager'), async (req, res, next) => {
+  try {
+    const { data: account } = await supabase
+      .from('connected_accounts')
+      .select('id, is_active')
+      .eq('id', req.params.accountId)
+      .eq('organization_id', req.user.organization_id)
+      .maybeSingle();
+
+    if (!account) return res.status(404).json({ error: 'Account not found' });
+    if (!account.is_active) return res.status(400).json({ error: 'Account disconnected. Please reconnect.' });
+    if (isBackfillRunning(account.id)) return res.status(409).json({ error: 'Backfill already running' });
+
+    startEarningsBackfill(account.id, { force: true });
+
+    res.status(202).json({ message: 'Backfill started' });
+  } catch (err) {
+    next(err);
+  }
+});
+
 module.exports = router;
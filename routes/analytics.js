@@ -2,7 +2,12 @@ const express = require('express');
 const supabase = require('../config/supabase');
 const { authenticate } = require('../middleware/auth');
 const fanvueApi = require('../services/fanvueApi');
-const { withRetry } = require('../utils/rateLimitRetry');
+const { toDollars, fetchEarnings } = require('../services/insights');
+const { getDailyStats } = require('../services/analyticsSnapshots');
+const { INTERVALS, MAX_HOURLY_DAYS, getOrgTimezone, loadEvents, buildSeries, buildHeatmap } = require('../services/earningsSeries');
+const { DEFAULT_COHORT_MONTHS, MAX_COHORT_MONTHS, computeCohorts } = require('../services/cohorts');
+const { forecastAccount, accountForecast } = require('../services/fanForecast');
+const { resolveRange, compareMetric, compareMaps } = require('../utils/dateRange');
 
 const router = express.Router();
 
@@ -13,158 +18,62 @@ router.use((req, res, next) => {
   next();
 });
 
-const toDollars = (cents) => (cents || 0) / 100;
-
-/**
- * Parse period → { startDate, endDate } as ISO timestamp strings.
- * Fanvue API requires full ISO-8601 timestamps (date-only strings return 400).
- * Supported: today, yesterday, 7d, 14d, 30d, month, year, all
- */
-function parsePeriod(period = '30d') {
-  const now = new Date();
-  const endDate = now.toISOString();
-
-  switch (period) {
-    case 'today': {
-      const start = new Date(now);
-      start.setHours(0, 0, 0, 0);
-      return { startDate: start.toISOString(), endDate };
-    }
-    case 'yesterday': {
-      const start = new Date(now);
-      start.setDate(start.getDate() - 1);
-      start.setHours(0, 0, 0, 0);
-      const end = new Date(now);
-      end.setHours(0, 0, 0, 0);
-      return { startDate: start.toISOString(), endDate: end.toISOString() };
-    }
-    case '7d':
-      return { startDate: new Date(Date.now() - 7 * 86400000).toISOString(), endDate };
-    case '14d':
-      return { startDate: new Date(Date.now() - 14 * 86400000).toISOString(), endDate };
-    case '30d':
-      return { startDate: new Date(Date.now() - 30 * 86400000).toISOString(), endDate };
-    case 'month': {
-      const start = new Date(now.getFullYear(), now.getMonth(), 1);
-      return { startDate: start.toISOString(), endDate };
-    }
-    case 'year': {
-      const start = new Date(now.getFullYear(), 0, 1);
-      return { startDate: start.toISOString(), endDate };
-    }
-    case 'all':
-      // 2-year lookback covers any Fanvue account history
-      return { startDate: new Date(Date.now() - 730 * 86400000).toISOString(), endDate };
-    default: {
-      const days = parseInt(period) || 30;
-      return { startDate: new Date(Date.now() - days * 86400000).toISOString(), endDate };
-    }
-  }
-}
-
-/**
- * Split [startDate, endDate] into ≤chunkDays windows.
- * Fanvue Insights API rejects date ranges longer than ~30 days.
- */
-function buildChunks(startDate, endDate, chunkDays = 28) {
-  const chunks = [];
-  let cur = new Date(startDate).getTime();
-  const end = new Date(endDate).getTime();
-  const step = chunkDays * 86400000;
-
-  if (cur >= end) {
-    chunks.push({ startDate, endDate });
-    return chunks;
-  }
-
-  while (cur < end) {
-    const next = Math.min(cur + step, end);
-    chunks.push({ startDate: new Date(cur).toISOString(), endDate: new Date(next).toISOString() });
-    cur = next;
-  }
-  return chunks;
-}
-
-// Process up to 3 chunks in parallel — ~3× faster than sequential, safe for rate limits
-const CHUNK_CONCURRENCY = 3;
+// ─────────────────────────────────────────────────────────────────────────────
 
 /**
- * Fetch all pages for one earnings chunk, following nextCursor until exhausted.
- * Returns raw Fanvue data array (values in cents).
+ * Roll daily snapshot rows up into period totals. subscribers = count on the last day.
  */
-async function fetchEarningsChunk(account, chunk) {
-  const data = [];
-  let cursor = null;
-  let pages = 0;
-  do {
-    try {
-      const r = await withRetry(() => fanvueApi.getInsightsEarnings(account, {
-        startDate: chunk.startDate,
-        endDate: chunk.endDate,
-        cursor: cursor || undefined,
-        limit: 100
-      }));
-      data.push(...(r?.data || []));
-      cursor = r?.nextCursor || null;
-    } catch (e) {
-      console.error(`[Analytics] earnings chunk ${chunk.startDate} error:`, e.message);
-      break;
-    }
-  } while (cursor && ++pages < 20);
-  return data;
+function summarizeDays(days) {
+  const sources = {};
+  days.forEach(d => Object.entries(d.earnings_by_source || {}).forEach(([src, amount]) => {
+    sources[src] = (sources[src] || 0) + Number(amount);
+  }));
+  return {
+    earnings: days.reduce((s, d) => s + Number(d.earnings_total || 0), 0),
+    newSubscribers: days.reduce((s, d) => s + (d.new_subscribers || 0), 0),
+    cancelledSubscribers: days.reduce((s, d) => s + (d.cancelled_subscribers || 0), 0),
+    subscribers: days.length ? days[days.length - 1].subscriber_count || 0 : 0,
+    sources
+  };
 }
 
 /**
- * Fetch all earnings for a date range.
- * Always uses chunked + cursor-paginated path for all periods, including short ones.
- * Runs CHUNK_CONCURRENCY chunks in parallel for speed.
+ * Period-over-period block for ?compare= responses.
  */
-async function fetchEarnings(account, startDate, endDate) {
-  const chunks = buildChunks(startDate, endDate);
-  const allData = [];
-  for (let i = 0; i < chunks.length; i += CHUNK_CONCURRENCY) {
-    const batch = chunks.slice(i, i + CHUNK_CONCURRENCY);
-    const results = await Promise.all(batch.map(c => fetchEarningsChunk(account, c)));
-    results.forEach(d => allData.push(...d));
-  }
-  return allData;
+function buildComparison(range, current, previous) {
+  return {
+    mode: range.compare,
+    previousStartDate: range.previous.startDate,
+    previousEndDate: range.previous.endDate,
+    earnings: compareMetric(current.earnings, previous.earnings),
+    subscribers: compareMetric(current.subscribers, previous.subscribers),
+    newSubscribers: compareMetric(current.newSubscribers, previous.newSubscribers),
+    cancelledSubscribers: compareMetric(current.cancelledSubscribers, previous.cancelledSubscribers),
+    sources: compareMaps(current.sources, previous.sources)
+  };
 }
 
-/**
- * Fetch subscriber daily history for a date range.
- * Same chunked + parallel approach as fetchEarnings.
- */
-async function fetchSubscribers(account, startDate, endDate) {
-  const chunks = buildChunks(startDate, endDate);
-  const allData = [];
-  for (let i = 0; i < chunks.length; i += CHUNK_CONCURRENCY) {
-    const batch = chunks.slice(i, i + CHUNK_CONCURRENCY);
-    const results = await Promise.all(batch.map(async (chunk) => {
-      try {
-        const r = await withRetry(() => fanvueApi.getInsightsSubscribers(account, {
-          startDate: chunk.startDate,
-          endDate: chunk.endDate
-        }));
-        return r?.data || [];
-      } catch (e) {
-        console.error(`[Analytics] subscribers chunk ${chunk.startDate} error:`, e.message);
-        return [];
-      }
-    }));
-    results.forEach(d => allData.push(...d));
-  }
-  return allData;
+function addSummaries(a, b) {
+  const sources = { ...a.sources };
+  Object.entries(b.sources).forEach(([src, v]) => { sources[src] = (sources[src] || 0) + v; });
+  return {
+    earnings: a.earnings + b.earnings,
+    newSubscribers: a.newSubscribers + b.newSubscribers,
+    cancelledSubscribers: a.cancelledSubscribers + b.cancelledSubscribers,
+    subscribers: a.subscribers + b.subscribers,
+    sources
+  };
 }
 
-// ─────────────────────────────────────────────────────────────────────────────
-
 /**
  * GET /api/analytics/overview
+ * ?period= or ?startDate=&endDate=, optional &compare=previous_period|previous_year
  */
 router.get('/overview', authenticate, async (req, res, next) => {
   try {
-    const { period = '30d' } = req.query;
-    const { startDate, endDate } = parsePeriod(period);
+    const range = resolveRange(req.query);
+    if (range.error) return res.status(400).json({ error: range.error });
+    const { startDate, endDate, period } = range;
 
     const { data: accounts, error } = await supabase
       .from('connected_accounts')
@@ -177,38 +86,259 @@ router.get('/overview', authenticate, async (req, res, next) => {
       return res.json({ accounts: [], totals: { earnings: 0, subscribers: 0, newSubscribers: 0 } });
     }
 
-    const accountsData = await Promise.all(accounts.map(async (account) => {
+    const results = await Promise.all(accounts.map(async (account) => {
       const [statsResult] = await Promise.allSettled([fanvueApi.getStats(account)]);
       if (statsResult.status === 'rejected')
         console.error('[Analytics] getStats error:', statsResult.reason?.message);
 
       const stats = statsResult.status === 'fulfilled' ? statsResult.value : null;
-      const earningsRaw = await fetchEarnings(account, startDate, endDate);
-      const subData = await fetchSubscribers(account, startDate, endDate);
+
+      // One account's Fanvue failure (expired token, 5xx) is reported on its row, not the whole overview
+      let days = [];
+      let prevDays = [];
+      let dailyError = null;
+      try {
+        [days, prevDays] = await Promise.all([
+          getDailyStats(account, startDate, endDate),
+          range.previous ? getDailyStats(account, range.previous.startDate, range.previous.endDate) : []
+        ]);
+      } catch (err) {
+        console.error('[Analytics] getDailyStats error:', err.message);
+        dailyError = err.message;
+      }
 
       // Use gross to match Fanvue's dashboard display
-      const earningsTotal = earningsRaw.reduce((s, tx) => s + toDollars(tx.gross || 0), 0);
-      const newSubscribers = subData.reduce((s, d) => s + (d.newSubscribersCount || 0), 0);
+      const current = summarizeDays(days);
+      const previous = range.previous ? summarizeDays(prevDays) : null;
 
       return {
-        accountId: account.id,
-        label: account.label,
-        fanvue_username: account.fanvue_username,
-        avatar_url: account.avatar_url,
-        earnings: earningsTotal,
-        subscriberCount: stats?.subscriberCount || 0,
-        newSubscribers,
-        followerCount: stats?.followerCount || 0,
-        error: statsResult.status === 'rejected' ? statsResult.reason?.message : null
+        current,
+        previous,
+        row: {
+          accountId: account.id,
+          label: account.label,
+          fanvue_username: account.fanvue_username,
+          avatar_url: account.avatar_url,
+          earnings: current.earnings,
+          subscriberCount: stats?.subscriberCount || 0,
+          newSubscribers: current.newSubscribers,
+          followerCount: stats?.followerCount || 0,
+          comparison: previous ? buildComparison(range, current, previous) : undefined,
+          error: dailyError || (statsResult.status === 'rejected' ? statsResult.reason?.message : null)
+        }
       };
     }));
 
+    const accountsData = results.map(r => r.row);
     const totals = accountsData.reduce(
       (acc, a) => ({ earnings: acc.earnings + (a.earnings || 0), subscribers: acc.subscribers + (a.subscriberCount || 0), newSubscribers: acc.newSubscribers + (a.newSubscribers || 0) }),
       { earnings: 0, subscribers: 0, newSubscribers: 0 }
     );
 
-    res.json({ accounts: accountsData, totals, period });
+    const comparison = range.previous
+      ? buildComparison(range, results.map(r => r.current).reduce(addSummaries), results.map(r => r.previous).reduce(addSummaries))
+      : undefined;
+
+    res.json({ accounts: accountsData, totals, comparison, period, startDate, endDate });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * Shared setup for /series and /heatmap: org timezone, range in that timezone,
+ * and the (optional) account/source filters. Returns { error, status } on bad input.
+ */
+async function seriesScope(req) {
+  const timeZone = await getOrgTimezone(req.user.organization_id);
+  const range = resolveRange(req.query, '30d', timeZone);
+  if (range.error) return { status: 400, error: range.error };
+
+  const { accountId, source } = req.query;
+  if (accountId) {
+    const { data: account } = await supabase
+      .from('connected_accounts')
+      .select('id')
+      .eq('id', accountId)
+      .eq('organization_id', req.user.organization_id)
+      .maybeSingle();
+    if (!account) return { status: 404, error: 'Account not found' };
+  }
+
+  return {
+    timeZone,
+    range,
+    accountId: accountId || null,
+    source: source && source !== 'all' ? source : null
+  };
+}
+
+/**
+ * GET /api/analytics/series
+ * Earnings bucketed in the organization's timezone, every bucket present.
+ * ?interval=hourly|daily|weekly|monthly (default daily), optional &accountId= &source=,
+ * ?period= or ?startDate=&endDate= (date-only values are days in the org timezone)
+ */
+router.get('/series', authenticate, async (req, res, next) => {
+  try {
+    const interval = req.query.interval || 'daily';
+    if (!INTERVALS.includes(interval)) {
+      return res.status(400).json({ error: `interval must be one of ${INTERVALS.join(', ')}` });
+    }
+
+    const scope = await seriesScope(req);
+    if (scope.error) return res.status(scope.status).json({ error: scope.error });
+    const { timeZone, range, accountId, source } = scope;
+
+    if (interval === 'hourly' && new Date(range.endDate) - new Date(range.startDate) > MAX_HOURLY_DAYS * 86400000) {
+      return res.status(400).json({ error: `Hourly series are limited to ${MAX_HOURLY_DAYS} days` });
+    }
+
+    const events = await loadEvents(req.user.organization_id, { ...range, accountId, source });
+    const series = buildSeries(events, { interval, timeZone, startDate: range.startDate, endDate: range.endDate });
+    const total = Math.round(series.reduce((s, b) => s + b.gross, 0) * 100) / 100;
+
+    res.json({
+      interval,
+      timezone: timeZone,
+      accountId,
+      source,
+      series,
+      total,
+      period: range.period,
+      startDate: range.startDate,
+      endDate: range.endDate
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/analytics/heatmap
+ * Earnings by weekday × hour in the organization's timezone, plus per-weekday and per-hour rollups.
+ * Same filters as /series.
+ */
+router.get('/heatmap', authenticate, async (req, res, next) => {
+  try {
+    const scope = await seriesScope(req);
+    if (scope.error) return res.status(scope.status).json({ error: scope.error });
+    const { timeZone, range, accountId, source } = scope;
+
+    const events = await loadEvents(req.user.organization_id, { ...range, accountId, source });
+
+    res.json({
+      timezone: timeZone,
+      accountId,
+      source,
+      ...buildHeatmap(events, timeZone),
+      period: range.period,
+      startDate: range.startDate,
+      endDate: range.endDate
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+function parseCohortMonths(value) {
+  if (value === undefined) return DEFAULT_COHORT_MONTHS;
+  const months = parseInt(value, 10);
+  return months >= 1 && months <= MAX_COHORT_MONTHS ? months : null;
+}
+
+/**
+ * GET /api/analytics/retention
+ * Churn rate and subscriber lifetime value for every active account, to compare creators.
+ * Optional ?months= (cohorts to include, default 12)
+ */
+router.get('/retention', authenticate, async (req, res, next) => {
+  try {
+    const months = parseCohortMonths(req.query.months);
+    if (!months) return res.status(400).json({ error: `months must be 1-${MAX_COHORT_MONTHS}` });
+
+    const { data: accounts, error } = await supabase
+      .from('connected_accounts')
+      .select('id, label, fanvue_username, avatar_url')
+      .eq('organization_id', req.user.organization_id)
+      .eq('is_active', true);
+    if (error) throw error;
+
+    const timeZone = await getOrgTimezone(req.user.organization_id);
+
+    // One account at a time — each pulls its whole fan list and revenue history
+    const rows = [];
+    for (const account of accounts || []) {
+      const { churn, ltv } = await computeCohorts(account, { months, timeZone });
+      rows.push({
+        accountId: account.id,
+        label: account.label,
+        fanvue_username: account.fanvue_username,
+        avatar_url: account.avatar_url,
+        subscribers: ltv.subscribers,
+        churnRate: churn.rate,
+        averageLifetimeMonths: churn.averageLifetimeMonths,
+        averageLifetimeValue: ltv.average,
+        projectedLifetimeValue: ltv.projected
+      });
+    }
+
+    res.json({ accounts: rows, months, timezone: timeZone });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/analytics/:accountId/cohorts
+ * Monthly subscriber cohorts with renewal retention and cumulative revenue, plus churn and LTV.
+ * Optional ?months= (cohorts to include, default 12)
+ */
+router.get('/:accountId/cohorts', authenticate, async (req, res, next) => {
+  try {
+    const months = parseCohortMonths(req.query.months);
+    if (!months) return res.status(400).json({ error: `months must be 1-${MAX_COHORT_MONTHS}` });
+
+    const { data: account, error } = await supabase
+      .from('connected_accounts')
+      .select('id')
+      .eq('id', req.params.accountId)
+      .eq('organization_id', req.user.organization_id)
+      .single();
+
+    if (error || !account) return res.status(404).json({ error: 'Account not found' });
+
+    const timeZone = await getOrgTimezone(req.user.organization_id);
+    res.json(await computeCohorts(account, { months, timeZone }));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/analytics/:accountId/forecast
+ * Expected revenue over the next 30 days (sum of fan forecasts) with 80%/95% bands.
+ * ?refresh=true recomputes every fan's forecast first (otherwise the nightly run's).
+ */
+router.get('/:accountId/forecast', authenticate, async (req, res, next) => {
+  try {
+    const { data: account, error } = await supabase
+      .from('connected_accounts')
+      .select('id')
+      .eq('id', req.params.accountId)
+      .eq('organization_id', req.user.organization_id)
+      .single();
+
+    if (error || !account) return res.status(404).json({ error: 'Account not found' });
+
+    if (req.query.refresh === 'true') {
+      if (!['owner', 'manager'].includes(req.user.role)) {
+        return res.status(403).json({ error: 'Insufficient permissions' });
+      }
+      await forecastAccount(account);
+    }
+
+    res.json(await accountForecast(account));
   } catch (err) {
     next(err);
   }
@@ -216,11 +346,15 @@ router.get('/overview', authenticate, async (req, res, next) => {
 
 /**
  * GET /api/analytics/:accountId/earnings
+ * daily: per-day totals from analytics_snapshots (today live); data: the transactions, live from Fanvue
+ * ?period= or ?startDate=&endDate=, optional &source= and &compare=
  */
 router.get('/:accountId/earnings', authenticate, async (req, res, next) => {
   try {
-    const { period = '30d', source } = req.query;
-    const { startDate, endDate } = parsePeriod(period);
+    const { source } = req.query;
+    const range = resolveRange(req.query);
+    if (range.error) return res.status(400).json({ error: range.error });
+    const { startDate, endDate, period } = range;
 
     const { data: account, error } = await supabase
       .from('connected_accounts')
@@ -231,21 +365,48 @@ router.get('/:accountId/earnings', authenticate, async (req, res, next) => {
 
     if (error || !account) return res.status(404).json({ error: 'Account not found' });
 
-    const raw = await fetchEarnings(account, startDate, endDate);
+    const filterSource = source && source !== 'all' ? source : null;
+    const [days, raw, prevDays] = await Promise.all([
+      getDailyStats(account, startDate, endDate),
+      fetchEarnings(account, startDate, endDate),
+      range.previous ? getDailyStats(account, range.previous.startDate, range.previous.endDate) : null
+    ]);
 
     const data = raw
-      .filter(tx => !source || source === 'all' || tx.source === source)
+      .filter(tx => !filterSource || tx.source === filterSource)
       .map(tx => ({ ...tx, gross: toDollars(tx.gross), net: toDollars(tx.net), fee: toDollars(tx.fee) }));
 
     // Use gross to match Fanvue's display
-    const total = data.reduce((s, tx) => s + (tx.gross || 0), 0);
-    const breakdown = data.reduce((acc, tx) => {
-      const src = tx.source || 'other';
-      acc[src] = (acc[src] || 0) + (tx.gross || 0);
+    const daily = days.map(d => ({
+      date: d.snapshot_date,
+      gross: filterSource ? Number(d.earnings_by_source?.[filterSource] || 0) : Number(d.earnings_total || 0),
+      net: filterSource ? null : Number(d.earnings_net || 0),
+      live: !!d.live
+    }));
+    const total = daily.reduce((s, d) => s + d.gross, 0);
+    const breakdown = days.reduce((acc, d) => {
+      Object.entries(d.earnings_by_source || {}).forEach(([src, amount]) => {
+        if (filterSource && src !== filterSource) return;
+        acc[src] = (acc[src] || 0) + Number(amount);
+      });
       return acc;
     }, {});
 
-    res.json({ data, total, breakdown, period });
+    let comparison;
+    if (prevDays) {
+      const prev = summarizeDays(prevDays);
+      const prevSources = filterSource ? { [filterSource]: prev.sources[filterSource] || 0 } : prev.sources;
+      const prevTotal = filterSource ? prevSources[filterSource] : prev.earnings;
+      comparison = {
+        mode: range.compare,
+        previousStartDate: range.previous.startDate,
+        previousEndDate: range.previous.endDate,
+        total: compareMetric(total, prevTotal),
+        sources: compareMaps(breakdown, prevSources)
+      };
+    }
+
+    res.json({ data, daily, total, breakdown, comparison, period, startDate, endDate });
   } catch (err) {
     next(err);
   }
@@ -288,11 +449,13 @@ router.get('/:accountId/top-spenders', authenticate, async (req, res, next) => {
 
 /**
  * GET /api/analytics/:accountId/subscribers
+ * ?period= or ?startDate=&endDate=, optional &compare=
  */
 router.get('/:accountId/subscribers', authenticate, async (req, res, next) => {
   try {
-    const { period = '30d' } = req.query;
-    const { startDate, endDate } = parsePeriod(period);
+    const range = resolveRange(req.query);
+    if (range.error) return res.status(400).json({ error: range.error });
+    const { startDate, endDate, period } = range;
 
     const { data: account, error } = await supabase
       .from('connected_accounts')
@@ -303,12 +466,35 @@ router.get('/:accountId/subscribers', authenticate, async (req, res, next) => {
 
     if (error || !account) return res.status(404).json({ error: 'Account not found' });
 
-    const data = await fetchSubscribers(account, startDate, endDate);
+    const [days, prevDays] = await Promise.all([
+      getDailyStats(account, startDate, endDate),
+      range.previous ? getDailyStats(account, range.previous.startDate, range.previous.endDate) : null
+    ]);
+    const data = days.map(d => ({
+      date: d.snapshot_date,
+      total: d.subscriber_count,
+      newSubscribersCount: d.new_subscribers,
+      cancelledSubscribersCount: d.cancelled_subscribers
+    }));
     const newSubscribers = data.reduce((s, d) => s + (d.newSubscribersCount || 0), 0);
     const cancelledSubscribers = data.reduce((s, d) => s + (d.cancelledSubscribersCount || 0), 0);
     const netChange = data.length > 0 ? (data[data.length - 1]?.total || 0) : 0;
 
-    res.json({ data, newSubscribers, cancelledSubscribers, netChange, period });
+    let comparison;
+    if (prevDays) {
+      const cur = summarizeDays(days);
+      const prev = summarizeDays(prevDays);
+      comparison = {
+        mode: range.compare,
+        previousStartDate: range.previous.startDate,
+        previousEndDate: range.previous.endDate,
+        subscribers: compareMetric(cur.subscribers, prev.subscribers),
+        newSubscribers: compareMetric(cur.newSubscribers, prev.newSubscribers),
+        cancelledSubscribers: compareMetric(cur.cancelledSubscribers, prev.cancelledSubscribers)
+      };
+    }
+
+    res.json({ data, newSubscribers, cancelledSubscribers, netChange, comparison, period, startDate, endDate });
   } catch (err) {
     next(err);
   }
@@ -316,11 +502,14 @@ router.get('/:accountId/subscribers', authenticate, async (req, res, next) => {
 
 /**
  * GET /api/analytics/:accountId/spending
+ * ?period= or ?startDate=&endDate=, &cursor=
  */
 router.get('/:accountId/spending', authenticate, async (req, res, next) => {
   try {
-    const { period = '30d', cursor } = req.query;
-    const { startDate, endDate } = parsePeriod(period);
+    const { cursor } = req.query;
+    const range = resolveRange(req.query);
+    if (range.error) return res.status(400).json({ error: range.error });
+    const { startDate, endDate, period } = range;
 
     const { data: account, error } = await supabase
       .from('connected_accounts')
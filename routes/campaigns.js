@@ -0,0 +1,348 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const supabase = require('../config/supabase');
+const { authenticate, requireRole } = require('../middleware/auth');
+const { loadSegment } = require('../services/segments');
+const {
+  AUDIENCE_TYPES, dispatchCampaign, campaignRevenue, segmentDelivery
+} = require('../services/campaigns');
+
+const router = express.Router();
+
+const CAMPAIGN_FIELDS = `
+  *, creator:users!created_by(id, name),
+  sends:campaign_sends(account_id, status, recipient_count, error_message, sent_at)
+`;
+
+// Statuses a campaign can still be edited in
+const EDITABLE = ['draft', 'scheduled'];
+
+/**
+ * Build campaign columns from a create/update body, merged over `existing` for updates.
+ * Returns { fields } or { error, status? }.
+ */
+async function campaignFields(body, organizationId, existing = {}) {
+  const fields = {};
+  const pick = (key, column, transform = (v) => v) => {
+    if (body[key] !== undefined) fields[column] = transform(body[key]);
+  };
+
+  if (body.name !== undefined) {
+    if (!body.name || !body.name.trim()) return { error: 'name required' };
+    fields.name = body.name.trim();
+  }
+  pick('audienceType', 'audience_type');
+  pick('includedLists', 'included_lists', v => v || null);
+  pick('excludedLists', 'excluded_lists', v => v || null);
+  pick('segmentId', 'segment_id', v => v || null);
+  pick('accountIds', 'account_ids');
+  pick('content', 'content', v => v || null);
+  pick('mediaUuids', 'media_uuids', v => v || []);
+  pick('ppvPrice', 'ppv_price', v => v || null);
+
+  const merged = { ...existing, ...fields };
+
+  if (!merged.name) return { error: 'name required' };
+  if (!AUDIENCE_TYPES.includes(merged.audience_type)) {
+    return { error: `audienceType must be one of ${AUDIENCE_TYPES.join(', ')}` };
+  }
+  if (fields.ppv_price && !(typeof fields.ppv_price === 'number' && fields.ppv_price > 0)) {
+    return { error: 'ppvPrice must be a positive amount' };
+  }
+  if (!Array.isArray(merged.media_uuids || [])) return { error: 'mediaUuids must be an array' };
+  if (merged.audience_type === 'lists' && !merged.content) {
+    return { error: 'content required for a Fanvue list send' };
+  }
+  if (!merged.content && !(merged.media_uuids || []).length) {
+    return { error: 'content or media required' };
+  }
+
+  const accountIds = merged.account_ids;
+  if (!Array.isArray(accountIds) || !accountIds.length) return { error: 'accountIds required' };
+  const { data: accounts } = await supabase
+    .from('connected_accounts')
+    .select('id')
+    .eq('organization_id', organizationId)
+    .in('id', accountIds);
+  if ((accounts || []).length !== new Set(accountIds).size) return { error: 'Account not found', status: 404 };
+  fields.account_ids = [...new Set(accountIds)];
+
+  if (merged.audience_type === 'lists') {
+    if (!merged.included_lists) return { error: 'includedLists required for a Fanvue list send' };
+    fields.segment_id = null;
+  } else {
+    if (!merged.segment_id) return { error: 'segmentId required for a segment send' };
+    const segment = await loadSegment(merged.segment_id, organizationId);
+    if (!segment) return { error: 'Segment not found', status: 404 };
+    if (segment.account_id && fields.account_ids.some(id => id !== segment.account_id)) {
+      return { error: 'Segment only covers one account' };
+    }
+    fields.included_lists = null;
+    fields.excluded_lists = null;
+  }
+
+  return { fields };
+}
+
+/**
+ * Status + send_at from body.sendAt: a future time schedules, null makes a draft.
+ */
+function scheduleFields(sendAt) {
+  if (!sendAt) return { status: 'draft', send_at: null };
+  const at = new Date(sendAt);
+  if (isNaN(at)) return { error: 'sendAt must be a date' };
+  if (at <= new Date()) return { error: 'Send time must be in the future' };
+  return { status: 'scheduled', send_at: at.toISOString() };
+}
+
+async function loadCampaign(campaignId, organizationId) {
+  const { data } = await supabase
+    .from('campaigns')
+    .select(CAMPAIGN_FIELDS)
+    .eq('id', campaignId)
+    .eq('organization_id', organizationId)
+    .maybeSingle();
+  return data;
+}
+
+/**
+ * Totals shared by the list and detail views.
+ */
+function summarize(campaign, revenue) {
+  const recipients = (campaign.sends || []).reduce((s, r) => s + (r.recipient_count || 0), 0);
+  return {
+    recipients,
+    unlocks: revenue.unlocks,
+    buyers: revenue.buyers,
+    revenue: revenue.revenue,
+    unlockRate: recipients ? Math.round((revenue.unlocks / recipients) * 10000) / 100 : null,
+    revenuePerRecipient: recipients ? Math.round((revenue.revenue / recipients) * 100) / 100 : null
+  };
+}
+
+/**
+ * GET /api/campaigns?status=
+ * Campaigns, newest first, with recipients, unlocks and revenue.
+ */
+router.get('/', authenticate, requireRole('owner', 'manager'), async (req, res, next) => {
+  try {
+    let query = supabase
+      .from('campaigns')
+      .select(CAMPAIGN_FIELDS)
+      .eq('organization_id', req.user.organization_id)
+      .order('created_at', { ascending: false });
+    if (req.query.status) query = query.eq('status', req.query.status);
+
+    const { data: campaigns, error } = await query;
+    if (error) throw error;
+
+    const revenue = await campaignRevenue((campaigns || []).map(c => c.id));
+    res.json({
+      campaigns: (campaigns || []).map(c => ({ ...c, stats: summarize(c, revenue.get(c.id)) }))
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/campaigns
+ * Body: { name, audienceType: 'lists' | 'segment', includedLists?, excludedLists?, segmentId?,
+ *         accountIds, content?, mediaUuids?, ppvPrice?, sendAt? }
+ * Without sendAt the campaign is saved as a draft.
+ */
+router.post('/', authenticate, requireRole('owner', 'manager'), async (req, res, next) => {
+  try {
+    const built = await campaignFields(req.body, req.user.organization_id);
+    if (built.error) return res.status(built.status || 400).json({ error: built.error });
+
+    const schedule = scheduleFields(req.body.sendAt);
+    if (schedule.error) return res.status(400).json({ error: schedule.error });
+
+    const { data: campaign, error } = await supabase
+      .from('campaigns')
+      .insert({
+        id: uuidv4(),
+        organization_id: req.user.organization_id,
+        ...built.fields,
+        ...schedule,
+        created_by: req.user.id
+      })
+      .select(CAMPAIGN_FIELDS)
+      .single();
+
+    if (error) throw error;
+    res.status(201).json({ campaign });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/campaigns/:campaignId
+ * Campaign, per-account sends, revenue by event type and (segment sends) message delivery.
+ */
+router.get('/:campaignId', authenticate, requireRole('owner', 'manager'), async (req, res, next) => {
+  try {
+    const campaign = await loadCampaign(req.params.campaignId, req.user.organization_id);
+    if (!campaign) return res.status(404).json({ error: 'Campaign not found' });
+
+    const revenue = (await campaignRevenue([campaign.id])).get(campaign.id);
+    const delivery = campaign.audience_type === 'segment' ? await segmentDelivery(campaign.id) : null;
+
+    res.json({
+      campaign,
+      stats: { ...summarize(campaign, revenue), byType: revenue.byType, delivery }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/campaigns/:campaignId/recipients?limit=&offset=
+ * Fans a segment campaign was queued to, with each message's status.
+ */
+router.get('/:campaignId/recipients', authenticate, requireRole('owner', 'manager'), async (req, res, next) => {
+  try {
+    const campaign = await loadCampaign(req.params.campaignId, req.user.organization_id);
+    if (!campaign) return res.status(404).json({ error: 'Campaign not found' });
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const { data: recipients, error, count } = await supabase
+      .from('campaign_recipients')
+      .select(`
+        id, account_id, created_at,
+        fan:fans(id, username, display_name, avatar_url),
+        message:messages(id, platform_status, last_error, ppv_unlocked, ppv_unlocked_at)
+      `, { count: 'exact' })
+      .eq('campaign_id', campaign.id)
+      .order('created_at', { ascending: true })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+    res.json({ recipients, total: count });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * PUT /api/campaigns/:campaignId
+ * Edit a draft or scheduled campaign. Same body as POST; sendAt: null returns it to draft.
+ */
+router.put('/:campaignId', authenticate, requireRole('owner', 'manager'), async (req, res, next) => {
+  try {
+    const existing = await loadCampaign(req.params.campaignId, req.user.organization_id);
+    if (!existing) return res.status(404).json({ error: 'Campaign not found' });
+    if (!EDITABLE.includes(existing.status)) {
+      return res.status(409).json({ error: `Campaign is already ${existing.status}` });
+    }
+
+    const built = await campaignFields(req.body, req.user.organization_id, existing);
+    if (built.error) return res.status(built.status || 400).json({ error: built.error });
+
+    const updates = { ...built.fields, updated_at: new Date().toISOString() };
+    if (req.body.sendAt !== undefined) {
+      const schedule = scheduleFields(req.body.sendAt);
+      if (schedule.error) return res.status(400).json({ error: schedule.error });
+      Object.assign(updates, schedule);
+    }
+
+    // Status guard: the job may have claimed it since the read above
+    const { data: campaign, error } = await supabase
+      .from('campaigns')
+      .update(updates)
+      .eq('id', existing.id)
+      .in('status', EDITABLE)
+      .select(CAMPAIGN_FIELDS)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!campaign) return res.status(409).json({ error: 'Campaign is already being sent' });
+
+    res.json({ campaign });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/campaigns/:campaignId/send
+ * Send now. Also retries the failed accounts of a partial or failed campaign —
+ * accounts that already went out are skipped.
+ */
+router.post('/:campaignId/send', authenticate, requireRole('owner', 'manager'), async (req, res, next) => {
+  try {
+    const existing = await loadCampaign(req.params.campaignId, req.user.organization_id);
+    if (!existing) return res.status(404).json({ error: 'Campaign not found' });
+
+    const { data: campaign } = await supabase
+      .from('campaigns')
+      .update({ status: 'scheduled', send_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+      .eq('id', existing.id)
+      .in('status', [...EDITABLE, 'partial', 'failed'])
+      .select()
+      .maybeSingle();
+
+    if (!campaign) return res.status(409).json({ error: `Campaign is already ${existing.status}` });
+
+    dispatchCampaign(campaign).catch(err =>
+      console.error(`[Campaigns] ${campaign.id} dispatch error:`, err.message));
+
+    res.status(202).json({ campaign: { ...existing, ...campaign } });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/campaigns/:campaignId/cancel
+ */
+router.post('/:campaignId/cancel', authenticate, requireRole('owner', 'manager'), async (req, res, next) => {
+  try {
+    const existing = await loadCampaign(req.params.campaignId, req.user.organization_id);
+    if (!existing) return res.status(404).json({ error: 'Campaign not found' });
+
+    const { data: cancelled } = await supabase
+      .from('campaigns')
+      .update({ status: 'cancelled', updated_at: new Date().toISOString() })
+      .eq('id', existing.id)
+      .in('status', EDITABLE)
+      .select('id')
+      .maybeSingle();
+
+    if (!cancelled) return res.status(409).json({ error: `Campaign is already ${existing.status}` });
+
+    res.json({ message: 'Campaign cancelled' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * DELETE /api/campaigns/:campaignId
+ * Revenue stays recorded — its campaign_id is cleared.
+ */
+router.delete('/:campaignId', authenticate, requireRole('owner', 'manager'), async (req, res, next) => {
+  try {
+    const { data: deleted, error } = await supabase
+      .from('campaigns')
+      .delete()
+      .eq('id', req.params.campaignId)
+      .eq('organization_id', req.user.organization_id)
+      .neq('status', 'sending')
+      .select('id')
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!deleted) return res.status(409).json({ error: 'Campaign not found or still sending' });
+    res.json({ message: 'Deleted' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
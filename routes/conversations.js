@@ -3,6 +3,11 @@ const { v4: uuidv4 } = require('uuid');
 const supabase = require('../config/supabase');
 const { authenticate } = require('../middleware/auth');
 const fanvueApi = require('../services/fanvueApi');
+const { enqueueMessage, retryMessage } = require('../services/messageQueue');
+const { isValidTimeZone, zonedTimeToUtc } = require('../utils/timezone');
+const { loadSegment, evaluateSegment } = require('../services/segments');
+const { logFanActivity } = require('../services/fanTimeline');
+const { attachNetwork } = require('../services/fanProfiles');
 
 const router = express.Router();
 
@@ -10,15 +15,80 @@ const router = express.Router();
 // CONVERSATIONS (inbox)
 // ============================================================
 
+const INBOX_FIELDS = `
+  id, fanvue_thread_id, is_unread, unread_count,
+  last_message_at, last_message_preview, last_message_from,
+  needs_follow_up, is_pinned, status,
+  assigned_chatter_id,
+  locked_by, locked_at,
+  fan:fans(
+    id, fanvue_fan_id, username, display_name, avatar_url,
+    subscription_status, spend_tier, buyer_score,
+    lifetime_spend, spend_30d, last_active_at,
+    fan_tags(tag)
+  )
+`;
+
+/**
+ * Open conversations for an account with the inbox filter and ordering applied.
+ */
+function inboxQuery(fields, { accountId, organizationId, filter, userId }, opts) {
+  let query = supabase
+    .from('conversations')
+    .select(fields, opts)
+    .eq('account_id', accountId)
+    .eq('organization_id', organizationId)
+    .eq('status', 'open');
+
+  if (filter === 'unread') query = query.eq('is_unread', true);
+  if (filter === 'follow_up') query = query.eq('needs_follow_up', true);
+  if (filter === 'mine') query = query.eq('assigned_chatter_id', userId);
+
+  // Pinned always float to top, then newest message first
+  return query
+    .order('is_pinned', { ascending: false })
+    .order('last_message_at', { ascending: false, nullsFirst: false })
+    .order('id');
+}
+
+/**
+ * One inbox page limited to a segment's fans: walk the filtered inbox order, keep
+ * segment members, then fetch full rows for just the page.
+ */
+async function segmentInboxPage(segment, scope, page, limit) {
+  const fanIds = new Set((await evaluateSegment(segment, { accountId: scope.accountId })).map(f => f.id));
+
+  const PAGE = 1000;
+  const ids = [];
+  for (let from = 0; ; from += PAGE) {
+    const { data, error } = await inboxQuery('id, fan_id', scope).range(from, from + PAGE - 1);
+    if (error) throw error;
+    (data || []).forEach(c => { if (fanIds.has(c.fan_id)) ids.push(c.id); });
+    if (!data || data.length < PAGE) break;
+  }
+
+  const pageIds = ids.slice((page - 1) * limit, page * limit);
+  if (!pageIds.length) return { conversations: [], total: ids.length };
+
+  const { data, error } = await supabase
+    .from('conversations')
+    .select(INBOX_FIELDS)
+    .in('id', pageIds);
+  if (error) throw error;
+
+  const byId = new Map((data || []).map(c => [c.id, c]));
+  return { conversations: pageIds.map(id => byId.get(id)).filter(Boolean), total: ids.length };
+}
+
 /**
- * GET /api/conversations?accountId=&sort=&filter=&page=
- * Inbox for a model — filtered, sorted, paginated
+ * GET /api/conversations?accountId=&sort=&filter=&page=&segmentId=
+ * Inbox for a model — filtered, sorted, paginated. segmentId keeps only a saved segment's fans.
  */
 router.get('/', authenticate, async (req, res, next) => {
   try {
     const {
       accountId, sort = 'last_message', filter,
-      search, page = 1, limit = 40
+      search, segmentId, page = 1, limit = 40
     } = req.query;
 
     if (!accountId) return res.status(400).json({ error: 'accountId required' });
@@ -34,40 +104,22 @@ router.get('/', authenticate, async (req, res, next) => {
       if (!assignment) return res.status(403).json({ error: 'Not assigned to this account' });
     }
 
-    let query = supabase
-      .from('conversations')
-      .select(`
-        id, fanvue_thread_id, is_unread, unread_count,
-        last_message_at, last_message_preview, last_message_from,
-        needs_follow_up, is_pinned, status,
-        assigned_chatter_id,
-        locked_by, locked_at,
-        fan:fans(
-          id, username, display_name, avatar_url,
-          subscription_status, spend_tier, buyer_score,
-          lifetime_spend, spend_30d, last_active_at,
-          fan_tags(tag)
-        )
-      `, { count: 'exact' })
-      .eq('account_id', accountId)
-      .eq('organization_id', req.user.organization_id)
-      .eq('status', 'open');
-
-    // Filters
-    if (filter === 'unread') query = query.eq('is_unread', true);
-    if (filter === 'follow_up') query = query.eq('needs_follow_up', true);
-    if (filter === 'mine') query = query.eq('assigned_chatter_id', req.user.id);
-
-    // Pinned always float to top, then newest message first
-    query = query.order('is_pinned', { ascending: false });
-    query = query.order('last_message_at', { ascending: false, nullsFirst: false });
-
-    // Pagination
-    const from = (page - 1) * limit;
-    query = query.range(from, from + limit - 1);
-
-    const { data: conversations, error, count } = await query;
-    if (error) throw error;
+    const scope = { accountId, organizationId: req.user.organization_id, filter, userId: req.user.id };
+
+    let conversations;
+    let count;
+    if (segmentId) {
+      const segment = await loadSegment(segmentId, req.user.organization_id);
+      if (!segment) return res.status(404).json({ error: 'Segment not found' });
+      ({ conversations, total: count } = await segmentInboxPage(segment, scope, Number(page), Number(limit)));
+    } else {
+      // Pagination
+      const from = (page - 1) * limit;
+      const result = await inboxQuery(INBOX_FIELDS, scope, { count: 'exact' }).range(from, from + limit - 1);
+      if (result.error) throw result.error;
+      conversations = result.data;
+      count = result.count;
+    }
 
     // Post-filter search
     const results = search
@@ -77,6 +129,9 @@ router.get('/', authenticate, async (req, res, next) => {
         )
       : conversations;
 
+    // Spend across all our creators, so a new subscriber who's a whale elsewhere stands out
+    await attachNetwork(req.user.organization_id, results.map(c => c.fan));
+
     res.json({ conversations: results, total: count, page: Number(page) });
   } catch (err) {
     next(err);
@@ -98,7 +153,7 @@ router.get('/:conversationId', authenticate, async (req, res, next) => {
       .from('messages')
       .select(`
         id, direction, content, media_urls, is_ppv, ppv_price,
-        ppv_unlocked, ppv_unlocked_at, sent_at, platform_status,
+        ppv_unlocked, ppv_unlocked_at, sent_at, platform_status, last_error,
         sent_by_user:users(id, name), sent_by_automation, script_run_id
       `)
       .eq('conversation_id', req.params.conversationId)
@@ -127,7 +182,7 @@ router.get('/:conversationId', authenticate, async (req, res, next) => {
       // Active script run
       supabase
         .from('script_runs')
-        .select('id, current_step, script:scripts(id, name, script_steps(*))')
+        .select('id, current_step, script:scripts(id, name), version:script_versions(version, script_steps(*))')
         .eq('conversation_id', req.params.conversationId)
         .eq('status', 'active')
         .single()
@@ -152,7 +207,13 @@ router.get('/:conversationId', authenticate, async (req, res, next) => {
     const messages = (msgResult.data || []).reverse();
     const has_more = (msgResult.data || []).length === limit;
 
-    res.json({ conversation, messages, has_more, activeRun: runResult.data });
+    // The run's steps are the ones of the version it started on
+    const activeRun = runResult.data;
+    if (activeRun?.script) {
+      activeRun.script.script_steps = (activeRun.version?.script_steps || []).sort((a, b) => a.step_index - b.step_index);
+    }
+
+    res.json({ conversation, messages, has_more, activeRun });
   } catch (err) {
     next(err);
   }
@@ -226,6 +287,18 @@ router.patch('/:conversationId', authenticate, async (req, res, next) => {
     allowed.forEach(k => { if (req.body[k] !== undefined) updates[k] = req.body[k]; });
     updates.updated_at = new Date().toISOString();
 
+    // Previous assignee, for the fan timeline
+    let before = null;
+    if (updates.assigned_chatter_id !== undefined) {
+      const { data } = await supabase
+        .from('conversations')
+        .select('fan_id, assigned_chatter_id')
+        .eq('id', req.params.conversationId)
+        .eq('organization_id', req.user.organization_id)
+        .maybeSingle();
+      before = data;
+    }
+
     const { error } = await supabase
       .from('conversations')
       .update(updates)
@@ -233,6 +306,21 @@ router.patch('/:conversationId', authenticate, async (req, res, next) => {
       .eq('organization_id', req.user.organization_id);
 
     if (error) throw error;
+
+    if (before && (before.assigned_chatter_id || null) !== (updates.assigned_chatter_id || null)) {
+      await logFanActivity([{
+        organizationId: req.user.organization_id,
+        fanId: before.fan_id,
+        actorId: req.user.id,
+        action: updates.assigned_chatter_id ? 'chatter_assigned' : 'chatter_unassigned',
+        details: {
+          conversation_id: req.params.conversationId,
+          chatter_id: updates.assigned_chatter_id || null,
+          previous_chatter_id: before.assigned_chatter_id || null
+        }
+      }]);
+    }
+
     res.json({ message: 'Updated' });
   } catch (err) {
     next(err);
@@ -291,6 +379,8 @@ router.patch('/:conversationId/nickname', authenticate, async (req, res, next) =
 
 /**
  * POST /api/conversations/:conversationId/messages
+ * Queue an outbound message. It is stored as 'queued' and delivered to Fanvue
+ * in order by the message queue — poll the conversation for sent/failed status.
  */
 router.post('/:conversationId/messages', authenticate, async (req, res, next) => {
   try {
@@ -302,69 +392,254 @@ router.post('/:conversationId/messages', authenticate, async (req, res, next) =>
 
     const { data: conv, error: convError } = await supabase
       .from('conversations')
-      .select('*, account:connected_accounts(*), fan:fans(fanvue_fan_id)')
+      .select('id, organization_id, fan_id')
       .eq('id', req.params.conversationId)
       .eq('organization_id', req.user.organization_id)
       .single();
 
     if (convError || !conv) return res.status(404).json({ error: 'Conversation not found' });
 
-    const fanUserUuid = conv.fan?.fanvue_fan_id;
+    const message = await enqueueMessage(conv, {
+      content: content || null,
+      mediaUrls,
+      mediaUuids: mediaUuids || [],
+      isPpv,
+      ppvPrice,
+      templateUuid: templateUuid || null,
+      scriptRunId: scriptRunId || null,
+      sentByUserId: req.user.id
+    });
 
-    let fanvueMessageId = null;
-    try {
-      const fanvueResponse = await fanvueApi.sendMessage(
-        conv.account,
-        fanUserUuid,
-        {
-          text: content || null,
-          mediaUuids: mediaUuids || [],
-          price: ppvPrice != null && ppvPrice > 0 ? ppvPrice : null,
-          templateUuid: templateUuid || null
-        }
-      );
-      // API spec: 201 response returns { messageUuid: "..." }
-      fanvueMessageId = fanvueResponse?.messageUuid || fanvueResponse?.uuid || null;
-    } catch (apiErr) {
-      console.error('Fanvue send error:', apiErr.message);
+    res.status(201).json({ message });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/conversations/:conversationId/messages/:messageId/retry
+ * Re-queue a failed outbound message
+ */
+router.post('/:conversationId/messages/:messageId/retry', authenticate, async (req, res, next) => {
+  try {
+    const { data: conv } = await supabase
+      .from('conversations')
+      .select('id')
+      .eq('id', req.params.conversationId)
+      .eq('organization_id', req.user.organization_id)
+      .single();
+
+    if (!conv) return res.status(404).json({ error: 'Conversation not found' });
+
+    const message = await retryMessage(req.params.messageId, conv.id);
+    if (!message) return res.status(409).json({ error: 'Message is not in a failed state' });
+
+    res.json({ message });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ============================================================
+// SCHEDULED MESSAGES
+// ============================================================
+
+const SCHEDULED_FIELDS = `
+  id, content, media_uuids, ppv_price, template_uuid,
+  send_at, local_send_time, timezone, status, message_id, error_message, sent_at,
+  created_at, updated_at, scheduled_by, scheduled_by_user:users!scheduled_by(id, name)
+`;
+
+/**
+ * Resolve the UTC send time for a scheduled message.
+ * Accepts either an absolute `sendAt` (ISO with offset) or a wall-clock `localTime`
+ * interpreted in `timezone`, falling back to the fan's timezone, then UTC.
+ */
+function resolveSendAt({ sendAt, localTime, timezone }, fanTimezone) {
+  if (localTime) {
+    const tz = timezone || fanTimezone || 'UTC';
+    if (!isValidTimeZone(tz)) return { error: `Unknown timezone: ${tz}` };
+    const at = zonedTimeToUtc(localTime, tz);
+    if (!at) return { error: 'localTime must be YYYY-MM-DDTHH:mm' };
+    return { send_at: at.toISOString(), local_send_time: localTime, timezone: tz };
+  }
+
+  const at = new Date(sendAt);
+  if (!sendAt || isNaN(at)) return { error: 'sendAt or localTime required' };
+  return { send_at: at.toISOString(), local_send_time: null, timezone: null };
+}
+
+/**
+ * Load a conversation in the caller's org along with the fan's timezone
+ */
+async function loadConversationForSchedule(conversationId, organizationId) {
+  const { data: conv } = await supabase
+    .from('conversations')
+    .select('id, account_id, organization_id, fan_id, fan:fans(timezone)')
+    .eq('id', conversationId)
+    .eq('organization_id', organizationId)
+    .single();
+  return conv;
+}
+
+/**
+ * GET /api/conversations/:conversationId/scheduled?status=
+ * Scheduled messages for a conversation (default: still pending)
+ */
+router.get('/:conversationId/scheduled', authenticate, async (req, res, next) => {
+  try {
+    const { status = 'scheduled' } = req.query;
+
+    let query = supabase
+      .from('scheduled_messages')
+      .select(SCHEDULED_FIELDS)
+      .eq('conversation_id', req.params.conversationId)
+      .eq('organization_id', req.user.organization_id)
+      .order('send_at', { ascending: true });
+
+    if (status !== 'all') query = query.eq('status', status);
+
+    const { data: scheduled, error } = await query;
+    if (error) throw error;
+
+    res.json({ scheduled });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/conversations/:conversationId/scheduled
+ * Body: { content, mediaUuids, ppvPrice, templateUuid, sendAt } or
+ *       { ..., localTime: '2026-03-01T08:00', timezone? } — timezone defaults to the fan's
+ */
+router.post('/:conversationId/scheduled', authenticate, async (req, res, next) => {
+  try {
+    const { content, mediaUuids = [], ppvPrice, templateUuid } = req.body;
+
+    if (!content && !templateUuid && mediaUuids.length === 0) {
+      return res.status(400).json({ error: 'content, media, or template required' });
     }
 
-    const msgId = uuidv4();
-    const { data: message, error: msgError } = await supabase
-      .from('messages')
+    const conv = await loadConversationForSchedule(req.params.conversationId, req.user.organization_id);
+    if (!conv) return res.status(404).json({ error: 'Conversation not found' });
+
+    const timing = resolveSendAt(req.body, conv.fan?.timezone);
+    if (timing.error) return res.status(400).json({ error: timing.error });
+    if (new Date(timing.send_at) <= new Date()) {
+      return res.status(400).json({ error: 'Send time must be in the future' });
+    }
+
+    const { data: scheduled, error } = await supabase
+      .from('scheduled_messages')
       .insert({
-        id: msgId,
-        conversation_id: req.params.conversationId,
+        id: uuidv4(),
         organization_id: req.user.organization_id,
-        fanvue_message_id: fanvueMessageId,
-        direction: 'outbound',
-        content,
-        media_urls: mediaUrls,
-        is_ppv: isPpv,
+        account_id: conv.account_id,
+        conversation_id: conv.id,
+        fan_id: conv.fan_id,
+        scheduled_by: req.user.id,
+        content: content || null,
+        media_uuids: mediaUuids,
         ppv_price: ppvPrice || null,
-        sent_by_user_id: req.user.id,
-        script_run_id: scriptRunId || null,
-        platform_status: fanvueMessageId ? 'sent' : 'pending',
-        sent_at: new Date().toISOString()
+        template_uuid: templateUuid || null,
+        ...timing,
+        status: 'scheduled'
       })
-      .select()
+      .select(SCHEDULED_FIELDS)
       .single();
 
-    if (msgError) throw msgError;
+    if (error) throw error;
+    res.status(201).json({ scheduled });
+  } catch (err) {
+    next(err);
+  }
+});
 
-    await supabase
-      .from('conversations')
-      .update({
-        last_message_at: new Date().toISOString(),
-        last_message_preview: content?.substring(0, 100) || '[Media]',
-        last_message_from: 'model',
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', req.params.conversationId);
+/**
+ * PATCH /api/conversations/:conversationId/scheduled/:scheduledId
+ * Edit content or timing while still pending. Chatters can only edit their own.
+ */
+router.patch('/:conversationId/scheduled/:scheduledId', authenticate, async (req, res, next) => {
+  try {
+    const { data: existing } = await supabase
+      .from('scheduled_messages')
+      .select('id, status, scheduled_by')
+      .eq('id', req.params.scheduledId)
+      .eq('conversation_id', req.params.conversationId)
+      .eq('organization_id', req.user.organization_id)
+      .single();
 
-    await supabase.rpc('increment_fan_message_count', { fan_id: conv.fan_id });
+    if (!existing) return res.status(404).json({ error: 'Scheduled message not found' });
+    if (existing.status !== 'scheduled') return res.status(409).json({ error: `Message is already ${existing.status}` });
+    if (req.user.role === 'chatter' && existing.scheduled_by !== req.user.id) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
 
-    res.status(201).json({ message });
+    const updates = {};
+    if (req.body.content !== undefined) updates.content = req.body.content;
+    if (req.body.mediaUuids !== undefined) updates.media_uuids = req.body.mediaUuids;
+    if (req.body.ppvPrice !== undefined) updates.ppv_price = req.body.ppvPrice || null;
+    if (req.body.templateUuid !== undefined) updates.template_uuid = req.body.templateUuid || null;
+
+    if (req.body.sendAt || req.body.localTime) {
+      const conv = await loadConversationForSchedule(req.params.conversationId, req.user.organization_id);
+      const timing = resolveSendAt(req.body, conv?.fan?.timezone);
+      if (timing.error) return res.status(400).json({ error: timing.error });
+      if (new Date(timing.send_at) <= new Date()) {
+        return res.status(400).json({ error: 'Send time must be in the future' });
+      }
+      Object.assign(updates, timing);
+    }
+    updates.updated_at = new Date().toISOString();
+
+    // Status guard: the job may have claimed it since the read above
+    const { data: scheduled, error } = await supabase
+      .from('scheduled_messages')
+      .update(updates)
+      .eq('id', req.params.scheduledId)
+      .eq('status', 'scheduled')
+      .select(SCHEDULED_FIELDS)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!scheduled) return res.status(409).json({ error: 'Message is already being sent' });
+
+    res.json({ scheduled });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * DELETE /api/conversations/:conversationId/scheduled/:scheduledId (cancel)
+ */
+router.delete('/:conversationId/scheduled/:scheduledId', authenticate, async (req, res, next) => {
+  try {
+    const { data: existing } = await supabase
+      .from('scheduled_messages')
+      .select('id, status, scheduled_by')
+      .eq('id', req.params.scheduledId)
+      .eq('conversation_id', req.params.conversationId)
+      .eq('organization_id', req.user.organization_id)
+      .single();
+
+    if (!existing) return res.status(404).json({ error: 'Scheduled message not found' });
+    if (req.user.role === 'chatter' && existing.scheduled_by !== req.user.id) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    const { data: cancelled } = await supabase
+      .from('scheduled_messages')
+      .update({ status: 'cancelled', updated_at: new Date().toISOString() })
+      .eq('id', req.params.scheduledId)
+      .eq('status', 'scheduled')
+      .select('id')
+      .maybeSingle();
+
+    if (!cancelled) return res.status(409).json({ error: `Message is already ${existing.status}` });
+
+    res.json({ message: 'Scheduled message cancelled' });
   } catch (err) {
     next(err);
   }
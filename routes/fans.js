@@ -1,56 +1,170 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const supabase = require('../config/supabase');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, requireRole } = require('../middleware/auth');
 const fanvueApi = require('../services/fanvueApi');
+const { forecastFanWithInsights } = require('../services/fanForecast');
+const { loadSegment, evaluateSegment } = require('../services/segments');
+const { loadCustomFields, mergeValues, parseFilters, applyFilters, matchesFilters } = require('../services/customFields');
+const { attachNetwork, fanProfile } = require('../services/fanProfiles');
+const {
+  EXPORT_SELECT, MAX_IMPORT_ROWS, exportRecords, exportCsv, importRowsFromCsv, importRowsFromJson, importFans
+} = require('../services/fanTransfer');
+const {
+  TIMELINE_TYPES, DEFAULT_TIMELINE_LIMIT, MAX_TIMELINE_LIMIT, decodeCursor, fanTimeline, logFanActivity
+} = require('../services/fanTimeline');
 
 const router = express.Router();
 
+const FAN_LIST_FIELDS = `
+  id, fanvue_fan_id, username, display_name, avatar_url,
+  subscription_status, lifetime_spend, spend_30d, spend_7d,
+  ppv_unlock_count, ppv_sent_count, buyer_score, spend_tier,
+  last_active_at, last_message_at, last_purchase_at,
+  needs_follow_up, message_count,
+  forecast_spend_30d, purchase_likelihood_7d, rfm_score, custom_fields,
+  fan_tags(tag)
+`;
+
+const FAN_SORTS = {
+  last_active: { col: 'last_active_at', asc: false },
+  buyer_score: { col: 'buyer_score', asc: false },
+  lifetime_spend: { col: 'lifetime_spend', asc: false },
+  spend_30d: { col: 'spend_30d', asc: false },
+  last_message: { col: 'last_message_at', asc: false },
+  forecast_spend: { col: 'forecast_spend_30d', asc: false },
+  purchase_likelihood: { col: 'purchase_likelihood_7d', asc: false }
+};
+
+/**
+ * Validate GET /api/fans-style filters (accountId, tier, tag, search, segmentId, custom).
+ * Returns { filters } or { error, status }.
+ */
+async function fanFilters({ accountId, tier, tag, search, segmentId, custom }, organizationId) {
+  if (!accountId) return { error: 'accountId required', status: 400 };
+
+  let customFilters = [];
+  if (custom) {
+    const parsed = parseFilters(custom, await loadCustomFields(organizationId));
+    if (parsed.error) return { error: parsed.error, status: 400 };
+    customFilters = parsed.filters;
+  }
+
+  // Verify account belongs to org
+  const { data: account } = await supabase
+    .from('connected_accounts')
+    .select('id')
+    .eq('id', accountId)
+    .eq('organization_id', organizationId)
+    .single();
+
+  if (!account) return { error: 'Account not found', status: 404 };
+
+  let segment = null;
+  if (segmentId) {
+    segment = await loadSegment(segmentId, organizationId);
+    if (!segment) return { error: 'Segment not found', status: 404 };
+  }
+
+  return { filters: { accountId, tier, tag, search, segment, customFilters } };
+}
+
+/**
+ * Fans query for an account with tier/search/custom filters applied (tags are post-filtered).
+ */
+function filteredFanQuery(select, { accountId, tier, search, customFilters }, opts) {
+  let query = supabase
+    .from('fans')
+    .select(select, opts)
+    .eq('account_id', accountId);
+
+  if (tier) query = query.eq('spend_tier', tier);
+  if (search) query = query.or(`username.ilike.%${search}%,display_name.ilike.%${search}%`);
+  return applyFilters(query, customFilters);
+}
+
+/**
+ * A segment's fans with tier/tag/search/custom filters applied, in no particular order.
+ */
+async function segmentFans({ segment, accountId, tier, tag, search, customFilters }) {
+  const needle = search ? search.toLowerCase() : null;
+  return (await evaluateSegment(segment, { accountId })).filter(f =>
+    (!tier || f.spend_tier === tier) &&
+    (!tag || f.tags.includes(tag)) &&
+    (!needle || f.username?.toLowerCase().includes(needle) || f.display_name?.toLowerCase().includes(needle)) &&
+    matchesFilters(f.custom_fields, customFilters));
+}
+
+/**
+ * Full rows for fan ids, in the ids' order.
+ */
+async function fansByIds(select, ids) {
+  const rows = [];
+  // Keep the id lists inside URL limits
+  for (let i = 0; i < ids.length; i += 200) {
+    const { data, error } = await supabase
+      .from('fans')
+      .select(select)
+      .in('id', ids.slice(i, i + 200));
+    if (error) throw error;
+    rows.push(...(data || []));
+  }
+
+  const byId = new Map(rows.map(f => [f.id, f]));
+  return ids.map(id => byId.get(id)).filter(Boolean);
+}
+
+/**
+ * One page of a segment's fans: the segment is evaluated in full (exact total), then
+ * tier/tag/search applied, sorted, and only the page's rows fetched.
+ */
+async function segmentFanPage(filters, { sort, page, limit }) {
+  const matched = await segmentFans(filters);
+
+  // Nulls last, like the database sort
+  const { col, asc } = sort;
+  const key = (f) => (col.endsWith('_at') ? (f[col] ? new Date(f[col]).getTime() : null) : Number(f[col] || 0));
+  matched.sort((a, b) => {
+    const x = key(a);
+    const y = key(b);
+    if (x === y) return 0;
+    if (x === null) return 1;
+    if (y === null) return -1;
+    return asc ? x - y : y - x;
+  });
+
+  const ids = matched.slice((page - 1) * limit, page * limit).map(f => f.id);
+  return { fans: await fansByIds(FAN_LIST_FIELDS, ids), total: matched.length };
+}
+
 /**
- * GET /api/fans?accountId=&tier=&tag=&sort=&search=
+ * GET /api/fans?accountId=&tier=&tag=&sort=&search=&segmentId=&custom[key]=
  * List fans for an account with filtering + sorting
+ * sort: last_active | buyer_score | lifetime_spend | spend_30d | last_message | forecast_spend | purchase_likelihood
+ * segmentId limits the list to a saved segment's fans (see /api/segments)
+ * custom[key]=value or custom[key][op]=value filters on custom fields (see /api/settings/fan-fields)
  */
 router.get('/', authenticate, async (req, res, next) => {
   try {
-    const { accountId, tier, tag, sort = 'last_active', search, page = 1, limit = 50 } = req.query;
+    const { sort = 'last_active', page = 1, limit = 50 } = req.query;
 
-    if (!accountId) return res.status(400).json({ error: 'accountId required' });
+    const { filters, error: invalid, status } = await fanFilters(req.query, req.user.organization_id);
+    if (invalid) return res.status(status).json({ error: invalid });
 
-    // Verify account belongs to org
-    const { data: account } = await supabase
-      .from('connected_accounts')
-      .select('id')
-      .eq('id', accountId)
-      .eq('organization_id', req.user.organization_id)
-      .single();
-
-    if (!account) return res.status(404).json({ error: 'Account not found' });
+    if (filters.segment) {
+      const { fans, total } = await segmentFanPage(filters, {
+        sort: FAN_SORTS[sort] || FAN_SORTS.last_active,
+        page: Number(page),
+        limit: Number(limit)
+      });
+      await attachNetwork(req.user.organization_id, fans);
+      return res.json({ fans, total, page: Number(page), limit: Number(limit) });
+    }
 
-    let query = supabase
-      .from('fans')
-      .select(`
-        id, fanvue_fan_id, username, display_name, avatar_url,
-        subscription_status, lifetime_spend, spend_30d, spend_7d,
-        ppv_unlock_count, ppv_sent_count, buyer_score, spend_tier,
-        last_active_at, last_message_at, last_purchase_at,
-        needs_follow_up, message_count,
-        fan_tags(tag)
-      `, { count: 'exact' })
-      .eq('account_id', accountId);
-
-    // Filters
-    if (tier) query = query.eq('spend_tier', tier);
-    if (search) query = query.or(`username.ilike.%${search}%,display_name.ilike.%${search}%`);
+    let query = filteredFanQuery(FAN_LIST_FIELDS, filters, { count: 'exact' });
 
     // Sorting
-    const sortMap = {
-      last_active: { col: 'last_active_at', asc: false },
-      buyer_score: { col: 'buyer_score', asc: false },
-      lifetime_spend: { col: 'lifetime_spend', asc: false },
-      spend_30d: { col: 'spend_30d', asc: false },
-      last_message: { col: 'last_message_at', asc: false }
-    };
-    const s = sortMap[sort] || sortMap.last_active;
+    const s = FAN_SORTS[sort] || FAN_SORTS.last_active;
     query = query.order(s.col, { ascending: s.asc });
 
     // Pagination
@@ -61,9 +175,10 @@ router.get('/', authenticate, async (req, res, next) => {
     if (error) throw error;
 
     // If tag filter — post-filter (Supabase join filter limitation)
-    const filtered = tag
-      ? fans.filter(f => f.fan_tags?.some(t => t.tag === tag))
+    const filtered = filters.tag
+      ? fans.filter(f => f.fan_tags?.some(t => t.tag === filters.tag))
       : fans;
+    await attachNetwork(req.user.organization_id, filtered);
 
     res.json({ fans: filtered, total: count, page: Number(page), limit: Number(limit) });
   } catch (err) {
@@ -71,6 +186,206 @@ router.get('/', authenticate, async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/fans/export?format=csv|json&accountId=&tier=&tag=&search=&segmentId=&custom[key]=
+ * Every fan matching the GET /api/fans filters, with spend fields, tags, notes and
+ * custom fields. CSV has one custom.<key> column per custom field.
+ */
+router.get('/export', authenticate, requireRole('owner', 'manager'), async (req, res, next) => {
+  try {
+    const { format = 'csv' } = req.query;
+    if (!['csv', 'json'].includes(format)) return res.status(400).json({ error: 'format must be csv or json' });
+
+    const { filters, error: invalid, status } = await fanFilters(req.query, req.user.organization_id);
+    if (invalid) return res.status(status).json({ error: invalid });
+
+    let fans;
+    if (filters.segment) {
+      fans = await fansByIds(EXPORT_SELECT, (await segmentFans(filters)).map(f => f.id));
+    } else {
+      fans = [];
+      const PAGE = 1000;
+      for (let from = 0; ; from += PAGE) {
+        const { data, error } = await filteredFanQuery(EXPORT_SELECT, filters)
+          .order('id')
+          .range(from, from + PAGE - 1);
+        if (error) throw error;
+        fans.push(...(data || []));
+        if (!data || data.length < PAGE) break;
+      }
+      if (filters.tag) fans = fans.filter(f => f.fan_tags?.some(t => t.tag === filters.tag));
+    }
+
+    const records = exportRecords(fans);
+    const filename = `fans-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (format === 'json') return res.json({ fans: records });
+
+    res.type('text/csv');
+    res.send(exportCsv(records, await loadCustomFields(req.user.organization_id)));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/fans/import?accountId=&dryRun=true|false
+ * Add tags and notes to an account's fans, matched by Fanvue UUID or username.
+ * Body: CSV text (Content-Type: text/csv) with a header row — fanvue_fan_id and/or
+ * username, plus tags (';' or ',' separated) and/or notes (a JSON array as exported, or
+ * one per line) — or JSON
+ * { rows: [{ fanvue_fan_id?, username?, tags?, notes? }] }.
+ * dryRun defaults to true: nothing is written, the per-row report shows what would be.
+ */
+router.post('/import', authenticate, requireRole('owner', 'manager'),
+  express.text({ type: 'text/csv', limit: '5mb' }),
+  express.json({ limit: '5mb' }),
+  async (req, res, next) => {
+    try {
+      const { accountId } = req.query;
+      const dryRun = req.query.dryRun !== 'false';
+      if (!accountId) return res.status(400).json({ error: 'accountId required' });
+
+      const { data: account } = await supabase
+        .from('connected_accounts')
+        .select('id')
+        .eq('id', accountId)
+        .eq('organization_id', req.user.organization_id)
+        .single();
+
+      if (!account) return res.status(404).json({ error: 'Account not found' });
+
+      const parsed = typeof req.body === 'string'
+        ? importRowsFromCsv(req.body)
+        : importRowsFromJson(req.body?.rows);
+      if (parsed.error) return res.status(400).json({ error: parsed.error });
+      if (parsed.rows.length > MAX_IMPORT_ROWS) {
+        return res.status(400).json({ error: `At most ${MAX_IMPORT_ROWS} rows per import` });
+      }
+
+      const report = await importFans({
+        organizationId: req.user.organization_id,
+        accountId,
+        actorId: req.user.id
+      }, parsed.rows, { dryRun });
+
+      res.json(report);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+/**
+ * GET /api/fans/tier-changes?accountId=&direction=up|down&since=
+ * Fans moving between spend tiers, newest first (default: last 30 days)
+ */
+router.get('/tier-changes', authenticate, async (req, res, next) => {
+  try {
+    const { accountId, direction, since, limit = 100 } = req.query;
+    if (direction && !['up', 'down'].includes(direction)) {
+      return res.status(400).json({ error: 'direction must be up or down' });
+    }
+    const sinceDate = since ? new Date(since) : new Date(Date.now() - 30 * 86400000);
+    if (isNaN(sinceDate)) return res.status(400).json({ error: 'since must be a date' });
+
+    let query = supabase
+      .from('fan_tier_changes')
+      .select('id, account_id, from_tier, to_tier, direction, tier_value, buyer_score, changed_at, fan:fans(id, username, display_name, avatar_url)')
+      .eq('organization_id', req.user.organization_id)
+      .gte('changed_at', sinceDate.toISOString())
+      .order('changed_at', { ascending: false })
+      .limit(Math.min(Number(limit) || 100, 500));
+
+    if (accountId) query = query.eq('account_id', accountId);
+    if (direction) query = query.eq('direction', direction);
+
+    const { data: changes, error } = await query;
+    if (error) throw error;
+
+    res.json({ changes, since: sinceDate.toISOString() });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/fans/:fanId/tier-history
+ */
+router.get('/:fanId/tier-history', authenticate, async (req, res, next) => {
+  try {
+    const { data: changes, error } = await supabase
+      .from('fan_tier_changes')
+      .select('id, from_tier, to_tier, direction, tier_value, buyer_score, changed_at')
+      .eq('fan_id', req.params.fanId)
+      .eq('organization_id', req.user.organization_id)
+      .order('changed_at', { ascending: false });
+
+    if (error) throw error;
+    res.json({ changes });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/fans/:fanId/profile
+ * Cross-account profile: the same Fanvue user across all our creators, with combined
+ * spend and tier. Includes every linked row's notes and tags when the organization
+ * shares them (settings: shareFanNotes).
+ */
+router.get('/:fanId/profile', authenticate, async (req, res, next) => {
+  try {
+    const { data: fan } = await supabase
+      .from('fans')
+      .select('id, organization_id, fanvue_fan_id')
+      .eq('id', req.params.fanId)
+      .eq('organization_id', req.user.organization_id)
+      .maybeSingle();
+
+    if (!fan) return res.status(404).json({ error: 'Fan not found' });
+
+    res.json({ profile: await fanProfile(fan) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/fans/:fanId/timeline?types=&cursor=&limit=
+ * Everything that happened with a fan, newest first: messages, PPV sends and unlocks,
+ * tips, subscriptions, renewals, notes, script runs, tag and chatter changes.
+ * types: comma-separated subset of the item types (default all).
+ * Pass nextCursor back as cursor for the next page; null means the end.
+ */
+router.get('/:fanId/timeline', authenticate, async (req, res, next) => {
+  try {
+    const { cursor } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || DEFAULT_TIMELINE_LIMIT, MAX_TIMELINE_LIMIT);
+
+    const types = req.query.types ? req.query.types.split(',').map(t => t.trim()).filter(Boolean) : TIMELINE_TYPES;
+    const unknown = types.find(t => !TIMELINE_TYPES.includes(t));
+    if (unknown) return res.status(400).json({ error: `Unknown type: ${unknown}. Use ${TIMELINE_TYPES.join(', ')}` });
+
+    const after = cursor ? decodeCursor(cursor) : null;
+    if (cursor && !after) return res.status(400).json({ error: 'Invalid cursor' });
+
+    const { data: fan } = await supabase
+      .from('fans')
+      .select('id')
+      .eq('id', req.params.fanId)
+      .eq('organization_id', req.user.organization_id)
+      .maybeSingle();
+
+    if (!fan) return res.status(404).json({ error: 'Fan not found' });
+
+    const { items, nextCursor } = await fanTimeline(fan.id, { types, cursor: after, limit });
+    res.json({ items, nextCursor });
+  } catch (err) {
+    next(err);
+  }
+});
+
 /**
  * GET /api/fans/:fanId/insights
  * Fetch real-time spending + subscription data from Fanvue Insights API
@@ -81,7 +396,7 @@ router.get('/:fanId/insights', authenticate, async (req, res, next) => {
     // Load fan with account credentials
     const { data: fan, error: fanError } = await supabase
       .from('fans')
-      .select('id, fanvue_fan_id, account_id')
+      .select('id, fanvue_fan_id, account_id, subscription_status, rebill_on, subscribed_at, first_seen_at, ppv_unlock_count, tip_count')
       .eq('id', req.params.fanId)
       .eq('organization_id', req.user.organization_id)
       .single();
@@ -133,7 +448,13 @@ router.get('/:fanId/insights', authenticate, async (req, res, next) => {
       _raw: raw
     };
 
-    res.json({ insights });
+    // Fanvue's lifetime spend by source sharpens the stored forecast
+    const forecast = await forecastFanWithInsights(fan, insights).catch(err => {
+      console.error('[Fans] Forecast error:', err.message);
+      return null;
+    });
+
+    res.json({ insights, forecast });
   } catch (err) {
     // If the Fanvue API returns a 404 the fan may not exist on their side
     if (err.response?.status === 404) {
@@ -203,13 +524,14 @@ router.post('/:fanId/tags', authenticate, async (req, res, next) => {
 
     if (!fan) return res.status(404).json({ error: 'Fan not found' });
 
+    const normalized = tag.toLowerCase().trim();
     const { error } = await supabase
       .from('fan_tags')
       .insert({
         id: uuidv4(),
         fan_id: req.params.fanId,
         organization_id: req.user.organization_id,
-        tag: tag.toLowerCase().trim(),
+        tag: normalized,
         tagged_by: req.user.id
       });
 
@@ -218,6 +540,14 @@ router.post('/:fanId/tags', authenticate, async (req, res, next) => {
     }
     if (error) throw error;
 
+    await logFanActivity([{
+      organizationId: req.user.organization_id,
+      fanId: req.params.fanId,
+      actorId: req.user.id,
+      action: 'tag_added',
+      details: { tag: normalized }
+    }]);
+
     res.status(201).json({ message: 'Tag added' });
   } catch (err) {
     next(err);
@@ -229,12 +559,23 @@ router.post('/:fanId/tags', authenticate, async (req, res, next) => {
  */
 router.delete('/:fanId/tags/:tag', authenticate, async (req, res, next) => {
   try {
-    await supabase
+    const { data: removed } = await supabase
       .from('fan_tags')
       .delete()
       .eq('fan_id', req.params.fanId)
       .eq('tag', req.params.tag)
-      .eq('organization_id', req.user.organization_id);
+      .eq('organization_id', req.user.organization_id)
+      .select('tag');
+
+    if (removed?.length) {
+      await logFanActivity([{
+        organizationId: req.user.organization_id,
+        fanId: req.params.fanId,
+        actorId: req.user.id,
+        action: 'tag_removed',
+        details: { tag: req.params.tag }
+      }]);
+    }
 
     res.json({ message: 'Tag removed' });
   } catch (err) {
@@ -281,6 +622,37 @@ router.post('/:fanId/notes', authenticate, async (req, res, next) => {
   }
 });
 
+/**
+ * PUT /api/fans/:fanId/custom-fields
+ * Body: { values: { key: value } } — merged into the fan's values; null clears one.
+ */
+router.put('/:fanId/custom-fields', authenticate, async (req, res, next) => {
+  try {
+    const { data: fan } = await supabase
+      .from('fans')
+      .select('id, custom_fields')
+      .eq('id', req.params.fanId)
+      .eq('organization_id', req.user.organization_id)
+      .maybeSingle();
+
+    if (!fan) return res.status(404).json({ error: 'Fan not found' });
+
+    const fields = await loadCustomFields(req.user.organization_id);
+    const { customFields, error: invalid } = mergeValues(fan.custom_fields, req.body.values, fields);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const { error } = await supabase
+      .from('fans')
+      .update({ custom_fields: customFields, updated_at: new Date().toISOString() })
+      .eq('id', fan.id);
+
+    if (error) throw error;
+    res.json({ custom_fields: customFields });
+  } catch (err) {
+    next(err);
+  }
+});
+
 /**
  * PATCH /api/fans/:fanId/general-notes
  * Save general notes textarea for a fan
@@ -305,13 +677,19 @@ router.patch('/:fanId/general-notes', authenticate, async (req, res, next) => {
 
 /**
  * PATCH /api/fans/:fanId
- * Update fan fields (timezone, needs_follow_up, notes quick field)
+ * Update fan fields (timezone, needs_follow_up, notes quick field, birthday)
  */
 router.patch('/:fanId', authenticate, async (req, res, next) => {
   try {
-    const allowed = ['timezone', 'needs_follow_up', 'follow_up_at', 'notes'];
+    const allowed = ['timezone', 'needs_follow_up', 'follow_up_at', 'notes', 'birthday'];
     const updates = {};
     allowed.forEach(k => { if (req.body[k] !== undefined) updates[k] = req.body[k]; });
+
+    if (updates.birthday === '') updates.birthday = null;
+    if (updates.birthday !== undefined && updates.birthday !== null
+      && (!/^\d{4}-\d{2}-\d{2}$/.test(updates.birthday) || isNaN(new Date(updates.birthday)))) {
+      return res.status(400).json({ error: 'birthday must be a date (YYYY-MM-DD)' });
+    }
     updates.updated_at = new Date().toISOString();
 
     const { error } = await supabase
@@ -5,6 +5,7 @@ const jwt = require('jsonwebtoken');
 const { v4: uuidv4 } = require('uuid');
 const supabase = require('../config/supabase');
 const { encrypt } = require('../utils/encryption');
+const { startEarningsBackfill } = require('../services/earningsBackfill');
 
 const router = express.Router();
 
@@ -148,6 +149,7 @@ router.get('/callback', async (req, res, next) => {
       updated_at: new Date().toISOString()
     };
 
+    const accountId = existing?.id || uuidv4();
     if (existing) {
       await supabase
         .from('connected_accounts')
@@ -156,9 +158,12 @@ router.get('/callback', async (req, res, next) => {
     } else {
       await supabase
         .from('connected_accounts')
-        .insert({ id: uuidv4(), created_at: new Date().toISOString(), ...accountData });
+        .insert({ id: accountId, created_at: new Date().toISOString(), ...accountData });
     }
 
+    // Pull revenue history in the background — no-op on reconnect once it has completed
+    startEarningsBackfill(accountId);
+
     res.redirect(`${process.env.FRONTEND_URL}?oauth_success=true&account=${profile.handle}`);
   } catch (err) {
     console.error('OAuth callback error:', err.message, err.response?.status, JSON.stringify(err.response?.data));
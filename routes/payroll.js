@@ -0,0 +1,301 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const supabase = require('../config/supabase');
+const { authenticate, requireRole } = require('../middleware/auth');
+const { PLAN_TYPES, validatePlan, generateStatements } = require('../services/payroll');
+const { toCsv } = require('../utils/csv');
+
+const router = express.Router();
+
+const STATEMENT_FIELDS = `
+  id, pay_period_id, chatter_id, gross_revenue, deductions, net_revenue,
+  commission_amount, breakdown, plan_snapshot, status, generated_at, locked_at,
+  chatter:users!chatter_id(id, name, email)
+`;
+
+async function loadPeriod(periodId, organizationId) {
+  const { data } = await supabase
+    .from('pay_periods')
+    .select('*')
+    .eq('id', periodId)
+    .eq('organization_id', organizationId)
+    .maybeSingle();
+  return data;
+}
+
+// ============================================================
+// PAY PERIODS
+// ============================================================
+
+/**
+ * GET /api/payroll/periods
+ */
+router.get('/periods', authenticate, requireRole('owner', 'manager'), async (req, res, next) => {
+  try {
+    const { data: periods, error } = await supabase
+      .from('pay_periods')
+      .select('*')
+      .eq('organization_id', req.user.organization_id)
+      .order('start_date', { ascending: false });
+
+    if (error) throw error;
+    res.json({ periods });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/payroll/periods
+ * Body: { name?, startDate: 'YYYY-MM-DD', endDate: 'YYYY-MM-DD' } — both dates inclusive, UTC
+ */
+router.post('/periods', authenticate, requireRole('owner', 'manager'), async (req, res, next) => {
+  try {
+    const { name, startDate, endDate } = req.body;
+    const isDate = (d) => /^\d{4}-\d{2}-\d{2}$/.test(d || '') && !isNaN(new Date(d));
+
+    if (!isDate(startDate) || !isDate(endDate)) {
+      return res.status(400).json({ error: 'startDate and endDate required (YYYY-MM-DD)' });
+    }
+    if (endDate < startDate) return res.status(400).json({ error: 'endDate must not be before startDate' });
+
+    // Revenue in two periods would earn commission twice
+    const { data: overlapping, error: overlapError } = await supabase
+      .from('pay_periods')
+      .select('id, name')
+      .eq('organization_id', req.user.organization_id)
+      .lte('start_date', endDate)
+      .gte('end_date', startDate)
+      .limit(1);
+    if (overlapError) throw overlapError;
+    if (overlapping.length) {
+      return res.status(409).json({ error: `Overlaps pay period ${overlapping[0].name}`, periodId: overlapping[0].id });
+    }
+
+    const { data: period, error } = await supabase
+      .from('pay_periods')
+      .insert({
+        id: uuidv4(),
+        organization_id: req.user.organization_id,
+        name: name || `${startDate} – ${endDate}`,
+        start_date: startDate,
+        end_date: endDate,
+        status: 'open',
+        created_by: req.user.id
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    res.status(201).json({ period });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/payroll/periods/:periodId/calculate
+ * (Re)generate draft statements from revenue events and Fanvue refunds/chargebacks.
+ */
+router.post('/periods/:periodId/calculate', authenticate, requireRole('owner', 'manager'), async (req, res, next) => {
+  try {
+    const period = await loadPeriod(req.params.periodId, req.user.organization_id);
+    if (!period) return res.status(404).json({ error: 'Pay period not found' });
+    if (period.status === 'locked') return res.status(409).json({ error: 'Pay period is locked' });
+
+    const result = await generateStatements(period);
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/payroll/periods/:periodId/lock
+ * Freeze the period and all its statements. Locked statements are never recalculated.
+ */
+router.post('/periods/:periodId/lock', authenticate, requireRole('owner'), async (req, res, next) => {
+  try {
+    const period = await loadPeriod(req.params.periodId, req.user.organization_id);
+    if (!period) return res.status(404).json({ error: 'Pay period not found' });
+    if (period.status === 'locked') return res.status(409).json({ error: 'Pay period already locked' });
+    if (!period.calculated_at) return res.status(409).json({ error: 'Calculate the period before locking it' });
+
+    const now = new Date().toISOString();
+
+    await supabase
+      .from('payroll_statements')
+      .update({ status: 'locked', locked_at: now })
+      .eq('pay_period_id', period.id)
+      .eq('status', 'draft');
+
+    const { data: locked, error } = await supabase
+      .from('pay_periods')
+      .update({ status: 'locked', locked_at: now, locked_by: req.user.id })
+      .eq('id', period.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    res.json({ period: locked });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ============================================================
+// COMMISSION PLANS
+// ============================================================
+
+/**
+ * GET /api/payroll/plans
+ */
+router.get('/plans', authenticate, requireRole('owner', 'manager'), async (req, res, next) => {
+  try {
+    const { data: plans, error } = await supabase
+      .from('commission_plans')
+      .select('*, chatter:users!chatter_id(id, name, email)')
+      .eq('organization_id', req.user.organization_id);
+
+    if (error) throw error;
+    res.json({ plans, planTypes: PLAN_TYPES });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * PUT /api/payroll/plans/:chatterId
+ * Body: { planType, rate?, tiers?, eventTypeRates? } — rates are fractions (0.2 = 20%)
+ */
+router.put('/plans/:chatterId', authenticate, requireRole('owner'), async (req, res, next) => {
+  try {
+    const { planType, rate, tiers, eventTypeRates } = req.body;
+
+    const invalid = validatePlan({ planType, rate, tiers, eventTypeRates });
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const { data: chatter } = await supabase
+      .from('users')
+      .select('id')
+      .eq('id', req.params.chatterId)
+      .eq('organization_id', req.user.organization_id)
+      .maybeSingle();
+
+    if (!chatter) return res.status(404).json({ error: 'Team member not found' });
+
+    const { data: plan, error } = await supabase
+      .from('commission_plans')
+      .upsert({
+        organization_id: req.user.organization_id,
+        chatter_id: chatter.id,
+        plan_type: planType,
+        rate: planType === 'flat' ? rate : null,
+        tiers: planType === 'tiered' ? tiers : null,
+        event_type_rates: planType === 'by_event_type' ? eventTypeRates : null,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'organization_id,chatter_id' })
+      .select()
+      .single();
+
+    if (error) throw error;
+    res.json({ plan });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ============================================================
+// STATEMENTS
+// ============================================================
+
+/**
+ * GET /api/payroll/periods/:periodId/statements
+ * Chatters only see their own statement.
+ */
+router.get('/periods/:periodId/statements', authenticate, async (req, res, next) => {
+  try {
+    const period = await loadPeriod(req.params.periodId, req.user.organization_id);
+    if (!period) return res.status(404).json({ error: 'Pay period not found' });
+
+    let query = supabase
+      .from('payroll_statements')
+      .select(STATEMENT_FIELDS)
+      .eq('pay_period_id', period.id)
+      .order('commission_amount', { ascending: false });
+
+    if (req.user.role === 'chatter') query = query.eq('chatter_id', req.user.id);
+
+    const { data: statements, error } = await query;
+    if (error) throw error;
+
+    res.json({ period, statements });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/payroll/statements/:statementId
+ * Full statement including line items.
+ */
+router.get('/statements/:statementId', authenticate, async (req, res, next) => {
+  try {
+    const { data: statement } = await supabase
+      .from('payroll_statements')
+      .select(`${STATEMENT_FIELDS}, line_items, period:pay_periods(*)`)
+      .eq('id', req.params.statementId)
+      .eq('organization_id', req.user.organization_id)
+      .maybeSingle();
+
+    if (!statement) return res.status(404).json({ error: 'Statement not found' });
+    if (req.user.role === 'chatter' && statement.chatter_id !== req.user.id) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    res.json({ statement });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/payroll/statements/:statementId/csv
+ * Statement as a CSV download: summary block, then one row per line item.
+ */
+router.get('/statements/:statementId/csv', authenticate, requireRole('owner'), async (req, res, next) => {
+  try {
+    const { data: s } = await supabase
+      .from('payroll_statements')
+      .select(`${STATEMENT_FIELDS}, line_items, period:pay_periods(*)`)
+      .eq('id', req.params.statementId)
+      .eq('organization_id', req.user.organization_id)
+      .maybeSingle();
+
+    if (!s) return res.status(404).json({ error: 'Statement not found' });
+
+    const rows = [
+      ['Chatter', s.chatter?.name || s.chatter?.email || s.chatter_id],
+      ['Pay period', s.period.name, s.period.start_date, s.period.end_date],
+      ['Status', s.status],
+      ['Plan', s.plan_snapshot?.plan_type || 'none'],
+      [],
+      ['date', 'kind', 'event_type', 'fan', 'amount'],
+      ...(s.line_items || []).map(li => [li.date, li.kind, li.eventType, li.fan, li.amount]),
+      [],
+      ['Gross revenue', s.gross_revenue],
+      ['Deductions', s.deductions],
+      ['Net revenue', s.net_revenue],
+      ['Commission', s.commission_amount]
+    ];
+
+    const who = (s.chatter?.name || s.chatter_id).replace(/[^a-z0-9]+/gi, '-').toLowerCase();
+    res.type('text/csv');
+    res.set('Content-Disposition', `attachment; filename="payroll-${s.period.start_date}-${who}.csv"`);
+    res.send(toCsv(rows));
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,205 @@
+const express = require('express');
+const supabase = require('../config/supabase');
+const { authenticate, requireRole } = require('../middleware/auth');
+const { OCCASIONS, MAX_LEAD_DAYS, runOrganizationReminders } = require('../services/fanReminders');
+
+const router = express.Router();
+
+const REMINDER_STATUSES = ['pending', 'done', 'dismissed'];
+
+const RULE_FIELDS = `
+  *, snippet:snippets(id, title),
+  account:connected_accounts(id, label, fanvue_username)
+`;
+
+const REMINDER_FIELDS = `
+  *, fan:fans(id, username, display_name, avatar_url, birthday, subscribed_at),
+  account:connected_accounts(id, label, fanvue_username),
+  chatter:users!chatter_id(id, name),
+  snippet:snippets(id, title)
+`;
+
+/**
+ * GET /api/reminders/rules
+ * Each account's birthday / anniversary rules.
+ */
+router.get('/rules', authenticate, requireRole('owner', 'manager'), async (req, res, next) => {
+  try {
+    const { data: rules, error } = await supabase
+      .from('fan_reminder_rules')
+      .select(RULE_FIELDS)
+      .eq('organization_id', req.user.organization_id)
+      .order('created_at');
+
+    if (error) throw error;
+    res.json({ rules, occasions: OCCASIONS, maxLeadDays: MAX_LEAD_DAYS });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * PUT /api/reminders/rules
+ * Create or replace an account's rule for an occasion.
+ * Body: { accountId, occasion, leadDays, snippetId, isActive }
+ */
+router.put('/rules', authenticate, requireRole('owner', 'manager'), async (req, res, next) => {
+  try {
+    const { accountId, occasion, leadDays = 0, snippetId = null, isActive = true } = req.body;
+
+    if (!OCCASIONS.includes(occasion)) {
+      return res.status(400).json({ error: `occasion must be one of ${OCCASIONS.join(', ')}` });
+    }
+    if (!Number.isInteger(leadDays) || leadDays < 0 || leadDays > MAX_LEAD_DAYS) {
+      return res.status(400).json({ error: `leadDays must be a whole number from 0 to ${MAX_LEAD_DAYS}` });
+    }
+
+    const { data: account } = await supabase
+      .from('connected_accounts')
+      .select('id')
+      .eq('id', accountId)
+      .eq('organization_id', req.user.organization_id)
+      .maybeSingle();
+    if (!account) return res.status(404).json({ error: 'Account not found' });
+
+    if (snippetId) {
+      const { data: snippet } = await supabase
+        .from('snippets')
+        .select('id')
+        .eq('id', snippetId)
+        .eq('organization_id', req.user.organization_id)
+        .maybeSingle();
+      if (!snippet) return res.status(404).json({ error: 'Snippet not found' });
+    }
+
+    const { data: rule, error } = await supabase
+      .from('fan_reminder_rules')
+      .upsert({
+        organization_id: req.user.organization_id,
+        account_id: accountId,
+        occasion,
+        lead_days: leadDays,
+        snippet_id: snippetId,
+        is_active: !!isActive,
+        created_by: req.user.id,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'account_id,occasion' })
+      .select(RULE_FIELDS)
+      .single();
+
+    if (error) throw error;
+    res.json({ rule });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * DELETE /api/reminders/rules/:ruleId
+ * Reminders already created stay.
+ */
+router.delete('/rules/:ruleId', authenticate, requireRole('owner', 'manager'), async (req, res, next) => {
+  try {
+    const { error } = await supabase
+      .from('fan_reminder_rules')
+      .delete()
+      .eq('id', req.params.ruleId)
+      .eq('organization_id', req.user.organization_id);
+
+    if (error) throw error;
+    res.json({ message: 'Deleted' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/reminders/rules/run
+ * Run today's reminders now instead of waiting for the daily job. Safe to repeat.
+ */
+router.post('/rules/run', authenticate, requireRole('owner', 'manager'), async (req, res, next) => {
+  try {
+    const created = await runOrganizationReminders(req.user.organization_id);
+    res.json({ created });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/reminders?status=pending&accountId=&until=YYYY-MM-DD
+ * Reminders by occasion date. Chatters only see the ones assigned to them.
+ */
+router.get('/', authenticate, async (req, res, next) => {
+  try {
+    const { status = 'pending', accountId, until } = req.query;
+
+    if (!REMINDER_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${REMINDER_STATUSES.join(', ')}` });
+    }
+    if (until && isNaN(new Date(until))) return res.status(400).json({ error: 'until must be a date' });
+
+    let query = supabase
+      .from('fan_reminders')
+      .select(REMINDER_FIELDS)
+      .eq('organization_id', req.user.organization_id)
+      .eq('status', status)
+      .order('occasion_date', { ascending: status === 'pending' })
+      .limit(200);
+
+    if (accountId) query = query.eq('account_id', accountId);
+    if (until) query = query.lte('occasion_date', until);
+    if (req.user.role === 'chatter') query = query.eq('chatter_id', req.user.id);
+
+    const { data: reminders, error } = await query;
+    if (error) throw error;
+
+    res.json({ reminders });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * PATCH /api/reminders/:reminderId
+ * Body: { status } — done, dismissed, or pending to reopen
+ */
+router.patch('/:reminderId', authenticate, async (req, res, next) => {
+  try {
+    const { status } = req.body;
+    if (!REMINDER_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${REMINDER_STATUSES.join(', ')}` });
+    }
+
+    const { data: existing } = await supabase
+      .from('fan_reminders')
+      .select('id, chatter_id')
+      .eq('id', req.params.reminderId)
+      .eq('organization_id', req.user.organization_id)
+      .maybeSingle();
+
+    if (!existing) return res.status(404).json({ error: 'Reminder not found' });
+    if (req.user.role === 'chatter' && existing.chatter_id !== req.user.id) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    const done = status !== 'pending';
+    const { data: reminder, error } = await supabase
+      .from('fan_reminders')
+      .update({
+        status,
+        completed_by: done ? req.user.id : null,
+        completed_at: done ? new Date().toISOString() : null
+      })
+      .eq('id', existing.id)
+      .select(REMINDER_FIELDS)
+      .single();
+
+    if (error) throw error;
+    res.json({ reminder });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
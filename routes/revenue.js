@@ -1,7 +1,14 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const supabase = require('../config/supabase');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, requireRole } = require('../middleware/auth');
+const { recordRevenueEvent } = require('../services/revenueEvents');
+const {
+  RULE_TYPES, DEFAULT_RULES, validateRules, reattributeHistory, creditsForEvent, applyManualAttribution
+} = require('../services/attribution');
+const { reconcileOrganization } = require('../services/reconciliation');
+const { resolveRange, compareMetric, compareMaps } = require('../utils/dateRange');
+const { loadAll } = require('../utils/paging');
 
 const router = express.Router();
 
@@ -20,53 +27,20 @@ router.post('/event', authenticate, async (req, res, next) => {
       return res.status(400).json({ error: 'accountId, eventType, amount required' });
     }
 
-    const { data: event, error } = await supabase
-      .from('revenue_events')
-      .insert({
-        id: uuidv4(),
-        organization_id: req.user.organization_id,
-        account_id: accountId,
-        fan_id: fanId || null,
-        chatter_id: chatterId || null,
-        message_id: messageId || null,
-        script_run_id: scriptRunId || null,
-        event_type: eventType,
-        amount,
-        fanvue_event_id: fanvueEventId || null,
-        occurred_at: occurredAt || new Date().toISOString()
-      })
-      .select()
-      .single();
-
-    if (error) {
-      if (error.code === '23505') return res.status(409).json({ error: 'Event already recorded' });
-      throw error;
-    }
+    const { event, duplicate } = await recordRevenueEvent({
+      organizationId: req.user.organization_id,
+      accountId,
+      fanId: fanId || null,
+      chatterId: chatterId || null,
+      messageId: messageId || null,
+      scriptRunId: scriptRunId || null,
+      eventType,
+      amount,
+      fanvueEventId: fanvueEventId || null,
+      occurredAt: occurredAt || null
+    });
 
-    // Update fan spend stats
-    if (fanId) {
-      await supabase.rpc('update_fan_spend', {
-        p_fan_id: fanId,
-        p_amount: amount,
-        p_event_type: eventType
-      });
-
-      // Update script run revenue if applicable
-      if (scriptRunId) {
-        const { data: run } = await supabase
-          .from('script_runs')
-          .select('revenue_generated')
-          .eq('id', scriptRunId)
-          .single();
-
-        if (run) {
-          await supabase
-            .from('script_runs')
-            .update({ revenue_generated: (run.revenue_generated || 0) + amount, converted: true })
-            .eq('id', scriptRunId);
-        }
-      }
-    }
+    if (duplicate) return res.status(409).json({ error: 'Event already recorded' });
 
     res.status(201).json({ event });
   } catch (err) {
@@ -75,102 +49,144 @@ router.post('/event', authenticate, async (req, res, next) => {
 });
 
 /**
- * GET /api/revenue/summary?period=30d&accountId=
- * Revenue summary with attribution breakdown
+ * Aggregate revenue events into totals by type + attribution buckets.
  */
-router.get('/summary', authenticate, async (req, res, next) => {
-  try {
-    const { period = '30d', accountId } = req.query;
+function summarizeEvents(events) {
+  const totals = { subscription: 0, ppv: 0, tip: 0, renewal: 0, total: 0 };
+  let scriptAttributed = 0;
+  let automationAttributed = 0;
+  let manualAttributed = 0;
 
-    const periodMap = { '7d': 7, '30d': 30, '90d': 90 };
-    const days = periodMap[period] || 30;
-    const since = new Date(Date.now() - days * 86400000).toISOString();
+  events.forEach(ev => {
+    totals[ev.event_type] = (totals[ev.event_type] || 0) + Number(ev.amount);
+    totals.total += Number(ev.amount);
 
-    let query = supabase
-      .from('revenue_events')
-      .select('event_type, amount, chatter_id, script_run_id, occurred_at, fan_id')
-      .eq('organization_id', req.user.organization_id)
-      .gte('occurred_at', since);
+    // Each event lands in exactly one bucket so unattributed never goes negative
+    if (ev.attributed_to_automation) automationAttributed += Number(ev.amount);
+    else if (ev.script_run_id) scriptAttributed += Number(ev.amount);
+    else if (ev.chatter_id) manualAttributed += Number(ev.amount);
+  });
 
-    // Role gate
-    if (req.user.role === 'chatter') {
-      query = query.eq('chatter_id', req.user.id);
-    } else if (accountId) {
-      query = query.eq('account_id', accountId);
-    }
+  return {
+    totals,
+    attribution: {
+      script: scriptAttributed,
+      manual: manualAttributed,
+      automation: automationAttributed,
+      unattributed: totals.total - scriptAttributed - manualAttributed - automationAttributed
+    },
+    eventCount: events.length
+  };
+}
 
-    const { data: events, error } = await query;
-    if (error) throw error;
+/**
+ * GET /api/revenue/summary?period=30d&accountId=
+ * Revenue summary with attribution breakdown.
+ * ?startDate=&endDate= instead of period; &compare=previous_period|previous_year adds deltas.
+ */
+router.get('/summary', authenticate, async (req, res, next) => {
+  try {
+    const { accountId } = req.query;
+    const range = resolveRange(req.query);
+    if (range.error) return res.status(400).json({ error: range.error });
 
-    // Aggregate
-    const totals = { subscription: 0, ppv: 0, tip: 0, renewal: 0, total: 0 };
-    const byChatter = {};
-    const byScript = {};
-    let scriptAttributed = 0;
-    let automationAttributed = 0;
-    let manualAttributed = 0;
-
-    events.forEach(ev => {
-      totals[ev.event_type] = (totals[ev.event_type] || 0) + Number(ev.amount);
-      totals.total += Number(ev.amount);
-
-      if (ev.chatter_id) {
-        byChatter[ev.chatter_id] = (byChatter[ev.chatter_id] || 0) + Number(ev.amount);
-        manualAttributed += Number(ev.amount);
-      }
+    // [startDate, endDate) — the previous period ends where this one starts
+    const loadEvents = ({ startDate, endDate }) => loadAll(() => {
+      let query = supabase
+        .from('revenue_events')
+        .select('id, event_type, amount, chatter_id, script_run_id, attributed_to_automation, occurred_at, fan_id')
+        .eq('organization_id', req.user.organization_id)
+        .gte('occurred_at', startDate)
+        .lt('occurred_at', endDate)
+        .order('id');
 
-      if (ev.script_run_id) {
-        byScript[ev.script_run_id] = (byScript[ev.script_run_id] || 0) + Number(ev.amount);
-        scriptAttributed += Number(ev.amount);
+      // Role gate
+      if (req.user.role === 'chatter') {
+        query = query.eq('chatter_id', req.user.id);
+      } else if (accountId) {
+        query = query.eq('account_id', accountId);
       }
+      return query;
     });
 
+    const [events, prevEvents] = await Promise.all([
+      loadEvents(range),
+      range.previous ? loadEvents(range.previous) : null
+    ]);
+
+    const summary = summarizeEvents(events);
+
+    let comparison;
+    if (prevEvents) {
+      const prev = summarizeEvents(prevEvents);
+      comparison = {
+        mode: range.compare,
+        previousStartDate: range.previous.startDate,
+        previousEndDate: range.previous.endDate,
+        totals: compareMaps(summary.totals, prev.totals),
+        attribution: compareMaps(summary.attribution, prev.attribution),
+        eventCount: compareMetric(summary.eventCount, prev.eventCount)
+      };
+    }
+
     res.json({
-      period,
-      totals,
-      attribution: {
-        script: scriptAttributed,
-        manual: manualAttributed,
-        automation: automationAttributed,
-        unattributed: totals.total - scriptAttributed - manualAttributed - automationAttributed
-      },
-      eventCount: events.length
+      period: range.period,
+      startDate: range.startDate,
+      endDate: range.endDate,
+      ...summary,
+      comparison
     });
   } catch (err) {
     next(err);
   }
 });
 
+/**
+ * Per-chatter totals — split events credit each chatter their share.
+ */
+function chatterTotals(events) {
+  const chatterMap = {};
+  events.forEach(ev => {
+    creditsForEvent(ev).forEach(c => {
+      if (!chatterMap[c.chatter_id]) {
+        chatterMap[c.chatter_id] = { chatterId: c.chatter_id, total: 0, ppv: 0, tips: 0, subs: 0 };
+      }
+      chatterMap[c.chatter_id].total += Number(c.amount);
+      if (ev.event_type === 'ppv') chatterMap[c.chatter_id].ppv += Number(c.amount);
+      if (ev.event_type === 'tip') chatterMap[c.chatter_id].tips += Number(c.amount);
+      if (ev.event_type === 'subscription') chatterMap[c.chatter_id].subs += Number(c.amount);
+    });
+  });
+  return chatterMap;
+}
+
 /**
  * GET /api/revenue/leaderboard
- * Chatter revenue leaderboard
+ * Chatter revenue leaderboard. ?period= or ?startDate=&endDate=, optional &compare=
  */
 router.get('/leaderboard', authenticate, async (req, res, next) => {
   try {
-    const { period = '30d' } = req.query;
-    const days = { '7d': 7, '30d': 30, '90d': 90 }[period] || 30;
-    const since = new Date(Date.now() - days * 86400000).toISOString();
+    const range = resolveRange(req.query);
+    if (range.error) return res.status(400).json({ error: range.error });
 
-    const { data: events } = await supabase
+    const loadEvents = ({ startDate, endDate }) => loadAll(() => supabase
       .from('revenue_events')
-      .select('chatter_id, amount, event_type')
+      .select('id, chatter_id, amount, event_type, revenue_event_attributions(chatter_id, amount)')
       .eq('organization_id', req.user.organization_id)
-      .gte('occurred_at', since)
-      .not('chatter_id', 'is', null);
+      .gte('occurred_at', startDate)
+      .lt('occurred_at', endDate)
+      .not('chatter_id', 'is', null)
+      .order('id'));
 
-    if (!events) return res.json({ leaderboard: [] });
+    const [events, prevEvents] = await Promise.all([
+      loadEvents(range),
+      range.previous ? loadEvents(range.previous) : null
+    ]);
 
-    // Group by chatter
-    const chatterMap = {};
-    events.forEach(ev => {
-      if (!chatterMap[ev.chatter_id]) {
-        chatterMap[ev.chatter_id] = { chatterId: ev.chatter_id, total: 0, ppv: 0, tips: 0, subs: 0 };
-      }
-      chatterMap[ev.chatter_id].total += Number(ev.amount);
-      if (ev.event_type === 'ppv') chatterMap[ev.chatter_id].ppv += Number(ev.amount);
-      if (ev.event_type === 'tip') chatterMap[ev.chatter_id].tips += Number(ev.amount);
-      if (ev.event_type === 'subscription') chatterMap[ev.chatter_id].subs += Number(ev.amount);
-    });
+    if (!events.length) return res.json({ leaderboard: [] });
+
+    const chatterMap = chatterTotals(events);
+    const prevMap = prevEvents ? chatterTotals(prevEvents) : null;
 
     // Fetch chatter names
     const chatterIds = Object.keys(chatterMap);
@@ -182,11 +198,273 @@ router.get('/leaderboard', authenticate, async (req, res, next) => {
     const leaderboard = Object.values(chatterMap)
       .map(c => ({
         ...c,
-        name: chatters?.find(u => u.id === c.chatterId)?.name || 'Unknown'
+        name: chatters?.find(u => u.id === c.chatterId)?.name || 'Unknown',
+        comparison: prevMap ? {
+          total: compareMetric(c.total, prevMap[c.chatterId]?.total),
+          ppv: compareMetric(c.ppv, prevMap[c.chatterId]?.ppv),
+          tips: compareMetric(c.tips, prevMap[c.chatterId]?.tips),
+          subs: compareMetric(c.subs, prevMap[c.chatterId]?.subs)
+        } : undefined
       }))
       .sort((a, b) => b.total - a.total);
 
-    res.json({ leaderboard, period });
+    res.json({
+      leaderboard,
+      period: range.period,
+      startDate: range.startDate,
+      endDate: range.endDate,
+      compare: range.compare,
+      previousStartDate: range.previous?.startDate,
+      previousEndDate: range.previous?.endDate
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ============================================================
+// ATTRIBUTION RULES (Owner)
+// ============================================================
+
+/**
+ * GET /api/revenue/attribution-rules
+ * The org's ordered rules — the built-in defaults if none are configured
+ */
+router.get('/attribution-rules', authenticate, requireRole('owner', 'manager'), async (req, res, next) => {
+  try {
+    const { data: rules, error } = await supabase
+      .from('attribution_rules')
+      .select('id, rule_type, priority, event_types, config, is_enabled, updated_at')
+      .eq('organization_id', req.user.organization_id)
+      .order('priority', { ascending: true });
+
+    if (error) throw error;
+
+    res.json({
+      rules: rules.length ? rules : DEFAULT_RULES,
+      isDefault: rules.length === 0,
+      ruleTypes: RULE_TYPES
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * PUT /api/revenue/attribution-rules
+ * Replace the org's rules. Order in the array is priority order.
+ * Body: { rules: [{ ruleType, eventTypes?, config?, isEnabled? }], rerun?, since? }
+ * rerun: true re-attributes history (from `since`, default all) in the background.
+ */
+router.put('/attribution-rules', authenticate, requireRole('owner'), async (req, res, next) => {
+  try {
+    const { rules, rerun = false, since } = req.body;
+
+    const invalid = validateRules(rules);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    await supabase
+      .from('attribution_rules')
+      .delete()
+      .eq('organization_id', req.user.organization_id);
+
+    if (rules.length) {
+      const { error } = await supabase
+        .from('attribution_rules')
+        .insert(rules.map((rule, index) => ({
+          id: uuidv4(),
+          organization_id: req.user.organization_id,
+          rule_type: rule.ruleType,
+          priority: index,
+          event_types: rule.eventTypes || null,
+          config: rule.config || {},
+          is_enabled: rule.isEnabled !== false
+        })));
+      if (error) throw error;
+    }
+
+    if (rerun) startReattribution(req.user.organization_id, { since: since || null });
+
+    res.json({ message: 'Attribution rules saved', rerunStarted: !!rerun });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/revenue/attribution-rules/rerun
+ * Re-attribute historical revenue with the current rules (background).
+ * Body: { since?, until?, accountId? } — manual credits are left alone
+ */
+router.post('/attribution-rules/rerun', authenticate, requireRole('owner'), async (req, res, next) => {
+  try {
+    const { since, until, accountId } = req.body;
+
+    startReattribution(req.user.organization_id, {
+      since: since || null,
+      until: until || null,
+      accountId: accountId || null
+    });
+
+    res.status(202).json({ message: 'Re-attribution started' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+function startReattribution(organizationId, opts) {
+  reattributeHistory(organizationId, opts)
+    .then(({ processed, changed }) =>
+      console.log(`[Attribution] Re-run for org ${organizationId}: ${processed} events, ${changed} changed`))
+    .catch(err => console.error(`[Attribution] Re-run for org ${organizationId} failed:`, err.message));
+}
+
+// ============================================================
+// RECONCILIATION
+// ============================================================
+
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_RECONCILE_DAYS = 90;
+
+/**
+ * POST /api/revenue/reconcile
+ * Compare revenue events with Fanvue earnings per account/day and backfill what's missing (background).
+ * Body: { startDate?, endDate?, accountId? } — YYYY-MM-DD UTC, inclusive; defaults to yesterday
+ */
+router.post('/reconcile', authenticate, requireRole('owner', 'manager'), async (req, res, next) => {
+  try {
+    const yesterday = new Date(Date.now() - 86400000).toISOString().slice(0, 10);
+    const { startDate = yesterday, endDate = startDate, accountId } = req.body;
+
+    if (!DAY_RE.test(startDate) || !DAY_RE.test(endDate) || endDate < startDate) {
+      return res.status(400).json({ error: 'startDate/endDate must be YYYY-MM-DD and in order' });
+    }
+    const days = (new Date(endDate) - new Date(startDate)) / 86400000 + 1;
+    if (days > MAX_RECONCILE_DAYS) {
+      return res.status(400).json({ error: `At most ${MAX_RECONCILE_DAYS} days per run` });
+    }
+
+    const orgId = req.user.organization_id;
+    reconcileOrganization(orgId, { startDay: startDate, endDay: endDate, accountId: accountId || null })
+      .then(results => console.log(`[Reconciliation] Manual run for org ${orgId}: ${results.length} account(s)`))
+      .catch(err => console.error(`[Reconciliation] Manual run for org ${orgId} failed:`, err.message));
+
+    res.status(202).json({ message: 'Reconciliation started', startDate, endDate });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/revenue/reconciliation?startDate=&endDate=&accountId=
+ * Per account/day totals: Fanvue vs recorded, backfilled count, discrepancy count
+ */
+router.get('/reconciliation', authenticate, requireRole('owner', 'manager'), async (req, res, next) => {
+  try {
+    const { startDate, endDate, accountId } = req.query;
+
+    let query = supabase
+      .from('revenue_reconciliations')
+      .select('*, account:connected_accounts(id, label, fanvue_username)')
+      .eq('organization_id', req.user.organization_id)
+      .order('day', { ascending: false })
+      .limit(500);
+
+    if (startDate) query = query.gte('day', startDate);
+    if (endDate) query = query.lte('day', endDate);
+    if (accountId) query = query.eq('account_id', accountId);
+
+    const { data: days, error } = await query;
+    if (error) throw error;
+
+    res.json({ days });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/revenue/discrepancies?status=open&kind=&accountId=&startDate=&endDate=
+ */
+router.get('/discrepancies', authenticate, requireRole('owner', 'manager'), async (req, res, next) => {
+  try {
+    const { status = 'open', kind, accountId, startDate, endDate } = req.query;
+
+    let query = supabase
+      .from('revenue_discrepancies')
+      .select(`
+        *,
+        account:connected_accounts(id, label, fanvue_username),
+        event:revenue_events(id, amount, occurred_at, chatter_id, fan:fans(id, username, display_name)),
+        resolver:users!resolved_by(id, name)
+      `)
+      .eq('organization_id', req.user.organization_id)
+      .order('day', { ascending: false })
+      .limit(500);
+
+    if (status !== 'all') query = query.eq('status', status);
+    if (kind) query = query.eq('kind', kind);
+    if (startDate) query = query.gte('day', startDate);
+    if (endDate) query = query.lte('day', endDate);
+    if (accountId) query = query.eq('account_id', accountId);
+
+    const { data: discrepancies, error } = await query;
+    if (error) throw error;
+
+    res.json({ discrepancies });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/revenue/discrepancies/:discrepancyId/resolve
+ * Body: { chatterId } — credit the event to that chatter (manual attribution)
+ *    or { dismiss: true } — acknowledge without changing the event
+ */
+router.post('/discrepancies/:discrepancyId/resolve', authenticate, requireRole('owner', 'manager'), async (req, res, next) => {
+  try {
+    const { chatterId, dismiss = false } = req.body;
+    if (!chatterId && !dismiss) return res.status(400).json({ error: 'chatterId or dismiss required' });
+
+    const { data: discrepancy } = await supabase
+      .from('revenue_discrepancies')
+      .select('*, event:revenue_events(*)')
+      .eq('id', req.params.discrepancyId)
+      .eq('organization_id', req.user.organization_id)
+      .maybeSingle();
+
+    if (!discrepancy) return res.status(404).json({ error: 'Discrepancy not found' });
+    if (discrepancy.status !== 'open') return res.status(409).json({ error: `Discrepancy already ${discrepancy.status}` });
+
+    let event = discrepancy.event;
+    if (chatterId) {
+      if (!event) return res.status(409).json({ error: 'No revenue event to credit' });
+
+      const { data: chatter } = await supabase
+        .from('users')
+        .select('id')
+        .eq('id', chatterId)
+        .eq('organization_id', req.user.organization_id)
+        .maybeSingle();
+      if (!chatter) return res.status(404).json({ error: 'Team member not found' });
+
+      event = await applyManualAttribution({ ...event, chatter_id: chatter.id });
+    }
+
+    const { data: resolved, error } = await supabase
+      .from('revenue_discrepancies')
+      .update({
+        status: chatterId ? 'resolved' : 'dismissed',
+        resolved_by: req.user.id,
+        resolved_at: new Date().toISOString()
+      })
+      .eq('id', discrepancy.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    res.json({ discrepancy: resolved, event });
   } catch (err) {
     next(err);
   }
@@ -0,0 +1,112 @@
+const express = require('express');
+const supabase = require('../config/supabase');
+const { authenticate, requireRole } = require('../middleware/auth');
+const { TRIGGER_EVENTS, MAX_COOLDOWN_HOURS, normalizeTriggerConfig } = require('../services/scriptTriggers');
+
+const router = express.Router();
+
+const TRIGGER_FIELDS = `
+  *, script:scripts(id, name, status),
+  account:connected_accounts(id, label, fanvue_username)
+`;
+
+/**
+ * GET /api/script-triggers
+ * Each account's script triggers.
+ */
+router.get('/', authenticate, requireRole('owner', 'manager'), async (req, res, next) => {
+  try {
+    const { data: triggers, error } = await supabase
+      .from('script_triggers')
+      .select(TRIGGER_FIELDS)
+      .eq('organization_id', req.user.organization_id)
+      .order('created_at');
+
+    if (error) throw error;
+    res.json({ triggers, events: TRIGGER_EVENTS, maxCooldownHours: MAX_COOLDOWN_HOURS });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * PUT /api/script-triggers
+ * Create or replace an account's trigger for an event.
+ * Body: { accountId, event, scriptId, config, cooldownHours, isActive }
+ * config: { days } for no_purchase, { minAmount } for tip
+ */
+router.put('/', authenticate, requireRole('owner', 'manager'), async (req, res, next) => {
+  try {
+    const { accountId, event, scriptId, config = {}, cooldownHours = 168, isActive = true } = req.body;
+
+    if (!TRIGGER_EVENTS.includes(event)) {
+      return res.status(400).json({ error: `event must be one of ${TRIGGER_EVENTS.join(', ')}` });
+    }
+    if (!Number.isInteger(cooldownHours) || cooldownHours < 0 || cooldownHours > MAX_COOLDOWN_HOURS) {
+      return res.status(400).json({ error: `cooldownHours must be a whole number from 0 to ${MAX_COOLDOWN_HOURS}` });
+    }
+    const normalized = normalizeTriggerConfig(event, config);
+    if (normalized.error) return res.status(400).json({ error: normalized.error });
+
+    const { data: account } = await supabase
+      .from('connected_accounts')
+      .select('id')
+      .eq('id', accountId)
+      .eq('organization_id', req.user.organization_id)
+      .maybeSingle();
+    if (!account) return res.status(404).json({ error: 'Account not found' });
+
+    const { data: script } = await supabase
+      .from('scripts')
+      .select('id, account_id')
+      .eq('id', scriptId)
+      .eq('organization_id', req.user.organization_id)
+      .maybeSingle();
+    if (!script) return res.status(404).json({ error: 'Script not found' });
+    if (script.account_id && script.account_id !== account.id) {
+      return res.status(400).json({ error: 'Script belongs to another account' });
+    }
+
+    const { data: trigger, error } = await supabase
+      .from('script_triggers')
+      .upsert({
+        organization_id: req.user.organization_id,
+        account_id: account.id,
+        event,
+        script_id: script.id,
+        config: normalized.config,
+        cooldown_hours: cooldownHours,
+        is_active: !!isActive,
+        created_by: req.user.id,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'account_id,event' })
+      .select(TRIGGER_FIELDS)
+      .single();
+
+    if (error) throw error;
+    res.json({ trigger });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * DELETE /api/script-triggers/:triggerId
+ * Runs it already started carry on.
+ */
+router.delete('/:triggerId', authenticate, requireRole('owner', 'manager'), async (req, res, next) => {
+  try {
+    const { error } = await supabase
+      .from('script_triggers')
+      .delete()
+      .eq('id', req.params.triggerId)
+      .eq('organization_id', req.user.organization_id);
+
+    if (error) throw error;
+    res.json({ message: 'Deleted' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
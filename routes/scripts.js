@@ -2,9 +2,18 @@ const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const supabase = require('../config/supabase');
 const { authenticate, requireRole } = require('../middleware/auth');
+const { validateStepGraph, nextStepFor } = require('../services/scriptBranching');
+const { dueAt } = require('../services/scriptAutomation');
+const { MIN_SAMPLE, validateStepVariants, applyVariant, assignVariant, variantAnalytics } = require('../services/scriptVariants');
+const { activeRunFor, startRun } = require('../services/scriptRuns');
+const {
+  stepRows, versionSteps, findVersion, draftVersion, createVersion, saveDraft, publishVersion, rollbackTo, diffSteps
+} = require('../services/scriptVersions');
 
 const router = express.Router();
 
+const RUN_MODES = ['manual', 'automated'];
+
 // ============================================================
 // SCRIPT BUILDER (Manager/Owner)
 // ============================================================
@@ -34,23 +43,39 @@ router.get('/', authenticate, async (req, res, next) => {
   }
 });
 
+async function findScript(scriptId, organizationId) {
+  const { data: script } = await supabase
+    .from('scripts')
+    .select('*')
+    .eq('id', scriptId)
+    .eq('organization_id', organizationId)
+    .maybeSingle();
+  return script;
+}
+
 /**
  * GET /api/scripts/:scriptId
- * Full script with steps
+ * Full script with the steps being edited: the draft if there is one, else the
+ * published version. versions lists every version, newest first.
  */
 router.get('/:scriptId', authenticate, async (req, res, next) => {
   try {
-    const { data: script, error } = await supabase
-      .from('scripts')
-      .select('*, script_steps(*)')
-      .eq('id', req.params.scriptId)
-      .eq('organization_id', req.user.organization_id)
-      .single();
+    const script = await findScript(req.params.scriptId, req.user.organization_id);
+    if (!script) return res.status(404).json({ error: 'Script not found' });
+
+    const { data: versions, error } = await supabase
+      .from('script_versions')
+      .select('id, version, status, rolled_back_from, created_at, published_at, creator:users!created_by(name)')
+      .eq('script_id', script.id)
+      .order('version', { ascending: false });
+    if (error) throw error;
 
-    if (error || !script) return res.status(404).json({ error: 'Script not found' });
+    const current = versions.find(v => v.status === 'draft') ||
+      versions.find(v => v.id === script.published_version_id) || null;
+    script.script_steps = current ? await versionSteps(current.id) : [];
+    script.version = current;
 
-    script.script_steps.sort((a, b) => a.step_index - b.step_index);
-    res.json({ script });
+    res.json({ script, versions });
   } catch (err) {
     next(err);
   }
@@ -58,6 +83,7 @@ router.get('/:scriptId', authenticate, async (req, res, next) => {
 
 /**
  * POST /api/scripts
+ * Creates the script with its steps as a version 1 draft.
  */
 router.post('/', authenticate, requireRole('owner', 'manager'), async (req, res, next) => {
   try {
@@ -66,6 +92,9 @@ router.post('/', authenticate, requireRole('owner', 'manager'), async (req, res,
     if (!name) return res.status(400).json({ error: 'name required' });
     if (steps.length === 0) return res.status(400).json({ error: 'at least 1 step required' });
 
+    const stepError = validateStepGraph(steps) || validateStepVariants(steps);
+    if (stepError) return res.status(400).json({ error: stepError });
+
     const scriptId = uuidv4();
 
     const { error: scriptError } = await supabase
@@ -83,23 +112,9 @@ router.post('/', authenticate, requireRole('owner', 'manager'), async (req, res,
 
     if (scriptError) throw scriptError;
 
-    // Insert steps
-    const stepRows = steps.map((step, index) => ({
-      id: uuidv4(),
-      script_id: scriptId,
-      step_index: index,
-      content: step.content,
-      internal_note: step.internalNote || null,
-      media_urls: step.mediaUrls || [],
-      is_ppv: step.isPpv || false,
-      ppv_price: step.ppvPrice || null,
-      delay_seconds: step.delaySeconds || 0
-    }));
-
-    const { error: stepsError } = await supabase.from('script_steps').insert(stepRows);
-    if (stepsError) throw stepsError;
-
-    res.status(201).json({ scriptId, message: 'Script created' });
+    await createVersion(scriptId, req.user.id, versionId => stepRows(steps, scriptId, versionId));
+
+    res.status(201).json({ scriptId, version: 1, message: 'Script created' });
   } catch (err) {
     next(err);
   }
@@ -107,45 +122,170 @@ router.post('/', authenticate, requireRole('owner', 'manager'), async (req, res,
 
 /**
  * PATCH /api/scripts/:scriptId
- * Update script metadata + replace steps
+ * Update script metadata. New steps go into the draft version (opening a draft of the
+ * next version if there is none); published versions never change.
+ * status 'published' publishes the draft.
  */
 router.patch('/:scriptId', authenticate, requireRole('owner', 'manager'), async (req, res, next) => {
   try {
     const { name, description, status, steps } = req.body;
+
+    if (steps) {
+      if (!Array.isArray(steps) || steps.length === 0) return res.status(400).json({ error: 'at least 1 step required' });
+      const stepError = validateStepGraph(steps) || validateStepVariants(steps);
+      if (stepError) return res.status(400).json({ error: stepError });
+    }
+
+    const script = await findScript(req.params.scriptId, req.user.organization_id);
+    if (!script) return res.status(404).json({ error: 'Script not found' });
+
     const updates = {};
     if (name) updates.name = name;
     if (description !== undefined) updates.description = description;
-    if (status) updates.status = status;
+    if (status && status !== 'published') updates.status = status;
     updates.updated_at = new Date().toISOString();
 
     const { error } = await supabase
       .from('scripts')
       .update(updates)
-      .eq('id', req.params.scriptId)
-      .eq('organization_id', req.user.organization_id);
+      .eq('id', script.id);
 
     if (error) throw error;
 
-    // If steps provided, replace all
-    if (steps) {
-      await supabase.from('script_steps').delete().eq('script_id', req.params.scriptId);
-
-      const stepRows = steps.map((step, index) => ({
-        id: uuidv4(),
-        script_id: req.params.scriptId,
-        step_index: index,
-        content: step.content,
-        internal_note: step.internalNote || null,
-        media_urls: step.mediaUrls || [],
-        is_ppv: step.isPpv || false,
-        ppv_price: step.ppvPrice || null,
-        delay_seconds: step.delaySeconds || 0
-      }));
-
-      await supabase.from('script_steps').insert(stepRows);
+    let version = steps ? await saveDraft(script.id, req.user.id, steps) : null;
+
+    if (status === 'published') {
+      const draft = version || await draftVersion(script.id);
+      if (draft) {
+        version = await publishVersion(script, draft, req.user.id);
+      } else if (script.published_version_id) {
+        // Nothing new to publish — just bring the live version back (e.g. after archiving)
+        await supabase.from('scripts').update({ status: 'published' }).eq('id', script.id);
+      } else {
+        return res.status(400).json({ error: 'No draft to publish' });
+      }
     }
 
-    res.json({ message: 'Script updated' });
+    res.json({ message: 'Script updated', version: version?.version ?? null });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/scripts/:scriptId/publish
+ * Freeze the draft as the live version. Runs already going keep their version.
+ */
+router.post('/:scriptId/publish', authenticate, requireRole('owner', 'manager'), async (req, res, next) => {
+  try {
+    const script = await findScript(req.params.scriptId, req.user.organization_id);
+    if (!script) return res.status(404).json({ error: 'Script not found' });
+
+    const draft = await draftVersion(script.id);
+    if (!draft) return res.status(400).json({ error: 'No draft to publish' });
+
+    const version = await publishVersion(script, draft, req.user.id);
+    res.json({ version });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * DELETE /api/scripts/:scriptId/draft
+ * Throw away unpublished edits.
+ */
+router.delete('/:scriptId/draft', authenticate, requireRole('owner', 'manager'), async (req, res, next) => {
+  try {
+    const script = await findScript(req.params.scriptId, req.user.organization_id);
+    if (!script) return res.status(404).json({ error: 'Script not found' });
+
+    const draft = await draftVersion(script.id);
+    if (!draft) return res.status(404).json({ error: 'No draft' });
+    if (!script.published_version_id) {
+      return res.status(400).json({ error: 'The first version can\'t be discarded — archive the script instead' });
+    }
+
+    const { error } = await supabase.from('script_versions').delete().eq('id', draft.id);
+    if (error) throw error;
+
+    res.json({ message: 'Deleted' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/scripts/:scriptId/versions/diff?from=&to=
+ * Step-by-step differences between two version numbers. Defaults: from the published
+ * version to the draft.
+ */
+router.get('/:scriptId/versions/diff', authenticate, async (req, res, next) => {
+  try {
+    const script = await findScript(req.params.scriptId, req.user.organization_id);
+    if (!script) return res.status(404).json({ error: 'Script not found' });
+
+    const pick = (number, fallback) => (number !== undefined
+      ? findVersion(script.id, { version: parseInt(number) || 0 })
+      : fallback());
+    const [from, to] = await Promise.all([
+      pick(req.query.from, () => script.published_version_id && findVersion(script.id, { id: script.published_version_id })),
+      pick(req.query.to, () => draftVersion(script.id))
+    ]);
+    if (!from || !to) return res.status(404).json({ error: 'Version not found' });
+
+    const [fromSteps, toSteps] = await Promise.all([versionSteps(from.id), versionSteps(to.id)]);
+
+    res.json({
+      from: { version: from.version, status: from.status },
+      to: { version: to.version, status: to.status },
+      ...diffSteps(fromSteps, toSteps)
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/scripts/:scriptId/versions/:version
+ * One version with its steps.
+ */
+router.get('/:scriptId/versions/:version', authenticate, async (req, res, next) => {
+  try {
+    const script = await findScript(req.params.scriptId, req.user.organization_id);
+    if (!script) return res.status(404).json({ error: 'Script not found' });
+
+    const version = await findVersion(script.id, { version: parseInt(req.params.version) || 0 });
+    if (!version) return res.status(404).json({ error: 'Version not found' });
+
+    version.script_steps = await versionSteps(version.id);
+    res.json({ version });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/scripts/:scriptId/versions/:version/rollback
+ * Publish a copy of an earlier version as the newest version. A pending draft has to
+ * be published or discarded first.
+ */
+router.post('/:scriptId/versions/:version/rollback', authenticate, requireRole('owner', 'manager'), async (req, res, next) => {
+  try {
+    const script = await findScript(req.params.scriptId, req.user.organization_id);
+    if (!script) return res.status(404).json({ error: 'Script not found' });
+
+    const target = await findVersion(script.id, { version: parseInt(req.params.version) || 0 });
+    if (!target) return res.status(404).json({ error: 'Version not found' });
+    if (target.status === 'draft') return res.status(400).json({ error: 'Publish the draft instead of rolling back to it' });
+    if (target.id === script.published_version_id) return res.status(400).json({ error: 'That version is already live' });
+
+    if (await draftVersion(script.id)) {
+      return res.status(409).json({ error: 'Publish or discard the draft first' });
+    }
+
+    const version = await rollbackTo(script, target, req.user.id);
+    res.json({ version });
   } catch (err) {
     next(err);
   }
@@ -174,76 +314,64 @@ router.delete('/:scriptId', authenticate, requireRole('owner', 'manager'), async
 
 /**
  * POST /api/scripts/:scriptId/run
- * Start a script run for a fan conversation
+ * Start a script run for a fan conversation.
+ * Body: { conversationId, mode } — mode 'automated' sends the steps on their delays
+ * (services/scriptAutomation.js) instead of waiting for the chatter. The fan and account
+ * are the conversation's.
  */
 router.post('/:scriptId/run', authenticate, async (req, res, next) => {
   try {
-    const { conversationId, fanId, accountId } = req.body;
+    const { conversationId, mode = 'manual' } = req.body;
 
-    if (!conversationId || !fanId) {
-      return res.status(400).json({ error: 'conversationId and fanId required' });
+    if (!conversationId) {
+      return res.status(400).json({ error: 'conversationId required' });
     }
+    if (!RUN_MODES.includes(mode)) {
+      return res.status(400).json({ error: `mode must be one of ${RUN_MODES.join(', ')}` });
+    }
+
+    const { data: conversation } = await supabase
+      .from('conversations')
+      .select('id, fan_id, account_id')
+      .eq('id', conversationId)
+      .eq('organization_id', req.user.organization_id)
+      .maybeSingle();
+    if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
 
     // Check for existing active run
-    const { data: existingRun } = await supabase
-      .from('script_runs')
-      .select('id')
-      .eq('conversation_id', conversationId)
-      .eq('status', 'active')
-      .single();
+    const existingRun = await activeRunFor({ conversationId });
 
     if (existingRun) {
       return res.status(409).json({ error: 'Script already running in this conversation', runId: existingRun.id });
     }
 
-    // Get script with steps
-    const { data: script, error } = await supabase
-      .from('scripts')
-      .select('*, script_steps(*)')
-      .eq('id', req.params.scriptId)
-      .eq('organization_id', req.user.organization_id)
-      .single();
-
-    if (error || !script) return res.status(404).json({ error: 'Script not found' });
-    if (script.status !== 'published') return res.status(400).json({ error: 'Script must be published to run' });
-
-    const steps = script.script_steps.sort((a, b) => a.step_index - b.step_index);
-
-    // Create run
-    const runId = uuidv4();
-    const { error: runError } = await supabase
-      .from('script_runs')
-      .insert({
-        id: runId,
-        script_id: req.params.scriptId,
-        account_id: accountId,
-        fan_id: fanId,
-        conversation_id: conversationId,
-        chatter_id: req.user.id,
-        current_step: 0,
-        status: 'active',
-        started_at: new Date().toISOString()
-      });
-
-    if (runError) throw runError;
+    const script = await findScript(req.params.scriptId, req.user.organization_id);
+    if (!script) return res.status(404).json({ error: 'Script not found' });
+    if (script.status !== 'published' || !script.published_version_id) {
+      return res.status(400).json({ error: 'Script must be published to run' });
+    }
+    if (script.account_id && script.account_id !== conversation.account_id) {
+      return res.status(400).json({ error: 'Script is for another account' });
+    }
 
-    // Update script run count
-    await supabase
-      .from('scripts')
-      .update({ run_count: script.run_count + 1 })
-      .eq('id', req.params.scriptId);
+    const { run, steps } = await startRun(script, {
+      conversationId, fanId: conversation.fan_id, accountId: conversation.account_id, chatterId: req.user.id, mode
+    });
 
     res.status(201).json({
-      runId,
+      runId: run.id,
+      mode,
       currentStep: 0,
-      steps: steps.map(s => ({
+      steps: steps.map(step => applyVariant(step, run.variants[step.step_index])).map(s => ({
         index: s.step_index,
         content: s.content,
         internalNote: s.internal_note,
         isPpv: s.is_ppv,
         ppvPrice: s.ppv_price,
         delaySeconds: s.delay_seconds,
-        mediaUrls: s.media_urls
+        mediaUrls: s.media_urls,
+        branches: s.branches || [],
+        variant: s.variant
       }))
     });
   } catch (err) {
@@ -251,25 +379,83 @@ router.post('/:scriptId/run', authenticate, async (req, res, next) => {
   }
 });
 
+/**
+ * Is the run one of the org's? (Run updates can't filter through the script join.)
+ */
+async function runInOrg(runId, organizationId) {
+  const { data } = await supabase
+    .from('script_runs')
+    .select('id, script:scripts!inner(organization_id)')
+    .eq('id', runId)
+    .eq('script.organization_id', organizationId)
+    .maybeSingle();
+  return !!data;
+}
+
+/**
+ * Take an automated run from the worker for a chatter's advance — the same compare-and-set
+ * on next_step_at (or paused_at, for a paused run) the worker claims with. A run with
+ * neither is the worker's, mid-send. Returns false if the run isn't free.
+ */
+async function claimAutomatedRun(run) {
+  if (!run.paused_at && !run.next_step_at) return false;
+
+  let claim = supabase
+    .from('script_runs')
+    .update({ next_step_at: null, paused_at: null })
+    .eq('id', run.id)
+    .eq('status', 'active');
+  claim = run.paused_at ? claim.eq('paused_at', run.paused_at) : claim.eq('next_step_at', run.next_step_at);
+  const { data: claimed } = await claim.select('id').maybeSingle();
+  return !!claimed;
+}
+
 /**
  * POST /api/scripts/runs/:runId/advance
- * Advance to next step (after sending current step)
+ * Advance past the current step (after sending it). The step's branches pick the next
+ * step; with none it's the next in order. Body: { action, messageId, revenueAmount, option }
+ * — option is the chatter's pick for steps with option branches.
+ * When the branches can't decide yet (a no-reply timer still running, or an option to
+ * pick) the run stays put and the response is { status: 'waiting', options, retryAt }.
+ * Advancing an automated run by hand also un-pauses it; the next step goes out on its delay.
  */
 router.post('/runs/:runId/advance', authenticate, async (req, res, next) => {
   try {
-    const { action = 'step_sent', messageId, revenueAmount } = req.body;
+    const { action = 'step_sent', messageId, revenueAmount, option = null } = req.body;
+
+    if (!(await runInOrg(req.params.runId, req.user.organization_id))) {
+      return res.status(404).json({ error: 'Run not found' });
+    }
 
     const { data: run, error } = await supabase
       .from('script_runs')
-      .select('*, script:scripts(*, script_steps(*))')
+      .select('*, version:script_versions(id, version, script_steps(*))')
       .eq('id', req.params.runId)
       .single();
 
     if (error || !run) return res.status(404).json({ error: 'Run not found' });
     if (run.status !== 'active') return res.status(400).json({ error: 'Run is not active' });
+    if (run.mode === 'automated' && !(await claimAutomatedRun(run))) {
+      return res.status(409).json({ error: 'The run is sending its step — try again in a moment' });
+    }
+
+    const steps = run.version.script_steps.sort((a, b) => a.step_index - b.step_index);
+    const step = steps.find(s => s.step_index === run.current_step);
 
-    const steps = run.script.script_steps.sort((a, b) => a.step_index - b.step_index);
-    const isLastStep = run.current_step >= steps.length - 1;
+    const route = action === 'completed' || !step
+      ? { next: null, branch: null }
+      : await nextStepFor(run, step, steps.length, { option });
+
+    if (route.waiting) {
+      if (run.mode === 'automated') {
+        // Hand the run back to the worker as it was
+        await supabase
+          .from('script_runs')
+          .update({ next_step_at: run.next_step_at, paused_at: run.paused_at })
+          .eq('id', run.id);
+      }
+      return res.json({ status: 'waiting', currentStep: run.current_step, options: route.options, retryAt: route.retryAt });
+    }
 
     // Log event
     await supabase.from('script_run_events').insert({
@@ -279,42 +465,52 @@ router.post('/runs/:runId/advance', authenticate, async (req, res, next) => {
       action,
       fanvue_message_id: messageId || null,
       revenue_amount: revenueAmount || null,
+      details: { branch: route.branch, next: route.next, option, variant: run.variants?.[run.current_step] || null },
       created_at: new Date().toISOString()
     });
 
-    if (isLastStep || action === 'completed') {
+    if (route.next === null) {
       // Complete the run
       await supabase
         .from('script_runs')
         .update({
           status: 'completed',
           completed_at: new Date().toISOString(),
-          converted: revenueAmount > 0
+          converted: revenueAmount > 0,
+          next_step_at: null
         })
         .eq('id', req.params.runId);
 
       return res.json({ status: 'completed', message: 'Script completed!' });
     }
 
-    const nextStep = run.current_step + 1;
+    const nextStep = route.next;
+    const updates = {
+      current_step: nextStep,
+      last_step_at: new Date().toISOString()
+    };
+    if (run.mode === 'automated') {
+      Object.assign(updates, { step_sent_at: null, next_step_at: dueAt(steps, nextStep), paused_at: null, pause_reason: null });
+    }
     await supabase
       .from('script_runs')
-      .update({
-        current_step: nextStep,
-        last_step_at: new Date().toISOString()
-      })
+      .update(updates)
       .eq('id', req.params.runId);
 
+    const nextRow = steps.find(s => s.step_index === nextStep);
+    const upcoming = nextRow && applyVariant(nextRow, await assignVariant(run, nextRow));
     res.json({
       status: 'active',
       currentStep: nextStep,
-      nextStep: steps[nextStep] ? {
-        index: steps[nextStep].step_index,
-        content: steps[nextStep].content,
-        internalNote: steps[nextStep].internal_note,
-        isPpv: steps[nextStep].is_ppv,
-        ppvPrice: steps[nextStep].ppv_price,
-        delaySeconds: steps[nextStep].delay_seconds
+      nextStep: upcoming ? {
+        index: upcoming.step_index,
+        content: upcoming.content,
+        internalNote: upcoming.internal_note,
+        isPpv: upcoming.is_ppv,
+        ppvPrice: upcoming.ppv_price,
+        delaySeconds: upcoming.delay_seconds,
+        branches: upcoming.branches || [],
+        variant: upcoming.variant
       } : null
     });
   } catch (err) {
@@ -327,6 +523,10 @@ router.post('/runs/:runId/advance', authenticate, async (req, res, next) => {
  */
 router.post('/runs/:runId/abandon', authenticate, async (req, res, next) => {
   try {
+    if (!(await runInOrg(req.params.runId, req.user.organization_id))) {
+      return res.status(404).json({ error: 'Run not found' });
+    }
+
     const { data: run } = await supabase
       .from('script_runs')
       .select('id, current_step')
@@ -345,7 +545,7 @@ router.post('/runs/:runId/abandon', authenticate, async (req, res, next) => {
 
     await supabase
       .from('script_runs')
-      .update({ status: 'abandoned', completed_at: new Date().toISOString() })
+      .update({ status: 'abandoned', completed_at: new Date().toISOString(), next_step_at: null })
       .eq('id', req.params.runId);
 
     res.json({ message: 'Run abandoned' });
@@ -355,19 +555,98 @@ router.post('/runs/:runId/abandon', authenticate, async (req, res, next) => {
 });
 
 /**
- * GET /api/scripts/:scriptId/analytics
+ * POST /api/scripts/runs/:runId/pause
+ * Stop an automated run from sending, e.g. while a chatter takes over.
+ */
+router.post('/runs/:runId/pause', authenticate, async (req, res, next) => {
+  try {
+    if (!(await runInOrg(req.params.runId, req.user.organization_id))) {
+      return res.status(404).json({ error: 'Active automated run not found' });
+    }
+
+    const { data: run, error } = await supabase
+      .from('script_runs')
+      .update({ paused_at: new Date().toISOString(), pause_reason: 'chatter', next_step_at: null })
+      .eq('id', req.params.runId)
+      .eq('mode', 'automated')
+      .eq('status', 'active')
+      .select('id, current_step, paused_at, pause_reason')
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!run) return res.status(404).json({ error: 'Active automated run not found' });
+
+    res.json({ run });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/scripts/runs/:runId/resume
+ * Pick a paused automated run back up. A step not sent yet goes out now; one already
+ * sent moves on by its branches (so a reply can take the "replied" branch).
+ */
+router.post('/runs/:runId/resume', authenticate, async (req, res, next) => {
+  try {
+    if (!(await runInOrg(req.params.runId, req.user.organization_id))) {
+      return res.status(404).json({ error: 'Paused automated run not found' });
+    }
+
+    const { data: run, error } = await supabase
+      .from('script_runs')
+      .update({ paused_at: null, pause_reason: null, next_step_at: new Date().toISOString() })
+      .eq('id', req.params.runId)
+      .eq('mode', 'automated')
+      .eq('status', 'active')
+      .not('paused_at', 'is', null)
+      .select('id, current_step, next_step_at')
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!run) return res.status(404).json({ error: 'Paused automated run not found' });
+
+    res.json({ run });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/scripts/:scriptId/analytics?version=
+ * version limits the runs to those on one version; byVersion splits them by version.
+ * variants: per A/B tested step of that version (default: the live one), each variant's
+ * conversion and revenue against the step's first variant, with p-values and a
+ * significant flag.
  */
 router.get('/:scriptId/analytics', authenticate, async (req, res, next) => {
   try {
-    const { data: runs } = await supabase
+    const script = await findScript(req.params.scriptId, req.user.organization_id);
+    if (!script) return res.status(404).json({ error: 'Script not found' });
+
+    let version = null;
+    if (req.query.version !== undefined) {
+      version = await findVersion(script.id, { version: parseInt(req.query.version) || 0 });
+      if (!version) return res.status(404).json({ error: 'Version not found' });
+    }
+
+    let runsQuery = supabase
       .from('script_runs')
-      .select('id, status, converted, revenue_generated, started_at, completed_at, chatter_id, chatter:users(name)')
+      .select('id, status, converted, revenue_generated, started_at, completed_at, chatter_id, chatter:users(name), version:script_versions(version)')
       .eq('script_id', req.params.scriptId)
       .order('started_at', { ascending: false })
       .limit(100);
+    if (version) runsQuery = runsQuery.eq('version_id', version.id);
+
+    const { data: runs } = await runsQuery;
 
     if (!runs) return res.json({ analytics: null });
 
+    const variantsVersionId = version?.id || script.published_version_id;
+    const variants = variantsVersionId
+      ? await variantAnalytics(variantsVersionId, await versionSteps(variantsVersionId))
+      : [];
+
     const total = runs.length;
     const completed = runs.filter(r => r.status === 'completed').length;
     const converted = runs.filter(r => r.converted).length;
@@ -385,6 +664,16 @@ router.get('/:scriptId/analytics', authenticate, async (req, res, next) => {
       byChatter[r.chatter_id].revenue += r.revenue_generated || 0;
     });
 
+    // By version
+    const byVersion = {};
+    runs.forEach(r => {
+      const number = r.version?.version ?? null;
+      if (!byVersion[number]) byVersion[number] = { version: number, runs: 0, converted: 0, revenue: 0 };
+      byVersion[number].runs++;
+      if (r.converted) byVersion[number].converted++;
+      byVersion[number].revenue += r.revenue_generated || 0;
+    });
+
     res.json({
       analytics: {
         totalRuns: total,
@@ -392,7 +681,12 @@ router.get('/:scriptId/analytics', authenticate, async (req, res, next) => {
         conversionRate: total > 0 ? Math.round((converted / total) * 100) : 0,
         totalRevenue,
         avgRevenuePerRun: total > 0 ? (totalRevenue / total).toFixed(2) : 0,
-        byChatter: Object.values(byChatter)
+        byChatter: Object.values(byChatter),
+        byVersion: Object.values(byVersion)
+          .sort((a, b) => (b.version ?? 0) - (a.version ?? 0))
+          .map(v => ({ ...v, conversionRate: Math.round((v.converted / v.runs) * 100) })),
+        variants,
+        minSample: MIN_SAMPLE
       }
     });
   } catch (err) {
@@ -0,0 +1,222 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const supabase = require('../config/supabase');
+const { authenticate, requireRole } = require('../middleware/auth');
+const {
+  NUMBER_FIELDS, ENUM_FIELDS, DATE_FIELDS, OPS,
+  validateRules, evaluateRules, loadSegment, evaluateSegment
+} = require('../services/segments');
+const { FILTER_OPS, loadCustomFields } = require('../services/customFields');
+
+const router = express.Router();
+
+const PREVIEW_SIZE = 20;
+
+async function accountInOrg(accountId, organizationId) {
+  const { data } = await supabase
+    .from('connected_accounts')
+    .select('id')
+    .eq('id', accountId)
+    .eq('organization_id', organizationId)
+    .maybeSingle();
+  return !!data;
+}
+
+/**
+ * GET /api/segments/fields
+ * Fields and operators the rule builder can offer.
+ */
+router.get('/fields', authenticate, async (req, res, next) => {
+  try {
+    const customFields = await loadCustomFields(req.user.organization_id);
+    res.json({
+      fields: [
+        ...NUMBER_FIELDS.map(field => ({ field, type: 'number', ops: OPS.number })),
+        ...Object.entries(ENUM_FIELDS).map(([field, values]) => ({ field, type: 'enum', values, ops: OPS.enum })),
+        ...DATE_FIELDS.map(field => ({ field, type: 'date', ops: OPS.date })),
+        { field: 'tags', type: 'tags', ops: OPS.tags },
+        ...customFields.map(f => ({
+          field: `custom.${f.key}`,
+          label: f.label,
+          type: `custom_${f.type}`,
+          values: f.options || undefined,
+          ops: FILTER_OPS[f.type]
+        }))
+      ]
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/segments?accountId=
+ * Saved segments with live fan counts. accountId lists that account's segments plus
+ * org-wide ones (counted within the account).
+ */
+router.get('/', authenticate, async (req, res, next) => {
+  try {
+    const { accountId } = req.query;
+    if (accountId && !(await accountInOrg(accountId, req.user.organization_id))) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    let query = supabase
+      .from('fan_segments')
+      .select('*, creator:users!created_by(id, name)')
+      .eq('organization_id', req.user.organization_id)
+      .order('name');
+    if (accountId) query = query.or(`account_id.is.null,account_id.eq.${accountId}`);
+
+    const { data: segments, error } = await query;
+    if (error) throw error;
+
+    const withCounts = [];
+    for (const segment of segments || []) {
+      const fans = await evaluateSegment(segment, { accountId });
+      withCounts.push({ ...segment, fan_count: fans.length });
+    }
+
+    res.json({ segments: withCounts });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/segments/preview
+ * Count + sample of fans matching unsaved rules. Body: { rules, accountId? }
+ */
+router.post('/preview', authenticate, async (req, res, next) => {
+  try {
+    const { rules, accountId } = req.body;
+    const invalid = validateRules(rules, await loadCustomFields(req.user.organization_id));
+    if (invalid) return res.status(400).json({ error: invalid });
+    if (accountId && !(await accountInOrg(accountId, req.user.organization_id))) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const fans = await evaluateRules(req.user.organization_id, rules, { accountId });
+    res.json({ count: fans.length, sample: fans.slice(0, PREVIEW_SIZE) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/segments
+ * Body: { name, description?, accountId? (null = all accounts), rules }
+ */
+router.post('/', authenticate, requireRole('owner', 'manager'), async (req, res, next) => {
+  try {
+    const { name, description, accountId, rules } = req.body;
+    if (!name || !name.trim()) return res.status(400).json({ error: 'name required' });
+
+    const invalid = validateRules(rules, await loadCustomFields(req.user.organization_id));
+    if (invalid) return res.status(400).json({ error: invalid });
+    if (accountId && !(await accountInOrg(accountId, req.user.organization_id))) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const { data: segment, error } = await supabase
+      .from('fan_segments')
+      .insert({
+        id: uuidv4(),
+        organization_id: req.user.organization_id,
+        account_id: accountId || null,
+        name: name.trim(),
+        description: description || null,
+        rules,
+        created_by: req.user.id
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    const fans = await evaluateSegment(segment);
+    res.status(201).json({ segment: { ...segment, fan_count: fans.length } });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/segments/:segmentId
+ */
+router.get('/:segmentId', authenticate, async (req, res, next) => {
+  try {
+    const segment = await loadSegment(req.params.segmentId, req.user.organization_id);
+    if (!segment) return res.status(404).json({ error: 'Segment not found' });
+
+    const fans = await evaluateSegment(segment);
+    res.json({ segment: { ...segment, fan_count: fans.length } });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * PUT /api/segments/:segmentId
+ * Body: any of { name, description, accountId, rules }
+ */
+router.put('/:segmentId', authenticate, requireRole('owner', 'manager'), async (req, res, next) => {
+  try {
+    const existing = await loadSegment(req.params.segmentId, req.user.organization_id);
+    if (!existing) return res.status(404).json({ error: 'Segment not found' });
+
+    const { name, description, accountId, rules } = req.body;
+    const updates = { updated_at: new Date().toISOString() };
+
+    if (name !== undefined) {
+      if (!name || !name.trim()) return res.status(400).json({ error: 'name required' });
+      updates.name = name.trim();
+    }
+    if (description !== undefined) updates.description = description || null;
+    if (accountId !== undefined) {
+      if (accountId && !(await accountInOrg(accountId, req.user.organization_id))) {
+        return res.status(404).json({ error: 'Account not found' });
+      }
+      updates.account_id = accountId || null;
+    }
+    if (rules !== undefined) {
+      const invalid = validateRules(rules, await loadCustomFields(req.user.organization_id));
+      if (invalid) return res.status(400).json({ error: invalid });
+      updates.rules = rules;
+    }
+
+    const { data: segment, error } = await supabase
+      .from('fan_segments')
+      .update(updates)
+      .eq('id', existing.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    const fans = await evaluateSegment(segment);
+    res.json({ segment: { ...segment, fan_count: fans.length } });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * DELETE /api/segments/:segmentId
+ */
+router.delete('/:segmentId', authenticate, requireRole('owner', 'manager'), async (req, res, next) => {
+  try {
+    const { error } = await supabase
+      .from('fan_segments')
+      .delete()
+      .eq('id', req.params.segmentId)
+      .eq('organization_id', req.user.organization_id);
+
+    if (error) throw error;
+    res.json({ message: 'Deleted' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
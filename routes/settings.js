@@ -2,8 +2,14 @@
 
 const express = require('express');
 const bcrypt = require('bcryptjs');
+const { v4: uuidv4 } = require('uuid');
 const supabase = require('../config/supabase');
 const { authenticate } = require('../middleware/auth');
+const { isValidTimeZone } = require('../utils/timezone');
+const {
+  TIER_METRICS, DEFAULT_TIER_THRESHOLDS, validateThresholds, getTierThresholds, scoreOrganization
+} = require('../services/fanScoring');
+const { FIELD_TYPES, FILTER_OPS, validateFieldDefinition, loadCustomFields } = require('../services/customFields');
 
 const router = express.Router();
 router.use(authenticate);
@@ -23,7 +29,7 @@ router.get('/', async (req, res, next) => {
 
     const { data: org, error: oe } = await supabase
       .from('organizations')
-      .select('id, name, plan, created_at')
+      .select('id, name, plan, timezone, share_fan_notes, created_at')
       .eq('id', req.user.organization_id)
       .single();
     if (oe) throw oe;
@@ -106,8 +112,9 @@ router.patch('/password', async (req, res, next) => {
 
 /**
  * PATCH /api/settings/organization
- * Update organization name — owner only.
- * Body: { name }
+ * Update organization name, timezone and/or fan note sharing — owner only.
+ * Body: { name?, timezone?, shareFanNotes? } — timezone is an IANA zone name (e.g. 'Europe/London');
+ * shareFanNotes shares notes and tags across a fan's rows on all our creators
  */
 router.patch('/organization', async (req, res, next) => {
   try {
@@ -115,24 +122,249 @@ router.patch('/organization', async (req, res, next) => {
       return res.status(403).json({ error: 'Only owners can update organization settings' });
     }
 
-    const { name } = req.body;
-    if (!name || typeof name !== 'string' || !name.trim()) {
-      return res.status(400).json({ error: 'Organization name is required' });
+    const { name, timezone, shareFanNotes } = req.body;
+    if (name === undefined && timezone === undefined && shareFanNotes === undefined) {
+      return res.status(400).json({ error: 'Nothing to update' });
     }
-    if (name.trim().length > 100) {
-      return res.status(400).json({ error: 'Organization name must be 100 characters or fewer' });
+
+    const updates = {};
+    if (name !== undefined) {
+      if (!name || typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({ error: 'Organization name is required' });
+      }
+      if (name.trim().length > 100) {
+        return res.status(400).json({ error: 'Organization name must be 100 characters or fewer' });
+      }
+      updates.name = name.trim();
+    }
+    if (timezone !== undefined) {
+      if (!isValidTimeZone(timezone)) {
+        return res.status(400).json({ error: 'timezone must be an IANA zone name, e.g. America/New_York' });
+      }
+      updates.timezone = timezone;
+    }
+    if (shareFanNotes !== undefined) {
+      if (typeof shareFanNotes !== 'boolean') {
+        return res.status(400).json({ error: 'shareFanNotes must be true or false' });
+      }
+      updates.share_fan_notes = shareFanNotes;
     }
 
     const { error } = await supabase
       .from('organizations')
-      .update({ name: name.trim() })
+      .update(updates)
       .eq('id', req.user.organization_id);
     if (error) throw error;
 
-    res.json({ ok: true, name: name.trim() });
+    res.json({ ok: true, ...updates });
   } catch (err) {
     next(err);
   }
 });
 
+/**
+ * GET /api/settings/spend-tiers
+ * Spend tier thresholds fans are bucketed by (whale / dolphin / low).
+ */
+router.get('/spend-tiers', async (req, res, next) => {
+  try {
+    const thresholds = await getTierThresholds(req.user.organization_id);
+    res.json({ thresholds, metrics: TIER_METRICS });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * PUT /api/settings/spend-tiers
+ * Owner only. Body: { metric: 'spend_30d' | 'lifetime_spend', whale, dolphin } — dollar amounts.
+ * Fans are rescored in the background straight away.
+ */
+router.put('/spend-tiers', async (req, res, next) => {
+  try {
+    if (req.user.role !== 'owner') {
+      return res.status(403).json({ error: 'Only owners can update organization settings' });
+    }
+
+    const thresholds = {
+      metric: req.body.metric || DEFAULT_TIER_THRESHOLDS.metric,
+      whale: Number(req.body.whale),
+      dolphin: Number(req.body.dolphin)
+    };
+    const invalid = validateThresholds(thresholds);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const { error } = await supabase
+      .from('organizations')
+      .update({ spend_tier_thresholds: thresholds })
+      .eq('id', req.user.organization_id);
+    if (error) throw error;
+
+    scoreOrganization(req.user.organization_id).catch(err =>
+      console.error('[Settings] Rescore failed:', err.message));
+
+    res.json({ ok: true, thresholds });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ============================================================
+// CUSTOM FAN FIELDS
+// ============================================================
+
+const canManageFields = (user) => ['owner', 'manager'].includes(user.role);
+
+/**
+ * GET /api/settings/fan-fields
+ * The org's custom fan field definitions, plus the types and filter operators they support.
+ */
+router.get('/fan-fields', async (req, res, next) => {
+  try {
+    const fields = await loadCustomFields(req.user.organization_id);
+    res.json({ fields, types: FIELD_TYPES, filterOps: FILTER_OPS });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/settings/fan-fields
+ * Owner/manager. Body: { key, label, type, options?, position? }
+ */
+router.post('/fan-fields', async (req, res, next) => {
+  try {
+    if (!canManageFields(req.user)) return res.status(403).json({ error: 'Insufficient permissions' });
+
+    const { key, label, type, options = [], position = 0 } = req.body;
+    const invalid = validateFieldDefinition({ key, label, type, options });
+    if (invalid) return res.status(400).json({ error: invalid });
+    if (['select', 'multi_select'].includes(type) && !options.length) {
+      return res.status(400).json({ error: `${type} fields need options` });
+    }
+
+    const { data: field, error } = await supabase
+      .from('fan_custom_fields')
+      .insert({
+        id: uuidv4(),
+        organization_id: req.user.organization_id,
+        key,
+        label: label.trim(),
+        type,
+        options: ['select', 'multi_select'].includes(type) ? options.map(o => o.trim()) : [],
+        position: Number(position) || 0,
+        created_by: req.user.id
+      })
+      .select()
+      .single();
+
+    if (error && error.code === '23505') return res.status(409).json({ error: `A field with key ${key} already exists` });
+    if (error) throw error;
+
+    res.status(201).json({ field });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * PUT /api/settings/fan-fields/:fieldId
+ * Owner/manager. Body: any of { label, options, position }.
+ * key and type are fixed — existing values depend on them.
+ */
+router.put('/fan-fields/:fieldId', async (req, res, next) => {
+  try {
+    if (!canManageFields(req.user)) return res.status(403).json({ error: 'Insufficient permissions' });
+    if (req.body.key !== undefined || req.body.type !== undefined) {
+      return res.status(400).json({ error: 'key and type cannot be changed' });
+    }
+
+    const { label, options, position } = req.body;
+    const invalid = validateFieldDefinition({ label, options }, { partial: true });
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const { data: existing } = await supabase
+      .from('fan_custom_fields')
+      .select('id, type')
+      .eq('id', req.params.fieldId)
+      .eq('organization_id', req.user.organization_id)
+      .maybeSingle();
+
+    if (!existing) return res.status(404).json({ error: 'Field not found' });
+
+    const updates = { updated_at: new Date().toISOString() };
+    if (label !== undefined) updates.label = label.trim();
+    if (position !== undefined) updates.position = Number(position) || 0;
+    if (options !== undefined) {
+      if (!['select', 'multi_select'].includes(existing.type)) {
+        return res.status(400).json({ error: 'Only select fields have options' });
+      }
+      if (!options?.length) return res.status(400).json({ error: `${existing.type} fields need options` });
+      updates.options = options.map(o => o.trim());
+    }
+
+    const { data: field, error } = await supabase
+      .from('fan_custom_fields')
+      .update(updates)
+      .eq('id', existing.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    res.json({ field });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * DELETE /api/settings/fan-fields/:fieldId
+ * Owner/manager. Fans' values for the field are cleared in the background.
+ */
+router.delete('/fan-fields/:fieldId', async (req, res, next) => {
+  try {
+    if (!canManageFields(req.user)) return res.status(403).json({ error: 'Insufficient permissions' });
+
+    const { data: field, error } = await supabase
+      .from('fan_custom_fields')
+      .delete()
+      .eq('id', req.params.fieldId)
+      .eq('organization_id', req.user.organization_id)
+      .select('key')
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!field) return res.status(404).json({ error: 'Field not found' });
+
+    clearFieldValues(req.user.organization_id, field.key).catch(err =>
+      console.error('[Settings] Clearing field values failed:', err.message));
+
+    res.json({ message: 'Deleted' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// A re-created field with the same key must not pick up stale values
+async function clearFieldValues(organizationId, key) {
+  const PAGE = 1000;
+  for (;;) {
+    const { data: fans, error } = await supabase
+      .from('fans')
+      .select('id, custom_fields')
+      .eq('organization_id', organizationId)
+      .not(`custom_fields->${key}`, 'is', null)
+      .limit(PAGE);
+    if (error) throw error;
+
+    for (const fan of fans || []) {
+      const { [key]: _removed, ...rest } = fan.custom_fields || {};
+      const { error: updateError } = await supabase.from('fans').update({ custom_fields: rest }).eq('id', fan.id);
+      if (updateError) throw updateError;
+    }
+
+    if (!fans || fans.length < PAGE) break;
+  }
+}
+
 module.exports = router;
@@ -2,22 +2,10 @@ const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const supabase = require('../config/supabase');
 const { authenticate, requireRole } = require('../middleware/auth');
+const { resolveVariables, fanContext } = require('../services/snippetVariables');
 
 const router = express.Router();
 
-/**
- * Resolve {{variables}} in snippet body
- */
-function resolveVariables(body, context = {}) {
-  return body
-    .replace(/{{fan_name}}/g, context.fanName || 'babe')
-    .replace(/{{model_name}}/g, context.modelName || 'me')
-    .replace(/{{lifetime_spend}}/g, context.lifetimeSpend ? `$${context.lifetimeSpend}` : '')
-    .replace(/{{days_subscribed}}/g, context.daysSubscribed || '')
-    .replace(/{{last_tip_amount}}/g, context.lastTipAmount ? `$${context.lastTipAmount}` : '')
-    .replace(/{{local_time}}/g, context.localTime || '');
-}
-
 /**
  * GET /api/snippets?accountId=&category=&search=
  */
@@ -72,20 +60,11 @@ router.post('/resolve', authenticate, async (req, res, next) => {
     if (fanId) {
       const { data: fan } = await supabase
         .from('fans')
-        .select('username, display_name, lifetime_spend, subscribed_at, last_purchase_at')
+        .select('username, display_name, lifetime_spend, subscribed_at, last_purchase_at, custom_fields')
         .eq('id', fanId)
         .single();
 
-      if (fan) {
-        const daysSubscribed = fan.subscribed_at
-          ? Math.floor((Date.now() - new Date(fan.subscribed_at).getTime()) / 86400000)
-          : null;
-        context = {
-          fanName: fan.display_name || fan.username,
-          lifetimeSpend: fan.lifetime_spend,
-          daysSubscribed
-        };
-      }
+      if (fan) context = await fanContext(fan, req.user.organization_id, snippet.body);
     }
 
     // Increment use count
@@ -1,6 +1,10 @@
 const express = require('express');
 const crypto = require('crypto');
 const supabase = require('../config/supabase');
+const { eventTypeForSource, recordRevenueEvent } = require('../services/revenueEvents');
+const { campaignForPurchase } = require('../services/campaigns');
+const { pauseRunsOnReply } = require('../services/scriptAutomation');
+const { fireTrigger } = require('../services/scriptTriggers');
 
 const router = express.Router();
 
@@ -29,6 +33,103 @@ function verifySignature(rawBody, header) {
   return crypto.timingSafeEqual(Buffer.from(v0), Buffer.from(expected));
 }
 
+/**
+ * The connected accounts of the creator a payload is for (creator or recipient), or
+ * null when the payload doesn't say.
+ */
+async function creatorAccounts(data) {
+  const creatorUuid = data?.creator?.uuid || data?.recipient?.uuid || data?.creatorUuid;
+  if (!creatorUuid) return null;
+
+  const { data: accounts } = await supabase
+    .from('connected_accounts')
+    .select('id, organization_id')
+    .eq('fanvue_user_id', creatorUuid);
+  return accounts || [];
+}
+
+/**
+ * Record a purchase.received / tip.received payload as a revenue_events row.
+ * Fanvue amounts are in cents. Chatter credit comes from the org's attribution rules.
+ */
+async function recordWebhookRevenue(event, data) {
+  const fanUuid = data?.sender?.uuid || data?.user?.uuid || data?.buyer?.uuid || data?.userUuid;
+  const cents = Number(data?.amount?.gross ?? data?.gross ?? data?.amount);
+
+  if (!fanUuid || !Number.isFinite(cents) || cents <= 0) {
+    console.warn(`[Webhook] ${event} missing fan or amount — skipping`);
+    return;
+  }
+
+  // The creator's account decides the org — a fan can be on accounts in several
+  const accounts = await creatorAccounts(data);
+  if (accounts?.length !== 1) {
+    console.warn(`[Webhook] ${event} for fan ${fanUuid}: ${accounts ? `${accounts.length} accounts for the creator` : 'no creator'} — skipping`);
+    return;
+  }
+  const account = accounts[0];
+
+  const { data: fan } = await supabase
+    .from('fans')
+    .select('id')
+    .eq('account_id', account.id)
+    .eq('fanvue_fan_id', fanUuid)
+    .maybeSingle();
+
+  const occurredAt = data?.createdAt || data?.purchasedAt || new Date().toISOString();
+  const messageUuid = data?.message?.uuid || data?.messageUuid || null;
+
+  // Mark the PPV unlocked — the attribution engine credits its sender
+  let purchasedMessage = null;
+  if (messageUuid) {
+    const { data: ppvMsg } = await supabase
+      .from('messages')
+      .select('id, campaign_id')
+      .eq('fanvue_message_id', messageUuid)
+      .maybeSingle();
+
+    if (ppvMsg) {
+      purchasedMessage = ppvMsg;
+      await supabase
+        .from('messages')
+        .update({ ppv_unlocked: true, ppv_unlocked_at: occurredAt })
+        .eq('id', ppvMsg.id);
+    }
+  }
+
+  const eventType = event === 'tip.received'
+    ? 'tip'
+    : eventTypeForSource(data?.source || data?.type || (messageUuid ? 'message' : null));
+
+  const campaignId = await campaignForPurchase({
+    accountId: account.id,
+    purchasedMessage,
+    messageUuid,
+    eventType,
+    amount: cents / 100,
+    occurredAt
+  });
+
+  const { duplicate } = await recordRevenueEvent({
+    organizationId: account.organization_id,
+    accountId: account.id,
+    fanId: fan?.id || null,
+    purchasedMessageId: purchasedMessage?.id || null,
+    campaignId,
+    eventType,
+    amount: cents / 100,
+    fanvueEventId: data?.uuid || data?.transactionUuid || data?.id || null,
+    occurredAt
+  });
+
+  if (duplicate) {
+    console.log(`[Webhook] ${event} already recorded — skipping`);
+    return;
+  }
+
+  if (eventType === 'tip') await fireTrigger('tip', { accountId: account.id, fanId: fan?.id, amount: cents / 100 });
+}
+
 /**
  * POST /api/webhooks/fanvue
  * Receives real-time events from Fanvue
@@ -58,16 +159,19 @@ router.post('/fanvue', express.raw({ type: 'application/json' }), async (req, re
         const fanUuid = data?.sender?.uuid || data?.from?.uuid || data?.userUuid;
         if (!fanUuid) break;
 
-        const { data: conv } = await supabase
+        // The fan's thread on the recipient's account — they may have threads on others
+        const accounts = await creatorAccounts(data);
+        let convQuery = supabase
           .from('conversations')
-          .select('id, organization_id')
-          .eq('fanvue_thread_id', fanUuid)
-          .single();
+          .select('id, organization_id, account_id, fan_id')
+          .eq('fanvue_thread_id', fanUuid);
+        if (accounts) convQuery = convQuery.in('account_id', accounts.map(a => a.id));
+        const { data: conv } = await convQuery.maybeSingle();
 
         if (!conv) break;
 
         // Upsert the inbound message
-        await supabase.from('messages').upsert({
+        const { data: inserted } = await supabase.from('messages').upsert({
           conversation_id: conv.id,
           organization_id: conv.organization_id,
           fanvue_message_id: data?.uuid,
@@ -75,7 +179,7 @@ router.post('/fanvue', express.raw({ type: 'application/json' }), async (req, re
           content: data?.text || null,
           platform_status: 'delivered',
           sent_at: data?.sentAt || new Date().toISOString()
-        }, { onConflict: 'fanvue_message_id', ignoreDuplicates: true });
+        }, { onConflict: 'fanvue_message_id', ignoreDuplicates: true }).select('id');
 
         // Update conversation
         await supabase.from('conversations').update({
@@ -86,6 +190,20 @@ router.post('/fanvue', express.raw({ type: 'application/json' }), async (req, re
           updated_at: new Date().toISOString()
         }).eq('id', conv.id);
 
+        // The fan answered — automated script runs hand over to a chatter
+        await pauseRunsOnReply(conv.id, data?.sentAt || new Date().toISOString());
+
+        // New to us, and the only inbound message in the thread: the fan's first message
+        if (inserted?.length) {
+          const { data: inbound } = await supabase
+            .from('messages')
+            .select('id')
+            .eq('conversation_id', conv.id)
+            .eq('direction', 'inbound')
+            .limit(2);
+          if (inbound?.length === 1) await fireTrigger('first_message', { accountId: conv.account_id, fanId: conv.fan_id });
+        }
+
         break;
       }
 
@@ -93,10 +211,35 @@ router.post('/fanvue', express.raw({ type: 'application/json' }), async (req, re
         const fanUuid = data?.subscriber?.uuid || data?.userUuid;
         if (!fanUuid) break;
 
-        // Update fan subscription status if they exist
-        await supabase.from('fans')
-          .update({ subscription_status: 'active', updated_at: new Date().toISOString() })
-          .eq('fanvue_fan_id', fanUuid);
+        // The creator's connected account(s) — one per org that connected it
+        const accounts = await creatorAccounts(data);
+        if (!accounts) {
+          console.warn(`[Webhook] ${event} for fan ${fanUuid}: no creator — skipping`);
+          break;
+        }
+
+        for (const account of accounts) {
+          const { data: fan, error } = await supabase
+            .from('fans')
+            .upsert({
+              account_id: account.id,
+              organization_id: account.organization_id,
+              fanvue_fan_id: fanUuid,
+              username: data?.subscriber?.handle || data?.subscriber?.username,
+              display_name: data?.subscriber?.displayName,
+              subscription_status: 'active',
+              subscribed_at: data?.createdAt || new Date().toISOString(),
+              updated_at: new Date().toISOString()
+            }, { onConflict: 'account_id,fanvue_fan_id' })
+            .select('id')
+            .single();
+
+          if (error || !fan) {
+            console.error(`[Webhook] ${event}: storing fan ${fanUuid} failed:`, error?.message);
+            continue;
+          }
+          await fireTrigger('new_subscriber', { accountId: account.id, fanId: fan.id });
+        }
 
         break;
       }
@@ -104,7 +247,7 @@ router.post('/fanvue', express.raw({ type: 'application/json' }), async (req, re
       case 'purchase.received':
       case 'tip.received': {
         console.log(`[Webhook] ${event}:`, data?.amount, data?.currency);
-        // Future: record in revenue table
+        await recordWebhookRevenue(event, data);
         break;
       }
 
@@ -0,0 +1,611 @@
+-- ============================================================
+-- FANVUE CRM - SCHEMA V3 (run AFTER schema_v2.sql)
+-- Adds: outbound message queue, scheduled messages, revenue attribution rules,
+--       chatter payroll, revenue reconciliation, earnings backfill, analytics snapshot columns,
+--       organization timezone, fan spend forecasts, fan scoring + tier history,
+--       saved fan segments, mass messaging campaigns, fan activity log,
+--       custom fan fields, birthday/anniversary reminders, cross-account fan profiles,
+--       branching script steps, automated script runs, script A/B tests,
+--       script versions, script triggers
+-- ============================================================
+
+-- ============================================================
+-- OUTBOUND MESSAGE QUEUE
+-- Outbound messages are stored first and sent to Fanvue by
+-- services/messageQueue.js, strictly in queue_seq order per
+-- conversation. platform_status: queued -> sent | failed
+-- ============================================================
+ALTER TABLE messages
+  ADD COLUMN queue_seq BIGINT GENERATED BY DEFAULT AS IDENTITY,
+  ADD COLUMN queued_at TIMESTAMPTZ,
+  ADD COLUMN media_uuids JSONB DEFAULT '[]',
+  ADD COLUMN template_uuid TEXT,
+  ADD COLUMN send_attempts INTEGER DEFAULT 0,
+  ADD COLUMN next_attempt_at TIMESTAMPTZ,
+  ADD COLUMN last_error TEXT;
+
+-- ============================================================
+-- SCHEDULED MESSAGES (sent by services/scheduledMessages.js)
+-- ============================================================
+CREATE TABLE scheduled_messages (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  account_id UUID REFERENCES connected_accounts(id) ON DELETE CASCADE,
+  conversation_id UUID REFERENCES conversations(id) ON DELETE CASCADE,
+  fan_id UUID REFERENCES fans(id) ON DELETE CASCADE,
+  scheduled_by UUID REFERENCES users(id), -- becomes messages.sent_by_user_id
+  -- Content
+  content TEXT,
+  media_uuids JSONB DEFAULT '[]',
+  ppv_price DECIMAL(10,2),
+  template_uuid TEXT,
+  -- Timing
+  send_at TIMESTAMPTZ NOT NULL, -- UTC instant
+  local_send_time TEXT, -- wall-clock time as entered, e.g. '2026-03-01T08:00'
+  timezone TEXT, -- zone local_send_time was resolved in (fan's by default)
+  -- State
+  status TEXT DEFAULT 'scheduled', -- scheduled | sending | sent | cancelled | failed
+  message_id UUID REFERENCES messages(id) ON DELETE SET NULL,
+  error_message TEXT,
+  sent_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ============================================================
+-- REVENUE ATTRIBUTION (services/attribution.js)
+-- ============================================================
+CREATE TABLE attribution_rules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  rule_type TEXT NOT NULL, -- ppv_sender | last_outbound | active_script_run | split
+  priority INTEGER NOT NULL, -- lower runs first; first rule that credits someone wins
+  event_types JSONB, -- null = all, e.g. ["ppv", "tip"]
+  config JSONB DEFAULT '{}', -- { windowHours, weighting: 'equal' | 'messages' }
+  is_enabled BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Per-chatter credit (more than one row when a split rule applied)
+CREATE TABLE revenue_event_attributions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  revenue_event_id UUID REFERENCES revenue_events(id) ON DELETE CASCADE,
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  chatter_id UUID REFERENCES users(id),
+  share DECIMAL(6,5) NOT NULL, -- 0-1
+  amount DECIMAL(10,2) NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE revenue_events
+  ADD COLUMN purchased_message_id UUID REFERENCES messages(id), -- the unlocked PPV, if known
+  ADD COLUMN attribution_rule TEXT, -- rule that credited it, 'manual', or null if unattributed
+  ADD COLUMN attributed_to_automation BOOLEAN DEFAULT FALSE,
+  ADD COLUMN attributed_at TIMESTAMPTZ,
+  ADD COLUMN auto_attribute BOOLEAN DEFAULT TRUE; -- false: recorded uncredited (backfills), rule re-runs skip it
+
+-- ============================================================
+-- CHATTER PAYROLL
+-- Commission on attributed revenue per pay period, less refunds
+-- and chargebacks. See services/payroll.js
+-- ============================================================
+CREATE TABLE pay_periods (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  name TEXT,
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL, -- inclusive, UTC
+  status TEXT DEFAULT 'open', -- open | locked
+  calculated_at TIMESTAMPTZ,
+  locked_at TIMESTAMPTZ,
+  locked_by UUID REFERENCES users(id),
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  CHECK (end_date >= start_date)
+);
+
+CREATE TABLE commission_plans (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  chatter_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  plan_type TEXT NOT NULL, -- flat | tiered | by_event_type
+  rate DECIMAL(5,4), -- flat: 0-1
+  tiers JSONB, -- tiered: [{ upTo, rate }], last upTo null
+  event_type_rates JSONB, -- by_event_type: { ppv: 0.2, tip: 0.1, default: 0.15 }
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(organization_id, chatter_id)
+);
+
+CREATE TABLE payroll_statements (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  pay_period_id UUID REFERENCES pay_periods(id) ON DELETE CASCADE,
+  chatter_id UUID REFERENCES users(id),
+  gross_revenue DECIMAL(10,2) DEFAULT 0,
+  deductions DECIMAL(10,2) DEFAULT 0,
+  net_revenue DECIMAL(10,2) DEFAULT 0,
+  commission_amount DECIMAL(10,2) DEFAULT 0,
+  breakdown JSONB DEFAULT '{}', -- { [event_type]: { gross, deductions, net } }
+  line_items JSONB DEFAULT '[]',
+  plan_snapshot JSONB, -- commission plan as it was when calculated
+  status TEXT DEFAULT 'draft', -- draft | locked
+  generated_at TIMESTAMPTZ,
+  locked_at TIMESTAMPTZ,
+  UNIQUE(pay_period_id, chatter_id)
+);
+
+-- ============================================================
+-- REVENUE RECONCILIATION
+-- services/reconciliation.js compares revenue_events with Fanvue
+-- /insights/earnings per account and UTC day. Transactions we never
+-- recorded are backfilled unattributed and listed as discrepancies.
+-- ============================================================
+CREATE TABLE revenue_reconciliations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  account_id UUID REFERENCES connected_accounts(id) ON DELETE CASCADE,
+  day DATE NOT NULL, -- UTC
+  fanvue_count INTEGER DEFAULT 0,
+  fanvue_total DECIMAL(10,2) DEFAULT 0,
+  local_count INTEGER DEFAULT 0, -- before backfill
+  local_total DECIMAL(10,2) DEFAULT 0,
+  backfilled INTEGER DEFAULT 0,
+  discrepancies INTEGER DEFAULT 0,
+  reconciled_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(account_id, day)
+);
+
+CREATE TABLE revenue_discrepancies (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  account_id UUID REFERENCES connected_accounts(id) ON DELETE CASCADE,
+  day DATE NOT NULL,
+  kind TEXT NOT NULL, -- missing_local (backfilled) | missing_fanvue | amount_mismatch
+  revenue_event_id UUID REFERENCES revenue_events(id) ON DELETE CASCADE,
+  fanvue_transaction_id TEXT,
+  event_type TEXT,
+  fanvue_amount DECIMAL(10,2),
+  local_amount DECIMAL(10,2),
+  status TEXT DEFAULT 'open', -- open | resolved | dismissed
+  resolved_by UUID REFERENCES users(id),
+  resolved_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(kind, revenue_event_id)
+);
+
+-- ============================================================
+-- EARNINGS BACKFILL
+-- Progress of the historical /insights/earnings import that runs
+-- when an account is connected. See services/earningsBackfill.js
+-- ============================================================
+ALTER TABLE connected_accounts
+  ADD COLUMN backfill_status TEXT DEFAULT 'none', -- none | running | completed | failed
+  ADD COLUMN backfill_progress INTEGER DEFAULT 0, -- 0-100
+  ADD COLUMN backfill_events INTEGER DEFAULT 0,
+  ADD COLUMN backfill_through TIMESTAMPTZ, -- earnings before this are recorded
+  ADD COLUMN backfill_started_at TIMESTAMPTZ,
+  ADD COLUMN backfill_completed_at TIMESTAMPTZ,
+  ADD COLUMN backfill_heartbeat_at TIMESTAMPTZ, -- touched per chunk; stale 'running' = interrupted
+  ADD COLUMN backfill_error TEXT;
+
+-- ============================================================
+-- ANALYTICS SNAPSHOTS
+-- analytics_snapshots (schema.sql) is written nightly by
+-- services/analyticsSnapshots.js. Extra per-day columns:
+-- ============================================================
+ALTER TABLE analytics_snapshots
+  ADD COLUMN cancelled_subscribers INTEGER DEFAULT 0,
+  ADD COLUMN earnings_net DECIMAL(10,2) DEFAULT 0,
+  ADD COLUMN earnings_renewals DECIMAL(10,2) DEFAULT 0,
+  ADD COLUMN earnings_by_source JSONB DEFAULT '{}', -- Fanvue source -> gross dollars
+  ADD COLUMN messages_sent INTEGER DEFAULT 0,
+  ADD COLUMN messages_received INTEGER DEFAULT 0;
+
+-- ============================================================
+-- ORGANIZATION TIMEZONE
+-- IANA zone that analytics series and heatmaps bucket in
+-- ============================================================
+ALTER TABLE organizations
+  ADD COLUMN timezone TEXT DEFAULT 'UTC';
+
+-- ============================================================
+-- FAN SPEND FORECASTS
+-- Written nightly by services/fanForecast.js
+-- ============================================================
+ALTER TABLE fans
+  ADD COLUMN forecast_spend_30d DECIMAL(10,2) DEFAULT 0, -- expected spend, next 30 days
+  ADD COLUMN forecast_variance DECIMAL(14,4) DEFAULT 0,  -- for account-level confidence bands
+  ADD COLUMN purchase_likelihood_7d DECIMAL(5,4) DEFAULT 0, -- P(a purchase in the next 7 days)
+  ADD COLUMN forecast_updated_at TIMESTAMPTZ;
+
+ALTER TABLE connected_accounts
+  ADD COLUMN renewal_probability DECIMAL(5,4); -- 1 - monthly churn; null until the first nightly run
+
+-- ============================================================
+-- FAN SCORING
+-- spend_7d/spend_30d, spend_tier and buyer_score are recomputed by
+-- services/fanScoring.js. Tier thresholds are per organization.
+-- ============================================================
+ALTER TABLE organizations
+  ADD COLUMN spend_tier_thresholds JSONB DEFAULT '{"metric": "spend_30d", "whale": 500, "dolphin": 100}';
+
+ALTER TABLE fans
+  ADD COLUMN rfm_score TEXT, -- recency/frequency/monetary quintiles, e.g. '545'
+  ADD COLUMN scores_updated_at TIMESTAMPTZ;
+
+CREATE TABLE fan_tier_changes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  account_id UUID REFERENCES connected_accounts(id) ON DELETE CASCADE,
+  fan_id UUID REFERENCES fans(id) ON DELETE CASCADE,
+  from_tier TEXT NOT NULL,
+  to_tier TEXT NOT NULL,
+  direction TEXT NOT NULL, -- up | down
+  tier_value DECIMAL(10,2), -- spend the tier was decided on
+  buyer_score INTEGER,
+  changed_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ============================================================
+-- FAN SEGMENTS
+-- Saved rule sets, evaluated live by services/segments.js
+-- ============================================================
+CREATE TABLE fan_segments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  account_id UUID REFERENCES connected_accounts(id) ON DELETE CASCADE, -- null = every account
+  name TEXT NOT NULL,
+  description TEXT,
+  rules JSONB NOT NULL, -- { match: 'all' | 'any', conditions: [...] }
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ============================================================
+-- CAMPAIGNS
+-- Mass messages sent by services/campaigns.js, either as one Fanvue
+-- mass message per account (Fanvue lists) or as individual queued
+-- messages to a saved segment. Revenue is tracked through
+-- revenue_events.campaign_id.
+-- ============================================================
+CREATE TABLE campaigns (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  -- Audience
+  audience_type TEXT NOT NULL, -- lists | segment
+  included_lists JSONB, -- Fanvue includedLists, passed through as-is
+  excluded_lists JSONB,
+  segment_id UUID REFERENCES fan_segments(id) ON DELETE SET NULL,
+  account_ids JSONB NOT NULL DEFAULT '[]', -- connected_accounts sent from
+  -- Content
+  content TEXT,
+  media_uuids JSONB DEFAULT '[]',
+  ppv_price DECIMAL(10,2),
+  -- State
+  send_at TIMESTAMPTZ, -- null while a draft
+  status TEXT DEFAULT 'draft', -- draft | scheduled | sending | sent | partial | failed | cancelled
+  error_message TEXT,
+  sent_at TIMESTAMPTZ,
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- One row per account a campaign goes out on
+CREATE TABLE campaign_sends (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  campaign_id UUID REFERENCES campaigns(id) ON DELETE CASCADE,
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  account_id UUID REFERENCES connected_accounts(id) ON DELETE CASCADE,
+  status TEXT DEFAULT 'pending', -- pending | sending | sent | failed | interrupted
+  fanvue_mass_message_id TEXT, -- lists audience
+  recipient_count INTEGER, -- as reported by Fanvue, or fans queued for a segment
+  error_message TEXT,
+  sent_at TIMESTAMPTZ,
+  UNIQUE(campaign_id, account_id)
+);
+
+-- Segment audiences: one row per fan, so a resumed send never messages a fan twice
+CREATE TABLE campaign_recipients (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  campaign_id UUID REFERENCES campaigns(id) ON DELETE CASCADE,
+  account_id UUID REFERENCES connected_accounts(id) ON DELETE CASCADE,
+  fan_id UUID REFERENCES fans(id) ON DELETE CASCADE,
+  message_id UUID REFERENCES messages(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(campaign_id, fan_id)
+);
+
+ALTER TABLE messages
+  ADD COLUMN campaign_id UUID REFERENCES campaigns(id) ON DELETE SET NULL;
+
+ALTER TABLE revenue_events
+  ADD COLUMN campaign_id UUID REFERENCES campaigns(id) ON DELETE SET NULL;
+
+-- ============================================================
+-- FAN ACTIVITY LOG
+-- Changes that leave no row behind otherwise (tag removals, chatter
+-- reassignments), for the fan timeline in services/fanTimeline.js
+-- ============================================================
+CREATE TABLE fan_activity (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  fan_id UUID REFERENCES fans(id) ON DELETE CASCADE,
+  actor_id UUID REFERENCES users(id), -- null for system changes
+  action TEXT NOT NULL, -- tag_added | tag_removed | chatter_assigned | chatter_unassigned
+  details JSONB DEFAULT '{}', -- { tag } | { conversation_id, chatter_id, previous_chatter_id }
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Existing tags start the log
+INSERT INTO fan_activity (organization_id, fan_id, actor_id, action, details, created_at)
+SELECT organization_id, fan_id, tagged_by, 'tag_added', jsonb_build_object('tag', tag), created_at
+FROM fan_tags;
+
+-- ============================================================
+-- CUSTOM FAN FIELDS
+-- Organization-defined profile fields (services/customFields.js).
+-- Values live on fans.custom_fields as { key: value }.
+-- ============================================================
+CREATE TABLE fan_custom_fields (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  key TEXT NOT NULL, -- fans.custom_fields key and {{custom.key}} in snippets
+  label TEXT NOT NULL,
+  type TEXT NOT NULL, -- text | number | date | select | multi_select
+  options JSONB DEFAULT '[]', -- choices for select / multi_select
+  position INTEGER DEFAULT 0,
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(organization_id, key)
+);
+
+ALTER TABLE fans
+  ADD COLUMN custom_fields JSONB DEFAULT '{}';
+
+-- ============================================================
+-- FAN REMINDERS
+-- services/fanReminders.js runs daily and, for each account's
+-- rules, creates a reminder lead_days before a fan's birthday or
+-- subscription anniversary, flags the conversation for follow-up
+-- and prepares the rule's snippet for the assigned chatter.
+-- ============================================================
+ALTER TABLE fans
+  ADD COLUMN birthday DATE;
+
+CREATE TABLE fan_reminder_rules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  account_id UUID REFERENCES connected_accounts(id) ON DELETE CASCADE,
+  occasion TEXT NOT NULL, -- birthday | anniversary
+  lead_days INTEGER DEFAULT 0, -- days before the occasion the reminder is created
+  snippet_id UUID REFERENCES snippets(id) ON DELETE SET NULL, -- prepared for the chatter
+  is_active BOOLEAN DEFAULT TRUE,
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(account_id, occasion)
+);
+
+CREATE TABLE fan_reminders (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  account_id UUID REFERENCES connected_accounts(id) ON DELETE CASCADE,
+  fan_id UUID REFERENCES fans(id) ON DELETE CASCADE,
+  conversation_id UUID REFERENCES conversations(id) ON DELETE SET NULL,
+  rule_id UUID REFERENCES fan_reminder_rules(id) ON DELETE SET NULL,
+  occasion TEXT NOT NULL, -- birthday | anniversary
+  occasion_date DATE NOT NULL,
+  years INTEGER, -- anniversaries: years subscribed
+  chatter_id UUID REFERENCES users(id), -- assigned chatter when created
+  snippet_id UUID REFERENCES snippets(id) ON DELETE SET NULL,
+  content TEXT, -- the snippet with the fan's variables resolved
+  status TEXT DEFAULT 'pending', -- pending | done | dismissed
+  completed_by UUID REFERENCES users(id),
+  completed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(fan_id, occasion, occasion_date)
+);
+
+-- ============================================================
+-- CROSS-ACCOUNT FAN PROFILES
+-- fans rows in an organization with the same fanvue_fan_id are
+-- the same Fanvue user on different creators (services/fanProfiles.js).
+-- share_fan_notes shares their notes and tags across those rows.
+-- ============================================================
+ALTER TABLE organizations
+  ADD COLUMN share_fan_notes BOOLEAN DEFAULT FALSE;
+
+-- ============================================================
+-- SCRIPT BRANCHING
+-- branches: [{ when, goto, minutes?, amount?, tag?, label? }], tried
+-- in order when a run advances (services/scriptBranching.js).
+-- details records the branch a run took.
+-- ============================================================
+ALTER TABLE script_steps
+  ADD COLUMN branches JSONB DEFAULT '[]';
+
+ALTER TABLE script_run_events
+  ADD COLUMN details JSONB DEFAULT '{}';
+
+-- ============================================================
+-- AUTOMATED SCRIPT RUNS
+-- mode 'automated' runs are sent by services/scriptAutomation.js:
+-- next_step_at is when the worker next looks at the run,
+-- step_sent_at is set once the current step went out. A fan reply
+-- (or a chatter) pauses the run.
+-- ============================================================
+ALTER TABLE script_runs
+  ADD COLUMN mode TEXT DEFAULT 'manual' CHECK (mode IN ('manual', 'automated')),
+  ADD COLUMN next_step_at TIMESTAMPTZ,
+  ADD COLUMN step_sent_at TIMESTAMPTZ,
+  ADD COLUMN paused_at TIMESTAMPTZ,
+  ADD COLUMN pause_reason TEXT; -- fan_replied | chatter | needs_option | send_failed | missing_step
+
+-- ============================================================
+-- SCRIPT A/B TESTS
+-- variants: [{ key, label, weight, content?, media_urls?, is_ppv?,
+-- ppv_price? }] — fields left out come from the step. A run's pick
+-- per step index is kept in script_runs.variants and logged as a
+-- 'variant_assigned' event (services/scriptVariants.js).
+-- ============================================================
+ALTER TABLE script_steps
+  ADD COLUMN variants JSONB DEFAULT '[]';
+
+ALTER TABLE script_runs
+  ADD COLUMN variants JSONB DEFAULT '{}';
+
+-- ============================================================
+-- SCRIPT VERSIONS
+-- Steps belong to a version (services/scriptVersions.js). One draft
+-- per script takes edits; publishing freezes it as
+-- scripts.published_version_id and retires the previous one. Runs
+-- stay on the version they started on.
+-- ============================================================
+CREATE TABLE script_versions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  script_id UUID REFERENCES scripts(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL,
+  status TEXT DEFAULT 'draft' CHECK (status IN ('draft', 'published', 'retired')),
+  rolled_back_from INTEGER, -- version a rollback copied
+  created_by UUID REFERENCES users(id),
+  published_by UUID REFERENCES users(id),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  published_at TIMESTAMPTZ,
+  UNIQUE(script_id, version)
+);
+
+ALTER TABLE scripts
+  ADD COLUMN published_version_id UUID REFERENCES script_versions(id) ON DELETE SET NULL;
+
+ALTER TABLE script_steps
+  ADD COLUMN version_id UUID REFERENCES script_versions(id) ON DELETE CASCADE;
+
+ALTER TABLE script_runs
+  ADD COLUMN version_id UUID REFERENCES script_versions(id);
+
+-- Existing steps become version 1 of their script
+INSERT INTO script_versions (script_id, version, status, created_by, created_at, published_at)
+SELECT id, 1,
+  CASE WHEN status = 'draft' THEN 'draft' ELSE 'published' END,
+  created_by, created_at,
+  CASE WHEN status = 'draft' THEN NULL ELSE updated_at END
+FROM scripts;
+
+UPDATE script_steps st SET version_id = v.id FROM script_versions v WHERE v.script_id = st.script_id;
+UPDATE script_runs r SET version_id = v.id FROM script_versions v WHERE v.script_id = r.script_id;
+UPDATE scripts sc SET published_version_id = v.id
+FROM script_versions v WHERE v.script_id = sc.id AND v.status = 'published';
+
+ALTER TABLE script_steps
+  DROP CONSTRAINT script_steps_script_id_step_index_key,
+  ADD CONSTRAINT script_steps_version_step_key UNIQUE (version_id, step_index);
+
+-- ============================================================
+-- SCRIPT TRIGGERS
+-- Start a published script as an automated run when something
+-- happens to a fan (services/scriptTriggers.js). One trigger per
+-- account and event; runs it starts carry its id for cooldowns.
+-- ============================================================
+CREATE TABLE script_triggers (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  account_id UUID REFERENCES connected_accounts(id) ON DELETE CASCADE,
+  event TEXT NOT NULL CHECK (event IN ('new_subscriber', 'first_message', 'no_purchase', 'tip', 'renewal_off')),
+  script_id UUID REFERENCES scripts(id) ON DELETE CASCADE,
+  config JSONB DEFAULT '{}', -- no_purchase: { days }, tip: { minAmount }
+  cooldown_hours INTEGER DEFAULT 168,
+  is_active BOOLEAN DEFAULT TRUE,
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(account_id, event)
+);
+
+ALTER TABLE script_runs
+  ADD COLUMN trigger_id UUID REFERENCES script_triggers(id) ON DELETE SET NULL;
+
+-- ============================================================
+-- RLS
+-- ============================================================
+ALTER TABLE scheduled_messages ENABLE ROW LEVEL SECURITY;
+ALTER TABLE attribution_rules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE revenue_event_attributions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE pay_periods ENABLE ROW LEVEL SECURITY;
+ALTER TABLE commission_plans ENABLE ROW LEVEL SECURITY;
+ALTER TABLE payroll_statements ENABLE ROW LEVEL SECURITY;
+ALTER TABLE revenue_reconciliations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE revenue_discrepancies ENABLE ROW LEVEL SECURITY;
+ALTER TABLE fan_tier_changes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE fan_segments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE campaigns ENABLE ROW LEVEL SECURITY;
+ALTER TABLE campaign_sends ENABLE ROW LEVEL SECURITY;
+ALTER TABLE campaign_recipients ENABLE ROW LEVEL SECURITY;
+ALTER TABLE fan_activity ENABLE ROW LEVEL SECURITY;
+ALTER TABLE fan_custom_fields ENABLE ROW LEVEL SECURITY;
+ALTER TABLE fan_reminder_rules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE fan_reminders ENABLE ROW LEVEL SECURITY;
+ALTER TABLE script_versions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE script_triggers ENABLE ROW LEVEL SECURITY;
+
+-- ============================================================
+-- INDEXES
+-- ============================================================
+CREATE INDEX idx_messages_queue ON messages(conversation_id, queue_seq) WHERE platform_status = 'queued';
+CREATE INDEX idx_messages_queue_due ON messages(next_attempt_at) WHERE platform_status = 'queued';
+
+CREATE INDEX idx_scheduled_messages_conversation ON scheduled_messages(conversation_id, send_at);
+CREATE INDEX idx_scheduled_messages_due ON scheduled_messages(send_at) WHERE status = 'scheduled';
+
+CREATE INDEX idx_attribution_rules_org ON attribution_rules(organization_id, priority);
+CREATE INDEX idx_revenue_event_attributions_event ON revenue_event_attributions(revenue_event_id);
+CREATE INDEX idx_revenue_event_attributions_chatter ON revenue_event_attributions(organization_id, chatter_id);
+
+CREATE INDEX idx_pay_periods_org ON pay_periods(organization_id, start_date DESC);
+CREATE INDEX idx_payroll_statements_chatter ON payroll_statements(chatter_id, pay_period_id);
+
+CREATE INDEX idx_revenue_reconciliations_org ON revenue_reconciliations(organization_id, day DESC);
+CREATE INDEX idx_revenue_discrepancies_open ON revenue_discrepancies(organization_id, status, day DESC);
+
+CREATE INDEX idx_fans_forecast ON fans(account_id, forecast_spend_30d DESC);
+CREATE INDEX idx_fans_purchase_likelihood ON fans(account_id, purchase_likelihood_7d DESC);
+
+CREATE INDEX idx_fan_tier_changes_fan ON fan_tier_changes(fan_id, changed_at DESC);
+CREATE INDEX idx_fan_tier_changes_account ON fan_tier_changes(account_id, changed_at DESC);
+
+CREATE INDEX idx_fan_segments_org ON fan_segments(organization_id, account_id);
+
+CREATE INDEX idx_campaigns_org ON campaigns(organization_id, created_at DESC);
+CREATE INDEX idx_campaigns_due ON campaigns(send_at) WHERE status = 'scheduled';
+CREATE INDEX idx_campaign_sends_mass_message ON campaign_sends(fanvue_mass_message_id) WHERE fanvue_mass_message_id IS NOT NULL;
+CREATE INDEX idx_campaign_recipients_campaign ON campaign_recipients(campaign_id);
+CREATE INDEX idx_revenue_events_campaign ON revenue_events(campaign_id) WHERE campaign_id IS NOT NULL;
+
+CREATE INDEX idx_fan_activity_fan ON fan_activity(fan_id, action, created_at DESC);
+CREATE INDEX idx_revenue_events_fan_time ON revenue_events(fan_id, occurred_at DESC);
+
+CREATE INDEX idx_fan_custom_fields_org ON fan_custom_fields(organization_id, position);
+CREATE INDEX idx_fans_custom_fields ON fans USING GIN (custom_fields);
+
+CREATE INDEX idx_fan_reminder_rules_org ON fan_reminder_rules(organization_id);
+CREATE INDEX idx_fan_reminders_open ON fan_reminders(organization_id, status, occasion_date);
+CREATE INDEX idx_fan_reminders_chatter ON fan_reminders(chatter_id, status, occasion_date);
+
+CREATE INDEX idx_fans_org_fanvue_user ON fans(organization_id, fanvue_fan_id);
+
+CREATE INDEX idx_script_runs_automation_due ON script_runs(next_step_at)
+  WHERE mode = 'automated' AND status = 'active' AND paused_at IS NULL;
+CREATE INDEX idx_script_run_events_action ON script_run_events(action, run_id);
+
+CREATE UNIQUE INDEX idx_script_versions_one_draft ON script_versions(script_id) WHERE status = 'draft';
+CREATE INDEX idx_script_steps_version ON script_steps(version_id, step_index);
+CREATE INDEX idx_script_runs_version ON script_runs(version_id);
+
+CREATE INDEX idx_script_triggers_org ON script_triggers(organization_id);
+CREATE INDEX idx_script_runs_trigger_fan ON script_runs(trigger_id, fan_id, started_at DESC) WHERE trigger_id IS NOT NULL;
+CREATE INDEX idx_script_runs_fan_active ON script_runs(fan_id) WHERE status = 'active';
@@ -18,8 +18,23 @@ const templatesRoutes = require('./routes/templates');
 const revenueRoutes = require('./routes/revenue');
 const webhooksRoutes = require('./routes/webhooks');
 const settingsRoutes = require('./routes/settings');
+const payrollRoutes = require('./routes/payroll');
+const segmentsRoutes = require('./routes/segments');
+const campaignsRoutes = require('./routes/campaigns');
+const remindersRoutes = require('./routes/reminders');
+const scriptTriggersRoutes = require('./routes/scriptTriggers');
 const { startTokenRefreshJob } = require('./services/tokenRefresh');
+const { startAnalyticsSnapshotJob } = require('./services/analyticsSnapshots');
 const { startInboxPollingJob } = require('./services/inboxPoller');
+const { startMessageQueueJob } = require('./services/messageQueue');
+const { startScheduledMessageJob } = require('./services/scheduledMessages');
+const { startReconciliationJob } = require('./services/reconciliation');
+const { startFanForecastJob } = require('./services/fanForecast');
+const { startFanScoringJob } = require('./services/fanScoring');
+const { startCampaignJob } = require('./services/campaigns');
+const { startFanReminderJob } = require('./services/fanReminders');
+const { startScriptAutomationJob } = require('./services/scriptAutomation');
+const { startScriptTriggerJob } = require('./services/scriptTriggers');
 
 const app = express();
 app.set('trust proxy', 1);
@@ -35,7 +50,9 @@ app.use(morgan('dev'));
 // Webhooks need raw body for signature verification — mount before json parser
 app.use('/api/webhooks', webhooksRoutes);
 
-app.use(express.json());
+// Fan imports parse their own, larger bodies once the user is authenticated (routes/fans.js)
+const jsonParser = express.json();
+app.use((req, res, next) => (req.path === '/api/fans/import' ? next() : jsonParser(req, res, next)));
 app.use(express.urlencoded({ extended: true }));
 
 app.use('/api/auth', authRoutes);
@@ -51,6 +68,11 @@ app.use('/api/scripts', scriptsRoutes);
 app.use('/api/templates', templatesRoutes);
 app.use('/api/revenue', revenueRoutes);
 app.use('/api/settings', settingsRoutes);
+app.use('/api/payroll', payrollRoutes);
+app.use('/api/segments', segmentsRoutes);
+app.use('/api/campaigns', campaignsRoutes);
+app.use('/api/reminders', remindersRoutes);
+app.use('/api/script-triggers', scriptTriggersRoutes);
 
 app.get('/health', (req, res) => res.json({ status: 'ok', timestamp: new Date() }));
 
@@ -67,7 +89,17 @@ app.use((err, req, res, next) => {
 });
 
 startTokenRefreshJob();
+startAnalyticsSnapshotJob();
 startInboxPollingJob();
+startMessageQueueJob();
+startScheduledMessageJob();
+startReconciliationJob();
+startFanForecastJob();
+startFanScoringJob();
+startCampaignJob();
+startFanReminderJob();
+startScriptAutomationJob();
+startScriptTriggerJob();
 
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
@@ -0,0 +1,242 @@
+const cron = require('node-cron');
+const supabase = require('../config/supabase');
+const { toDollars, fetchEarnings, fetchSubscribers } = require('./insights');
+const { dayOf } = require('../utils/days');
+const { round2 } = require('../utils/numbers');
+
+/**
+ * Daily per-account analytics rows in analytics_snapshots (UTC days).
+ *
+ * The nightly job writes yesterday (and re-writes the day before — Fanvue settles some
+ * transactions late). Analytics endpoints read finished days from here via getDailyStats
+ * and only fetch today live. Days with no row yet (new account, job hasn't run) are
+ * fetched once and stored on first read.
+ */
+
+// Same lookback as parsePeriod('all')
+const SNAPSHOT_HISTORY_DAYS = 730;
+const RESNAPSHOT_DAYS = 2;
+
+function addDays(day, n) {
+  const d = new Date(`${day}T00:00:00.000Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return dayOf(d);
+}
+
+function daysBetween(startDay, endDay) {
+  const days = [];
+  for (let d = startDay; d <= endDay; d = addDays(d, 1)) days.push(d);
+  return days;
+}
+
+function emptyDay(accountId, day) {
+  return {
+    account_id: accountId,
+    snapshot_date: day,
+    subscriber_count: 0,
+    new_subscribers: 0,
+    cancelled_subscribers: 0,
+    earnings_total: 0,
+    earnings_net: 0,
+    earnings_subscriptions: 0,
+    earnings_renewals: 0,
+    earnings_ppv: 0,
+    earnings_tips: 0,
+    earnings_by_source: {},
+    message_count: 0,
+    messages_sent: 0,
+    messages_received: 0
+  };
+}
+
+async function countMessagesByDay(accountId, startDate, endDate) {
+  const PAGE = 1000;
+  const counts = {};
+  for (let from = 0; ; from += PAGE) {
+    const { data, error } = await supabase
+      .from('messages')
+      .select('direction, sent_at, conversations!inner(account_id)')
+      .eq('conversations.account_id', accountId)
+      .gte('sent_at', startDate)
+      .lt('sent_at', endDate)
+      .range(from, from + PAGE - 1);
+    if (error) throw error;
+    (data || []).forEach(m => {
+      const c = (counts[dayOf(m.sent_at)] = counts[dayOf(m.sent_at)] || { sent: 0, received: 0 });
+      if (m.direction === 'outbound') c.sent++;
+      else c.received++;
+    });
+    if (!data || data.length < PAGE) break;
+  }
+  return counts;
+}
+
+/**
+ * Compute snapshot rows for [startDay, endDay] straight from Fanvue + our messages table.
+ * Fetched strictly — a failed or truncated fetch must not be stored as a zero day.
+ */
+async function computeDays(account, startDay, endDay, endDate = null) {
+  const startDate = `${startDay}T00:00:00.000Z`;
+  endDate = endDate || `${addDays(endDay, 1)}T00:00:00.000Z`;
+
+  const [earnings, subscribers, messages] = await Promise.all([
+    fetchEarnings(account, startDate, endDate, { strict: true }),
+    fetchSubscribers(account, startDate, endDate, { strict: true }),
+    countMessagesByDay(account.id, startDate, endDate)
+  ]);
+
+  const rows = new Map(daysBetween(startDay, endDay).map(d => [d, emptyDay(account.id, d)]));
+
+  earnings.forEach(tx => {
+    const raw = tx.date || tx.createdAt || tx.created_at;
+    const row = raw && rows.get(dayOf(raw));
+    if (!row) return;
+    const gross = toDollars(tx.gross);
+    const source = tx.source || 'other';
+    row.earnings_total += gross;
+    row.earnings_net += toDollars(tx.net);
+    row.earnings_by_source[source] = round2((row.earnings_by_source[source] || 0) + gross);
+    if (source === 'subscription') row.earnings_subscriptions += gross;
+    if (source === 'renewal') row.earnings_renewals += gross;
+    if (source === 'message') row.earnings_ppv += gross;
+    if (source === 'tip') row.earnings_tips += gross;
+  });
+
+  subscribers.forEach(d => {
+    const row = d.date && rows.get(dayOf(d.date));
+    if (!row) return;
+    row.subscriber_count = d.total ?? d.count ?? 0;
+    row.new_subscribers = d.newSubscribersCount || 0;
+    row.cancelled_subscribers = d.cancelledSubscribersCount || 0;
+  });
+
+  Object.entries(messages).forEach(([day, c]) => {
+    const row = rows.get(day);
+    if (!row) return;
+    row.messages_sent = c.sent;
+    row.messages_received = c.received;
+    row.message_count = c.sent + c.received;
+  });
+
+  return [...rows.values()].map(row => ({
+    ...row,
+    earnings_total: round2(row.earnings_total),
+    earnings_net: round2(row.earnings_net),
+    earnings_subscriptions: round2(row.earnings_subscriptions),
+    earnings_renewals: round2(row.earnings_renewals),
+    earnings_ppv: round2(row.earnings_ppv),
+    earnings_tips: round2(row.earnings_tips)
+  }));
+}
+
+/**
+ * Compute and store snapshots for finished days [startDay, endDay].
+ */
+async function snapshotAccount(account, startDay, endDay) {
+  const rows = await computeDays(account, startDay, endDay);
+  for (let i = 0; i < rows.length; i += 500) {
+    const { error } = await supabase
+      .from('analytics_snapshots')
+      .upsert(rows.slice(i, i + 500), { onConflict: 'account_id,snapshot_date' });
+    if (error) throw error;
+  }
+  return rows;
+}
+
+/**
+ * Last UTC day a range ending at `endDate` touches. An end exactly at midnight is
+ * exclusive, like resolveRange's ends for date-only bounds (2026-10-10 → 2026-10-11T00:00Z)
+ * and the start of the period it's compared with.
+ */
+function lastDayOf(endDate) {
+  const end = new Date(endDate).getTime();
+  return dayOf(end % (24 * 60 * 60 * 1000) === 0 ? end - 1 : end);
+}
+
+/**
+ * Daily rows for an account over [startDate, endDate) (ISO timestamps, UTC days).
+ * Finished days come from analytics_snapshots (missing ones are filled and stored);
+ * today, if in range, is computed live and not stored.
+ */
+async function getDailyStats(account, startDate, endDate) {
+  const today = dayOf(new Date());
+  const startDay = dayOf(startDate);
+  const endDay = lastDayOf(endDate) > today ? today : lastDayOf(endDate);
+  const lastFinished = endDay < today ? endDay : addDays(today, -1);
+
+  let stored = [];
+  if (startDay <= lastFinished) {
+    const { data, error } = await supabase
+      .from('analytics_snapshots')
+      .select('*')
+      .eq('account_id', account.id)
+      .gte('snapshot_date', startDay)
+      .lte('snapshot_date', lastFinished)
+      .order('snapshot_date', { ascending: true });
+    if (error) throw error;
+    stored = data || [];
+
+    const have = new Set(stored.map(r => r.snapshot_date));
+    const missing = daysBetween(startDay, lastFinished).filter(d => !have.has(d));
+    if (missing.length) {
+      const filled = await snapshotAccount(account, missing[0], missing[missing.length - 1]);
+      stored = [...stored.filter(r => r.snapshot_date < missing[0] || r.snapshot_date > missing[missing.length - 1]), ...filled]
+        .sort((a, b) => a.snapshot_date.localeCompare(b.snapshot_date));
+    }
+  }
+
+  if (endDay === today && startDay <= today) {
+    const [live] = await computeDays(account, today, today, new Date().toISOString());
+    stored.push({ ...live, live: true });
+  }
+
+  return stored;
+}
+
+/**
+ * Nightly at 00:30 UTC: snapshot the last RESNAPSHOT_DAYS finished days for every active
+ * account — or its full history, first time round.
+ */
+function startAnalyticsSnapshotJob() {
+  cron.schedule('30 0 * * *', async () => {
+    try {
+      const { data: accounts, error } = await supabase
+        .from('connected_accounts')
+        .select('*')
+        .eq('is_active', true);
+      if (error) throw error;
+
+      const yesterday = addDays(dayOf(new Date()), -1);
+      let written = 0;
+
+      for (const account of accounts || []) {
+        try {
+          const { data: latest } = await supabase
+            .from('analytics_snapshots')
+            .select('snapshot_date')
+            .eq('account_id', account.id)
+            .order('snapshot_date', { ascending: false })
+            .limit(1)
+            .maybeSingle();
+
+          const startDay = latest
+            ? [addDays(latest.snapshot_date, 1), addDays(yesterday, 1 - RESNAPSHOT_DAYS)].sort()[0]
+            : addDays(yesterday, 1 - SNAPSHOT_HISTORY_DAYS);
+
+          const rows = await snapshotAccount(account, startDay, yesterday);
+          written += rows.length;
+        } catch (err) {
+          console.error(`[AnalyticsSnapshots] ${account.fanvue_username} failed:`, err.message);
+        }
+      }
+
+      console.log(`[AnalyticsSnapshots] Wrote ${written} snapshot(s) for ${accounts?.length || 0} account(s)`);
+    } catch (err) {
+      console.error('[AnalyticsSnapshots] Error:', err.message);
+    }
+  }, { timezone: 'UTC' });
+
+  console.log('[AnalyticsSnapshots] Started — runs nightly at 00:30 UTC');
+}
+
+module.exports = { startAnalyticsSnapshotJob, snapshotAccount, getDailyStats };
@@ -0,0 +1,364 @@
+const { v4: uuidv4 } = require('uuid');
+const supabase = require('../config/supabase');
+const { round2 } = require('../utils/numbers');
+
+/**
+ * Revenue attribution engine.
+ *
+ * Each organization has an ordered list of attribution_rules. For a revenue event,
+ * enabled rules are tried in priority order and the first one that credits someone wins.
+ * Orgs without rules get DEFAULT_RULES (PPV sender, else last chatter to message the fan).
+ *
+ * Rule types and their config:
+ *   ppv_sender          {}                                   — sender of the unlocked PPV (event.purchased_message_id)
+ *   last_outbound       { windowHours }                      — last chatter/automation message before the event
+ *   active_script_run   { windowHours }                      — script run live in the conversation at the time
+ *   split               { windowHours, weighting }           — every chatter who messaged in the window;
+ *                                                              weighting 'equal' | 'messages'
+ * windowHours is optional everywhere — omitted means no time limit.
+ */
+
+const RULE_TYPES = ['ppv_sender', 'last_outbound', 'active_script_run', 'split'];
+
+const DEFAULT_RULES = [
+  { rule_type: 'ppv_sender', priority: 0, event_types: null, config: {}, is_enabled: true },
+  { rule_type: 'last_outbound', priority: 1, event_types: null, config: {}, is_enabled: true }
+];
+
+const windowStart = (occurredAt, windowHours) =>
+  windowHours ? new Date(new Date(occurredAt).getTime() - windowHours * 3600000).toISOString() : null;
+
+const RULES = {
+  async ppv_sender(event) {
+    if (!event.purchased_message_id) return null;
+
+    const { data: msg } = await supabase
+      .from('messages')
+      .select('id, sent_by_user_id, sent_by_automation, script_run_id')
+      .eq('id', event.purchased_message_id)
+      .maybeSingle();
+
+    if (!msg || (!msg.sent_by_user_id && !msg.sent_by_automation)) return null;
+
+    return {
+      credits: msg.sent_by_user_id ? [{ chatterId: msg.sent_by_user_id, share: 1 }] : [],
+      automation: !!msg.sent_by_automation,
+      messageId: msg.id,
+      scriptRunId: msg.script_run_id
+    };
+  },
+
+  async last_outbound(event, ctx, config) {
+    if (!ctx.conversationId) return null;
+
+    let query = supabase
+      .from('messages')
+      .select('id, sent_by_user_id, sent_by_automation, script_run_id')
+      .eq('conversation_id', ctx.conversationId)
+      .eq('direction', 'outbound')
+      .or('sent_by_user_id.not.is.null,sent_by_automation.eq.true')
+      .lte('sent_at', event.occurred_at)
+      .order('sent_at', { ascending: false })
+      .limit(1);
+
+    const since = windowStart(event.occurred_at, config.windowHours);
+    if (since) query = query.gte('sent_at', since);
+
+    const { data: msg } = await query.maybeSingle();
+    if (!msg) return null;
+
+    return {
+      credits: msg.sent_by_user_id ? [{ chatterId: msg.sent_by_user_id, share: 1 }] : [],
+      automation: !!msg.sent_by_automation,
+      messageId: msg.id,
+      scriptRunId: msg.script_run_id
+    };
+  },
+
+  async active_script_run(event, ctx, config) {
+    if (!ctx.conversationId) return null;
+
+    const { data: run } = await supabase
+      .from('script_runs')
+      .select('id, chatter_id, status, completed_at')
+      .eq('conversation_id', ctx.conversationId)
+      .lte('started_at', event.occurred_at)
+      .order('started_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (!run) return null;
+
+    // Still running, or finished no earlier than the window before the event
+    const since = windowStart(event.occurred_at, config.windowHours);
+    const live = run.status === 'active' || !run.completed_at ||
+      (since ? new Date(run.completed_at) >= new Date(since) : true);
+    if (!live) return null;
+
+    return {
+      credits: run.chatter_id ? [{ chatterId: run.chatter_id, share: 1 }] : [],
+      automation: !run.chatter_id,
+      messageId: null,
+      scriptRunId: run.id
+    };
+  },
+
+  async split(event, ctx, config) {
+    if (!ctx.conversationId) return null;
+
+    let query = supabase
+      .from('messages')
+      .select('sent_by_user_id')
+      .eq('conversation_id', ctx.conversationId)
+      .eq('direction', 'outbound')
+      .not('sent_by_user_id', 'is', null)
+      .lte('sent_at', event.occurred_at);
+
+    const since = windowStart(event.occurred_at, config.windowHours);
+    if (since) query = query.gte('sent_at', since);
+
+    const { data: msgs } = await query;
+    if (!msgs?.length) return null;
+
+    const counts = {};
+    msgs.forEach(m => { counts[m.sent_by_user_id] = (counts[m.sent_by_user_id] || 0) + 1; });
+
+    const chatterIds = Object.keys(counts);
+    const credits = chatterIds.map(chatterId => ({
+      chatterId,
+      share: config.weighting === 'messages' ? counts[chatterId] / msgs.length : 1 / chatterIds.length
+    }));
+
+    return { credits, automation: false, messageId: null, scriptRunId: null };
+  }
+};
+
+/**
+ * Enabled rules for an org in priority order (DEFAULT_RULES if none configured).
+ */
+async function loadRules(organizationId) {
+  const { data: rules } = await supabase
+    .from('attribution_rules')
+    .select('id, rule_type, priority, event_types, config, is_enabled')
+    .eq('organization_id', organizationId)
+    .order('priority', { ascending: true });
+
+  if (!rules?.length) return DEFAULT_RULES;
+  return rules.filter(r => r.is_enabled);
+}
+
+/**
+ * Validate a rules payload from the API. Returns an error string or null.
+ */
+function validateRules(rules) {
+  if (!Array.isArray(rules)) return 'rules must be an array';
+  for (const [i, rule] of rules.entries()) {
+    if (!RULE_TYPES.includes(rule.ruleType)) {
+      return `rules[${i}].ruleType must be one of ${RULE_TYPES.join(', ')}`;
+    }
+    const hours = rule.config?.windowHours;
+    if (hours !== undefined && hours !== null && !(Number(hours) > 0)) {
+      return `rules[${i}].config.windowHours must be a positive number`;
+    }
+    if (rule.eventTypes !== undefined && rule.eventTypes !== null && !Array.isArray(rule.eventTypes)) {
+      return `rules[${i}].eventTypes must be an array`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Run the rules against one revenue event. Pure read — nothing is written.
+ * Returns { rule, credits: [{ chatterId, share }], automation, messageId, scriptRunId }
+ */
+async function computeAttribution(event, rules) {
+  let conversationId = null;
+  if (event.fan_id) {
+    const { data: conv } = await supabase
+      .from('conversations')
+      .select('id')
+      .eq('account_id', event.account_id)
+      .eq('fan_id', event.fan_id)
+      .maybeSingle();
+    conversationId = conv?.id || null;
+  }
+
+  for (const rule of rules) {
+    if (rule.event_types?.length && !rule.event_types.includes(event.event_type)) continue;
+
+    const result = await RULES[rule.rule_type]?.(event, { conversationId }, rule.config || {});
+    if (result) return { rule: rule.rule_type, ...result };
+  }
+
+  return { rule: null, credits: [], automation: false, messageId: null, scriptRunId: null };
+}
+
+/**
+ * Persist an attribution result onto the event + its per-chatter credit rows.
+ * revenue_events.chatter_id keeps the largest share so single-chatter reports still work.
+ */
+async function applyAttribution(event, result) {
+  const credits = [...result.credits].sort((a, b) => b.share - a.share);
+
+  const { data: updated, error } = await supabase
+    .from('revenue_events')
+    .update({
+      chatter_id: credits[0]?.chatterId || null,
+      message_id: result.messageId || null,
+      script_run_id: result.scriptRunId || null,
+      attribution_rule: result.rule,
+      attributed_to_automation: result.automation,
+      attributed_at: new Date().toISOString()
+    })
+    .eq('id', event.id)
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  await supabase.from('revenue_event_attributions').delete().eq('revenue_event_id', event.id);
+
+  if (credits.length) {
+    const { error: creditError } = await supabase
+      .from('revenue_event_attributions')
+      .insert(credits.map(c => ({
+        id: uuidv4(),
+        revenue_event_id: event.id,
+        organization_id: event.organization_id,
+        chatter_id: c.chatterId,
+        share: c.share,
+        amount: Math.round(Number(event.amount) * c.share * 100) / 100
+      })));
+    if (creditError) throw creditError;
+  }
+
+  return updated;
+}
+
+/**
+ * Attribute a freshly inserted revenue event. Returns the updated row.
+ */
+async function attributeRevenueEvent(event, rules = null) {
+  const result = await computeAttribution(event, rules || await loadRules(event.organization_id));
+  return applyAttribution(event, result);
+}
+
+/**
+ * Record an explicit chatter credit (e.g. POST /api/revenue/event with chatterId).
+ * Re-runs leave these alone.
+ */
+async function applyManualAttribution(event) {
+  return applyAttribution(event, {
+    rule: 'manual',
+    credits: event.chatter_id ? [{ chatterId: event.chatter_id, share: 1 }] : [],
+    automation: false,
+    messageId: event.message_id,
+    scriptRunId: event.script_run_id
+  });
+}
+
+/**
+ * Recompute script runs' revenue_generated / converted from the events credited to them
+ * (plus revenue a chatter logged on the run's own events).
+ */
+async function recomputeRunTotals(runIds) {
+  for (const runId of runIds) {
+    const { data: events, error } = await supabase
+      .from('revenue_events')
+      .select('amount')
+      .eq('script_run_id', runId);
+    if (error) throw error;
+
+    const { data: logged } = await supabase
+      .from('script_run_events')
+      .select('id')
+      .eq('run_id', runId)
+      .gt('revenue_amount', 0)
+      .limit(1);
+
+    const revenue = (events || []).reduce((sum, e) => sum + Number(e.amount || 0), 0);
+    await supabase
+      .from('script_runs')
+      .update({
+        revenue_generated: round2(revenue),
+        converted: (events || []).length > 0 || !!logged?.length
+      })
+      .eq('id', runId);
+  }
+}
+
+/**
+ * Re-run the current rules over an org's history, e.g. after the rules change.
+ * Manually attributed events and events recorded uncredited (auto_attribute false —
+ * backfills, reconciliation) are skipped. Script runs whose credit moved get their
+ * totals recomputed. Returns { processed, changed }.
+ */
+async function reattributeHistory(organizationId, { since = null, until = null, accountId = null } = {}) {
+  const rules = await loadRules(organizationId);
+  const PAGE = 500;
+  let processed = 0;
+  let changed = 0;
+  const touchedRuns = new Set();
+
+  for (let from = 0; ; from += PAGE) {
+    let query = supabase
+      .from('revenue_events')
+      .select('*')
+      .eq('organization_id', organizationId)
+      .eq('auto_attribute', true)
+      .order('occurred_at', { ascending: true })
+      .order('id', { ascending: true })
+      .range(from, from + PAGE - 1);
+
+    if (since) query = query.gte('occurred_at', since);
+    if (until) query = query.lte('occurred_at', until);
+    if (accountId) query = query.eq('account_id', accountId);
+
+    const { data: events, error } = await query;
+    if (error) throw error;
+    if (!events?.length) break;
+
+    for (const event of events) {
+      if (event.attribution_rule === 'manual') continue;
+
+      const result = await computeAttribution(event, rules);
+      const topChatter = [...result.credits].sort((a, b) => b.share - a.share)[0]?.chatterId || null;
+      if (topChatter !== event.chatter_id || result.rule !== event.attribution_rule) changed++;
+      if ((result.scriptRunId || null) !== event.script_run_id) {
+        if (event.script_run_id) touchedRuns.add(event.script_run_id);
+        if (result.scriptRunId) touchedRuns.add(result.scriptRunId);
+      }
+
+      await applyAttribution(event, result);
+      processed++;
+    }
+
+    if (events.length < PAGE) break;
+  }
+
+  await recomputeRunTotals(touchedRuns);
+  return { processed, changed };
+}
+
+/**
+ * Per-chatter credits for a revenue_events row selected with
+ * `revenue_event_attributions(chatter_id, amount)`. Events recorded before split
+ * credits existed fall back to the single chatter_id.
+ * Returns [{ chatter_id, amount }]
+ */
+function creditsForEvent(ev) {
+  if (ev.revenue_event_attributions?.length) return ev.revenue_event_attributions;
+  return ev.chatter_id ? [{ chatter_id: ev.chatter_id, amount: ev.amount }] : [];
+}
+
+module.exports = {
+  RULE_TYPES,
+  DEFAULT_RULES,
+  loadRules,
+  validateRules,
+  computeAttribution,
+  attributeRevenueEvent,
+  applyManualAttribution,
+  reattributeHistory,
+  creditsForEvent
+};
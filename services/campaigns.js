@@ -0,0 +1,425 @@
+const cron = require('node-cron');
+const supabase = require('../config/supabase');
+const fanvueApi = require('./fanvueApi');
+const { enqueueMessage } = require('./messageQueue');
+const { loadSegment, evaluateSegment } = require('./segments');
+const { round2 } = require('../utils/numbers');
+const { loadAll } = require('../utils/paging');
+
+/**
+ * Mass messaging campaigns.
+ *
+ * A campaign goes out on each of its accounts in one of two ways:
+ *   lists    one Fanvue mass message per account (fanvueApi.sendMassMessage) to the
+ *            campaign's included/excluded Fanvue lists
+ *   segment  an individual queued message to every fan in a saved segment on that
+ *            account — tracked per fan in campaign_recipients, delivered and retried
+ *            by the outbound message queue
+ *
+ * Each account's campaign_sends row is 'sending' while it goes out. A list send found
+ * still 'sending' when an interrupted campaign resumes may already have reached Fanvue,
+ * so it is flagged 'interrupted' for a person to check rather than sent again; retrying
+ * the campaign by hand (POST /:campaignId/send) sends it.
+ *
+ * Purchases are credited to a campaign on revenue_events.campaign_id (see
+ * campaignForPurchase) so stats can show what each blast earned.
+ */
+
+const AUDIENCE_TYPES = ['lists', 'segment'];
+
+// A list send's PPV has no message row of ours, so unmatched unlocks at the campaign's
+// price on the same account within this window are credited to it
+const LIST_ATTRIBUTION_DAYS = 7;
+
+const DAY_MS = 86400000;
+
+// A 'sending' campaign untouched this long died with its process (crash, deploy) and is
+// picked up again — recipients and accounts already sent are skipped on the resume, and
+// list sends cut off mid-call are flagged instead of re-sent
+const STALE_SENDING_MS = 15 * 60 * 1000;
+const HEARTBEAT_EVERY = 100;
+
+const ppvPrice = (campaign) => (campaign.ppv_price > 0 ? Number(campaign.ppv_price) : null);
+
+async function sendToLists(campaign, account) {
+  const response = await fanvueApi.sendMassMessage(account, {
+    text: campaign.content,
+    mediaUuids: campaign.media_uuids || [],
+    price: ppvPrice(campaign),
+    includedLists: campaign.included_lists,
+    excludedLists: campaign.excluded_lists || null
+  });
+
+  return {
+    fanvue_mass_message_id: response?.uuid || response?.massMessageUuid || response?.id || null,
+    recipient_count: response?.recipientCount ?? response?.recipientsCount ?? null
+  };
+}
+
+/**
+ * Conversation for a fan, created if we've never synced one (Fanvue uses the fan UUID as thread ID).
+ */
+async function conversationFor(account, fan) {
+  const { data, error } = await supabase
+    .from('conversations')
+    .upsert({
+      account_id: account.id,
+      organization_id: account.organization_id,
+      fan_id: fan.id,
+      fanvue_thread_id: fan.fanvue_fan_id
+    }, { onConflict: 'account_id,fan_id' })
+    .select('id, organization_id, fan_id')
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+// Mark a 'sending' campaign as still alive
+function touchCampaign(campaignId) {
+  return supabase
+    .from('campaigns')
+    .update({ updated_at: new Date().toISOString() })
+    .eq('id', campaignId)
+    .eq('status', 'sending');
+}
+
+/**
+ * Claim a fan for a segment send. Returns the campaign_recipients row to queue for, or
+ * null when the fan already has the campaign's message. A fan claimed earlier whose
+ * message never got queued (enqueue failed, or the process died first) is claimed again.
+ */
+async function claimRecipient(campaign, account, fan) {
+  const { data: claimed } = await supabase
+    .from('campaign_recipients')
+    .upsert({ campaign_id: campaign.id, account_id: account.id, fan_id: fan.id },
+      { onConflict: 'campaign_id,fan_id', ignoreDuplicates: true })
+    .select('id, message_id')
+    .maybeSingle();
+  if (claimed) return claimed;
+
+  const { data: existing, error } = await supabase
+    .from('campaign_recipients')
+    .select('id, message_id')
+    .eq('campaign_id', campaign.id)
+    .eq('fan_id', fan.id)
+    .single();
+  if (error) throw error;
+  if (existing.message_id) return null;
+
+  // Queued just before a crash, but not linked yet
+  const { data: queued } = await supabase
+    .from('messages')
+    .select('id, conversations!inner(fan_id)')
+    .eq('campaign_id', campaign.id)
+    .eq('conversations.fan_id', fan.id)
+    .limit(1)
+    .maybeSingle();
+  if (queued) {
+    await supabase.from('campaign_recipients').update({ message_id: queued.id }).eq('id', existing.id);
+    return null;
+  }
+  return existing;
+}
+
+async function sendToSegment(campaign, account, segment) {
+  const fans = await evaluateSegment(segment, { accountId: account.id });
+  let notQueued = 0;
+
+  for (const [i, fan] of fans.entries()) {
+    if (i && i % HEARTBEAT_EVERY === 0) await touchCampaign(campaign.id);
+
+    try {
+      // Claim the fan first — a resumed send skips anyone already messaged
+      const recipient = await claimRecipient(campaign, account, fan);
+      if (!recipient) continue;
+
+      const conversation = await conversationFor(account, fan);
+      const message = await enqueueMessage(conversation, {
+        content: campaign.content,
+        mediaUuids: campaign.media_uuids || [],
+        isPpv: ppvPrice(campaign) !== null,
+        ppvPrice: ppvPrice(campaign),
+        campaignId: campaign.id,
+        // Nobody chatted this — its revenue is the campaign's, not its creator's commission
+        sentByAutomation: true,
+        drain: false
+      });
+
+      await supabase
+        .from('campaign_recipients')
+        .update({ message_id: message.id })
+        .eq('id', recipient.id);
+    } catch (err) {
+      // Left without a message_id — counted as failed, and queued again when the campaign is retried
+      console.error(`[Campaigns] ${campaign.id}: fan ${fan.id} not queued:`, err.message);
+      notQueued++;
+    }
+  }
+
+  if (notQueued) throw new Error(`${notQueued} of ${fans.length} fan(s) not queued`);
+  return { fanvue_mass_message_id: null, recipient_count: fans.length };
+}
+
+async function finishCampaign(campaign, status, errorMessage = null) {
+  const now = new Date().toISOString();
+  const { data } = await supabase
+    .from('campaigns')
+    .update({
+      status,
+      error_message: errorMessage,
+      sent_at: status === 'sent' || status === 'partial' ? now : campaign.sent_at,
+      updated_at: now
+    })
+    .eq('id', campaign.id)
+    .select()
+    .single();
+  return data;
+}
+
+function logSend(campaign, accountId, result) {
+  return supabase
+    .from('campaign_sends')
+    .upsert({
+      campaign_id: campaign.id,
+      organization_id: campaign.organization_id,
+      account_id: accountId,
+      ...result
+    }, { onConflict: 'campaign_id,account_id' });
+}
+
+/**
+ * Send a scheduled campaign on each of its accounts.
+ * Accounts already sent (from an earlier partial run) are skipped; list sends an
+ * interrupted run left 'sending' are flagged 'interrupted' instead of sent again.
+ * Returns the finished campaign, or null if another worker claimed it first.
+ */
+async function dispatchCampaign(campaign) {
+  // Claim the row first so a cancel or a second tick can't double-send
+  const { data: claimed } = await supabase
+    .from('campaigns')
+    .update({ status: 'sending', error_message: null, updated_at: new Date().toISOString() })
+    .eq('id', campaign.id)
+    .eq('status', 'scheduled')
+    .select()
+    .maybeSingle();
+
+  if (!claimed) return null;
+
+  const accountIds = claimed.account_ids || [];
+  if (!accountIds.length) return finishCampaign(claimed, 'failed', 'No accounts selected');
+
+  let segment = null;
+  if (claimed.audience_type === 'segment') {
+    segment = claimed.segment_id ? await loadSegment(claimed.segment_id, claimed.organization_id) : null;
+    if (!segment) return finishCampaign(claimed, 'failed', 'Segment no longer exists');
+  }
+
+  const [{ data: accounts }, { data: previous }] = await Promise.all([
+    supabase
+      .from('connected_accounts')
+      .select('*')
+      .eq('organization_id', claimed.organization_id)
+      .in('id', accountIds),
+    supabase
+      .from('campaign_sends')
+      .select('account_id, status')
+      .eq('campaign_id', claimed.id)
+  ]);
+
+  const statusOf = new Map((previous || []).map(s => [s.account_id, s.status]));
+  let sent = 0;
+
+  for (const accountId of accountIds) {
+    if (statusOf.get(accountId) === 'sent') {
+      sent++;
+      continue;
+    }
+
+    if (claimed.audience_type === 'lists' && statusOf.get(accountId) === 'sending') {
+      const { error } = await logSend(claimed, accountId, {
+        status: 'interrupted',
+        error_message: 'Interrupted mid-send — check Fanvue before retrying, it may have gone out'
+      });
+      if (error) console.error(`[Campaigns] ${claimed.id} send log failed:`, error.message);
+      continue;
+    }
+
+    const account = (accounts || []).find(a => a.id === accountId);
+    let result;
+    try {
+      if (!account || !account.is_active) throw new Error('Account is not connected');
+
+      // Recorded before calling Fanvue, so a crash mid-send is never mistaken for not sent
+      const { error: logError } = await logSend(claimed, accountId, { status: 'sending', error_message: null });
+      if (logError) throw logError;
+
+      const delivered = claimed.audience_type === 'lists'
+        ? await sendToLists(claimed, account)
+        : await sendToSegment(claimed, account, segment);
+      result = { status: 'sent', ...delivered, error_message: null, sent_at: new Date().toISOString() };
+      sent++;
+    } catch (err) {
+      const detail = err.response?.status ? `${err.response.status}: ${err.message}` : err.message;
+      console.error(`[Campaigns] ${claimed.id} on ${account?.fanvue_username || accountId} failed:`, detail);
+      result = { status: 'failed', error_message: detail };
+    }
+
+    const { error } = await logSend(claimed, accountId, result);
+    if (error) console.error(`[Campaigns] ${claimed.id} send log failed:`, error.message);
+    await touchCampaign(claimed.id);
+  }
+
+  if (sent === accountIds.length) return finishCampaign(claimed, 'sent');
+  return finishCampaign(claimed, sent ? 'partial' : 'failed', `${accountIds.length - sent} of ${accountIds.length} account(s) failed or need checking`);
+}
+
+/**
+ * The campaign a purchase came from, or null.
+ * purchasedMessage is our unlocked message row ({ id, campaign_id }) when the webhook matched one.
+ */
+async function campaignForPurchase({ accountId, purchasedMessage = null, messageUuid = null, eventType, amount, occurredAt }) {
+  if (purchasedMessage) return purchasedMessage.campaign_id || null;
+
+  if (messageUuid) {
+    const { data: send } = await supabase
+      .from('campaign_sends')
+      .select('campaign_id')
+      .eq('fanvue_mass_message_id', messageUuid)
+      .maybeSingle();
+    if (send) return send.campaign_id;
+  }
+
+  if (eventType !== 'ppv' || !accountId) return null;
+
+  const at = new Date(occurredAt || Date.now());
+  const { data: sends } = await supabase
+    .from('campaign_sends')
+    .select('campaign_id, sent_at, campaign:campaigns!inner(audience_type, ppv_price)')
+    .eq('account_id', accountId)
+    .eq('status', 'sent')
+    .eq('campaign.audience_type', 'lists')
+    .lte('sent_at', at.toISOString())
+    .gte('sent_at', new Date(at.getTime() - LIST_ATTRIBUTION_DAYS * DAY_MS).toISOString())
+    .order('sent_at', { ascending: false });
+
+  const match = (sends || []).find(s => Number(s.campaign?.ppv_price) === Number(amount));
+  return match ? match.campaign_id : null;
+}
+
+/**
+ * Revenue, unlocks and buyers per campaign id, from revenue_events.
+ */
+async function campaignRevenue(campaignIds) {
+  const stats = new Map(campaignIds.map(id => [id, { revenue: 0, unlocks: 0, buyers: new Set(), byType: {} }]));
+  if (!campaignIds.length) return stats;
+
+  const events = await loadAll(() => supabase
+    .from('revenue_events')
+    .select('campaign_id, fan_id, event_type, amount')
+    .in('campaign_id', campaignIds)
+    .order('id'));
+
+  events.forEach(e => {
+    const s = stats.get(e.campaign_id);
+    const amount = Number(e.amount) || 0;
+    s.revenue += amount;
+    if (e.event_type === 'ppv') s.unlocks++;
+    if (e.fan_id) s.buyers.add(e.fan_id);
+    s.byType[e.event_type] = round2((s.byType[e.event_type] || 0) + amount);
+  });
+
+  stats.forEach((s, id) => stats.set(id, {
+    revenue: round2(s.revenue),
+    unlocks: s.unlocks,
+    buyers: s.buyers.size,
+    byType: s.byType
+  }));
+  return stats;
+}
+
+/**
+ * Delivery of a segment campaign's individual messages: { queued, sent, failed, unlocked }.
+ * Claimed recipients whose message never got queued count as failed.
+ */
+async function segmentDelivery(campaignId) {
+  const [recipients, messages] = await Promise.all([
+    loadAll(() => supabase
+      .from('campaign_recipients')
+      .select('message_id')
+      .eq('campaign_id', campaignId)
+      .order('id')),
+    loadAll(() => supabase
+      .from('messages')
+      .select('platform_status, ppv_unlocked')
+      .eq('campaign_id', campaignId)
+      .order('id'))
+  ]);
+
+  const delivery = { queued: 0, sent: 0, failed: recipients.filter(r => !r.message_id).length, unlocked: 0 };
+  messages.forEach(m => {
+    if (m.platform_status === 'queued') delivery.queued++;
+    else if (m.platform_status === 'failed') delivery.failed++;
+    else delivery.sent++;
+    if (m.ppv_unlocked) delivery.unlocked++;
+  });
+  return delivery;
+}
+
+/**
+ * Put campaigns left 'sending' by a crash or deploy back in the queue.
+ * @returns {Promise<number>} campaigns reclaimed
+ */
+async function reclaimStaleCampaigns(now = new Date()) {
+  const { data: reclaimed, error } = await supabase
+    .from('campaigns')
+    .update({ status: 'scheduled', updated_at: now.toISOString() })
+    .eq('status', 'sending')
+    .lt('updated_at', new Date(now.getTime() - STALE_SENDING_MS).toISOString())
+    .select('id');
+
+  if (error) throw error;
+  return reclaimed?.length || 0;
+}
+
+/**
+ * Every minute, send campaigns whose send time has come, resuming any whose send was
+ * interrupted.
+ */
+function startCampaignJob() {
+  cron.schedule('* * * * *', async () => {
+    try {
+      const reclaimed = await reclaimStaleCampaigns();
+      if (reclaimed) console.log(`[Campaigns] Resuming ${reclaimed} interrupted campaign(s)`);
+
+      const { data: due, error } = await supabase
+        .from('campaigns')
+        .select('*')
+        .eq('status', 'scheduled')
+        .lte('send_at', new Date().toISOString())
+        .order('send_at', { ascending: true })
+        .limit(20);
+
+      if (error) throw error;
+      if (!due?.length) return;
+
+      for (const campaign of due) {
+        const done = await dispatchCampaign(campaign);
+        if (done) console.log(`[Campaigns] ${campaign.name}: ${done.status}`);
+      }
+    } catch (err) {
+      console.error('[Campaigns] Error:', err.message);
+    }
+  }, { timezone: 'UTC' });
+
+  console.log('[Campaigns] Started — checking every minute');
+}
+
+module.exports = {
+  AUDIENCE_TYPES,
+  startCampaignJob,
+  dispatchCampaign,
+  campaignForPurchase,
+  campaignRevenue,
+  segmentDelivery
+};
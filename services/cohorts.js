@@ -0,0 +1,176 @@
+const supabase = require('../config/supabase');
+const { getZonedParts, zonedTimeToUtc } = require('../utils/timezone');
+const { pad } = require('../utils/days');
+const { round2 } = require('../utils/numbers');
+const { loadAll } = require('../utils/paging');
+
+/**
+ * Subscriber cohorts, retention, churn and lifetime value for one account.
+ *
+ * A fan's cohort is the month (org timezone) of their first paid subscription — the
+ * earlier of fans.subscribed_at and their first `subscription` revenue event. Free
+ * subscribers have nothing to renew and are left out.
+ *
+ * A fan counts as retained in month N after joining if a subscription or renewal event
+ * lands in that month (month 0 is the join month, always 100%). The current month is
+ * still in progress, so its cells are flagged `partial` and left out of churn.
+ *
+ * Churn is monthly: of the fans retained in one complete month, the share not retained
+ * in the next. Projected LTV = average monthly revenue per retained fan ÷ churn rate.
+ */
+
+const DEFAULT_COHORT_MONTHS = 12;
+const MAX_COHORT_MONTHS = 36;
+
+const RETENTION_EVENT_TYPES = ['subscription', 'renewal'];
+
+// Months since year 0 — month offsets are plain subtraction
+function monthIndex(date, timeZone) {
+  const p = getZonedParts(new Date(date), timeZone);
+  return p.year * 12 + (p.month - 1);
+}
+
+const monthLabel = (index) => `${Math.floor(index / 12)}-${pad((index % 12) + 1)}`;
+
+/**
+ * Cohort table + churn + LTV for the last `months` cohorts (current month included).
+ */
+async function computeCohorts(account, { months = DEFAULT_COHORT_MONTHS, timeZone = 'UTC' } = {}) {
+  const currentMonth = monthIndex(new Date(), timeZone);
+  const firstMonth = currentMonth - (months - 1);
+
+  const [fans, firstSubs] = await Promise.all([
+    loadAll(() => supabase
+      .from('fans')
+      .select('id, subscribed_at, subscription_status')
+      .eq('account_id', account.id)
+      .or('subscription_status.is.null,subscription_status.neq.free')
+      .order('id')),
+    loadAll(() => supabase
+      .from('revenue_events')
+      .select('fan_id, occurred_at')
+      .eq('account_id', account.id)
+      .eq('event_type', 'subscription')
+      .not('fan_id', 'is', null)
+      .order('occurred_at', { ascending: true }))
+  ]);
+
+  // Cohort per fan
+  const joinedAt = new Map();
+  fans.forEach(f => { if (f.subscribed_at) joinedAt.set(f.id, f.subscribed_at); });
+  const paying = new Set(fans.map(f => f.id));
+  firstSubs.forEach(ev => {
+    if (!paying.has(ev.fan_id)) return;
+    const known = joinedAt.get(ev.fan_id);
+    if (!known || new Date(ev.occurred_at) < new Date(known)) joinedAt.set(ev.fan_id, ev.occurred_at);
+  });
+
+  const cohortOf = new Map();
+  joinedAt.forEach((at, fanId) => {
+    const idx = monthIndex(at, timeZone);
+    if (idx >= firstMonth && idx <= currentMonth) cohortOf.set(fanId, idx);
+  });
+
+  // Nothing before the oldest cohort month matters
+  const startDate = zonedTimeToUtc(`${monthLabel(firstMonth)}-01T00:00`, timeZone).toISOString();
+  const events = cohortOf.size
+    ? await loadAll(() => supabase
+      .from('revenue_events')
+      .select('fan_id, event_type, amount, occurred_at')
+      .eq('account_id', account.id)
+      .gte('occurred_at', startDate)
+      .not('fan_id', 'is', null)
+      .order('occurred_at', { ascending: true }))
+    : [];
+
+  // cohort month → { size, active: [Set per offset], revenue: [per offset] }
+  const cohorts = new Map();
+  for (let idx = firstMonth; idx <= currentMonth; idx++) {
+    const span = currentMonth - idx + 1;
+    cohorts.set(idx, {
+      size: 0,
+      active: Array.from({ length: span }, () => new Set()),
+      revenue: new Array(span).fill(0)
+    });
+  }
+
+  cohortOf.forEach((idx, fanId) => {
+    const c = cohorts.get(idx);
+    c.size++;
+    c.active[0].add(fanId);
+  });
+
+  events.forEach(ev => {
+    const idx = cohortOf.get(ev.fan_id);
+    if (idx === undefined) return;
+    const offset = monthIndex(ev.occurred_at, timeZone) - idx;
+    const c = cohorts.get(idx);
+    if (offset < 0 || offset >= c.revenue.length) return;
+    c.revenue[offset] += Number(ev.amount) || 0;
+    if (RETENTION_EVENT_TYPES.includes(ev.event_type)) c.active[offset].add(ev.fan_id);
+  });
+
+  let churned = 0;
+  let churnBase = 0;
+  let retainedMonths = 0;
+  let completeRevenue = 0;
+  let totalRevenue = 0;
+  let totalSubscribers = 0;
+
+  const table = [...cohorts.entries()].map(([idx, c]) => {
+    let cumulative = 0;
+    const retention = c.active.map((fans, offset) => {
+      cumulative += c.revenue[offset];
+      const partial = idx + offset === currentMonth;
+
+      if (!partial) {
+        retainedMonths += fans.size;
+        completeRevenue += c.revenue[offset];
+      }
+      // Churn needs this month and the next to both be complete
+      if (offset + 1 < c.active.length && idx + offset + 1 < currentMonth) {
+        const next = c.active[offset + 1];
+        churnBase += fans.size;
+        fans.forEach(id => { if (!next.has(id)) churned++; });
+      }
+
+      return {
+        month: offset,
+        label: monthLabel(idx + offset),
+        active: fans.size,
+        rate: c.size ? round2((fans.size / c.size) * 100) : 0,
+        revenue: round2(c.revenue[offset]),
+        cumulativeRevenue: round2(cumulative),
+        cumulativePerSubscriber: c.size ? round2(cumulative / c.size) : 0,
+        partial
+      };
+    });
+
+    totalRevenue += cumulative;
+    totalSubscribers += c.size;
+    return { cohort: monthLabel(idx), size: c.size, revenue: round2(cumulative), retention };
+  });
+
+  const churnRate = churnBase ? churned / churnBase : null;
+  const monthlyRevenuePerSubscriber = retainedMonths ? completeRevenue / retainedMonths : 0;
+
+  return {
+    timezone: timeZone,
+    months,
+    cohorts: table,
+    churn: {
+      rate: churnRate === null ? null : round2(churnRate * 100),
+      churned,
+      base: churnBase,
+      averageLifetimeMonths: churnRate ? round2(1 / churnRate) : null
+    },
+    ltv: {
+      subscribers: totalSubscribers,
+      average: totalSubscribers ? round2(totalRevenue / totalSubscribers) : 0,
+      monthlyRevenuePerSubscriber: round2(monthlyRevenuePerSubscriber),
+      projected: churnRate ? round2(monthlyRevenuePerSubscriber / churnRate) : null
+    }
+  };
+}
+
+module.exports = { DEFAULT_COHORT_MONTHS, MAX_COHORT_MONTHS, computeCohorts };
@@ -0,0 +1,238 @@
+const supabase = require('../config/supabase');
+
+/**
+ * Organization-defined fan profile fields. Definitions live in fan_custom_fields;
+ * each fan's values live in fans.custom_fields as { key: value }:
+ *
+ *   text          string
+ *   number        number
+ *   date          'YYYY-MM-DD'
+ *   select        one of the field's options
+ *   multi_select  array of the field's options
+ *
+ * GET /api/fans filters on them with custom[key]=value or custom[key][op]=value
+ * (see FILTER_OPS), and snippets can use them as {{custom.key}}.
+ */
+
+const FIELD_TYPES = ['text', 'number', 'date', 'select', 'multi_select'];
+
+const FILTER_OPS = {
+  text: ['eq', 'contains', 'set'],
+  number: ['eq', 'gt', 'gte', 'lt', 'lte', 'set'],
+  date: ['eq', 'gt', 'gte', 'lt', 'lte', 'set'],
+  select: ['eq', 'in', 'set'],
+  multi_select: ['has', 'set']
+};
+
+const KEY_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_TEXT_LENGTH = 1000;
+const MAX_OPTIONS = 100;
+
+const isDate = (v) => typeof v === 'string' && DATE_PATTERN.test(v) && !isNaN(new Date(`${v}T00:00:00Z`));
+
+/**
+ * Validate a field definition. partial: only check what's present (updates).
+ * Returns an error message or null.
+ */
+function validateFieldDefinition({ key, label, type, options }, { partial = false } = {}) {
+  if (!partial || key !== undefined) {
+    if (typeof key !== 'string' || !KEY_PATTERN.test(key)) {
+      return 'key must be lowercase letters, digits and underscores, starting with a letter';
+    }
+  }
+  if (!partial || label !== undefined) {
+    if (typeof label !== 'string' || !label.trim()) return 'label required';
+  }
+  if (!partial || type !== undefined) {
+    if (!FIELD_TYPES.includes(type)) return `type must be one of ${FIELD_TYPES.join(', ')}`;
+  }
+  if (options !== undefined && options !== null) {
+    if (!Array.isArray(options) || options.some(o => typeof o !== 'string' || !o.trim())) {
+      return 'options must be a list of strings';
+    }
+    if (options.length > MAX_OPTIONS) return `At most ${MAX_OPTIONS} options`;
+  }
+  return null;
+}
+
+async function loadCustomFields(organizationId) {
+  const { data, error } = await supabase
+    .from('fan_custom_fields')
+    .select('*')
+    .eq('organization_id', organizationId)
+    .order('position', { ascending: true })
+    .order('label', { ascending: true });
+  if (error) throw error;
+  return data || [];
+}
+
+function normalizeValue(field, value) {
+  if (value === null || value === undefined || value === '') return { value: null };
+
+  switch (field.type) {
+    case 'text':
+      if (typeof value !== 'string') return { error: `${field.key} must be text` };
+      if (value.length > MAX_TEXT_LENGTH) return { error: `${field.key} is longer than ${MAX_TEXT_LENGTH} characters` };
+      return { value: value.trim() || null };
+    case 'number': {
+      const n = typeof value === 'string' ? Number(value) : value;
+      if (typeof n !== 'number' || !isFinite(n)) return { error: `${field.key} must be a number` };
+      return { value: n };
+    }
+    case 'date':
+      if (!isDate(value)) return { error: `${field.key} must be a date (YYYY-MM-DD)` };
+      return { value };
+    case 'select':
+      if (!(field.options || []).includes(value)) return { error: `${field.key} must be one of ${(field.options || []).join(', ')}` };
+      return { value };
+    case 'multi_select': {
+      if (!Array.isArray(value)) return { error: `${field.key} must be a list` };
+      const bad = value.find(v => !(field.options || []).includes(v));
+      if (bad !== undefined) return { error: `${field.key}: unknown option ${bad}` };
+      return { value: value.length ? [...new Set(value)] : null };
+    }
+    default:
+      return { error: `${field.key} has an unknown type` };
+  }
+}
+
+/**
+ * Merge `values` ({ key: value | null }) into a fan's current custom_fields.
+ * null or '' clears a value. Returns { customFields } or { error }.
+ */
+function mergeValues(current, values, fields) {
+  if (!values || typeof values !== 'object' || Array.isArray(values)) return { error: 'values must be an object' };
+
+  const byKey = new Map(fields.map(f => [f.key, f]));
+  const merged = { ...(current || {}) };
+
+  for (const [key, raw] of Object.entries(values)) {
+    const field = byKey.get(key);
+    if (!field) return { error: `Unknown field: ${key}` };
+    const { value, error } = normalizeValue(field, raw);
+    if (error) return { error };
+    if (value === null) delete merged[key];
+    else merged[key] = value;
+  }
+
+  return { customFields: merged };
+}
+
+/**
+ * Parse GET /api/fans `custom` query params into [{ field, op, value }].
+ * custom[key]=v is eq (has for multi_select). Returns { filters } or { error }.
+ */
+function parseFilters(custom, fields) {
+  if (!custom) return { filters: [] };
+  if (typeof custom !== 'object') return { error: 'custom filters must be custom[key]=value' };
+
+  const byKey = new Map(fields.map(f => [f.key, f]));
+  const filters = [];
+
+  for (const [key, spec] of Object.entries(custom)) {
+    const field = byKey.get(key);
+    if (!field) return { error: `Unknown field: ${key}` };
+
+    const entries = typeof spec === 'object' && spec !== null
+      ? Object.entries(spec)
+      : [[field.type === 'multi_select' ? 'has' : 'eq', spec]];
+
+    for (const [op, raw] of entries) {
+      if (!FILTER_OPS[field.type].includes(op)) {
+        return { error: `${key} supports ${FILTER_OPS[field.type].join(', ')}` };
+      }
+
+      let value = String(raw);
+      if (op === 'set') {
+        if (!['true', 'false'].includes(value)) return { error: `${key} set must be true or false` };
+        value = value === 'true';
+      } else if (op === 'in' || op === 'has') {
+        value = value.split(',').map(v => v.trim()).filter(Boolean);
+        if (!value.length) return { error: `${key} ${op} needs a value` };
+      } else if (field.type === 'number') {
+        value = Number(value);
+        if (!isFinite(value) || raw === '') return { error: `${key} needs a number` };
+      } else if (field.type === 'date' && !isDate(value)) {
+        return { error: `${key} needs a date (YYYY-MM-DD)` };
+      }
+
+      filters.push({ field, op, value });
+    }
+  }
+
+  return { filters };
+}
+
+/**
+ * Apply parsed filters to a fans query.
+ */
+function applyFilters(query, filters) {
+  filters.forEach(({ field, op, value }) => {
+    const json = `custom_fields->${field.key}`; // jsonb — numbers compare as numbers
+    const text = `custom_fields->>${field.key}`;
+
+    if (op === 'set') {
+      query = value ? query.not(json, 'is', null) : query.is(json, null);
+    } else if (op === 'contains') {
+      query = query.ilike(text, `%${value}%`);
+    } else if (op === 'in') {
+      query = query.in(text, value);
+    } else if (op === 'has') {
+      query = query.contains('custom_fields', { [field.key]: value });
+    } else if (field.type === 'number') {
+      query = query[op](json, value);
+    } else {
+      query = query[op](text, value);
+    }
+  });
+  return query;
+}
+
+/**
+ * The same filters checked in JS, for fan lists built outside the database (segments).
+ */
+function matchesFilters(customFields, filters) {
+  return filters.every(({ field, op, value }) => {
+    const v = (customFields || {})[field.key];
+    if (op === 'set') return (v !== undefined && v !== null) === value;
+    if (v === undefined || v === null) return false;
+
+    switch (op) {
+      case 'contains': return String(v).toLowerCase().includes(value.toLowerCase());
+      case 'in': return value.includes(v);
+      case 'has': return Array.isArray(v) && value.every(x => v.includes(x));
+      case 'eq': return field.type === 'number' ? Number(v) === value : v === value;
+      case 'gt': return v > value;
+      case 'gte': return v >= value;
+      case 'lt': return v < value;
+      case 'lte': return v <= value;
+      default: return false;
+    }
+  });
+}
+
+/**
+ * A fan's values as display strings, for snippet {{custom.key}} variables.
+ */
+function displayValues(customFields, fields) {
+  const out = {};
+  fields.forEach(f => {
+    const v = (customFields || {})[f.key];
+    if (v === undefined || v === null) return;
+    out[f.key] = Array.isArray(v) ? v.join(', ') : String(v);
+  });
+  return out;
+}
+
+module.exports = {
+  FIELD_TYPES,
+  FILTER_OPS,
+  validateFieldDefinition,
+  loadCustomFields,
+  mergeValues,
+  parseFilters,
+  applyFilters,
+  matchesFilters,
+  displayValues
+};
@@ -0,0 +1,187 @@
+const supabase = require('../config/supabase');
+const fanvueApi = require('./fanvueApi');
+const { withRetry } = require('../utils/rateLimitRetry');
+const { buildChunks } = require('./insights');
+const { recordRevenueEvent } = require('./revenueEvents');
+const { normalizeTransaction } = require('./reconciliation');
+
+/**
+ * Historical earnings backfill — run when an account is connected.
+ *
+ * Pages through /insights/earnings from BACKFILL_START to now, oldest chunk first,
+ * and records each transaction as an unattributed revenue event (history predates
+ * the team, so nobody is credited). Progress lives on connected_accounts:
+ *   backfill_status    none | running | completed | failed
+ *   backfill_progress  0-100 (chunks done / total)
+ *   backfill_events    revenue events written
+ *   backfill_through   everything before this is recorded — a failed run resumes here
+ *   backfill_heartbeat_at  touched after every chunk; a 'running' row that hasn't been
+ *                      touched in STALE_AFTER_MS died with its process (see failStaleBackfills)
+ */
+
+// Fanvue launched in 2021 — nothing earlier to fetch
+const BACKFILL_START = '2021-01-01T00:00:00.000Z';
+
+// A chunk (with rate-limit retries) never takes this long
+const STALE_AFTER_MS = 60 * 60 * 1000;
+
+// Accounts with a backfill in flight in this process
+const running = new Set();
+
+async function loadAccount(accountId) {
+  const { data } = await supabase
+    .from('connected_accounts')
+    .select('*')
+    .eq('id', accountId)
+    .single();
+  return data;
+}
+
+async function setProgress(accountId, fields) {
+  await supabase
+    .from('connected_accounts')
+    .update(fields)
+    .eq('id', accountId);
+}
+
+/**
+ * Fan row for a transaction's user, creating it if the inbox poller hasn't yet.
+ */
+async function resolveFanId(account, user, cache) {
+  if (!user?.uuid) return null;
+  if (cache.has(user.uuid)) return cache.get(user.uuid);
+
+  const { data: fan } = await supabase
+    .from('fans')
+    .upsert({
+      account_id: account.id,
+      organization_id: account.organization_id,
+      fanvue_fan_id: user.uuid,
+      username: user.handle || user.username,
+      display_name: user.displayName,
+      avatar_url: user.avatarUrl,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'account_id,fanvue_fan_id' })
+    .select('id')
+    .single();
+
+  cache.set(user.uuid, fan?.id || null);
+  return fan?.id || null;
+}
+
+/**
+ * Backfill one account. Safe to call repeatedly: a completed backfill is a no-op
+ * (unless force, which catches up from backfill_through to now), a failed one
+ * resumes from backfill_through, and events dedupe on fanvue_event_id.
+ */
+async function backfillAccountEarnings(accountId, { force = false } = {}) {
+  if (running.has(accountId)) return;
+  running.add(accountId);
+
+  try {
+    let account = await loadAccount(accountId);
+    if (!account || (account.backfill_status === 'completed' && !force)) return;
+
+    const chunks = buildChunks(account.backfill_through || BACKFILL_START, new Date().toISOString());
+    let recorded = account.backfill_events || 0;
+    const fanIds = new Map();
+
+    await setProgress(accountId, {
+      backfill_status: 'running',
+      backfill_progress: 0,
+      backfill_error: null,
+      backfill_started_at: new Date().toISOString(),
+      backfill_heartbeat_at: new Date().toISOString()
+    });
+
+    for (const [i, chunk] of chunks.entries()) {
+      // Reload each chunk — the token may have been refreshed (and rotated) meanwhile
+      account = await loadAccount(accountId);
+      let cursor = null;
+      const seen = new Set();
+
+      do {
+        const page = await withRetry(() => fanvueApi.getInsightsEarnings(account, {
+          startDate: chunk.startDate,
+          endDate: chunk.endDate,
+          cursor: cursor || undefined,
+          limit: 100
+        }));
+
+        for (const raw of page?.data || []) {
+          if (!(raw.date || raw.createdAt || raw.created_at)) continue;
+          const tx = normalizeTransaction(raw);
+          if (!tx.amount) continue;
+
+          const { duplicate } = await recordRevenueEvent({
+            organizationId: account.organization_id,
+            accountId: account.id,
+            fanId: await resolveFanId(account, raw.user, fanIds),
+            eventType: tx.eventType,
+            amount: tx.amount,
+            fanvueEventId: tx.id,
+            occurredAt: tx.occurredAt,
+            attribute: false
+          });
+          if (!duplicate) recorded++;
+        }
+
+        cursor = page?.nextCursor || null;
+        if (cursor && seen.has(cursor)) break;
+        seen.add(cursor);
+      } while (cursor);
+
+      await setProgress(accountId, {
+        backfill_progress: Math.round(((i + 1) / chunks.length) * 100),
+        backfill_events: recorded,
+        backfill_through: chunk.endDate,
+        backfill_heartbeat_at: new Date().toISOString()
+      });
+    }
+
+    await setProgress(accountId, {
+      backfill_status: 'completed',
+      backfill_progress: 100,
+      backfill_completed_at: new Date().toISOString()
+    });
+
+    console.log(`[EarningsBackfill] ${account.fanvue_username}: ${recorded} revenue event(s) recorded`);
+  } catch (err) {
+    console.error(`[EarningsBackfill] Account ${accountId} failed:`, err.message);
+    await setProgress(accountId, { backfill_status: 'failed', backfill_error: err.message });
+  } finally {
+    running.delete(accountId);
+  }
+}
+
+function isBackfillRunning(accountId) {
+  return running.has(accountId);
+}
+
+/**
+ * Mark backfills left 'running' by a crash or deploy as failed, so reconciliation stops
+ * skipping the account and POST /api/accounts/:accountId/backfill resumes them.
+ * @returns {Promise<number>} backfills marked failed
+ */
+async function failStaleBackfills(now = new Date()) {
+  const staleBefore = new Date(now.getTime() - STALE_AFTER_MS).toISOString();
+  const { data: stale, error } = await supabase
+    .from('connected_accounts')
+    .update({ backfill_status: 'failed', backfill_error: 'Interrupted — the server stopped mid-backfill' })
+    .eq('backfill_status', 'running')
+    .or(`backfill_heartbeat_at.is.null,backfill_heartbeat_at.lt.${staleBefore}`)
+    .select('id');
+
+  if (error) throw error;
+  return stale?.length || 0;
+}
+
+/**
+ * Fire-and-forget wrapper for request handlers.
+ */
+function startEarningsBackfill(accountId, opts) {
+  backfillAccountEarnings(accountId, opts).catch(err =>
+    console.error(`[EarningsBackfill] Account ${accountId} failed:`, err.message));
+}
+
+module.exports = { backfillAccountEarnings, startEarningsBackfill, isBackfillRunning, failStaleBackfills };
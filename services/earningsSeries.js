@@ -0,0 +1,185 @@
+const supabase = require('../config/supabase');
+const { isValidTimeZone, getZonedParts, zonedTimeToUtc } = require('../utils/timezone');
+const { eventTypeForSource, sourceForEventType } = require('./revenueEvents');
+const { pad, dayString } = require('../utils/days');
+const { round2 } = require('../utils/numbers');
+
+/**
+ * Bucketed earnings from revenue_events, in the organization's timezone.
+ *
+ * Buckets are keyed by local wall-clock time:
+ *   hourly   'YYYY-MM-DDTHH:00'
+ *   daily    'YYYY-MM-DD'
+ *   weekly   'YYYY-MM-DD' of the week's Monday
+ *   monthly  'YYYY-MM'
+ * Every bucket in the range is returned, empty ones with zeros, so charts need no gap filling.
+ */
+
+const INTERVALS = ['hourly', 'daily', 'weekly', 'monthly'];
+
+// An hourly series longer than this is too many points to chart
+const MAX_HOURLY_DAYS = 92;
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+// 0 = Monday ... 6 = Sunday for a calendar date
+const mondayIndex = (y, m, d) => (new Date(Date.UTC(y, m - 1, d)).getUTCDay() + 6) % 7;
+
+async function getOrgTimezone(organizationId) {
+  const { data } = await supabase
+    .from('organizations')
+    .select('timezone')
+    .eq('id', organizationId)
+    .maybeSingle();
+  return isValidTimeZone(data?.timezone) ? data.timezone : 'UTC';
+}
+
+/**
+ * Revenue events for the org (optionally one account / one Fanvue source) in [startDate, endDate).
+ */
+async function loadEvents(organizationId, { startDate, endDate, accountId = null, source = null }) {
+  const PAGE = 1000;
+  const events = [];
+  for (let from = 0; ; from += PAGE) {
+    let query = supabase
+      .from('revenue_events')
+      .select('amount, event_type, occurred_at')
+      .eq('organization_id', organizationId)
+      .gte('occurred_at', startDate)
+      .lt('occurred_at', endDate)
+      .order('occurred_at', { ascending: true })
+      .range(from, from + PAGE - 1);
+    if (accountId) query = query.eq('account_id', accountId);
+    if (source) query = query.eq('event_type', eventTypeForSource(source));
+
+    const { data, error } = await query;
+    if (error) throw error;
+    events.push(...(data || []));
+    if (!data || data.length < PAGE) break;
+  }
+  return events;
+}
+
+function keyForLocalDay(y, m, d, interval) {
+  if (interval === 'monthly') return `${y}-${pad(m)}`;
+  if (interval === 'weekly') return dayString(y, m, d - mondayIndex(y, m, d));
+  return dayString(y, m, d);
+}
+
+/**
+ * Bucket key for an instant, as seen in `timeZone`.
+ */
+function bucketKey(date, interval, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  if (interval === 'hourly') return `${dayString(p.year, p.month, p.day)}T${pad(p.hour)}:00`;
+  return keyForLocalDay(p.year, p.month, p.day, interval);
+}
+
+/**
+ * Every bucket key touched by [startDate, endDate), oldest first.
+ */
+function bucketKeys(startDate, endDate, interval, timeZone) {
+  const start = new Date(startDate).getTime();
+  const end = new Date(endDate).getTime();
+  const keys = new Set();
+
+  if (interval === 'hourly') {
+    // Quarter-hour steps so zones with :30/:45 offsets don't skip a local hour
+    for (let t = start; t < end; t += 15 * 60 * 1000) keys.add(bucketKey(new Date(t), interval, timeZone));
+    return [...keys];
+  }
+
+  const first = getZonedParts(new Date(start), timeZone);
+  const lastDay = bucketKey(new Date(end - 1), 'daily', timeZone);
+  for (let i = 0; ; i++) {
+    const day = dayString(first.year, first.month, first.day + i);
+    if (day > lastDay) break;
+    const [y, m, d] = day.split('-').map(Number);
+    keys.add(keyForLocalDay(y, m, d, interval));
+  }
+  return [...keys];
+}
+
+// UTC instant a bucket starts at
+function bucketStart(key, interval, timeZone) {
+  const local = interval === 'hourly' ? key : interval === 'monthly' ? `${key}-01T00:00` : `${key}T00:00`;
+  return zonedTimeToUtc(local, timeZone).toISOString();
+}
+
+/**
+ * Earnings series over [startDate, endDate).
+ * Returns [{ bucket, start, gross, count, sources: { [source]: gross } }]
+ */
+function buildSeries(events, { interval, timeZone, startDate, endDate }) {
+  const buckets = new Map(bucketKeys(startDate, endDate, interval, timeZone).map(key => [key, {
+    bucket: key,
+    start: bucketStart(key, interval, timeZone),
+    gross: 0,
+    count: 0,
+    sources: {}
+  }]));
+
+  events.forEach(ev => {
+    const b = buckets.get(bucketKey(new Date(ev.occurred_at), interval, timeZone));
+    if (!b) return;
+    const amount = Number(ev.amount) || 0;
+    const source = sourceForEventType(ev.event_type);
+    b.gross += amount;
+    b.count++;
+    b.sources[source] = (b.sources[source] || 0) + amount;
+  });
+
+  return [...buckets.values()].map(b => ({
+    ...b,
+    gross: round2(b.gross),
+    sources: Object.fromEntries(Object.entries(b.sources).map(([s, v]) => [s, round2(v)]))
+  }));
+}
+
+function cell() {
+  return { gross: 0, count: 0 };
+}
+
+function finishCell(c) {
+  return { gross: round2(c.gross), count: c.count, avg: c.count ? round2(c.gross / c.count) : 0 };
+}
+
+/**
+ * Hour-of-week heatmap: earnings by local weekday × hour, Monday first.
+ * Returns { cells: [{ weekday, hour, gross, count, avg }] (7×24), byWeekday, byHour }
+ * avg is per transaction.
+ */
+function buildHeatmap(events, timeZone) {
+  const grid = WEEKDAYS.map(() => Array.from({ length: 24 }, cell));
+
+  events.forEach(ev => {
+    const p = getZonedParts(new Date(ev.occurred_at), timeZone);
+    const c = grid[(p.weekday + 6) % 7][p.hour];
+    c.gross += Number(ev.amount) || 0;
+    c.count++;
+  });
+
+  const byWeekday = grid.map((hours, i) => ({
+    weekday: WEEKDAYS[i],
+    ...finishCell(hours.reduce((acc, c) => ({ gross: acc.gross + c.gross, count: acc.count + c.count }), cell()))
+  }));
+  const byHour = Array.from({ length: 24 }, (_, hour) => ({
+    hour,
+    ...finishCell(grid.reduce((acc, hours) => ({
+      gross: acc.gross + hours[hour].gross,
+      count: acc.count + hours[hour].count
+    }), cell()))
+  }));
+  const cells = grid.flatMap((hours, i) => hours.map((c, hour) => ({ weekday: WEEKDAYS[i], hour, ...finishCell(c) })));
+
+  return { cells, byWeekday, byHour };
+}
+
+module.exports = {
+  INTERVALS,
+  MAX_HOURLY_DAYS,
+  getOrgTimezone,
+  loadEvents,
+  buildSeries,
+  buildHeatmap
+};
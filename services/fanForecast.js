@@ -0,0 +1,325 @@
+const cron = require('node-cron');
+const supabase = require('../config/supabase');
+const { computeCohorts } = require('./cohorts');
+const { round2, round4 } = require('../utils/numbers');
+const { loadAll } = require('../utils/paging');
+
+/**
+ * Per-fan 30-day spend forecasts, stored on fans so GET /api/fans can sort by them.
+ *
+ * Discretionary spend (PPV, tips, posts, ...) is modelled as a Poisson purchase stream:
+ *   rate    recency-weighted purchases/day over the last LOOKBACK_DAYS (half-life HALF_LIFE_DAYS)
+ *   ticket  recency-weighted average purchase
+ * blended with a lifetime prior (monthly spend since the fan joined, faded by how long ago
+ * they last bought) — weight PRIOR_PURCHASES, so fans with little recent history lean on it.
+ * The prior comes from revenue_events nightly, and from Fanvue's per-source spend totals
+ * (getFanInsights) whenever a fan's insights are opened.
+ *
+ * Recurring spend is the next renewal: last subscription price × renewal probability
+ * (0 with auto-renew off, else 1 − the account's monthly churn, stored on
+ * connected_accounts.renewal_probability by the nightly run).
+ *
+ * purchase_likelihood_7d = P(at least one discretionary purchase in the next 7 days).
+ * forecast_variance lets the account roll-up put confidence bands on the sum.
+ */
+
+const LOOKBACK_DAYS = 90;
+const HALF_LIFE_DAYS = 30;
+const PRIOR_PURCHASES = 3;
+const HORIZON_DAYS = 30;
+
+const RECURRING_EVENT_TYPES = ['subscription', 'renewal'];
+
+// Renewal probability when the account has no churn history yet
+const DEFAULT_RENEWAL_PROBABILITY = 0.7;
+
+const DAY_MS = 86400000;
+const TAU = HALF_LIFE_DAYS / Math.LN2;
+
+/**
+ * Lifetime prior from a fan's full purchase history.
+ * @returns {{ monthlySpend, avgTicket, lastPurchaseAt }} or null without purchases
+ */
+function priorFromHistory(events, joinedAt, now = new Date()) {
+  const purchases = events.filter(e => !RECURRING_EVENT_TYPES.includes(e.event_type));
+  if (!purchases.length) return null;
+
+  const total = purchases.reduce((s, e) => s + Number(e.amount), 0);
+  const first = joinedAt || purchases.reduce((min, e) => (e.occurred_at < min ? e.occurred_at : min), purchases[0].occurred_at);
+  const months = Math.max(1, (now - new Date(first)) / (HORIZON_DAYS * DAY_MS));
+
+  return {
+    monthlySpend: total / months,
+    avgTicket: total / purchases.length,
+    lastPurchaseAt: purchases.reduce((max, e) => (e.occurred_at > max ? e.occurred_at : max), purchases[0].occurred_at)
+  };
+}
+
+/**
+ * Forecast one fan.
+ * events: the fan's revenue events (any age — only LOOKBACK_DAYS are used)
+ * renewal: { price, probability } for the next renewal, or null
+ * prior: from priorFromHistory / Fanvue insights, or null
+ * @returns {{ expected, discretionary, recurring, variance, likelihood7d }}
+ */
+function forecastFan({ events = [], renewal = null, prior = null, now = new Date() }) {
+  const since = now.getTime() - LOOKBACK_DAYS * DAY_MS;
+  const recent = events.filter(e =>
+    !RECURRING_EVENT_TYPES.includes(e.event_type) && new Date(e.occurred_at).getTime() >= since);
+
+  // Recency-weighted rate: Σ weights ÷ the weighted length of the window
+  let weight = 0;
+  let weightedAmount = 0;
+  let weightedSquare = 0;
+  recent.forEach(e => {
+    const w = Math.exp(-(now - new Date(e.occurred_at)) / DAY_MS / TAU);
+    const amount = Number(e.amount) || 0;
+    weight += w;
+    weightedAmount += w * amount;
+    weightedSquare += w * amount * amount;
+  });
+  const exposure = TAU * (1 - Math.exp(-LOOKBACK_DAYS / TAU));
+  const localRate = weight / exposure;
+  const localTicket = weight ? weightedAmount / weight : 0;
+  const localSquare = weight ? weightedSquare / weight : 0;
+
+  let monthly = localRate * HORIZON_DAYS * localTicket;
+  let ticket = localTicket;
+  let square = localSquare;
+
+  if (prior && prior.monthlySpend > 0) {
+    // A lapsed fan's lifetime average says little about next month
+    const idleDays = prior.lastPurchaseAt ? (now - new Date(prior.lastPurchaseAt)) / DAY_MS : LOOKBACK_DAYS;
+    const priorMonthly = prior.monthlySpend * Math.exp(-Math.max(0, idleDays - HORIZON_DAYS) / TAU);
+
+    const n = recent.length;
+    monthly = (n * monthly + PRIOR_PURCHASES * priorMonthly) / (n + PRIOR_PURCHASES);
+    if (!n) {
+      ticket = prior.avgTicket || priorMonthly;
+      square = ticket * ticket;
+    }
+  }
+
+  const rate = ticket ? monthly / HORIZON_DAYS / ticket : 0;
+  const discretionary = monthly;
+  const discretionaryVariance = rate * HORIZON_DAYS * square; // compound Poisson
+
+  let recurring = 0;
+  let recurringVariance = 0;
+  if (renewal?.price) {
+    const p = renewal.probability;
+    recurring = renewal.price * p;
+    recurringVariance = renewal.price * renewal.price * p * (1 - p);
+  }
+
+  return {
+    expected: round2(discretionary + recurring),
+    discretionary: round2(discretionary),
+    recurring: round2(recurring),
+    variance: round4(discretionaryVariance + recurringVariance),
+    likelihood7d: round4(1 - Math.exp(-rate * 7))
+  };
+}
+
+/**
+ * Renewal for a fan: last subscription/renewal price, if they're still subscribed.
+ */
+function renewalFor(fan, events, renewalProbability) {
+  if (fan.subscription_status !== 'active') return null;
+  const last = events
+    .filter(e => RECURRING_EVENT_TYPES.includes(e.event_type))
+    .reduce((latest, e) => (!latest || e.occurred_at > latest.occurred_at ? e : latest), null);
+  if (!last) return null;
+  return { price: Number(last.amount), probability: fan.rebill_on === false ? 0 : renewalProbability };
+}
+
+async function accountRenewalProbability(account) {
+  const { churn } = await computeCohorts(account, { months: 6 });
+  return churn.rate === null ? DEFAULT_RENEWAL_PROBABILITY : 1 - churn.rate / 100;
+}
+
+/**
+ * The renewal probability forecastAccount last stored — computing it loads the account's
+ * whole subscription history, too much for every fan panel opened.
+ */
+async function storedRenewalProbability(accountId) {
+  const { data: account } = await supabase
+    .from('connected_accounts')
+    .select('renewal_probability')
+    .eq('id', accountId)
+    .maybeSingle();
+  return account?.renewal_probability == null ? DEFAULT_RENEWAL_PROBABILITY : Number(account.renewal_probability);
+}
+
+function forecastColumns(forecast) {
+  return {
+    forecast_spend_30d: forecast.expected,
+    forecast_variance: forecast.variance,
+    purchase_likelihood_7d: forecast.likelihood7d,
+    forecast_updated_at: new Date().toISOString()
+  };
+}
+
+/**
+ * Recompute and store forecasts for every fan on an account.
+ */
+async function forecastAccount(account) {
+  const now = new Date();
+  const [fans, events, renewalProbability] = await Promise.all([
+    loadAll(() => supabase
+      .from('fans')
+      .select('id, subscription_status, rebill_on, subscribed_at, first_seen_at')
+      .eq('account_id', account.id)
+      .order('id')),
+    loadAll(() => supabase
+      .from('revenue_events')
+      .select('fan_id, event_type, amount, occurred_at')
+      .eq('account_id', account.id)
+      .not('fan_id', 'is', null)
+      .order('occurred_at', { ascending: true })),
+    accountRenewalProbability(account)
+  ]);
+
+  await supabase
+    .from('connected_accounts')
+    .update({ renewal_probability: round4(renewalProbability) })
+    .eq('id', account.id);
+
+  const byFan = new Map();
+  events.forEach(e => {
+    if (!byFan.has(e.fan_id)) byFan.set(e.fan_id, []);
+    byFan.get(e.fan_id).push(e);
+  });
+
+  let updated = 0;
+  for (const fan of fans) {
+    const history = byFan.get(fan.id) || [];
+    const forecast = forecastFan({
+      events: history,
+      renewal: renewalFor(fan, history, renewalProbability),
+      prior: priorFromHistory(history, fan.subscribed_at || fan.first_seen_at, now),
+      now
+    });
+
+    const { error } = await supabase
+      .from('fans')
+      .update(forecastColumns(forecast))
+      .eq('id', fan.id);
+    if (!error) updated++;
+  }
+
+  return { fans: updated };
+}
+
+/**
+ * Re-forecast one fan using Fanvue's lifetime spend by source as the prior.
+ * insights is the normalized object GET /api/fans/:fanId/insights builds.
+ */
+async function forecastFanWithInsights(fan, insights) {
+  const now = new Date();
+  const { data: history } = await supabase
+    .from('revenue_events')
+    .select('event_type, amount, occurred_at')
+    .eq('fan_id', fan.id)
+    .order('occurred_at', { ascending: true });
+
+  const discretionary = ['ppv_total', 'tip_total', 'post_total']
+    .reduce((s, k) => s + (insights[k] || 0), 0);
+  const joinedAt = insights.subscription_started_at || fan.subscribed_at || fan.first_seen_at;
+  const purchases = (fan.ppv_unlock_count || 0) + (fan.tip_count || 0);
+
+  let prior = priorFromHistory(history || [], joinedAt, now);
+  if (discretionary > 0 && joinedAt) {
+    const months = Math.max(1, (now - new Date(joinedAt)) / (HORIZON_DAYS * DAY_MS));
+    prior = {
+      monthlySpend: discretionary / months,
+      avgTicket: purchases ? discretionary / purchases : prior?.avgTicket || null,
+      lastPurchaseAt: insights.last_purchase_at || prior?.lastPurchaseAt || null
+    };
+  }
+
+  const renewalProbability = await storedRenewalProbability(fan.account_id);
+  const forecast = forecastFan({
+    events: history || [],
+    renewal: renewalFor({ ...fan, rebill_on: insights.auto_renew ?? fan.rebill_on }, history || [], renewalProbability),
+    prior,
+    now
+  });
+
+  await supabase
+    .from('fans')
+    .update(forecastColumns(forecast))
+    .eq('id', fan.id);
+
+  return forecast;
+}
+
+// z-scores for two-sided 80% / 95% intervals
+const Z80 = 1.2816;
+const Z95 = 1.96;
+
+/**
+ * Account-level 30-day forecast: the sum of stored fan forecasts, with normal-approximation
+ * confidence bands from the summed variances (fans treated as independent).
+ */
+async function accountForecast(account) {
+  const fans = await loadAll(() => supabase
+    .from('fans')
+    .select('forecast_spend_30d, forecast_variance, purchase_likelihood_7d, forecast_updated_at')
+    .eq('account_id', account.id)
+    .not('forecast_updated_at', 'is', null)
+    .order('id'));
+
+  const expected = fans.reduce((s, f) => s + Number(f.forecast_spend_30d || 0), 0);
+  const sd = Math.sqrt(fans.reduce((s, f) => s + Number(f.forecast_variance || 0), 0));
+  const band = (z) => ({ low: round2(Math.max(0, expected - z * sd)), high: round2(expected + z * sd) });
+
+  return {
+    horizonDays: HORIZON_DAYS,
+    expected: round2(expected),
+    standardDeviation: round2(sd),
+    bands: { '80': band(Z80), '95': band(Z95) },
+    fans: fans.length,
+    likelyBuyers7d: round2(fans.reduce((s, f) => s + Number(f.purchase_likelihood_7d || 0), 0)),
+    updatedAt: fans.reduce((max, f) => (f.forecast_updated_at > max ? f.forecast_updated_at : max), null)
+  };
+}
+
+/**
+ * Nightly at 02:00 UTC, after the snapshot job — re-forecast every active account.
+ */
+function startFanForecastJob() {
+  cron.schedule('0 2 * * *', async () => {
+    try {
+      const { data: accounts, error } = await supabase
+        .from('connected_accounts')
+        .select('*')
+        .eq('is_active', true);
+      if (error) throw error;
+
+      let total = 0;
+      for (const account of accounts || []) {
+        try {
+          const { fans } = await forecastAccount(account);
+          total += fans;
+        } catch (err) {
+          console.error(`[FanForecast] ${account.fanvue_username} failed:`, err.message);
+        }
+      }
+
+      console.log(`[FanForecast] Forecast ${total} fan(s) across ${accounts?.length || 0} account(s)`);
+    } catch (err) {
+      console.error('[FanForecast] Error:', err.message);
+    }
+  }, { timezone: 'UTC' });
+
+  console.log('[FanForecast] Started — runs nightly at 02:00 UTC');
+}
+
+module.exports = {
+  startFanForecastJob,
+  forecastFan,
+  forecastAccount,
+  forecastFanWithInsights,
+  accountForecast
+};
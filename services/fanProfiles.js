@@ -0,0 +1,121 @@
+const supabase = require('../config/supabase');
+const { getTierThresholds, tierFor } = require('./fanScoring');
+const { round2 } = require('../utils/numbers');
+
+/**
+ * Cross-account fan profiles.
+ *
+ * The same Fanvue user has one fans row per creator account they follow
+ * (unique on account_id + fanvue_fan_id). Rows in an organization with the same
+ * fanvue_fan_id (the Fanvue user UUID) are one person: their spend adds up across
+ * creators and is tiered with the organization's spend tier thresholds, so a new
+ * subscriber who is already a whale elsewhere shows up as one.
+ *
+ * With organizations.share_fan_notes on, notes and tags from every linked row are
+ * shared on the profile.
+ */
+
+const LINKED_COLUMNS = `
+  id, account_id, fanvue_fan_id, subscription_status, subscribed_at,
+  lifetime_spend, spend_30d, spend_tier, last_active_at,
+  account:connected_accounts(id, label, fanvue_username, fanvue_display_name)
+`;
+
+async function loadLinked(organizationId, fanvueFanIds, columns) {
+  const rows = [];
+  // Keep the id lists inside URL limits
+  for (let i = 0; i < fanvueFanIds.length; i += 200) {
+    const { data, error } = await supabase
+      .from('fans')
+      .select(columns)
+      .eq('organization_id', organizationId)
+      .in('fanvue_fan_id', fanvueFanIds.slice(i, i + 200));
+    if (error) throw error;
+    rows.push(...(data || []));
+  }
+  return rows;
+}
+
+function summarize(rows, thresholds) {
+  const lifetimeSpend = round2(rows.reduce((s, r) => s + (Number(r.lifetime_spend) || 0), 0));
+  const spend30d = round2(rows.reduce((s, r) => s + (Number(r.spend_30d) || 0), 0));
+  return {
+    account_count: rows.length,
+    lifetime_spend: lifetimeSpend,
+    spend_30d: spend30d,
+    spend_tier: tierFor(thresholds.metric === 'lifetime_spend' ? lifetimeSpend : spend30d, thresholds)
+  };
+}
+
+/**
+ * Attach `network` ({ account_count, lifetime_spend, spend_30d, spend_tier } across
+ * all our creators) to each fan row. Rows need fanvue_fan_id.
+ */
+async function attachNetwork(organizationId, fans) {
+  const ids = [...new Set(fans.map(f => f?.fanvue_fan_id).filter(Boolean))];
+  if (!ids.length) return fans;
+
+  const [rows, thresholds] = await Promise.all([
+    loadLinked(organizationId, ids, 'fanvue_fan_id, lifetime_spend, spend_30d'),
+    getTierThresholds(organizationId)
+  ]);
+
+  const byUser = new Map();
+  rows.forEach(r => {
+    if (!byUser.has(r.fanvue_fan_id)) byUser.set(r.fanvue_fan_id, []);
+    byUser.get(r.fanvue_fan_id).push(r);
+  });
+
+  fans.forEach(f => {
+    if (f?.fanvue_fan_id) f.network = summarize(byUser.get(f.fanvue_fan_id) || [f], thresholds);
+  });
+  return fans;
+}
+
+/**
+ * A fan's cross-account profile: totals, and every creator they follow with what they
+ * spent there. Shared notes and tags are included when the organization shares them.
+ */
+async function fanProfile(fan) {
+  const [linked, thresholds, { data: org }] = await Promise.all([
+    loadLinked(fan.organization_id, [fan.fanvue_fan_id], LINKED_COLUMNS),
+    getTierThresholds(fan.organization_id),
+    supabase
+      .from('organizations')
+      .select('share_fan_notes')
+      .eq('id', fan.organization_id)
+      .maybeSingle()
+  ]);
+
+  linked.sort((a, b) => (Number(b.lifetime_spend) || 0) - (Number(a.lifetime_spend) || 0));
+
+  const profile = {
+    fanvue_fan_id: fan.fanvue_fan_id,
+    ...summarize(linked, thresholds),
+    accounts: linked.map(r => ({ ...r, current: r.id === fan.id })),
+    shared: !!org?.share_fan_notes
+  };
+
+  if (profile.shared) {
+    const fanIds = linked.map(r => r.id);
+    const accountOf = new Map(linked.map(r => [r.id, r.account]));
+    const [{ data: notes }, { data: tags }] = await Promise.all([
+      supabase
+        .from('fan_notes')
+        .select('id, fan_id, content, category, created_at, author:users!fan_notes_author_id_fkey(name)')
+        .in('fan_id', fanIds)
+        .order('created_at', { ascending: false }),
+      supabase
+        .from('fan_tags')
+        .select('fan_id, tag')
+        .in('fan_id', fanIds)
+    ]);
+
+    profile.notes = (notes || []).map(n => ({ ...n, account: accountOf.get(n.fan_id) }));
+    profile.tags = [...new Set((tags || []).map(t => t.tag))].sort();
+  }
+
+  return profile;
+}
+
+module.exports = { attachNetwork, fanProfile };
@@ -0,0 +1,189 @@
+const cron = require('node-cron');
+const supabase = require('../config/supabase');
+const { getZonedParts, zonedTimeToUtc } = require('../utils/timezone');
+const { getOrgTimezone } = require('./earningsSeries');
+const { resolveVariables, fanContext } = require('./snippetVariables');
+const { dayString } = require('../utils/days');
+const { loadAll } = require('../utils/paging');
+
+/**
+ * Birthday and subscription anniversary reminders.
+ *
+ * Each account has at most one rule per occasion (fan_reminder_rules). Once a day, for
+ * every active rule, fans whose occasion falls lead_days from today (organization
+ * timezone) get a fan_reminders row. The fan's conversation is flagged for follow-up on
+ * the day, and the rule's snippet is resolved for the fan and kept on the reminder for
+ * the assigned chatter.
+ *
+ *   birthday     fans.birthday (month and day)
+ *   anniversary  fans.subscribed_at, for active subscribers of at least a year
+ *
+ * Feb 29 occasions fall on Feb 28 in other years. Reminders are unique per fan, occasion
+ * and date, so reruns never duplicate them.
+ */
+
+const OCCASIONS = ['birthday', 'anniversary'];
+const MAX_LEAD_DAYS = 30;
+
+const FAN_COLUMNS = 'id, username, display_name, lifetime_spend, subscribed_at, subscription_status, birthday, custom_fields';
+
+const isLeapYear = (y) => (y % 4 === 0 && y % 100 !== 0) || y % 400 === 0;
+
+// The occasion's date in `year`
+function occasionOn(year, month, day) {
+  if (month === 2 && day === 29 && !isLeapYear(year)) return dayString(year, 2, 28);
+  return dayString(year, month, day);
+}
+
+/**
+ * When a fan's occasion falls in `year`: { date, years } or null.
+ */
+function fanOccasion(fan, occasion, year, timeZone) {
+  if (occasion === 'birthday') {
+    const m = /^\d{4}-(\d{2})-(\d{2})/.exec(fan.birthday || '');
+    return m ? { date: occasionOn(year, Number(m[1]), Number(m[2])), years: null } : null;
+  }
+
+  if (!fan.subscribed_at) return null;
+  const since = getZonedParts(new Date(fan.subscribed_at), timeZone);
+  const years = year - since.year;
+  return years >= 1 ? { date: occasionOn(year, since.month, since.day), years } : null;
+}
+
+/**
+ * Create one rule's reminders for fans whose occasion is on `targetDate`.
+ * Returns the number of reminders created.
+ */
+async function remindForRule(rule, targetDate, timeZone) {
+  const year = Number(targetDate.slice(0, 4));
+
+  const fans = await loadAll(() => {
+    let query = supabase
+      .from('fans')
+      .select(FAN_COLUMNS)
+      .eq('account_id', rule.account_id)
+      .order('id');
+    query = rule.occasion === 'birthday'
+      ? query.not('birthday', 'is', null)
+      : query.not('subscribed_at', 'is', null).eq('subscription_status', 'active');
+    return query;
+  });
+
+  const due = fans
+    .map(fan => ({ fan, occasion: fanOccasion(fan, rule.occasion, year, timeZone) }))
+    .filter(d => d.occasion?.date === targetDate);
+  if (!due.length) return 0;
+
+  const { data: conversations } = await supabase
+    .from('conversations')
+    .select('id, fan_id, assigned_chatter_id')
+    .eq('account_id', rule.account_id)
+    .in('fan_id', due.map(d => d.fan.id));
+  const byFan = new Map((conversations || []).map(c => [c.fan_id, c]));
+
+  const snippet = rule.snippet?.is_active ? rule.snippet : null;
+  const followUpAt = zonedTimeToUtc(`${targetDate}T00:00`, timeZone).toISOString();
+  let created = 0;
+
+  for (const { fan, occasion } of due) {
+    const conversation = byFan.get(fan.id) || null;
+    const content = snippet
+      ? resolveVariables(snippet.body, await fanContext(fan, rule.organization_id, snippet.body))
+      : null;
+
+    const { data: reminder, error } = await supabase
+      .from('fan_reminders')
+      .upsert({
+        organization_id: rule.organization_id,
+        account_id: rule.account_id,
+        fan_id: fan.id,
+        conversation_id: conversation?.id || null,
+        rule_id: rule.id,
+        occasion: rule.occasion,
+        occasion_date: targetDate,
+        years: occasion.years,
+        chatter_id: conversation?.assigned_chatter_id || null,
+        snippet_id: snippet?.id || null,
+        content
+      }, { onConflict: 'fan_id,occasion,occasion_date', ignoreDuplicates: true })
+      .select('id')
+      .maybeSingle();
+
+    if (error) {
+      console.error(`[FanReminders] ${fan.id} ${rule.occasion} failed:`, error.message);
+      continue;
+    }
+    if (!reminder) continue;
+    created++;
+
+    if (conversation) {
+      await supabase
+        .from('conversations')
+        .update({ needs_follow_up: true, follow_up_at: followUpAt, updated_at: new Date().toISOString() })
+        .eq('id', conversation.id);
+    }
+  }
+
+  return created;
+}
+
+/**
+ * Run an organization's active rules for today (organization timezone).
+ * @returns {Promise<number>} reminders created
+ */
+async function runOrganizationReminders(organizationId, now = new Date()) {
+  const { data: rules, error } = await supabase
+    .from('fan_reminder_rules')
+    .select('*, snippet:snippets(id, body, is_active), account:connected_accounts!inner(is_active)')
+    .eq('organization_id', organizationId)
+    .eq('is_active', true)
+    .eq('account.is_active', true);
+  if (error) throw error;
+  if (!rules?.length) return 0;
+
+  const timeZone = await getOrgTimezone(organizationId);
+  const today = getZonedParts(now, timeZone);
+
+  let created = 0;
+  for (const rule of rules) {
+    try {
+      created += await remindForRule(rule, dayString(today.year, today.month, today.day + (rule.lead_days || 0)), timeZone);
+    } catch (err) {
+      console.error(`[FanReminders] Rule ${rule.id} failed:`, err.message);
+    }
+  }
+  return created;
+}
+
+/**
+ * Daily at 06:00 UTC.
+ */
+function startFanReminderJob() {
+  cron.schedule('0 6 * * *', async () => {
+    try {
+      const { data: rules, error } = await supabase
+        .from('fan_reminder_rules')
+        .select('organization_id')
+        .eq('is_active', true);
+      if (error) throw error;
+
+      let created = 0;
+      for (const organizationId of new Set((rules || []).map(r => r.organization_id))) {
+        created += await runOrganizationReminders(organizationId);
+      }
+
+      console.log(`[FanReminders] ${created} reminder(s) created`);
+    } catch (err) {
+      console.error('[FanReminders] Error:', err.message);
+    }
+  }, { timezone: 'UTC' });
+
+  console.log('[FanReminders] Started — runs daily at 06:00 UTC');
+}
+
+module.exports = {
+  OCCASIONS,
+  MAX_LEAD_DAYS,
+  runOrganizationReminders,
+  startFanReminderJob
+};
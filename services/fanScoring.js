@@ -0,0 +1,267 @@
+const cron = require('node-cron');
+const supabase = require('../config/supabase');
+const { round2 } = require('../utils/numbers');
+const { loadAll } = require('../utils/paging');
+
+/**
+ * Fan spend windows, spend tier and buyer score — the "computed, updated by background
+ * job" columns on fans.
+ *
+ *   spend_7d / spend_30d  summed from revenue_events
+ *   spend_tier            whale | dolphin | low by the org's thresholds on spend_30d
+ *                         (or lifetime_spend), see organizations.spend_tier_thresholds
+ *   rfm_score             'RFM' digits 1-5 — quintile within the account for recency of
+ *                         last purchase, purchases and spend over RFM_WINDOW_DAYS
+ *   buyer_score           0-100 blend of the same percentiles plus inbound message
+ *                         activity over the last ENGAGEMENT_WINDOW_DAYS
+ *
+ * Tier moves are written to fan_tier_changes.
+ */
+
+const SPEND_TIERS = ['whale', 'dolphin', 'low'];
+const TIER_METRICS = ['spend_30d', 'lifetime_spend'];
+const DEFAULT_TIER_THRESHOLDS = { metric: 'spend_30d', whale: 500, dolphin: 100 };
+
+const RFM_WINDOW_DAYS = 90;
+const ENGAGEMENT_WINDOW_DAYS = 30;
+
+// buyer_score weights — recency matters most for who buys next
+const SCORE_WEIGHTS = { recency: 0.35, frequency: 0.25, monetary: 0.25, engagement: 0.15 };
+
+const DAY_MS = 86400000;
+
+/**
+ * Validate { metric?, whale, dolphin }. Returns an error message or null.
+ */
+function validateThresholds({ metric = 'spend_30d', whale, dolphin } = {}) {
+  if (!TIER_METRICS.includes(metric)) return `metric must be one of ${TIER_METRICS.join(', ')}`;
+  if (typeof whale !== 'number' || typeof dolphin !== 'number' || whale <= 0 || dolphin <= 0) {
+    return 'whale and dolphin must be positive amounts';
+  }
+  if (dolphin >= whale) return 'whale threshold must be above the dolphin threshold';
+  return null;
+}
+
+async function getTierThresholds(organizationId) {
+  const { data } = await supabase
+    .from('organizations')
+    .select('spend_tier_thresholds')
+    .eq('id', organizationId)
+    .maybeSingle();
+  const t = { ...DEFAULT_TIER_THRESHOLDS, ...(data?.spend_tier_thresholds || {}) };
+  return validateThresholds(t) ? DEFAULT_TIER_THRESHOLDS : t;
+}
+
+function tierFor(value, { whale, dolphin }) {
+  if (value >= whale) return 'whale';
+  if (value >= dolphin) return 'dolphin';
+  return 'low';
+}
+
+/**
+ * Percentile (0-1] of each positive value among the positive values; missing/zero → 0.
+ */
+function percentiles(values) {
+  const sorted = [...values.values()].filter(v => v > 0).sort((a, b) => a - b);
+  const out = new Map();
+  values.forEach((v, key) => {
+    if (!(v > 0)) return out.set(key, 0);
+    // Ties share the highest rank so equal fans score the same
+    let lo = 0;
+    let hi = sorted.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (sorted[mid] <= v) lo = mid + 1;
+      else hi = mid;
+    }
+    out.set(key, lo / sorted.length);
+  });
+  return out;
+}
+
+const quintile = (p) => (p > 0 ? Math.min(5, 1 + Math.floor(p * 5 - 1e-9)) : 1);
+
+/**
+ * Recompute every fan on an account. Only changed rows are written.
+ * Returns { fans, updated, tierChanges }.
+ */
+async function scoreAccount(account, thresholds) {
+  const now = Date.now();
+  const rfmSince = new Date(now - RFM_WINDOW_DAYS * DAY_MS).toISOString();
+  const engagementSince = new Date(now - ENGAGEMENT_WINDOW_DAYS * DAY_MS).toISOString();
+
+  const [fans, events, inbound] = await Promise.all([
+    loadAll(() => supabase
+      .from('fans')
+      .select('id, lifetime_spend, spend_7d, spend_30d, spend_tier, buyer_score, rfm_score, last_purchase_at')
+      .eq('account_id', account.id)
+      .order('id')),
+    loadAll(() => supabase
+      .from('revenue_events')
+      .select('fan_id, amount, occurred_at')
+      .eq('account_id', account.id)
+      .gte('occurred_at', rfmSince)
+      .not('fan_id', 'is', null)
+      .order('occurred_at', { ascending: true })),
+    loadAll(() => supabase
+      .from('messages')
+      .select('sent_at, conversations!inner(account_id, fan_id)')
+      .eq('conversations.account_id', account.id)
+      .eq('direction', 'inbound')
+      .gte('sent_at', engagementSince)
+      .order('sent_at', { ascending: true }))
+  ]);
+
+  const stats = new Map(fans.map(f => [f.id, {
+    spend7: 0, spend30: 0, spend90: 0, purchases: 0,
+    lastPurchase: f.last_purchase_at ? new Date(f.last_purchase_at).getTime() : 0,
+    inbound: 0
+  }]));
+
+  events.forEach(e => {
+    const s = stats.get(e.fan_id);
+    if (!s) return;
+    const at = new Date(e.occurred_at).getTime();
+    const amount = Number(e.amount) || 0;
+    s.spend90 += amount;
+    s.purchases++;
+    if (at >= now - 30 * DAY_MS) s.spend30 += amount;
+    if (at >= now - 7 * DAY_MS) s.spend7 += amount;
+    if (at > s.lastPurchase) s.lastPurchase = at;
+  });
+
+  inbound.forEach(m => {
+    const s = stats.get(m.conversations?.fan_id);
+    if (s) s.inbound++;
+  });
+
+  // Recency as "days remaining in the window" so bigger is better, like the others
+  const recency = percentiles(new Map([...stats].map(([id, s]) => [id,
+    s.lastPurchase ? Math.max(0, RFM_WINDOW_DAYS - (now - s.lastPurchase) / DAY_MS) : 0])));
+  const frequency = percentiles(new Map([...stats].map(([id, s]) => [id, s.purchases])));
+  const monetary = percentiles(new Map([...stats].map(([id, s]) => [id, s.spend90])));
+  const engagement = percentiles(new Map([...stats].map(([id, s]) => [id, s.inbound])));
+
+  let updated = 0;
+  const tierChanges = [];
+
+  for (const fan of fans) {
+    const s = stats.get(fan.id);
+    const r = recency.get(fan.id);
+    const f = frequency.get(fan.id);
+    const m = monetary.get(fan.id);
+
+    const spend30 = round2(s.spend30);
+    const tierValue = thresholds.metric === 'lifetime_spend' ? Number(fan.lifetime_spend || 0) : spend30;
+    const next = {
+      spend_7d: round2(s.spend7),
+      spend_30d: spend30,
+      spend_tier: tierFor(tierValue, thresholds),
+      rfm_score: `${quintile(r)}${quintile(f)}${quintile(m)}`,
+      buyer_score: Math.round(100 * (
+        SCORE_WEIGHTS.recency * r +
+        SCORE_WEIGHTS.frequency * f +
+        SCORE_WEIGHTS.monetary * m +
+        SCORE_WEIGHTS.engagement * engagement.get(fan.id)
+      ))
+    };
+
+    const changed = Object.keys(next).some(k =>
+      (typeof next[k] === 'number' ? Number(fan[k] || 0) !== next[k] : fan[k] !== next[k]));
+    if (!changed) continue;
+
+    const { error } = await supabase
+      .from('fans')
+      .update({ ...next, scores_updated_at: new Date().toISOString() })
+      .eq('id', fan.id);
+    if (error) {
+      console.error(`[FanScoring] Fan ${fan.id} update failed:`, error.message);
+      continue;
+    }
+    updated++;
+
+    if ((fan.spend_tier || 'low') !== next.spend_tier) {
+      tierChanges.push({
+        organization_id: account.organization_id,
+        account_id: account.id,
+        fan_id: fan.id,
+        from_tier: fan.spend_tier || 'low',
+        to_tier: next.spend_tier,
+        direction: SPEND_TIERS.indexOf(next.spend_tier) < SPEND_TIERS.indexOf(fan.spend_tier || 'low') ? 'up' : 'down',
+        tier_value: tierValue,
+        buyer_score: next.buyer_score
+      });
+    }
+  }
+
+  for (let i = 0; i < tierChanges.length; i += 500) {
+    const { error } = await supabase.from('fan_tier_changes').insert(tierChanges.slice(i, i + 500));
+    if (error) console.error('[FanScoring] Tier change log failed:', error.message);
+  }
+
+  return { fans: fans.length, updated, tierChanges: tierChanges.length };
+}
+
+/**
+ * Rescore every active account in an org (e.g. after its thresholds change).
+ */
+async function scoreOrganization(organizationId) {
+  const thresholds = await getTierThresholds(organizationId);
+  const { data: accounts } = await supabase
+    .from('connected_accounts')
+    .select('id, organization_id, fanvue_username')
+    .eq('organization_id', organizationId)
+    .eq('is_active', true);
+
+  const results = [];
+  for (const account of accounts || []) {
+    try {
+      results.push({ accountId: account.id, ...(await scoreAccount(account, thresholds)) });
+    } catch (err) {
+      console.error(`[FanScoring] ${account.fanvue_username} failed:`, err.message);
+      results.push({ accountId: account.id, error: err.message });
+    }
+  }
+  return results;
+}
+
+/**
+ * Every 6 hours at :15 — keeps the 7-day window reasonably fresh without rescoring
+ * whole accounts too often.
+ */
+function startFanScoringJob() {
+  cron.schedule('15 */6 * * *', async () => {
+    try {
+      const { data: orgs, error } = await supabase
+        .from('connected_accounts')
+        .select('organization_id')
+        .eq('is_active', true);
+      if (error) throw error;
+
+      let updated = 0;
+      let tierChanges = 0;
+      for (const organizationId of new Set((orgs || []).map(o => o.organization_id))) {
+        const results = await scoreOrganization(organizationId);
+        results.forEach(r => { updated += r.updated || 0; tierChanges += r.tierChanges || 0; });
+      }
+
+      console.log(`[FanScoring] ${updated} fan(s) updated, ${tierChanges} tier change(s)`);
+    } catch (err) {
+      console.error('[FanScoring] Error:', err.message);
+    }
+  }, { timezone: 'UTC' });
+
+  console.log('[FanScoring] Started — runs every 6 hours');
+}
+
+module.exports = {
+  SPEND_TIERS,
+  TIER_METRICS,
+  DEFAULT_TIER_THRESHOLDS,
+  validateThresholds,
+  getTierThresholds,
+  tierFor,
+  scoreAccount,
+  scoreOrganization,
+  startFanScoringJob
+};
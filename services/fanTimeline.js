@@ -0,0 +1,211 @@
+const { v4: uuidv4 } = require('uuid');
+const supabase = require('../config/supabase');
+
+/**
+ * One chronological feed of everything that happened with a fan, newest first.
+ *
+ * Each item type is its own feed (a query with its own time column). A page queries
+ * every requested feed past the cursor, merges and keeps the newest `limit`. Items are
+ * ordered by (time, feed, id) descending, and the cursor is the last item's key, so
+ * pages never skip or repeat items that share a timestamp.
+ *
+ *   message       messages in either direction (not PPV)
+ *   ppv_sent      outbound PPV messages, with whether they were unlocked
+ *   ppv_unlock, tip, subscription, renewal
+ *                 revenue_events of that type; purchase is every other type
+ *                 (posts, refunds, ...)
+ *   note          fan_notes
+ *   script_run    script_runs, at their start
+ *   tag           tags added/removed, from fan_activity
+ *   assignment    chatter (re)assignments of the fan's conversations, from fan_activity
+ */
+
+const REVENUE_FEEDS = { ppv_unlock: 'ppv', tip: 'tip', subscription: 'subscription', renewal: 'renewal' };
+
+const FEEDS = {
+  message: {
+    table: 'messages',
+    time: 'sent_at',
+    select: `id, conversation_id, direction, content, media_urls, media_uuids, platform_status,
+      sent_by_automation, sent_at, sender:users!sent_by_user_id(id, name),
+      conversations!inner(account_id, fan_id)`,
+    scope: (q, fanId) => q.eq('conversations.fan_id', fanId).not('is_ppv', 'is', true)
+  },
+  ppv_sent: {
+    table: 'messages',
+    time: 'sent_at',
+    select: `id, conversation_id, content, media_uuids, ppv_price, ppv_unlocked, ppv_unlocked_at,
+      platform_status, sent_by_automation, campaign_id, sent_at, sender:users!sent_by_user_id(id, name),
+      conversations!inner(account_id, fan_id)`,
+    scope: (q, fanId) => q.eq('conversations.fan_id', fanId).eq('is_ppv', true)
+  },
+  ...Object.fromEntries(Object.entries(REVENUE_FEEDS).map(([type, eventType]) => [type, {
+    table: 'revenue_events',
+    time: 'occurred_at',
+    select: `id, account_id, event_type, amount, purchased_message_id, message_id, script_run_id,
+      campaign_id, occurred_at, chatter:users!chatter_id(id, name)`,
+    scope: (q, fanId) => q.eq('fan_id', fanId).eq('event_type', eventType)
+  }])),
+  purchase: {
+    table: 'revenue_events',
+    time: 'occurred_at',
+    select: `id, account_id, event_type, amount, purchased_message_id, message_id, script_run_id,
+      campaign_id, occurred_at, chatter:users!chatter_id(id, name)`,
+    scope: (q, fanId) => q.eq('fan_id', fanId).not('event_type', 'in', `(${Object.values(REVENUE_FEEDS).join(',')})`)
+  },
+  note: {
+    table: 'fan_notes',
+    time: 'created_at',
+    select: 'id, content, category, created_at, author:users!fan_notes_author_id_fkey(id, name)',
+    scope: (q, fanId) => q.eq('fan_id', fanId)
+  },
+  script_run: {
+    table: 'script_runs',
+    time: 'started_at',
+    select: `id, account_id, conversation_id, status, current_step, converted, revenue_generated,
+      started_at, completed_at, script:scripts(id, name), chatter:users!chatter_id(id, name)`,
+    scope: (q, fanId) => q.eq('fan_id', fanId)
+  },
+  tag: {
+    table: 'fan_activity',
+    time: 'created_at',
+    select: 'id, action, details, created_at, actor:users!actor_id(id, name)',
+    scope: (q, fanId) => q.eq('fan_id', fanId).in('action', ['tag_added', 'tag_removed'])
+  },
+  assignment: {
+    table: 'fan_activity',
+    time: 'created_at',
+    select: 'id, action, details, created_at, actor:users!actor_id(id, name)',
+    scope: (q, fanId) => q.eq('fan_id', fanId).in('action', ['chatter_assigned', 'chatter_unassigned'])
+  }
+};
+
+const TIMELINE_TYPES = Object.keys(FEEDS);
+const DEFAULT_TIMELINE_LIMIT = 50;
+const MAX_TIMELINE_LIMIT = 200;
+
+// Timestamps to microseconds as a sortable string — Date drops PostgreSQL's extra precision
+function timeKey(ts) {
+  const fraction = (String(ts).match(/:\d\d\.(\d+)/)?.[1] || '').padEnd(6, '0').slice(0, 6);
+  return `${new Date(ts).toISOString().slice(0, 19)}.${fraction}`;
+}
+
+function compareDesc(a, b) {
+  const ta = timeKey(a.at);
+  const tb = timeKey(b.at);
+  if (ta !== tb) return ta < tb ? 1 : -1;
+  if (a.feed !== b.feed) return a.feed < b.feed ? 1 : -1;
+  if (a.id !== b.id) return a.id < b.id ? 1 : -1;
+  return 0;
+}
+
+// Cursor parts go into a PostgREST .or() filter, so they must be exactly what we issued
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const TIMESTAMP_RE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+
+function encodeCursor(item) {
+  return Buffer.from(JSON.stringify([item.at, item.feed, item.id])).toString('base64url');
+}
+
+/**
+ * Decode a cursor. Returns { at, feed, id }, or null if malformed.
+ */
+function decodeCursor(cursor) {
+  try {
+    const [at, feed, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (!FEEDS[feed] || !UUID_RE.test(id) || !TIMESTAMP_RE.test(at) || isNaN(new Date(at))) return null;
+    return { at, feed, id };
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Rows of one feed that come after the cursor in (time, feed, id) descending order.
+ */
+function pastCursor(query, feed, time, cursor) {
+  if (!cursor) return query;
+  if (feed > cursor.feed) return query.lt(time, cursor.at);
+  if (feed < cursor.feed) return query.lte(time, cursor.at);
+  return query.or(`${time}.lt."${cursor.at}",and(${time}.eq."${cursor.at}",id.lt.${cursor.id})`);
+}
+
+function toItem(feed, row) {
+  const { conversations, ...rest } = row;
+  const item = { type: feed, feed, at: row[FEEDS[feed].time], ...rest };
+  if (conversations) item.account_id = conversations.account_id;
+  if (feed === 'tag') item.tag = row.details?.tag;
+  return item;
+}
+
+// Assignment details only carry user ids
+async function nameChatters(items) {
+  const ids = [...new Set(items.flatMap(i => [i.details?.chatter_id, i.details?.previous_chatter_id]).filter(Boolean))];
+  if (!ids.length) return;
+
+  const { data: users } = await supabase.from('users').select('id, name').in('id', ids);
+  const byId = new Map((users || []).map(u => [u.id, u]));
+  items.forEach(i => {
+    i.chatter = byId.get(i.details?.chatter_id) || null;
+    i.previous_chatter = byId.get(i.details?.previous_chatter_id) || null;
+  });
+}
+
+/**
+ * A page of a fan's timeline.
+ * types limits the feeds (default all); cursor is nextCursor from the previous page.
+ * @returns {{ items, nextCursor }}
+ */
+async function fanTimeline(fanId, { types = TIMELINE_TYPES, cursor = null, limit = DEFAULT_TIMELINE_LIMIT } = {}) {
+  const pages = await Promise.all(types.map(async (feed) => {
+    const { table, time, select, scope } = FEEDS[feed];
+    let query = scope(supabase.from(table).select(select), fanId)
+      .not(time, 'is', null);
+    query = pastCursor(query, feed, time, cursor)
+      .order(time, { ascending: false })
+      .order('id', { ascending: false })
+      .limit(limit + 1);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return (data || []).map(row => toItem(feed, row));
+  }));
+
+  const merged = pages.flat().sort(compareDesc);
+  const items = merged.slice(0, limit);
+  await nameChatters(items.filter(i => i.type === 'assignment'));
+
+  return {
+    items: items.map(({ feed, ...item }) => item),
+    nextCursor: merged.length > limit ? encodeCursor(items[items.length - 1]) : null
+  };
+}
+
+/**
+ * Record tag / assignment changes for the timeline. Never throws — the change itself
+ * has already been made.
+ * entries: [{ organizationId, fanId, actorId, action, details }]
+ */
+async function logFanActivity(entries) {
+  if (!entries.length) return;
+  const { error } = await supabase
+    .from('fan_activity')
+    .insert(entries.map(e => ({
+      id: uuidv4(),
+      organization_id: e.organizationId,
+      fan_id: e.fanId,
+      actor_id: e.actorId || null,
+      action: e.action,
+      details: e.details || {}
+    })));
+  if (error) console.error('[FanActivity] Log failed:', error.message);
+}
+
+module.exports = {
+  TIMELINE_TYPES,
+  DEFAULT_TIMELINE_LIMIT,
+  MAX_TIMELINE_LIMIT,
+  decodeCursor,
+  fanTimeline,
+  logFanActivity
+};
@@ -0,0 +1,293 @@
+const { v4: uuidv4 } = require('uuid');
+const supabase = require('../config/supabase');
+const { toCsv, parseCsv } = require('../utils/csv');
+const { logFanActivity } = require('./fanTimeline');
+const { loadAll } = require('../utils/paging');
+
+/**
+ * Fan export (CSV / JSON) and tag + note import, e.g. when migrating from another CRM.
+ *
+ * Exports carry the spend fields, tags, notes and custom fields. In CSV, tags are
+ * joined with '; ', notes are a JSON array (a note can span lines) and custom fields
+ * get a custom.<key> column.
+ *
+ * Imports match each row to a fan on one account by Fanvue UUID (fanvue_fan_id), or
+ * else by username, and add the row's tags and notes. Tags and notes the fan already
+ * has are skipped, so re-running an import is harmless. A dry run reports the same
+ * per-row results without writing anything.
+ */
+
+const EXPORT_COLUMNS = [
+  'fanvue_fan_id', 'username', 'display_name', 'subscription_status', 'subscribed_at',
+  'lifetime_spend', 'spend_30d', 'spend_7d', 'spend_tier', 'buyer_score',
+  'ppv_unlock_count', 'tip_count', 'avg_tip', 'last_purchase_at', 'last_active_at', 'birthday'
+];
+
+const EXPORT_SELECT = `
+  id, ${EXPORT_COLUMNS.join(', ')}, custom_fields,
+  fan_tags(tag), fan_notes(content, category, created_at)
+`;
+
+const MAX_IMPORT_ROWS = 5000;
+const MAX_TAG_LENGTH = 50;
+
+// Header names an import column is recognised by
+const IMPORT_COLUMNS = {
+  fanvueFanId: ['fanvue_fan_id', 'fanvue_uuid', 'uuid'],
+  username: ['username', 'handle'],
+  tags: ['tags', 'tag'],
+  notes: ['notes', 'note']
+};
+
+/**
+ * Fan rows (EXPORT_SELECT) → export records, notes oldest first.
+ */
+function exportRecords(fans) {
+  return fans.map(({ id, fan_tags: tags, fan_notes: notes, custom_fields: customFields, ...fan }) => ({
+    ...fan,
+    tags: (tags || []).map(t => t.tag).sort(),
+    notes: (notes || [])
+      .slice()
+      .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+      .map(n => ({ content: n.content, category: n.category, created_at: n.created_at })),
+    custom_fields: customFields || {}
+  }));
+}
+
+/**
+ * Export records → CSV text, with a custom.<key> column per organization custom field.
+ */
+function exportCsv(records, fields) {
+  const header = [...EXPORT_COLUMNS, 'tags', 'notes', ...fields.map(f => `custom.${f.key}`)];
+  const rows = records.map(r => [
+    ...EXPORT_COLUMNS.map(c => r[c]),
+    r.tags.join('; '),
+    r.notes.length ? JSON.stringify(r.notes.map(n => n.content)) : '',
+    ...fields.map(f => {
+      const v = r.custom_fields[f.key];
+      return Array.isArray(v) ? v.join('; ') : v;
+    })
+  ]);
+  return toCsv([header, ...rows]);
+}
+
+const splitList = (v, separator) => (Array.isArray(v) ? v : String(v ?? '').split(separator))
+  .map(x => String(x ?? '').trim())
+  .filter(Boolean);
+
+/**
+ * A CSV notes cell: the JSON array exports write, or else one note per line.
+ */
+function notesFromCell(value) {
+  const text = String(value ?? '').trim();
+  if (text.startsWith('[')) {
+    try {
+      const notes = JSON.parse(text);
+      if (Array.isArray(notes) && notes.every(n => typeof n === 'string')) return notes;
+    } catch {
+      // not JSON — a note that happens to start with '['
+    }
+  }
+  return text.split(/\r?\n/);
+}
+
+function importRow(line, { fanvueFanId, username, tags, notes }) {
+  return {
+    line,
+    fanvueFanId: String(fanvueFanId ?? '').trim() || null,
+    username: String(username ?? '').trim().replace(/^@/, '') || null,
+    tags: [...new Set(splitList(tags, /[;,]/).map(t => t.toLowerCase()))],
+    // JSON exports carry notes as { content, category, created_at }
+    notes: (Array.isArray(notes) ? notes : notesFromCell(notes))
+      .map(n => String((n && typeof n === 'object' ? n.content : n) ?? '').trim())
+      .filter(Boolean)
+  };
+}
+
+/**
+ * CSV import body → { rows } or { error }. The first line is the header; line numbers
+ * in results are the data rows' positions (header = line 1).
+ */
+function importRowsFromCsv(text) {
+  let table;
+  try {
+    table = parseCsv(text || '');
+  } catch (err) {
+    return { error: err.message };
+  }
+  if (table.length < 2) return { error: 'CSV needs a header row and at least one fan' };
+
+  const header = table[0].map(h => h.trim().toLowerCase());
+  const index = Object.fromEntries(Object.entries(IMPORT_COLUMNS)
+    .map(([key, names]) => [key, header.findIndex(h => names.includes(h))]));
+  if (index.fanvueFanId < 0 && index.username < 0) {
+    return { error: 'CSV needs a fanvue_fan_id or username column' };
+  }
+  if (index.tags < 0 && index.notes < 0) return { error: 'CSV needs a tags or notes column' };
+
+  // Undo the ' that exports put before formula-like cells (utils/csv.js)
+  const cell = (row, key) => (index[key] >= 0 ? (row[index[key]] ?? '').replace(/^'(?=[=+\-@\t\r])/, '') : null);
+  return {
+    rows: table.slice(1)
+      .map((row, i) => ({ row, line: i + 2 }))
+      // Spreadsheets often save trailing rows of empty cells
+      .filter(({ row }) => row.some(c => c.trim()))
+      .map(({ row, line }) => importRow(line, {
+        fanvueFanId: cell(row, 'fanvueFanId'),
+        username: cell(row, 'username'),
+        tags: cell(row, 'tags'),
+        notes: cell(row, 'notes')
+      }))
+  };
+}
+
+/**
+ * JSON import body ([{ fanvue_fan_id?, username?, tags?, notes? }]) → { rows } or { error }.
+ * tags / notes may be arrays or strings (split like CSV cells). Line numbers are 1-based.
+ */
+function importRowsFromJson(items) {
+  if (!Array.isArray(items) || !items.length) return { error: 'rows must be a non-empty array' };
+  if (items.some(r => !r || typeof r !== 'object')) return { error: 'Each row must be an object' };
+  return {
+    rows: items.map((r, i) => importRow(i + 1, {
+      fanvueFanId: r.fanvue_fan_id ?? r.fanvueFanId,
+      username: r.username,
+      tags: r.tags,
+      notes: r.notes
+    }))
+  };
+}
+
+/**
+ * Existing tags and note contents per fan id.
+ */
+async function existingTagsAndNotes(fanIds) {
+  const tags = new Map(fanIds.map(id => [id, new Set()]));
+  const notes = new Map(fanIds.map(id => [id, new Set()]));
+
+  // Keep the id lists inside URL limits
+  for (let i = 0; i < fanIds.length; i += 200) {
+    const ids = fanIds.slice(i, i + 200);
+    const [tagRows, noteRows] = await Promise.all([
+      loadAll(() => supabase.from('fan_tags').select('id, fan_id, tag').in('fan_id', ids).order('id')),
+      loadAll(() => supabase.from('fan_notes').select('id, fan_id, content').in('fan_id', ids).order('id'))
+    ]);
+    tagRows.forEach(t => tags.get(t.fan_id).add(t.tag));
+    noteRows.forEach(n => notes.get(n.fan_id).add(n.content.trim()));
+  }
+
+  return { tags, notes };
+}
+
+// onConflict: skip rows that already exist (e.g. a tag added since the preview)
+async function insertInChunks(table, rows, onConflict = null) {
+  for (let i = 0; i < rows.length; i += 500) {
+    const chunk = rows.slice(i, i + 500);
+    const { error } = onConflict
+      ? await supabase.from(table).upsert(chunk, { onConflict, ignoreDuplicates: true })
+      : await supabase.from(table).insert(chunk);
+    if (error) throw error;
+  }
+}
+
+/**
+ * Import tags and notes onto an account's fans.
+ * @returns {{ dryRun, summary: { rows, matched, errors, tagsAdded, notesAdded }, results }}
+ * results has one entry per row: { line, status: 'added' | 'unchanged' | 'error', fanId,
+ * username, tagsAdded, notesAdded, error }
+ */
+async function importFans({ organizationId, accountId, actorId }, rows, { dryRun = true } = {}) {
+  const fans = await loadAll(() => supabase
+    .from('fans')
+    .select('id, fanvue_fan_id, username')
+    .eq('account_id', accountId)
+    .order('id'));
+
+  const byUuid = new Map(fans.map(f => [f.fanvue_fan_id, f]));
+  const byUsername = new Map();
+  fans.filter(f => f.username).forEach(f => {
+    const key = f.username.toLowerCase();
+    byUsername.set(key, byUsername.has(key) ? null : f); // null = ambiguous
+  });
+
+  const matched = rows.map(row => {
+    if (!row.fanvueFanId && !row.username) return { row, error: 'No fanvue_fan_id or username' };
+    if (row.fanvueFanId && byUuid.has(row.fanvueFanId)) return { row, fan: byUuid.get(row.fanvueFanId) };
+    if (row.username) {
+      const fan = byUsername.get(row.username.toLowerCase());
+      if (fan === null) return { row, error: `Username ${row.username} matches more than one fan` };
+      if (fan) return { row, fan };
+    }
+    return { row, error: 'No fan with that Fanvue UUID or username on this account' };
+  });
+
+  const { tags: existingTags, notes: existingNotes } = await existingTagsAndNotes(
+    [...new Set(matched.filter(m => m.fan).map(m => m.fan.id))]
+  );
+
+  const newTags = [];
+  const newNotes = [];
+  const results = matched.map(({ row, fan, error }) => {
+    const base = { line: row.line, fanId: fan?.id || null, username: fan?.username || row.username };
+    if (error) return { ...base, status: 'error', error, tagsAdded: [], notesAdded: 0 };
+
+    const longTag = row.tags.find(t => t.length > MAX_TAG_LENGTH);
+    if (longTag) {
+      return { ...base, status: 'error', error: `Tag longer than ${MAX_TAG_LENGTH} characters: ${longTag}`, tagsAdded: [], notesAdded: 0 };
+    }
+
+    // Existing sets also collect this run's additions, so repeated rows don't duplicate
+    const tags = existingTags.get(fan.id);
+    const notes = existingNotes.get(fan.id);
+    const tagsAdded = row.tags.filter(t => !tags.has(t) && tags.add(t));
+    const notesAdded = row.notes.filter(n => !notes.has(n) && notes.add(n));
+
+    tagsAdded.forEach(tag => newTags.push({
+      id: uuidv4(), fan_id: fan.id, organization_id: organizationId, tag, tagged_by: actorId
+    }));
+    notesAdded.forEach(content => newNotes.push({
+      id: uuidv4(), fan_id: fan.id, organization_id: organizationId, author_id: actorId, content
+    }));
+
+    return {
+      ...base,
+      status: tagsAdded.length || notesAdded.length ? 'added' : 'unchanged',
+      tagsAdded,
+      notesAdded: notesAdded.length
+    };
+  });
+
+  if (!dryRun) {
+    await insertInChunks('fan_tags', newTags, 'fan_id,tag');
+    await insertInChunks('fan_notes', newNotes);
+    await logFanActivity(newTags.map(t => ({
+      organizationId,
+      fanId: t.fan_id,
+      actorId,
+      action: 'tag_added',
+      details: { tag: t.tag, source: 'import' }
+    })));
+  }
+
+  return {
+    dryRun,
+    summary: {
+      rows: rows.length,
+      matched: matched.filter(m => m.fan).length,
+      errors: results.filter(r => r.status === 'error').length,
+      tagsAdded: newTags.length,
+      notesAdded: newNotes.length
+    },
+    results
+  };
+}
+
+module.exports = {
+  EXPORT_SELECT,
+  MAX_IMPORT_ROWS,
+  exportRecords,
+  exportCsv,
+  importRowsFromCsv,
+  importRowsFromJson,
+  importFans
+};
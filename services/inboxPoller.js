@@ -1,6 +1,8 @@
 const cron = require('node-cron');
 const supabase = require('../config/supabase');
 const fanvueApi = require('./fanvueApi');
+const { pauseRunsOnReply } = require('./scriptAutomation');
+const { fireTrigger } = require('./scriptTriggers');
 const { v4: uuidv4 } = require('uuid');
 
 /**
@@ -32,6 +34,14 @@ function startInboxPollingJob() {
 
 async function pollAccount(account) {
   try {
+    // Never synced before: every existing chat looks new, so no first_message triggers this round
+    const { data: syncState } = await supabase
+      .from('inbox_sync_state')
+      .select('last_synced_at')
+      .eq('account_id', account.id)
+      .maybeSingle();
+    const initialSync = !syncState?.last_synced_at;
+
     // Mark sync as running
     await supabase
       .from('inbox_sync_state')
@@ -130,15 +140,19 @@ async function pollAccount(account) {
           .eq('fan_id', fan.id)
           .single();
 
+        // The fan answered — automated script runs hand over to a chatter
+        if (conv && isFromFan) await pauseRunsOnReply(conv.id, lastMsg?.sentAt || new Date().toISOString());
+
         if (conv) {
           try {
             const msgResponse = await fanvueApi.getChatMessages(account, fan_user.uuid, 1, 50, false);
             const fanvueMsgs = msgResponse?.data || [];
             if (fanvueMsgs.length > 0) {
+              // No `id` here: rows sent through the message queue already exist under our own id
+              // and are matched on fanvue_message_id — overwriting the primary key would orphan them
               const toUpsert = fanvueMsgs.map(msg => {
                 const msgIsFromFan = msg.sender?.uuid === fan_user.uuid;
                 return {
-                  id: msg.uuid,
                   conversation_id: conv.id,
                   organization_id: account.organization_id,
                   fanvue_message_id: msg.uuid,
@@ -159,6 +173,17 @@ async function pollAccount(account) {
           } catch (msgErr) {
             console.error(`[InboxPoller] Message sync error for ${fan_user.username}:`, msgErr.message);
           }
+
+          // The only inbound message in the thread: the fan's first message
+          if (isFromFan && !initialSync) {
+            const { data: inbound } = await supabase
+              .from('messages')
+              .select('id')
+              .eq('conversation_id', conv.id)
+              .eq('direction', 'inbound')
+              .limit(2);
+            if (inbound?.length === 1) await fireTrigger('first_message', { accountId: account.id, fanId: fan.id });
+          }
         }
       }
     }
@@ -0,0 +1,153 @@
+const fanvueApi = require('./fanvueApi');
+const { withRetry } = require('../utils/rateLimitRetry');
+
+/**
+ * Chunked, cursor-following fetchers for the Fanvue Insights API.
+ * Shared by the analytics routes and the background revenue jobs.
+ * Everything returned is raw Fanvue data — monetary values in cents.
+ */
+
+const toDollars = (cents) => (cents || 0) / 100;
+
+/**
+ * Split [startDate, endDate] into ≤chunkDays windows.
+ * Fanvue Insights API rejects date ranges longer than ~30 days.
+ */
+function buildChunks(startDate, endDate, chunkDays = 28) {
+  const chunks = [];
+  let cur = new Date(startDate).getTime();
+  const end = new Date(endDate).getTime();
+  const step = chunkDays * 86400000;
+
+  if (cur >= end) {
+    chunks.push({ startDate, endDate });
+    return chunks;
+  }
+
+  while (cur < end) {
+    const next = Math.min(cur + step, end);
+    chunks.push({ startDate: new Date(cur).toISOString(), endDate: new Date(next).toISOString() });
+    cur = next;
+  }
+  return chunks;
+}
+
+// Process up to 3 chunks in parallel — ~3× faster than sequential, safe for rate limits
+const CHUNK_CONCURRENCY = 3;
+
+// Pages followed per chunk (of 100 transactions)
+const MAX_PAGES = 20;
+
+/**
+ * Fetch all pages for one earnings chunk, following nextCursor until exhausted.
+ * Returns raw Fanvue data array (values in cents).
+ * strict: rethrow instead of returning what was fetched so far — for callers that
+ * must not mistake a failed page for "no earnings" — and throw when MAX_PAGES runs out
+ * with pages left, rather than return a truncated total.
+ */
+async function fetchEarningsChunk(account, chunk, { strict = false } = {}) {
+  const data = [];
+  let cursor = null;
+  let pages = 0;
+  do {
+    try {
+      const r = await withRetry(() => fanvueApi.getInsightsEarnings(account, {
+        startDate: chunk.startDate,
+        endDate: chunk.endDate,
+        cursor: cursor || undefined,
+        limit: 100
+      }));
+      data.push(...(r?.data || []));
+      cursor = r?.nextCursor || null;
+    } catch (e) {
+      if (strict) throw e;
+      console.error(`[Analytics] earnings chunk ${chunk.startDate} error:`, e.message);
+      return data;
+    }
+  } while (cursor && ++pages < MAX_PAGES);
+
+  if (cursor) {
+    const message = `earnings chunk ${chunk.startDate} has more than ${MAX_PAGES} pages`;
+    if (strict) throw new Error(message);
+    console.warn(`[Analytics] ${message} — totals are truncated`);
+  }
+  return data;
+}
+
+/**
+ * Fetch all earnings for a date range.
+ * Always uses chunked + cursor-paginated path for all periods, including short ones.
+ * Runs CHUNK_CONCURRENCY chunks in parallel for speed.
+ * opts.strict — see fetchEarningsChunk.
+ */
+async function fetchEarnings(account, startDate, endDate, opts = {}) {
+  const chunks = buildChunks(startDate, endDate);
+  const allData = [];
+  for (let i = 0; i < chunks.length; i += CHUNK_CONCURRENCY) {
+    const batch = chunks.slice(i, i + CHUNK_CONCURRENCY);
+    const results = await Promise.all(batch.map(c => fetchEarningsChunk(account, c, opts)));
+    results.forEach(d => allData.push(...d));
+  }
+  return allData;
+}
+
+/**
+ * Fetch subscriber daily history for a date range.
+ * Same chunked + parallel approach as fetchEarnings; opts.strict rethrows a failed chunk.
+ */
+async function fetchSubscribers(account, startDate, endDate, { strict = false } = {}) {
+  const chunks = buildChunks(startDate, endDate);
+  const allData = [];
+  for (let i = 0; i < chunks.length; i += CHUNK_CONCURRENCY) {
+    const batch = chunks.slice(i, i + CHUNK_CONCURRENCY);
+    const results = await Promise.all(batch.map(async (chunk) => {
+      try {
+        const r = await withRetry(() => fanvueApi.getInsightsSubscribers(account, {
+          startDate: chunk.startDate,
+          endDate: chunk.endDate
+        }));
+        return r?.data || [];
+      } catch (e) {
+        if (strict) throw e;
+        console.error(`[Analytics] subscribers chunk ${chunk.startDate} error:`, e.message);
+        return [];
+      }
+    }));
+    results.forEach(d => allData.push(...d));
+  }
+  return allData;
+}
+
+/**
+ * Fetch all reversal/refund/chargeback records for a date range.
+ * Same chunked + cursor approach as fetchEarnings.
+ */
+async function fetchSpending(account, startDate, endDate) {
+  const chunks = buildChunks(startDate, endDate);
+  const allData = [];
+  for (const chunk of chunks) {
+    let cursor = null;
+    let pages = 0;
+    do {
+      const r = await withRetry(() => fanvueApi.getInsightsSpending(account, {
+        startDate: chunk.startDate,
+        endDate: chunk.endDate,
+        cursor: cursor || undefined,
+        limit: 100
+      }));
+      allData.push(...(r?.data || []));
+      cursor = r?.nextCursor || null;
+    } while (cursor && ++pages < MAX_PAGES);
+  }
+  return allData;
+}
+
+module.exports = {
+  toDollars,
+  buildChunks,
+  CHUNK_CONCURRENCY,
+  fetchEarningsChunk,
+  fetchEarnings,
+  fetchSubscribers,
+  fetchSpending
+};
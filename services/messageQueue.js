@@ -0,0 +1,249 @@
+const cron = require('node-cron');
+const { v4: uuidv4 } = require('uuid');
+const supabase = require('../config/supabase');
+const fanvueApi = require('./fanvueApi');
+const { backoffDelayMs } = require('../utils/rateLimitRetry');
+
+const MAX_SEND_ATTEMPTS = 5;
+const RETRY_BASE_DELAY_MS = 2000;
+
+// Conversations this process is currently draining — one sender per thread keeps order strict
+const draining = new Set();
+
+// Connection failures where the request never reached Fanvue
+const NOT_SENT_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+/**
+ * A send that failed without reaching Fanvue (token refresh, connect errors), 5xx and 429
+ * are worth retrying; any other 4xx means Fanvue rejected the message. A timeout or a
+ * dropped connection after the request went out is not retried — Fanvue may have taken it.
+ */
+function isTransient(err) {
+  if (!err.isAxiosError) return true;
+  const status = err.response?.status;
+  if (!status) return NOT_SENT_CODES.includes(err.code);
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Fanvue never answered, but may have got the message.
+ */
+function mayHaveSent(err) {
+  return !!err.isAxiosError && !err.response && !NOT_SENT_CODES.includes(err.code);
+}
+
+/**
+ * Store an outbound message as queued, bump the conversation preview,
+ * and kick off delivery for its conversation.
+ * conversation: { id, organization_id, fan_id }
+ * Returns the inserted row immediately — delivery happens in the background.
+ * drain: false leaves delivery to startMessageQueueJob's next tick.
+ */
+async function enqueueMessage(conversation, {
+  content = null, mediaUrls = [], mediaUuids = [], isPpv = false, ppvPrice = null,
+  templateUuid = null, scriptRunId = null, campaignId = null, sentByUserId = null, sentByAutomation = false,
+  drain = true
+}) {
+  const now = new Date().toISOString();
+
+  const { data: message, error } = await supabase
+    .from('messages')
+    .insert({
+      id: uuidv4(),
+      conversation_id: conversation.id,
+      organization_id: conversation.organization_id,
+      direction: 'outbound',
+      content,
+      media_urls: mediaUrls,
+      media_uuids: mediaUuids,
+      template_uuid: templateUuid,
+      is_ppv: isPpv,
+      ppv_price: ppvPrice || null,
+      sent_by_user_id: sentByUserId,
+      sent_by_automation: sentByAutomation,
+      script_run_id: scriptRunId,
+      campaign_id: campaignId,
+      platform_status: 'queued',
+      queued_at: now,
+      next_attempt_at: now,
+      sent_at: now
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  await supabase
+    .from('conversations')
+    .update({
+      last_message_at: now,
+      last_message_preview: content?.substring(0, 100) || '[Media]',
+      last_message_from: 'model',
+      updated_at: now
+    })
+    .eq('id', conversation.id);
+
+  await supabase.rpc('increment_fan_message_count', { fan_id: conversation.fan_id });
+
+  if (drain) {
+    drainConversation(conversation.id).catch(err =>
+      console.error(`[MessageQueue] Drain error for ${conversation.id}:`, err.message));
+  }
+
+  return message;
+}
+
+/**
+ * Send queued messages for one conversation, oldest first.
+ * Stops at the first message that is still backing off so nothing overtakes it;
+ * a message that fails permanently is marked failed and the next one proceeds.
+ */
+async function drainConversation(conversationId) {
+  if (draining.has(conversationId)) return;
+  draining.add(conversationId);
+
+  try {
+    const { data: conv, error } = await supabase
+      .from('conversations')
+      .select('id, account:connected_accounts(*), fan:fans(fanvue_fan_id)')
+      .eq('id', conversationId)
+      .single();
+
+    if (error || !conv) throw new Error('Conversation not found');
+
+    while (true) {
+      const { data: msg } = await supabase
+        .from('messages')
+        .select('id, content, media_uuids, ppv_price, template_uuid, send_attempts, next_attempt_at')
+        .eq('conversation_id', conversationId)
+        .eq('platform_status', 'queued')
+        .order('queue_seq', { ascending: true })
+        .limit(1)
+        .maybeSingle();
+
+      if (!msg) break;
+      if (msg.next_attempt_at && new Date(msg.next_attempt_at) > new Date()) break;
+
+      const attempts = (msg.send_attempts || 0) + 1;
+
+      try {
+        const fanvueResponse = await fanvueApi.sendMessage(conv.account, conv.fan?.fanvue_fan_id, {
+          text: msg.content || null,
+          mediaUuids: msg.media_uuids || [],
+          price: msg.ppv_price != null && msg.ppv_price > 0 ? Number(msg.ppv_price) : null,
+          templateUuid: msg.template_uuid || null
+        });
+
+        // API spec: 201 response returns { messageUuid: "..." }
+        const sent = {
+          platform_status: 'sent',
+          send_attempts: attempts,
+          next_attempt_at: null,
+          last_error: null,
+          sent_at: new Date().toISOString()
+        };
+        const { error: markError } = await supabase
+          .from('messages')
+          .update({ ...sent, fanvue_message_id: fanvueResponse?.messageUuid || fanvueResponse?.uuid || null })
+          .eq('id', msg.id);
+
+        if (markError) {
+          // The message is out — never leave it queued to be sent again. The usual cause is the
+          // inbox poller storing the same fanvue_message_id first, so mark it sent without the id.
+          console.error(`[MessageQueue] Marking ${msg.id} sent failed:`, markError.message);
+          const { error: retryError } = await supabase
+            .from('messages')
+            .update({ ...sent, last_error: `Sent, but not recorded: ${markError.message}` })
+            .eq('id', msg.id);
+          if (retryError) {
+            console.error(`[MessageQueue] Marking ${msg.id} sent failed again, holding ${conversationId}:`, retryError.message);
+            break;
+          }
+        }
+      } catch (sendErr) {
+        const retry = isTransient(sendErr) && attempts < MAX_SEND_ATTEMPTS;
+        const detail = sendErr.response?.status
+          ? `${sendErr.response.status}: ${sendErr.message}`
+          : mayHaveSent(sendErr)
+            ? `${sendErr.message} — may have been delivered, check the thread before retrying`
+            : sendErr.message;
+
+        console.error(`[MessageQueue] Send failed for ${msg.id} (attempt ${attempts}/${MAX_SEND_ATTEMPTS}):`, detail);
+
+        await supabase
+          .from('messages')
+          .update({
+            platform_status: retry ? 'queued' : 'failed',
+            send_attempts: attempts,
+            next_attempt_at: retry
+              ? new Date(Date.now() + backoffDelayMs(sendErr, attempts - 1, RETRY_BASE_DELAY_MS)).toISOString()
+              : null,
+            last_error: detail
+          })
+          .eq('id', msg.id);
+
+        // Hold the rest of the thread until this message goes out
+        if (retry) break;
+      }
+    }
+  } finally {
+    draining.delete(conversationId);
+  }
+}
+
+/**
+ * Put a failed message back at its original position in the queue.
+ */
+async function retryMessage(messageId, conversationId) {
+  const { data: message, error } = await supabase
+    .from('messages')
+    .update({
+      platform_status: 'queued',
+      send_attempts: 0,
+      next_attempt_at: new Date().toISOString(),
+      last_error: null
+    })
+    .eq('id', messageId)
+    .eq('conversation_id', conversationId)
+    .eq('platform_status', 'failed')
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!message) return null;
+
+  drainConversation(conversationId).catch(err =>
+    console.error(`[MessageQueue] Drain error for ${conversationId}:`, err.message));
+
+  return message;
+}
+
+/**
+ * Every 5 seconds, pick up queued messages whose retry is due.
+ * Also resumes anything left queued by a server restart.
+ */
+function startMessageQueueJob() {
+  cron.schedule('*/5 * * * * *', async () => {
+    try {
+      const { data: due, error } = await supabase
+        .from('messages')
+        .select('conversation_id')
+        .eq('platform_status', 'queued')
+        .lte('next_attempt_at', new Date().toISOString())
+        .order('queue_seq', { ascending: true })
+        .limit(200);
+
+      if (error) throw error;
+      if (!due?.length) return;
+
+      const conversationIds = [...new Set(due.map(m => m.conversation_id))];
+      await Promise.allSettled(conversationIds.map(id => drainConversation(id)));
+    } catch (err) {
+      console.error('[MessageQueue] Error:', err.message);
+    }
+  });
+
+  console.log('[MessageQueue] Started — checking queued messages every 5 seconds');
+}
+
+module.exports = { startMessageQueueJob, enqueueMessage, retryMessage, drainConversation };
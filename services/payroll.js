@@ -0,0 +1,324 @@
+const supabase = require('../config/supabase');
+const { fetchSpending } = require('./insights');
+const { creditsForEvent } = require('./attribution');
+const { round2 } = require('../utils/numbers');
+
+/**
+ * Chatter payroll: commission on attributed revenue per pay period.
+ *
+ * Commission plans (one per chatter):
+ *   flat           { rate }                                — rate × net revenue
+ *   tiered         { tiers: [{ upTo, rate }, ...] }         — marginal: each slice of net revenue at its
+ *                                                            tier's rate; last tier has upTo: null
+ *   by_event_type  { eventTypeRates: { ppv, tip, ..., default } } — rate per event type's net revenue
+ *
+ * Deductions are Fanvue reversals (refunds/chargebacks from /insights/spending) dated inside the
+ * period, charged back to whoever was credited for the original revenue, in the same shares.
+ * Rates are fractions: 0.2 = 20%.
+ */
+
+const PLAN_TYPES = ['flat', 'tiered', 'by_event_type'];
+
+const isRate = (r) => typeof r === 'number' && r >= 0 && r <= 1;
+
+/**
+ * Validate a commission plan payload from the API. Returns an error string or null.
+ */
+function validatePlan({ planType, rate, tiers, eventTypeRates }) {
+  if (!PLAN_TYPES.includes(planType)) return `planType must be one of ${PLAN_TYPES.join(', ')}`;
+
+  if (planType === 'flat' && !isRate(rate)) return 'rate must be between 0 and 1';
+
+  if (planType === 'tiered') {
+    if (!Array.isArray(tiers) || tiers.length === 0) return 'tiers required';
+    for (const [i, tier] of tiers.entries()) {
+      if (!isRate(tier.rate)) return `tiers[${i}].rate must be between 0 and 1`;
+      const last = i === tiers.length - 1;
+      if (last && tier.upTo != null) return 'last tier must have upTo: null';
+      if (!last && !(tier.upTo > (tiers[i - 1]?.upTo || 0))) return `tiers[${i}].upTo must be ascending`;
+    }
+  }
+
+  if (planType === 'by_event_type') {
+    if (!eventTypeRates || typeof eventTypeRates !== 'object') return 'eventTypeRates required';
+    for (const [type, r] of Object.entries(eventTypeRates)) {
+      if (!isRate(r)) return `eventTypeRates.${type} must be between 0 and 1`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Commission owed under `plan` for the given net revenue breakdown.
+ * byEventType: { [eventType]: { net } }. Negative net (refunds outweigh sales) claws back.
+ */
+function calculateCommission(plan, byEventType, netRevenue) {
+  if (!plan) return 0;
+
+  switch (plan.plan_type) {
+    case 'flat':
+      return round2(netRevenue * Number(plan.rate || 0));
+
+    case 'tiered': {
+      const tiers = plan.tiers || [];
+      if (netRevenue <= 0) return round2(netRevenue * (tiers[0]?.rate || 0));
+      let commission = 0;
+      let floor = 0;
+      for (const tier of tiers) {
+        const ceiling = tier.upTo == null ? Infinity : tier.upTo;
+        if (netRevenue <= floor) break;
+        commission += (Math.min(netRevenue, ceiling) - floor) * tier.rate;
+        floor = ceiling;
+      }
+      return round2(commission);
+    }
+
+    case 'by_event_type': {
+      const rates = plan.event_type_rates || {};
+      return round2(Object.entries(byEventType).reduce(
+        (sum, [type, t]) => sum + t.net * (rates[type] ?? rates.default ?? 0), 0));
+    }
+
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Period [start, end) as ISO timestamps — end_date is inclusive, so end is the next midnight UTC.
+ */
+function periodBounds(period) {
+  const start = new Date(`${period.start_date}T00:00:00.000Z`);
+  const end = new Date(`${period.end_date}T00:00:00.000Z`);
+  end.setUTCDate(end.getUTCDate() + 1);
+  return { startDate: start.toISOString(), endDate: end.toISOString() };
+}
+
+/**
+ * All revenue events in the window with their per-chatter credits.
+ */
+async function loadPeriodRevenue(organizationId, startDate, endDate) {
+  const PAGE = 1000;
+  const events = [];
+  for (let from = 0; ; from += PAGE) {
+    const { data, error } = await supabase
+      .from('revenue_events')
+      .select('id, event_type, amount, occurred_at, chatter_id, fan:fans(username), revenue_event_attributions(chatter_id, amount)')
+      .eq('organization_id', organizationId)
+      .gte('occurred_at', startDate)
+      .lt('occurred_at', endDate)
+      .order('occurred_at', { ascending: true })
+      .range(from, from + PAGE - 1);
+    if (error) throw error;
+    events.push(...(data || []));
+    if (!data || data.length < PAGE) break;
+  }
+  return events;
+}
+
+/**
+ * Find the revenue event a Fanvue reversal undoes: by transaction reference when
+ * Fanvue gives one, else the fan's latest credited purchase before the reversal.
+ */
+async function findReversedEvent(account, item) {
+  const select = 'id, event_type, amount, chatter_id, revenue_event_attributions(chatter_id, amount)';
+  const ref = item.transactionUuid || item.originalTransactionUuid || item.earningUuid;
+
+  if (ref) {
+    const { data, error } = await supabase
+      .from('revenue_events')
+      .select(select)
+      .eq('account_id', account.id)
+      .eq('fanvue_event_id', ref)
+      .maybeSingle();
+    if (error) throw error;
+    if (data) return data;
+  }
+
+  const fanUuid = item.user?.uuid || item.userUuid;
+  if (!fanUuid) return null;
+
+  const { data: fan } = await supabase
+    .from('fans')
+    .select('id, username')
+    .eq('account_id', account.id)
+    .eq('fanvue_fan_id', fanUuid)
+    .maybeSingle();
+  if (!fan) return null;
+
+  const { data } = await supabase
+    .from('revenue_events')
+    .select(select)
+    .eq('fan_id', fan.id)
+    .not('chatter_id', 'is', null)
+    .lte('occurred_at', item.createdAt || new Date().toISOString())
+    .order('occurred_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  return data ? { ...data, fanUsername: fan.username } : null;
+}
+
+/**
+ * Pull reversals for every org account and turn them into per-chatter deduction lines.
+ * Returns { byChatter: { [chatterId]: [line] }, unmatched: [item], warnings: [string] }
+ */
+async function loadPeriodDeductions(organizationId, startDate, endDate) {
+  const { data: accounts } = await supabase
+    .from('connected_accounts')
+    .select('*')
+    .eq('organization_id', organizationId)
+    .eq('is_active', true);
+
+  const byChatter = {};
+  const unmatched = [];
+  const warnings = [];
+
+  for (const account of accounts || []) {
+    let items;
+    try {
+      items = await fetchSpending(account, startDate, endDate);
+    } catch (err) {
+      warnings.push(`${account.fanvue_username}: could not load refunds (${err.message})`);
+      continue;
+    }
+
+    for (const item of items) {
+      const cents = item.amount?.gross ?? item.gross ?? item.amount;
+      const amount = Math.abs(Number(cents) || 0) / 100;
+      if (!amount) continue;
+
+      const original = await findReversedEvent(account, item);
+      const credits = original ? creditsForEvent(original) : [];
+      if (!credits.length) {
+        unmatched.push({ accountId: account.id, amount, date: item.createdAt || null, kind: item.type || 'reversal' });
+        continue;
+      }
+
+      credits.forEach(c => {
+        const share = Number(original.amount) ? Number(c.amount) / Number(original.amount) : 1;
+        (byChatter[c.chatter_id] = byChatter[c.chatter_id] || []).push({
+          date: item.createdAt || null,
+          kind: item.type || 'reversal',
+          eventType: original.event_type,
+          fan: original.fanUsername || null,
+          amount: -round2(amount * share),
+          revenueEventId: original.id
+        });
+      });
+    }
+  }
+
+  return { byChatter, unmatched, warnings };
+}
+
+/**
+ * (Re)build draft statements for every chatter with revenue or deductions in the period.
+ * Locked statements are never touched.
+ */
+async function generateStatements(period) {
+  const { startDate, endDate } = periodBounds(period);
+  const orgId = period.organization_id;
+
+  const [events, deductions, plansResult] = await Promise.all([
+    loadPeriodRevenue(orgId, startDate, endDate),
+    loadPeriodDeductions(orgId, startDate, endDate),
+    supabase.from('commission_plans').select('*').eq('organization_id', orgId)
+  ]);
+
+  const plans = new Map((plansResult.data || []).map(p => [p.chatter_id, p]));
+
+  // Revenue lines per chatter
+  const lines = {};
+  events.forEach(ev => {
+    creditsForEvent(ev).forEach(c => {
+      (lines[c.chatter_id] = lines[c.chatter_id] || []).push({
+        date: ev.occurred_at,
+        kind: 'revenue',
+        eventType: ev.event_type,
+        fan: ev.fan?.username || null,
+        amount: round2(Number(c.amount)),
+        revenueEventId: ev.id
+      });
+    });
+  });
+  Object.entries(deductions.byChatter).forEach(([chatterId, items]) => {
+    (lines[chatterId] = lines[chatterId] || []).push(...items);
+  });
+
+  const rows = Object.entries(lines).map(([chatterId, items]) => {
+    const byEventType = {};
+    items.forEach(li => {
+      const t = (byEventType[li.eventType] = byEventType[li.eventType] || { gross: 0, deductions: 0, net: 0 });
+      if (li.kind === 'revenue') t.gross += li.amount;
+      else t.deductions += -li.amount;
+      t.net += li.amount;
+    });
+    Object.values(byEventType).forEach(t => {
+      t.gross = round2(t.gross);
+      t.deductions = round2(t.deductions);
+      t.net = round2(t.net);
+    });
+
+    const gross = round2(items.filter(li => li.kind === 'revenue').reduce((s, li) => s + li.amount, 0));
+    const deducted = round2(-items.filter(li => li.kind !== 'revenue').reduce((s, li) => s + li.amount, 0));
+    const net = round2(gross - deducted);
+    const plan = plans.get(chatterId) || null;
+
+    return {
+      organization_id: orgId,
+      pay_period_id: period.id,
+      chatter_id: chatterId,
+      gross_revenue: gross,
+      deductions: deducted,
+      net_revenue: net,
+      commission_amount: calculateCommission(plan, byEventType, net),
+      breakdown: byEventType,
+      line_items: items.sort((a, b) => new Date(a.date || 0) - new Date(b.date || 0)),
+      plan_snapshot: plan
+        ? { plan_type: plan.plan_type, rate: plan.rate, tiers: plan.tiers, event_type_rates: plan.event_type_rates }
+        : null,
+      status: 'draft',
+      generated_at: new Date().toISOString()
+    };
+  });
+
+  const { data: locked } = await supabase
+    .from('payroll_statements')
+    .select('chatter_id')
+    .eq('pay_period_id', period.id)
+    .eq('status', 'locked');
+  const lockedChatters = new Set((locked || []).map(s => s.chatter_id));
+  const drafts = rows.filter(r => !lockedChatters.has(r.chatter_id));
+
+  // Drop drafts for chatters who no longer have anything in the period
+  let cleanup = supabase
+    .from('payroll_statements')
+    .delete()
+    .eq('pay_period_id', period.id)
+    .eq('status', 'draft');
+  if (drafts.length) cleanup = cleanup.not('chatter_id', 'in', `(${drafts.map(r => r.chatter_id).join(',')})`);
+  await cleanup;
+
+  if (drafts.length) {
+    const { error } = await supabase
+      .from('payroll_statements')
+      .upsert(drafts, { onConflict: 'pay_period_id,chatter_id' });
+    if (error) throw error;
+  }
+
+  await supabase
+    .from('pay_periods')
+    .update({ calculated_at: new Date().toISOString() })
+    .eq('id', period.id);
+
+  return {
+    statements: drafts.length,
+    skippedLocked: lockedChatters.size,
+    unmatchedDeductions: deductions.unmatched,
+    warnings: deductions.warnings
+  };
+}
+
+module.exports = { PLAN_TYPES, validatePlan, calculateCommission, periodBounds, generateStatements };
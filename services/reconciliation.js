@@ -0,0 +1,285 @@
+const cron = require('node-cron');
+const supabase = require('../config/supabase');
+const { toDollars, fetchEarnings } = require('./insights');
+const { eventTypeForSource, recordRevenueEvent } = require('./revenueEvents');
+const { dayOf } = require('../utils/days');
+const { round2 } = require('../utils/numbers');
+
+/**
+ * Reconcile revenue_events against Fanvue /insights/earnings, per account and UTC day.
+ *
+ * Matching, in order:
+ *   1. Fanvue transaction id == revenue_events.fanvue_event_id
+ *   2. same event type, same fan, same amount, within MATCH_WINDOW_MS of each other
+ *      (webhooks and Insights don't always share an id)
+ * Fanvue transactions left over are backfilled with attribute: false and listed as
+ * `missing_local` discrepancies — a manager resolves them by assigning a chatter.
+ * Local events left over are listed as `missing_fanvue`; id matches whose amounts
+ * differ as `amount_mismatch`.
+ */
+
+const MATCH_WINDOW_MS = 15 * 60 * 1000;
+
+// Re-check this many past days each night — Fanvue settles some transactions late
+const NIGHTLY_LOOKBACK_DAYS = 3;
+
+/**
+ * Raw Insights earnings item → { id, amount (dollars), eventType, fanUuid, occurredAt }
+ */
+function normalizeTransaction(tx) {
+  return {
+    id: tx.uuid || tx.transactionUuid || tx.id || null,
+    amount: round2(toDollars(tx.gross)),
+    eventType: eventTypeForSource(tx.source),
+    fanUuid: tx.user?.uuid || tx.userUuid || null,
+    occurredAt: new Date(tx.date || tx.createdAt || tx.created_at).toISOString()
+  };
+}
+
+async function loadLocalEvents(accountId, startDate, endDate) {
+  const PAGE = 1000;
+  const events = [];
+  for (let from = 0; ; from += PAGE) {
+    const { data, error } = await supabase
+      .from('revenue_events')
+      .select('id, event_type, amount, fanvue_event_id, occurred_at, fan:fans(fanvue_fan_id)')
+      .eq('account_id', accountId)
+      .gte('occurred_at', startDate)
+      .lt('occurred_at', endDate)
+      .order('occurred_at', { ascending: true })
+      .range(from, from + PAGE - 1);
+    if (error) throw error;
+    events.push(...(data || []));
+    if (!data || data.length < PAGE) break;
+  }
+  return events;
+}
+
+/**
+ * Pair Fanvue transactions with local events for one day.
+ * Returns { unmatchedTx, unmatchedLocal, mismatches: [{ tx, local }] }
+ */
+function matchDay(transactions, locals) {
+  const remaining = new Set(locals);
+  const byFanvueId = new Map(locals.filter(e => e.fanvue_event_id).map(e => [e.fanvue_event_id, e]));
+  const unmatchedTx = [];
+  const mismatches = [];
+
+  const leftover = [];
+  for (const tx of transactions) {
+    const local = tx.id && byFanvueId.get(tx.id);
+    if (local && remaining.has(local)) {
+      remaining.delete(local);
+      if (Math.abs(Number(local.amount) - tx.amount) >= 0.01) mismatches.push({ tx, local });
+    } else {
+      leftover.push(tx);
+    }
+  }
+
+  for (const tx of leftover) {
+    const txTime = new Date(tx.occurredAt).getTime();
+    let best = null;
+    let bestGap = Infinity;
+    for (const local of remaining) {
+      if (local.event_type !== tx.eventType) continue;
+      if (Math.abs(Number(local.amount) - tx.amount) >= 0.01) continue;
+      if (tx.fanUuid && local.fan?.fanvue_fan_id && tx.fanUuid !== local.fan.fanvue_fan_id) continue;
+      const gap = Math.abs(new Date(local.occurred_at).getTime() - txTime);
+      if (gap <= MATCH_WINDOW_MS && gap < bestGap) {
+        best = local;
+        bestGap = gap;
+      }
+    }
+    if (best) remaining.delete(best);
+    else unmatchedTx.push(tx);
+  }
+
+  return { unmatchedTx, unmatchedLocal: [...remaining], mismatches };
+}
+
+async function backfillTransaction(account, tx) {
+  let fanId = null;
+  if (tx.fanUuid) {
+    const { data: fan } = await supabase
+      .from('fans')
+      .select('id')
+      .eq('account_id', account.id)
+      .eq('fanvue_fan_id', tx.fanUuid)
+      .maybeSingle();
+    fanId = fan?.id || null;
+  }
+
+  const { event } = await recordRevenueEvent({
+    organizationId: account.organization_id,
+    accountId: account.id,
+    fanId,
+    eventType: tx.eventType,
+    amount: tx.amount,
+    fanvueEventId: tx.id,
+    occurredAt: tx.occurredAt,
+    attribute: false
+  });
+
+  return event;
+}
+
+/**
+ * Reconcile one account over [startDay, endDay] (YYYY-MM-DD, inclusive, UTC).
+ * Returns per-day summaries.
+ */
+async function reconcileAccount(account, startDay, endDay) {
+  const startDate = `${startDay}T00:00:00.000Z`;
+  const end = new Date(`${endDay}T00:00:00.000Z`);
+  end.setUTCDate(end.getUTCDate() + 1);
+  const endDate = end.toISOString();
+
+  // strict: a failed page must not look like a day without earnings
+  const raw = await fetchEarnings(account, startDate, endDate, { strict: true });
+  const transactions = raw
+    .filter(tx => tx.date || tx.createdAt || tx.created_at)
+    .map(normalizeTransaction)
+    .filter(tx => tx.occurredAt >= startDate && tx.occurredAt < endDate);
+  const locals = await loadLocalEvents(account.id, startDate, endDate);
+
+  const days = [];
+  for (let d = new Date(startDate); d < end; d.setUTCDate(d.getUTCDate() + 1)) days.push(dayOf(d));
+
+  const summaries = [];
+  for (const day of days) {
+    const dayTx = transactions.filter(tx => dayOf(tx.occurredAt) === day);
+    const dayLocal = locals.filter(e => dayOf(e.occurred_at) === day);
+    summaries.push(await reconcileDay(account, day, dayTx, dayLocal));
+  }
+  return summaries;
+}
+
+async function reconcileDay(account, day, transactions, locals) {
+  const { unmatchedTx, unmatchedLocal, mismatches } = matchDay(transactions, locals);
+  const base = { organization_id: account.organization_id, account_id: account.id, day };
+
+  // Open findings are recomputed from scratch; resolved/dismissed ones stay as they are
+  await supabase
+    .from('revenue_discrepancies')
+    .delete()
+    .eq('account_id', account.id)
+    .eq('day', day)
+    .eq('status', 'open')
+    .in('kind', ['missing_fanvue', 'amount_mismatch']);
+
+  const discrepancies = [];
+  let backfilled = 0;
+
+  for (const tx of unmatchedTx) {
+    const event = await backfillTransaction(account, tx);
+    if (!event) continue; // recorded meanwhile (webhook race)
+    backfilled++;
+    discrepancies.push({
+      ...base, kind: 'missing_local', revenue_event_id: event.id, fanvue_transaction_id: tx.id,
+      event_type: tx.eventType, fanvue_amount: tx.amount, local_amount: null
+    });
+  }
+
+  unmatchedLocal.forEach(local => discrepancies.push({
+    ...base, kind: 'missing_fanvue', revenue_event_id: local.id, fanvue_transaction_id: null,
+    event_type: local.event_type, fanvue_amount: null, local_amount: local.amount
+  }));
+
+  mismatches.forEach(({ tx, local }) => discrepancies.push({
+    ...base, kind: 'amount_mismatch', revenue_event_id: local.id, fanvue_transaction_id: tx.id,
+    event_type: local.event_type, fanvue_amount: tx.amount, local_amount: local.amount
+  }));
+
+  if (discrepancies.length) {
+    const { error } = await supabase
+      .from('revenue_discrepancies')
+      .upsert(discrepancies, { onConflict: 'kind,revenue_event_id', ignoreDuplicates: true });
+    if (error) throw error;
+  }
+
+  const summary = {
+    ...base,
+    fanvue_count: transactions.length,
+    fanvue_total: round2(transactions.reduce((s, tx) => s + tx.amount, 0)),
+    local_count: locals.length,
+    local_total: round2(locals.reduce((s, e) => s + Number(e.amount), 0)),
+    backfilled,
+    discrepancies: discrepancies.length,
+    reconciled_at: new Date().toISOString()
+  };
+
+  await supabase
+    .from('revenue_reconciliations')
+    .upsert(summary, { onConflict: 'account_id,day' });
+
+  return summary;
+}
+
+/**
+ * Reconcile every active account in an org (or just accountId). Errors are per account.
+ */
+async function reconcileOrganization(organizationId, { startDay, endDay, accountId = null }) {
+  let query = supabase
+    .from('connected_accounts')
+    .select('*')
+    .eq('organization_id', organizationId)
+    .eq('is_active', true);
+  if (accountId) query = query.eq('id', accountId);
+
+  const { data: accounts } = await query;
+  const results = [];
+  for (const account of accounts || []) {
+    try {
+      const days = await reconcileAccount(account, startDay, endDay);
+      results.push({ accountId: account.id, days });
+    } catch (err) {
+      console.error(`[Reconciliation] ${account.fanvue_username} failed:`, err.message);
+      results.push({ accountId: account.id, error: err.message });
+    }
+  }
+  return results;
+}
+
+/**
+ * Nightly at 03:30 UTC, reconcile the last NIGHTLY_LOOKBACK_DAYS full days for every active account.
+ */
+function startReconciliationJob() {
+  cron.schedule('30 3 * * *', async () => {
+    const end = new Date();
+    end.setUTCDate(end.getUTCDate() - 1);
+    const start = new Date(end);
+    start.setUTCDate(start.getUTCDate() - (NIGHTLY_LOOKBACK_DAYS - 1));
+
+    try {
+      // Required here: earningsBackfill requires this module
+      const { failStaleBackfills } = require('./earningsBackfill');
+      const stale = await failStaleBackfills();
+      if (stale) console.log(`[Reconciliation] ${stale} interrupted backfill(s) marked failed`);
+
+      const { data: accounts, error } = await supabase
+        .from('connected_accounts')
+        .select('*')
+        .eq('is_active', true)
+        .neq('backfill_status', 'running'); // the backfill is writing these days right now
+      if (error) throw error;
+
+      let backfilled = 0;
+      let discrepancies = 0;
+      for (const account of accounts || []) {
+        try {
+          const days = await reconcileAccount(account, dayOf(start), dayOf(end));
+          days.forEach(d => { backfilled += d.backfilled; discrepancies += d.discrepancies; });
+        } catch (err) {
+          console.error(`[Reconciliation] ${account.fanvue_username} failed:`, err.message);
+        }
+      }
+
+      console.log(`[Reconciliation] ${accounts?.length || 0} account(s): ${backfilled} backfilled, ${discrepancies} discrepancies`);
+    } catch (err) {
+      console.error('[Reconciliation] Error:', err.message);
+    }
+  }, { timezone: 'UTC' });
+
+  console.log('[Reconciliation] Started — runs nightly at 03:30 UTC');
+}
+
+module.exports = { startReconciliationJob, reconcileAccount, reconcileOrganization, normalizeTransaction };
@@ -0,0 +1,101 @@
+const { v4: uuidv4 } = require('uuid');
+const supabase = require('../config/supabase');
+const { attributeRevenueEvent, applyManualAttribution } = require('./attribution');
+
+/**
+ * Fanvue earnings `source` → our revenue_events.event_type.
+ * Anything not listed keeps its Fanvue source name (post, mediaLink, referral, ...).
+ */
+const SOURCE_EVENT_TYPES = {
+  subscription: 'subscription',
+  renewal: 'renewal',
+  tip: 'tip',
+  message: 'ppv'
+};
+
+function eventTypeForSource(source) {
+  if (!source) return 'other';
+  return SOURCE_EVENT_TYPES[source] || source;
+}
+
+/**
+ * revenue_events.event_type → Fanvue earnings source (what the dashboard keys on).
+ */
+function sourceForEventType(eventType) {
+  return Object.keys(SOURCE_EVENT_TYPES).find(s => SOURCE_EVENT_TYPES[s] === eventType) || eventType;
+}
+
+/**
+ * Insert a revenue event, attribute it, and roll it into fan spend + script run stats.
+ * purchasedMessageId is the unlocked PPV message when known — the ppv_sender rule credits its sender.
+ * campaignId credits the campaign that sent it (services/campaigns.js campaignForPurchase).
+ * Deduplicates on fanvue_event_id — a repeat returns { event: null, duplicate: true }
+ * and touches nothing else.
+ * attribute: false records the event uncredited (reconciliation backfills) — a manager assigns it later,
+ * and rule re-runs (attribution.reattributeHistory) leave it alone.
+ */
+async function recordRevenueEvent({
+  organizationId, accountId, fanId = null, chatterId = null, messageId = null,
+  scriptRunId = null, campaignId = null, purchasedMessageId = null, eventType, amount, fanvueEventId = null, occurredAt = null,
+  attribute = true
+}) {
+  const { data: inserted, error } = await supabase
+    .from('revenue_events')
+    .insert({
+      id: uuidv4(),
+      organization_id: organizationId,
+      account_id: accountId,
+      fan_id: fanId,
+      chatter_id: chatterId,
+      message_id: messageId,
+      script_run_id: scriptRunId,
+      campaign_id: campaignId,
+      purchased_message_id: purchasedMessageId,
+      event_type: eventType,
+      amount,
+      fanvue_event_id: fanvueEventId,
+      auto_attribute: attribute,
+      occurred_at: occurredAt || new Date().toISOString()
+    })
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === '23505') return { event: null, duplicate: true };
+    throw error;
+  }
+
+  // An explicit chatter is a manual credit; otherwise the org's attribution rules decide
+  let attributed = inserted;
+  if (chatterId) attributed = await applyManualAttribution(inserted);
+  else if (attribute) attributed = await attributeRevenueEvent(inserted);
+
+  // Update fan spend stats
+  if (fanId) {
+    await supabase.rpc('update_fan_spend', {
+      p_fan_id: fanId,
+      p_amount: amount,
+      p_event_type: eventType
+    });
+  }
+
+  // Update script run revenue if applicable
+  if (attributed.script_run_id) {
+    const { data: run } = await supabase
+      .from('script_runs')
+      .select('revenue_generated')
+      .eq('id', attributed.script_run_id)
+      .single();
+
+    if (run) {
+      await supabase
+        .from('script_runs')
+        .update({ revenue_generated: Number(run.revenue_generated || 0) + Number(amount), converted: true })
+        .eq('id', attributed.script_run_id);
+    }
+  }
+
+  return { event: attributed, duplicate: false };
+}
+
+module.exports = { eventTypeForSource, sourceForEventType, recordRevenueEvent };
@@ -0,0 +1,110 @@
+const cron = require('node-cron');
+const supabase = require('../config/supabase');
+const { enqueueMessage } = require('./messageQueue');
+
+// A row claimed this long ago and still 'sending' lost its process between the claim and
+// the hand-off to the queue
+const STALE_SENDING_MS = 15 * 60 * 1000;
+
+/**
+ * Fail scheduled messages left 'sending' by a crash or deploy. The message may or may not
+ * have reached the queue, so they are reported rather than sent again.
+ * @returns {Promise<number>} rows failed
+ */
+async function failStaleSending(now = new Date()) {
+  const { data: failed, error } = await supabase
+    .from('scheduled_messages')
+    .update({
+      status: 'failed',
+      error_message: 'Interrupted while sending — check the conversation and send it again if it is missing',
+      updated_at: now.toISOString()
+    })
+    .eq('status', 'sending')
+    .lt('updated_at', new Date(now.getTime() - STALE_SENDING_MS).toISOString())
+    .select('id');
+
+  if (error) throw error;
+  return failed?.length || 0;
+}
+
+/**
+ * Every minute, hand due scheduled messages to the outbound message queue.
+ * The queue does the actual fanvueApi.sendMessage call, ordering and retries.
+ */
+function startScheduledMessageJob() {
+  cron.schedule('* * * * *', async () => {
+    try {
+      const stale = await failStaleSending();
+      if (stale) console.warn(`[ScheduledMessages] ${stale} interrupted message(s) marked failed`);
+
+      const { data: due, error } = await supabase
+        .from('scheduled_messages')
+        .select('*')
+        .eq('status', 'scheduled')
+        .lte('send_at', new Date().toISOString())
+        .order('send_at', { ascending: true })
+        .limit(100);
+
+      if (error) throw error;
+      if (!due?.length) return;
+
+      for (const scheduled of due) {
+        await sendScheduledMessage(scheduled);
+      }
+
+      console.log(`[ScheduledMessages] Dispatched ${due.length} scheduled message(s)`);
+    } catch (err) {
+      console.error('[ScheduledMessages] Error:', err.message);
+    }
+  });
+
+  console.log('[ScheduledMessages] Started — checking every minute');
+}
+
+async function sendScheduledMessage(scheduled) {
+  // Claim the row first so an edit/cancel racing this tick can't double-send
+  const { data: claimed } = await supabase
+    .from('scheduled_messages')
+    .update({ status: 'sending', updated_at: new Date().toISOString() })
+    .eq('id', scheduled.id)
+    .eq('status', 'scheduled')
+    .select('id')
+    .maybeSingle();
+
+  if (!claimed) return;
+
+  try {
+    const message = await enqueueMessage({
+      id: scheduled.conversation_id,
+      organization_id: scheduled.organization_id,
+      fan_id: scheduled.fan_id
+    }, {
+      content: scheduled.content,
+      mediaUuids: scheduled.media_uuids || [],
+      isPpv: scheduled.ppv_price > 0,
+      ppvPrice: scheduled.ppv_price,
+      templateUuid: scheduled.template_uuid,
+      sentByUserId: scheduled.scheduled_by
+    });
+
+    await supabase
+      .from('scheduled_messages')
+      .update({
+        status: 'sent',
+        message_id: message.id,
+        sent_at: new Date().toISOString(),
+        error_message: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', scheduled.id);
+  } catch (err) {
+    console.error(`[ScheduledMessages] ${scheduled.id} failed:`, err.message);
+
+    await supabase
+      .from('scheduled_messages')
+      .update({ status: 'failed', error_message: err.message, updated_at: new Date().toISOString() })
+      .eq('id', scheduled.id);
+  }
+}
+
+module.exports = { startScheduledMessageJob };
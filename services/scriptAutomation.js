@@ -0,0 +1,213 @@
+const cron = require('node-cron');
+const { v4: uuidv4 } = require('uuid');
+const supabase = require('../config/supabase');
+const { enqueueMessage } = require('./messageQueue');
+const { successors, nextStepFor } = require('./scriptBranching');
+const { applyVariant, assignVariant } = require('./scriptVariants');
+
+/**
+ * Automated script runs.
+ *
+ * A run started with mode 'automated' sends its steps itself: each step goes out through
+ * the message queue (sent_by_automation, script_run_id) delay_seconds after the previous
+ * one, and is logged to script_run_events. next_step_at is when the worker next looks at
+ * the run; step_sent_at is set once the current step has gone out, until the run moves on.
+ *
+ * After a step is sent the run waits out the step's window — the longest delay among the
+ * steps it can lead to — and only then moves on by its branches like a manual advance, so
+ * they see what the fan did in between (unlocked, tipped, replied). The step picked goes
+ * out its delay after the previous one, or at once if that has passed. A no_reply timer
+ * that is still running is waited out; a step that needs a chatter's option pauses.
+ * The run also pauses when the fan replies (webhook or inbox poller) — a chatter takes
+ * over, and can resume it or advance it by hand.
+ */
+
+const BATCH_SIZE = 50;
+
+/**
+ * When the step at `index` is due, counting its delay from `from`.
+ */
+function dueAt(steps, index, from = new Date()) {
+  const step = steps.find(s => s.step_index === index);
+  return new Date(from.getTime() + (step?.delay_seconds || 0) * 1000).toISOString();
+}
+
+/**
+ * When a step sent at `sentAt` is routed on: once the longest delay among the steps it
+ * can lead to has passed.
+ */
+function routeAt(steps, step, sentAt) {
+  const delays = successors(step.branches || [], step.step_index, steps.length)
+    .map(i => steps.find(s => s.step_index === i)?.delay_seconds || 0);
+  return new Date(new Date(sentAt).getTime() + Math.max(0, ...delays) * 1000).toISOString();
+}
+
+/**
+ * Pause a conversation's automated runs after the fan replied at `repliedAt`.
+ * Replies from before a run started don't count.
+ */
+async function pauseRunsOnReply(conversationId, repliedAt = new Date().toISOString()) {
+  const { data: paused, error } = await supabase
+    .from('script_runs')
+    .update({ paused_at: new Date().toISOString(), pause_reason: 'fan_replied', next_step_at: null })
+    .eq('conversation_id', conversationId)
+    .eq('mode', 'automated')
+    .eq('status', 'active')
+    .is('paused_at', null)
+    .lt('started_at', repliedAt)
+    .select('id');
+
+  if (error) {
+    console.error(`[ScriptAutomation] Pause on reply failed for ${conversationId}:`, error.message);
+    return 0;
+  }
+  return paused?.length || 0;
+}
+
+function pauseRun(runId, reason) {
+  return supabase
+    .from('script_runs')
+    .update({ paused_at: new Date().toISOString(), pause_reason: reason, next_step_at: null })
+    .eq('id', runId);
+}
+
+/**
+ * Move a run on from its current step, after it was sent.
+ */
+async function routeRun(run, steps, step) {
+  const route = await nextStepFor(run, step, steps.length);
+
+  if (route.waiting) {
+    if (route.retryAt) {
+      await supabase.from('script_runs').update({ next_step_at: route.retryAt }).eq('id', run.id);
+    } else {
+      await pauseRun(run.id, 'needs_option');
+    }
+    return;
+  }
+
+  const now = new Date();
+  await supabase.from('script_run_events').insert({
+    id: uuidv4(),
+    run_id: run.id,
+    step_index: run.current_step,
+    action: 'step_advanced',
+    details: { branch: route.branch, next: route.next, automated: true },
+    created_at: now.toISOString()
+  });
+
+  if (route.next === null) {
+    await supabase
+      .from('script_runs')
+      .update({ status: 'completed', completed_at: now.toISOString(), next_step_at: null })
+      .eq('id', run.id);
+    return;
+  }
+
+  await assignVariant(run, steps.find(s => s.step_index === route.next));
+
+  const due = dueAt(steps, route.next, new Date(run.step_sent_at));
+  await supabase
+    .from('script_runs')
+    .update({
+      current_step: route.next,
+      last_step_at: now.toISOString(),
+      step_sent_at: null,
+      next_step_at: due > now.toISOString() ? due : now.toISOString()
+    })
+    .eq('id', run.id);
+}
+
+/**
+ * Send the run's current step, or move on from it once it's been out for its window.
+ */
+async function processRun(run) {
+  const steps = run.version.script_steps.sort((a, b) => a.step_index - b.step_index);
+  const step = steps.find(s => s.step_index === run.current_step);
+  if (!step) {
+    await pauseRun(run.id, 'missing_step');
+    return;
+  }
+
+  if (!run.step_sent_at) {
+    const { content, media_urls: mediaUrls, is_ppv: isPpv, ppv_price: ppvPrice, variant } =
+      applyVariant(step, run.variants?.[step.step_index]);
+    const message = await enqueueMessage(run.conversation, {
+      content,
+      mediaUrls: mediaUrls || [],
+      isPpv,
+      ppvPrice,
+      scriptRunId: run.id,
+      sentByAutomation: true
+    });
+
+    await supabase
+      .from('script_runs')
+      .update({ step_sent_at: message.sent_at, next_step_at: routeAt(steps, step, message.sent_at) })
+      .eq('id', run.id);
+
+    await supabase.from('script_run_events').insert({
+      id: uuidv4(),
+      run_id: run.id,
+      step_index: step.step_index,
+      action: 'step_sent',
+      details: { message_id: message.id, automated: true, variant },
+      created_at: new Date().toISOString()
+    });
+    return;
+  }
+
+  await routeRun(run, steps, step);
+}
+
+/**
+ * Every 15 seconds, work through automated runs whose next step is due.
+ */
+function startScriptAutomationJob() {
+  cron.schedule('*/15 * * * * *', async () => {
+    try {
+      const now = new Date().toISOString();
+      const { data: due, error } = await supabase
+        .from('script_runs')
+        .select('*, version:script_versions(id, script_steps(*)), conversation:conversations(id, organization_id, fan_id)')
+        .eq('mode', 'automated')
+        .eq('status', 'active')
+        .is('paused_at', null)
+        .lte('next_step_at', now)
+        .order('next_step_at', { ascending: true })
+        .limit(BATCH_SIZE);
+
+      if (error) throw error;
+      if (!due?.length) return;
+
+      for (const run of due) {
+        // Claim the run so an overlapping tick or a chatter's advance can't double-send
+        const { data: claimed } = await supabase
+          .from('script_runs')
+          .update({ next_step_at: null })
+          .eq('id', run.id)
+          .eq('next_step_at', run.next_step_at)
+          .select('id')
+          .maybeSingle();
+        if (!claimed) continue;
+
+        try {
+          await processRun(run);
+        } catch (err) {
+          console.error(`[ScriptAutomation] Run ${run.id} failed:`, err.message);
+          await pauseRun(run.id, 'send_failed');
+        }
+      }
+    } catch (err) {
+      console.error('[ScriptAutomation] Error:', err.message);
+    }
+  });
+
+  console.log('[ScriptAutomation] Started — checking every 15 seconds');
+}
+
+module.exports = {
+  dueAt,
+  pauseRunsOnReply,
+  startScriptAutomationJob
+};
@@ -0,0 +1,238 @@
+const supabase = require('../config/supabase');
+
+/**
+ * Branching script steps.
+ *
+ * A step's `branches` are tried in order when the run advances past it; the first whose
+ * condition holds picks the next step (goto: a step index, or null to end the script).
+ * Conditions look at what happened since the step was sent:
+ *
+ *   ppv_unlocked  the fan unlocked a PPV
+ *   tipped        the fan tipped, at least `amount` if given
+ *   replied       the fan sent a message
+ *   no_reply      `minutes` passed without a message from the fan
+ *   has_tag       the fan has tag `tag`
+ *   option        the chatter picked `label` when advancing
+ *   always        unconditional — must be last
+ *
+ * With no match the run moves to the next step in order (or ends after the last one),
+ * unless a no_reply timer is still running or an option is still to be picked, in
+ * which case it waits.
+ */
+
+const CONDITIONS = ['ppv_unlocked', 'tipped', 'replied', 'no_reply', 'has_tag', 'option', 'always'];
+
+const MAX_NO_REPLY_MINUTES = 7 * 24 * 60;
+
+/**
+ * Validate and normalize one step's branches. Returns { branches } or { error }.
+ */
+function normalizeBranches(branches, stepIndex, stepCount) {
+  if (branches === undefined || branches === null) return { branches: [] };
+  if (!Array.isArray(branches)) return { error: `Step ${stepIndex + 1}: branches must be an array` };
+
+  const out = [];
+  const labels = new Set();
+  for (const [i, b] of branches.entries()) {
+    const where = `Step ${stepIndex + 1}, branch ${i + 1}`;
+    if (!b || !CONDITIONS.includes(b.when)) return { error: `${where}: when must be one of ${CONDITIONS.join(', ')}` };
+    if (b.goto !== null && !(Number.isInteger(b.goto) && b.goto >= 0 && b.goto < stepCount)) {
+      return { error: `${where}: goto must be a step number in this script, or null to end` };
+    }
+    if (b.when === 'always' && i !== branches.length - 1) return { error: `${where}: always must be the last branch` };
+
+    const branch = { when: b.when, goto: b.goto };
+    if (b.when === 'no_reply') {
+      if (!Number.isInteger(b.minutes) || b.minutes < 1 || b.minutes > MAX_NO_REPLY_MINUTES) {
+        return { error: `${where}: no_reply needs minutes from 1 to ${MAX_NO_REPLY_MINUTES}` };
+      }
+      branch.minutes = b.minutes;
+    }
+    if (b.when === 'tipped' && b.amount !== undefined && b.amount !== null) {
+      if (typeof b.amount !== 'number' || b.amount < 0) return { error: `${where}: amount must be a positive number` };
+      branch.amount = b.amount;
+    }
+    if (b.when === 'has_tag') {
+      if (typeof b.tag !== 'string' || !b.tag.trim()) return { error: `${where}: has_tag needs a tag` };
+      branch.tag = b.tag.toLowerCase().trim();
+    }
+    if (b.when === 'option') {
+      if (typeof b.label !== 'string' || !b.label.trim()) return { error: `${where}: option needs a label` };
+      if (labels.has(b.label.trim())) return { error: `${where}: duplicate option ${b.label.trim()}` };
+      labels.add(b.label.trim());
+      branch.label = b.label.trim();
+    }
+    out.push(branch);
+  }
+  return { branches: out };
+}
+
+/**
+ * Step indexes a step can lead to. Falling through to the next step in order is only
+ * possible without an `always` branch.
+ */
+function successors(branches, index, stepCount) {
+  const next = branches.map(b => b.goto).filter(g => g !== null);
+  const hasDefault = branches.some(b => b.when === 'always');
+  if (!hasDefault && index + 1 < stepCount) next.push(index + 1);
+  return [...new Set(next)];
+}
+
+/**
+ * Validate a script's step graph: each step's branches, no unreachable steps from the
+ * first step, and no cycles. steps are request bodies in order; branches are normalized
+ * in place. Returns an error message or null.
+ */
+function validateStepGraph(steps) {
+  for (const [i, step] of steps.entries()) {
+    const { branches, error } = normalizeBranches(step.branches, i, steps.length);
+    if (error) return error;
+    step.branches = branches;
+  }
+
+  const edges = steps.map((step, i) => successors(step.branches, i, steps.length));
+
+  const reached = new Set([0]);
+  const queue = [0];
+  while (queue.length) {
+    edges[queue.shift()].forEach(n => {
+      if (!reached.has(n)) {
+        reached.add(n);
+        queue.push(n);
+      }
+    });
+  }
+  const unreachable = steps.map((_, i) => i).filter(i => !reached.has(i));
+  if (unreachable.length) return `Unreachable step(s): ${unreachable.map(i => i + 1).join(', ')}`;
+
+  // Depth-first search; a step met again while still on the path closes a cycle
+  const state = new Array(steps.length).fill(0); // 0 unvisited, 1 on path, 2 done
+  const path = [];
+  function visit(i) {
+    state[i] = 1;
+    path.push(i);
+    for (const n of edges[i]) {
+      if (state[n] === 1) return [...path.slice(path.indexOf(n)), n];
+      if (state[n] === 0) {
+        const cycle = visit(n);
+        if (cycle) return cycle;
+      }
+    }
+    path.pop();
+    state[i] = 2;
+    return null;
+  }
+  const cycle = visit(0);
+  if (cycle) return `Steps form a cycle: ${cycle.map(i => i + 1).join(' → ')}`;
+
+  return null;
+}
+
+/**
+ * When the run's current step went out: the run's latest outbound message since the
+ * step became current, else the time it became current.
+ */
+async function stepSentAt(run) {
+  const since = run.last_step_at || run.started_at;
+  const { data: sent } = await supabase
+    .from('messages')
+    .select('sent_at')
+    .eq('script_run_id', run.id)
+    .eq('direction', 'outbound')
+    .gte('sent_at', since)
+    .order('sent_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  return sent?.sent_at || since;
+}
+
+/**
+ * What the step's conditions need to know, fetched only if some branch uses it.
+ */
+async function branchContext(run, branches, since) {
+  const uses = (...conditions) => branches.some(b => conditions.includes(b.when));
+  const ctx = {};
+
+  await Promise.all([
+    uses('replied', 'no_reply') && (async () => {
+      const { data } = await supabase
+        .from('messages')
+        .select('id')
+        .eq('conversation_id', run.conversation_id)
+        .eq('direction', 'inbound')
+        .gte('sent_at', since)
+        .limit(1);
+      ctx.replied = !!data?.length;
+    })(),
+    uses('ppv_unlocked', 'tipped') && (async () => {
+      const { data } = await supabase
+        .from('revenue_events')
+        .select('event_type, amount')
+        .eq('fan_id', run.fan_id)
+        .in('event_type', ['ppv', 'tip'])
+        .gte('occurred_at', since);
+      ctx.revenue = data || [];
+    })(),
+    uses('has_tag') && (async () => {
+      const { data } = await supabase
+        .from('fan_tags')
+        .select('tag')
+        .eq('fan_id', run.fan_id);
+      ctx.tags = new Set((data || []).map(t => t.tag));
+    })()
+  ]);
+
+  return ctx;
+}
+
+/**
+ * Where a run goes after its current step.
+ * step is the current script_steps row; option is the chatter's pick (or null).
+ * Returns { next: stepIndex | null (end), branch } — branch is the index of the branch
+ * taken, or null for the fall-through — or { waiting: true, options, retryAt } when it
+ * can't decide yet.
+ */
+async function nextStepFor(run, step, stepCount, { option = null, now = new Date() } = {}) {
+  const branches = step.branches || [];
+  const fallThrough = step.step_index + 1 < stepCount ? step.step_index + 1 : null;
+  if (!branches.length) return { next: fallThrough, branch: null };
+
+  const since = await stepSentAt(run);
+  const ctx = await branchContext(run, branches, since);
+  const elapsedMinutes = (now - new Date(since)) / 60000;
+
+  const holds = (b) => {
+    switch (b.when) {
+      case 'ppv_unlocked': return ctx.revenue.some(e => e.event_type === 'ppv');
+      case 'tipped': return ctx.revenue.some(e => e.event_type === 'tip' && Number(e.amount) >= (b.amount || 0));
+      case 'replied': return ctx.replied;
+      case 'no_reply': return !ctx.replied && elapsedMinutes >= b.minutes;
+      case 'has_tag': return ctx.tags.has(b.tag);
+      case 'option': return option !== null && option === b.label;
+      case 'always': return true;
+      default: return false;
+    }
+  };
+
+  const taken = branches.findIndex(holds);
+  if (taken >= 0) return { next: branches[taken].goto, branch: taken };
+
+  const options = branches.filter(b => b.when === 'option').map(b => b.label);
+  const timers = ctx.replied ? [] : branches.filter(b => b.when === 'no_reply').map(b => b.minutes);
+  if (options.length || timers.length) {
+    return {
+      waiting: true,
+      options,
+      retryAt: timers.length ? new Date(new Date(since).getTime() + Math.min(...timers) * 60000).toISOString() : null
+    };
+  }
+
+  return { next: fallThrough, branch: null };
+}
+
+module.exports = {
+  CONDITIONS,
+  successors,
+  validateStepGraph,
+  nextStepFor
+};
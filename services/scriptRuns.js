@@ -0,0 +1,68 @@
+const { v4: uuidv4 } = require('uuid');
+const supabase = require('../config/supabase');
+const { dueAt } = require('./scriptAutomation');
+const { assignVariant } = require('./scriptVariants');
+const { versionSteps } = require('./scriptVersions');
+
+/**
+ * Starting script runs — by a chatter (POST /api/scripts/:scriptId/run) or by a trigger
+ * (services/scriptTriggers.js).
+ */
+
+/**
+ * The fan's run in progress, if any.
+ */
+async function activeRunFor({ conversationId, fanId }) {
+  let query = supabase
+    .from('script_runs')
+    .select('id')
+    .eq('status', 'active')
+    .limit(1);
+  query = conversationId ? query.eq('conversation_id', conversationId) : query.eq('fan_id', fanId);
+  const { data } = await query.maybeSingle();
+  return data;
+}
+
+/**
+ * Start a run of the script's published version. The run stays on that version even if
+ * a newer one is published mid-run.
+ * script: scripts row (published, with published_version_id)
+ * @returns {{ run, steps }} — run.variants holds the first step's A/B variant, if any
+ */
+async function startRun(script, {
+  conversationId, fanId, accountId, chatterId = null, mode = 'manual', triggerId = null
+}) {
+  const steps = await versionSteps(script.published_version_id);
+
+  const run = {
+    id: uuidv4(),
+    script_id: script.id,
+    version_id: script.published_version_id,
+    account_id: accountId,
+    fan_id: fanId,
+    conversation_id: conversationId,
+    chatter_id: chatterId,
+    trigger_id: triggerId,
+    current_step: 0,
+    status: 'active',
+    mode,
+    next_step_at: mode === 'automated' ? dueAt(steps, 0) : null,
+    started_at: new Date().toISOString()
+  };
+
+  const { error } = await supabase.from('script_runs').insert(run);
+  if (error) throw error;
+
+  // A/B tested first step: pick this run's variant
+  run.variants = {};
+  if (steps[0]) await assignVariant(run, steps[0]);
+
+  await supabase
+    .from('scripts')
+    .update({ run_count: (script.run_count || 0) + 1 })
+    .eq('id', script.id);
+
+  return { run, steps };
+}
+
+module.exports = { activeRunFor, startRun };
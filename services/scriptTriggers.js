@@ -0,0 +1,251 @@
+const cron = require('node-cron');
+const supabase = require('../config/supabase');
+const fanvueApi = require('./fanvueApi');
+const { activeRunFor, startRun } = require('./scriptRuns');
+const { loadAll } = require('../utils/paging');
+const { withRetry } = require('../utils/rateLimitRetry');
+
+/**
+ * Trigger-started scripts.
+ *
+ * Each account has at most one trigger per event (script_triggers), naming a script to
+ * start as an automated run when the event happens to a fan:
+ *
+ *   new_subscriber  subscriber.new webhook
+ *   first_message   the fan's first message in the conversation (webhook or inbox poller)
+ *   no_purchase     config.days without buying (checked daily)
+ *   tip             a tip of at least config.minAmount
+ *   renewal_off     the fan turned auto-renew off (checked daily in their Fanvue insights)
+ *
+ * A start is skipped when the fan already has a run in progress, when this trigger
+ * started a run for the fan within cooldown_hours, when the script isn't published, or
+ * when the fan has no conversation yet.
+ */
+
+const TRIGGER_EVENTS = ['new_subscriber', 'first_message', 'no_purchase', 'tip', 'renewal_off'];
+const MAX_COOLDOWN_HOURS = 24 * 365;
+const MAX_NO_PURCHASE_DAYS = 365;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Validate an event's config. Returns { config } or { error }.
+ */
+function normalizeTriggerConfig(event, config = {}) {
+  if (config === null || typeof config !== 'object' || Array.isArray(config)) return { error: 'config must be an object' };
+
+  if (event === 'no_purchase') {
+    if (!Number.isInteger(config.days) || config.days < 1 || config.days > MAX_NO_PURCHASE_DAYS) {
+      return { error: `no_purchase needs config.days from 1 to ${MAX_NO_PURCHASE_DAYS}` };
+    }
+    return { config: { days: config.days } };
+  }
+
+  if (event === 'tip') {
+    const minAmount = config.minAmount ?? 0;
+    if (typeof minAmount !== 'number' || minAmount < 0) return { error: 'config.minAmount must be a positive number' };
+    return { config: { minAmount } };
+  }
+
+  return { config: {} };
+}
+
+/**
+ * Start the trigger's script for a fan unless one of the skip rules applies.
+ * @returns {Promise<string|null>} the new run's id
+ */
+async function startForFan(trigger, fanId, now = new Date()) {
+  const script = trigger.script;
+  if (script?.status !== 'published' || !script.published_version_id) return null;
+
+  if (await activeRunFor({ fanId })) return null;
+
+  if (trigger.cooldown_hours > 0) {
+    const { data: recent } = await supabase
+      .from('script_runs')
+      .select('id')
+      .eq('trigger_id', trigger.id)
+      .eq('fan_id', fanId)
+      .gte('started_at', new Date(now.getTime() - trigger.cooldown_hours * 60 * 60 * 1000).toISOString())
+      .limit(1);
+    if (recent?.length) return null;
+  }
+
+  const { data: conversation } = await supabase
+    .from('conversations')
+    .select('id')
+    .eq('account_id', trigger.account_id)
+    .eq('fan_id', fanId)
+    .maybeSingle();
+  if (!conversation) return null;
+
+  const { run } = await startRun(script, {
+    conversationId: conversation.id,
+    fanId,
+    accountId: trigger.account_id,
+    mode: 'automated',
+    triggerId: trigger.id
+  });
+  return run.id;
+}
+
+const TRIGGER_SELECT = '*, script:scripts(id, status, published_version_id, run_count)';
+
+/**
+ * Something happened to a fan — start the account's script for it, if set up.
+ * amount is the tip for tip events. Never throws; failures are logged.
+ * @returns {Promise<string|null>} the new run's id
+ */
+async function fireTrigger(event, { accountId, fanId, amount = null }) {
+  try {
+    if (!accountId || !fanId) return null;
+
+    const { data: trigger } = await supabase
+      .from('script_triggers')
+      .select(TRIGGER_SELECT)
+      .eq('account_id', accountId)
+      .eq('event', event)
+      .eq('is_active', true)
+      .maybeSingle();
+    if (!trigger) return null;
+
+    if (event === 'tip' && !(Number(amount) >= (trigger.config?.minAmount || 0))) return null;
+
+    const runId = await startForFan(trigger, fanId);
+    if (runId) console.log(`[ScriptTriggers] ${event} started run ${runId} for fan ${fanId}`);
+    return runId;
+  } catch (err) {
+    console.error(`[ScriptTriggers] ${event} for fan ${fanId} failed:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Record what Fanvue says about a fan's auto-renew; turning it off fires renewal_off.
+ * fan: { id, account_id, rebill_on }
+ */
+async function noteAutoRenew(fan, autoRenew) {
+  if (typeof autoRenew !== 'boolean' || fan.rebill_on === autoRenew) return;
+
+  await supabase
+    .from('fans')
+    .update({ rebill_on: autoRenew, updated_at: new Date().toISOString() })
+    .eq('id', fan.id);
+
+  // rebill_on starts out true, so this is a change we saw happen
+  if (!autoRenew) await fireTrigger('renewal_off', { accountId: fan.account_id, fanId: fan.id });
+}
+
+/**
+ * Start no_purchase scripts for active subscribers who haven't bought in config.days
+ * (counting from when they subscribed if they never have).
+ * @returns {Promise<number>} runs started
+ */
+async function runNoPurchaseTriggers(now = new Date()) {
+  const { data: triggers, error } = await supabase
+    .from('script_triggers')
+    .select(`${TRIGGER_SELECT}, account:connected_accounts!inner(is_active)`)
+    .eq('event', 'no_purchase')
+    .eq('is_active', true)
+    .eq('account.is_active', true);
+  if (error) throw error;
+
+  let started = 0;
+  for (const trigger of triggers || []) {
+    try {
+      const cutoff = new Date(now.getTime() - trigger.config.days * DAY_MS).toISOString();
+      const fans = await loadAll(() => supabase
+        .from('fans')
+        .select('id')
+        .eq('account_id', trigger.account_id)
+        .eq('subscription_status', 'active')
+        .or(`last_purchase_at.lt.${cutoff},and(last_purchase_at.is.null,subscribed_at.lt.${cutoff})`)
+        .order('id'));
+
+      for (const fan of fans) {
+        if (await startForFan(trigger, fan.id, now)) started++;
+      }
+    } catch (err) {
+      console.error(`[ScriptTriggers] Trigger ${trigger.id} failed:`, err.message);
+    }
+  }
+  return started;
+}
+
+/**
+ * For accounts with a renewal_off trigger, look up each active subscriber who still has
+ * auto-renew on in their Fanvue insights; those who turned it off fire the trigger.
+ * @returns {Promise<number>} fans seen turning auto-renew off
+ */
+async function runRenewalOffChecks() {
+  const { data: triggers, error } = await supabase
+    .from('script_triggers')
+    .select('account_id, account:connected_accounts!inner(*)')
+    .eq('event', 'renewal_off')
+    .eq('is_active', true)
+    .eq('account.is_active', true);
+  if (error) throw error;
+
+  let turnedOff = 0;
+  for (const { account } of triggers || []) {
+    try {
+      const fans = await loadAll(() => supabase
+        .from('fans')
+        .select('id, account_id, fanvue_fan_id, rebill_on')
+        .eq('account_id', account.id)
+        .eq('subscription_status', 'active')
+        .eq('rebill_on', true)
+        .order('id'));
+
+      for (const fan of fans) {
+        try {
+          const raw = await withRetry(() => fanvueApi.getFanInsights(account, fan.fanvue_fan_id));
+          const autoRenew = raw?.subscription?.autoRenewalEnabled;
+          if (autoRenew === false) turnedOff++;
+          await noteAutoRenew(fan, autoRenew);
+        } catch (err) {
+          // Still rate limited after backing off — the rest of the account waits for tomorrow
+          if (err.response?.status === 429) throw err;
+          console.error(`[ScriptTriggers] Insights for fan ${fan.id} failed:`, err.message);
+        }
+      }
+    } catch (err) {
+      console.error(`[ScriptTriggers] Renewal check for ${account.fanvue_username} failed:`, err.message);
+    }
+  }
+  return turnedOff;
+}
+
+/**
+ * Daily at 07:00 UTC.
+ */
+function startScriptTriggerJob() {
+  cron.schedule('0 7 * * *', async () => {
+    try {
+      const started = await runNoPurchaseTriggers();
+      console.log(`[ScriptTriggers] ${started} no-purchase run(s) started`);
+    } catch (err) {
+      console.error('[ScriptTriggers] Error:', err.message);
+    }
+
+    try {
+      const turnedOff = await runRenewalOffChecks();
+      console.log(`[ScriptTriggers] ${turnedOff} fan(s) turned auto-renew off`);
+    } catch (err) {
+      console.error('[ScriptTriggers] Renewal check error:', err.message);
+    }
+  }, { timezone: 'UTC' });
+
+  console.log('[ScriptTriggers] Started — no-purchase and auto-renew checks daily at 07:00 UTC');
+}
+
+module.exports = {
+  TRIGGER_EVENTS,
+  MAX_COOLDOWN_HOURS,
+  normalizeTriggerConfig,
+  fireTrigger,
+  noteAutoRenew,
+  runNoPurchaseTriggers,
+  runRenewalOffChecks,
+  startScriptTriggerJob
+};
@@ -0,0 +1,203 @@
+const { v4: uuidv4 } = require('uuid');
+const supabase = require('../config/supabase');
+const { round2, round4 } = require('../utils/numbers');
+const { loadAll } = require('../utils/paging');
+
+/**
+ * Script A/B tests.
+ *
+ * A step can carry `variants`: alternative content / price, each with a traffic weight.
+ * When a run reaches the step it is given one variant at random by weight, kept on
+ * script_runs.variants ({ stepIndex: key }) and logged as a 'variant_assigned'
+ * script_run_events row. Fields a variant leaves out fall back to the step's own.
+ *
+ * Analytics compare each variant's runs with the step's first (control) variant:
+ * conversion with a two-proportion z-test, revenue per run with Welch's test (normal
+ * approximation). A difference is significant at p < 0.05 with at least MIN_SAMPLE runs
+ * on both sides.
+ */
+
+const MAX_VARIANTS = 5;
+const MIN_SAMPLE = 30;
+const SIGNIFICANCE_LEVEL = 0.05;
+
+/**
+ * Validate and normalize steps' variants in place (request bodies, in order).
+ * Returns an error message or null.
+ */
+function validateStepVariants(steps) {
+  for (const [i, step] of steps.entries()) {
+    const where = `Step ${i + 1}`;
+    if (step.variants === undefined || step.variants === null) {
+      step.variants = [];
+      continue;
+    }
+    if (!Array.isArray(step.variants)) return `${where}: variants must be an array`;
+    if (!step.variants.length) continue;
+    if (step.variants.length < 2 || step.variants.length > MAX_VARIANTS) {
+      return `${where}: a test needs 2 to ${MAX_VARIANTS} variants`;
+    }
+
+    const keys = new Set();
+    const variants = [];
+    for (const [v, variant] of step.variants.entries()) {
+      if (!variant || typeof variant !== 'object') return `${where}: each variant must be an object`;
+      const key = String(variant.key ?? String.fromCharCode(65 + v)).trim();
+      if (!key || key.length > 20) return `${where}: variant keys must be 1 to 20 characters`;
+      if (keys.has(key)) return `${where}: duplicate variant ${key}`;
+      keys.add(key);
+
+      const weight = variant.weight ?? 1;
+      if (typeof weight !== 'number' || !(weight > 0)) return `${where}, variant ${key}: weight must be a positive number`;
+      if (variant.ppvPrice !== undefined && variant.ppvPrice !== null && !(Number(variant.ppvPrice) >= 0)) {
+        return `${where}, variant ${key}: ppvPrice must be a positive number`;
+      }
+
+      // Only the fields the variant sets; the rest come from the step
+      const normalized = { key, label: variant.label || null, weight };
+      if (variant.content !== undefined) normalized.content = variant.content;
+      if (variant.mediaUrls !== undefined) normalized.media_urls = variant.mediaUrls || [];
+      if (variant.isPpv !== undefined) normalized.is_ppv = !!variant.isPpv;
+      if (variant.ppvPrice !== undefined) normalized.ppv_price = variant.ppvPrice === null ? null : Number(variant.ppvPrice);
+      variants.push(normalized);
+    }
+    step.variants = variants;
+  }
+  return null;
+}
+
+/**
+ * The step as a run sees it: its own fields overridden by the run's variant, if any.
+ */
+function applyVariant(step, key) {
+  const variant = key ? (step.variants || []).find(v => v.key === key) : null;
+  if (!variant) return { ...step, variant: null };
+  const { key: _key, label, weight, ...fields } = variant;
+  return { ...step, ...fields, variant: key, variant_label: label };
+}
+
+/**
+ * Give a run a variant of `step` if it has any and the run has none yet.
+ * Updates run.variants in place. Returns the variant key, or null.
+ */
+async function assignVariant(run, step, random = Math.random) {
+  const variants = step.variants || [];
+  const assigned = run.variants?.[step.step_index];
+  if (!variants.length || assigned) return assigned || null;
+
+  const total = variants.reduce((s, v) => s + v.weight, 0);
+  let roll = random() * total;
+  const picked = variants.find(v => (roll -= v.weight) < 0) || variants[variants.length - 1];
+
+  run.variants = { ...(run.variants || {}), [step.step_index]: picked.key };
+  await supabase.from('script_runs').update({ variants: run.variants }).eq('id', run.id);
+
+  await supabase.from('script_run_events').insert({
+    id: uuidv4(),
+    run_id: run.id,
+    step_index: step.step_index,
+    action: 'variant_assigned',
+    details: { variant: picked.key },
+    created_at: new Date().toISOString()
+  });
+
+  return picked.key;
+}
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26, error < 1.5e-7)
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+const twoSidedP = (z) => 2 * (1 - normalCdf(Math.abs(z)));
+
+// Two-proportion z-test p-value, or null when it can't be computed
+function conversionPValue(a, b) {
+  const pooled = (a.converted + b.converted) / (a.runs + b.runs);
+  const se = Math.sqrt(pooled * (1 - pooled) * (1 / a.runs + 1 / b.runs));
+  if (!se) return null;
+  return twoSidedP((b.converted / b.runs - a.converted / a.runs) / se);
+}
+
+// Welch's test on revenue per run, normal approximation
+function revenuePValue(a, b) {
+  const variance = (g) => {
+    const mean = g.revenue / g.runs;
+    return g.amounts.reduce((s, x) => s + (x - mean) ** 2, 0) / (g.runs - 1);
+  };
+  const se = Math.sqrt(variance(a) / a.runs + variance(b) / b.runs);
+  if (!se) return null;
+  return twoSidedP((b.revenue / b.runs - a.revenue / a.runs) / se);
+}
+
+/**
+ * Per-variant results of a script version's tests, over all runs on that version.
+ * steps: the version's steps (for labels and the control variant).
+ * @returns {Array<{ stepIndex, control, variants: [{ key, label, runs, converted,
+ *   conversionRate, revenue, revenuePerRun, conversionP, revenueP, significant }] }>}
+ */
+async function variantAnalytics(versionId, steps) {
+  const assignments = await loadAll(() => supabase
+    .from('script_run_events')
+    .select('id, step_index, details, run:script_runs!inner(version_id, converted, revenue_generated)')
+    .eq('action', 'variant_assigned')
+    .eq('run.version_id', versionId)
+    .order('id'));
+
+  const byStep = new Map();
+  assignments.forEach(({ step_index: stepIndex, details, run }) => {
+    const key = details?.variant;
+    if (!key || !run) return;
+    if (!byStep.has(stepIndex)) byStep.set(stepIndex, new Map());
+    const groups = byStep.get(stepIndex);
+    if (!groups.has(key)) groups.set(key, { runs: 0, converted: 0, revenue: 0, amounts: [] });
+    const g = groups.get(key);
+    const amount = Number(run.revenue_generated) || 0;
+    g.runs++;
+    if (run.converted) g.converted++;
+    g.revenue += amount;
+    g.amounts.push(amount);
+  });
+
+  return [...byStep.entries()].sort((a, b) => a[0] - b[0]).map(([stepIndex, groups]) => {
+    const defined = steps.find(s => s.step_index === stepIndex)?.variants || [];
+    const order = [...new Set([...defined.map(v => v.key).filter(k => groups.has(k)), ...[...groups.keys()].sort()])];
+    const control = order[0];
+    const base = groups.get(control);
+
+    return {
+      stepIndex,
+      control,
+      variants: order.map(key => {
+        const g = groups.get(key);
+        const compared = key !== control && g.runs >= 2 && base.runs >= 2;
+        const conversionP = compared ? conversionPValue(base, g) : null;
+        const revenueP = compared ? revenuePValue(base, g) : null;
+        const enough = g.runs >= MIN_SAMPLE && base.runs >= MIN_SAMPLE;
+        return {
+          key,
+          label: defined.find(v => v.key === key)?.label || null,
+          runs: g.runs,
+          converted: g.converted,
+          conversionRate: Math.round((g.converted / g.runs) * 100),
+          revenue: round2(g.revenue),
+          revenuePerRun: round2(g.revenue / g.runs),
+          conversionP: conversionP === null ? null : round4(conversionP),
+          revenueP: revenueP === null ? null : round4(revenueP),
+          significant: enough && [conversionP, revenueP].some(p => p !== null && p < SIGNIFICANCE_LEVEL)
+        };
+      })
+    };
+  });
+}
+
+module.exports = {
+  MIN_SAMPLE,
+  validateStepVariants,
+  applyVariant,
+  assignVariant,
+  variantAnalytics
+};
@@ -0,0 +1,202 @@
+const { v4: uuidv4 } = require('uuid');
+const supabase = require('../config/supabase');
+
+/**
+ * Script versions.
+ *
+ * A script's steps belong to a version. At most one version is a draft and takes edits;
+ * publishing freezes it and makes it the one new runs start on (scripts.published_version_id),
+ * retiring the previous one. Runs keep the version they started on (script_runs.version_id),
+ * so editing never changes what an in-flight run sends or what its analytics refer to.
+ * Editing a script with no draft opens a draft of the next version.
+ *
+ * Rolling back copies an older version's steps into a new version and publishes it, so
+ * the history only ever grows.
+ */
+
+// Step fields compared by diffs
+const STEP_FIELDS = ['content', 'internal_note', 'media_urls', 'is_ppv', 'ppv_price', 'delay_seconds', 'branches', 'variants'];
+
+/**
+ * script_steps rows for a version from request bodies (validated and normalized).
+ */
+function stepRows(steps, scriptId, versionId) {
+  return steps.map((step, index) => ({
+    id: uuidv4(),
+    script_id: scriptId,
+    version_id: versionId,
+    step_index: index,
+    content: step.content,
+    internal_note: step.internalNote || null,
+    media_urls: step.mediaUrls || [],
+    is_ppv: step.isPpv || false,
+    ppv_price: step.ppvPrice || null,
+    delay_seconds: step.delaySeconds || 0,
+    branches: step.branches,
+    variants: step.variants
+  }));
+}
+
+/**
+ * A version's steps, in order.
+ */
+async function versionSteps(versionId) {
+  const { data, error } = await supabase
+    .from('script_steps')
+    .select('*')
+    .eq('version_id', versionId)
+    .order('step_index');
+  if (error) throw error;
+  return data || [];
+}
+
+async function findVersion(scriptId, filters) {
+  let query = supabase.from('script_versions').select('*').eq('script_id', scriptId);
+  Object.entries(filters).forEach(([column, value]) => { query = query.eq(column, value); });
+  const { data } = await query.maybeSingle();
+  return data;
+}
+
+const draftVersion = (scriptId) => findVersion(scriptId, { status: 'draft' });
+
+/**
+ * Insert the script's next version and its steps.
+ * rows: (versionId) => script_steps rows
+ */
+async function createVersion(scriptId, userId, rows, { status = 'draft', rolledBackFrom = null } = {}) {
+  const { data: latest } = await supabase
+    .from('script_versions')
+    .select('version')
+    .eq('script_id', scriptId)
+    .order('version', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  const now = new Date().toISOString();
+  const { data: version, error } = await supabase
+    .from('script_versions')
+    .insert({
+      id: uuidv4(),
+      script_id: scriptId,
+      version: (latest?.version || 0) + 1,
+      status,
+      rolled_back_from: rolledBackFrom,
+      created_by: userId,
+      published_by: status === 'published' ? userId : null,
+      published_at: status === 'published' ? now : null,
+      created_at: now
+    })
+    .select()
+    .single();
+  if (error) throw error;
+
+  const { error: stepsError } = await supabase.from('script_steps').insert(rows(version.id));
+  if (stepsError) {
+    await supabase.from('script_versions').delete().eq('id', version.id);
+    throw stepsError;
+  }
+
+  return version;
+}
+
+/**
+ * Save edited steps: into the open draft, or a new draft of the next version.
+ */
+async function saveDraft(scriptId, userId, steps) {
+  const draft = await draftVersion(scriptId);
+  if (!draft) return createVersion(scriptId, userId, versionId => stepRows(steps, scriptId, versionId));
+
+  const { error: deleteError } = await supabase.from('script_steps').delete().eq('version_id', draft.id);
+  if (deleteError) throw deleteError;
+  const { error } = await supabase.from('script_steps').insert(stepRows(steps, scriptId, draft.id));
+  if (error) throw error;
+  return draft;
+}
+
+/**
+ * Make `version` the script's live version: freeze it, retire the one it replaces.
+ */
+async function publishVersion(script, version, userId) {
+  const now = new Date().toISOString();
+
+  if (version.status !== 'published') {
+    const { error } = await supabase
+      .from('script_versions')
+      .update({ status: 'published', published_by: userId, published_at: now })
+      .eq('id', version.id);
+    if (error) throw error;
+  }
+
+  if (script.published_version_id && script.published_version_id !== version.id) {
+    await supabase
+      .from('script_versions')
+      .update({ status: 'retired' })
+      .eq('id', script.published_version_id);
+  }
+
+  const { error } = await supabase
+    .from('scripts')
+    .update({ published_version_id: version.id, status: 'published', updated_at: now })
+    .eq('id', script.id);
+  if (error) throw error;
+
+  return { ...version, status: 'published', published_at: version.published_at || now };
+}
+
+/**
+ * Publish a copy of an older version's steps as the newest version.
+ */
+async function rollbackTo(script, target, userId) {
+  const steps = await versionSteps(target.id);
+  const version = await createVersion(script.id, userId, versionId => steps.map(
+    ({ id: _id, version_id: _versionId, created_at: _createdAt, ...step }) => ({ ...step, id: uuidv4(), version_id: versionId })
+  ), { status: 'published', rolledBackFrom: target.version });
+  return publishVersion(script, version, userId);
+}
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Step-by-step differences between two versions' steps, matched by step index.
+ * @returns {{ steps: [{ index, change: 'added' | 'removed' | 'changed' | 'unchanged',
+ *   fields: { [field]: { from, to } } }], summary: { added, removed, changed, unchanged } }}
+ */
+function diffSteps(fromSteps, toSteps) {
+  const normalize = (step) => step && {
+    ...step,
+    ppv_price: step.ppv_price === null || step.ppv_price === undefined ? null : Number(step.ppv_price),
+    branches: step.branches || [],
+    variants: step.variants || []
+  };
+  const before = new Map(fromSteps.map(s => [s.step_index, normalize(s)]));
+  const after = new Map(toSteps.map(s => [s.step_index, normalize(s)]));
+  const indexes = [...new Set([...before.keys(), ...after.keys()])].sort((a, b) => a - b);
+
+  const steps = indexes.map(index => {
+    const a = before.get(index);
+    const b = after.get(index);
+    const fields = {};
+    STEP_FIELDS.forEach(field => {
+      if (!sameValue(a?.[field], b?.[field])) fields[field] = { from: a ? a[field] ?? null : null, to: b ? b[field] ?? null : null };
+    });
+
+    const change = !a ? 'added' : !b ? 'removed' : Object.keys(fields).length ? 'changed' : 'unchanged';
+    return { index, change, fields };
+  });
+
+  const summary = { added: 0, removed: 0, changed: 0, unchanged: 0 };
+  steps.forEach(s => { summary[s.change]++; });
+  return { steps, summary };
+}
+
+module.exports = {
+  stepRows,
+  versionSteps,
+  findVersion,
+  draftVersion,
+  createVersion,
+  saveDraft,
+  publishVersion,
+  rollbackTo,
+  diffSteps
+};
@@ -0,0 +1,303 @@
+const supabase = require('../config/supabase');
+const { FILTER_OPS, loadCustomFields, parseFilters, matchesFilters } = require('./customFields');
+
+/**
+ * Fan segments — saved rule sets evaluated server-side against fans.
+ *
+ * Rules are a group: { match: 'all' | 'any', conditions: [condition | group, ...] }
+ * A condition is { field, op, value }:
+ *
+ *   number fields  lifetime_spend, spend_30d, spend_7d, buyer_score, message_count
+ *                  ops: gt, gte, lt, lte, eq, neq, between ([min, max])
+ *   enum fields    subscription_status, spend_tier
+ *                  ops: eq, neq, in, not_in
+ *   date fields    last_active_at, last_purchase_at, last_message_at, subscribed_at
+ *                  ops: within_days, older_than_days (never counts as older),
+ *                       before, after, is_null, not_null
+ *   tags           ops: has, has_any, has_all, has_none
+ *   custom.<key>   the org's custom fields (services/customFields.js), with that field
+ *                  type's FILTER_OPS; set takes true/false, in/has take a list
+ *
+ * Top-level `all` conditions on columns are pushed down into the fans query; everything
+ * is then checked in JS, so counts are exact whatever the nesting.
+ */
+
+const NUMBER_FIELDS = ['lifetime_spend', 'spend_30d', 'spend_7d', 'buyer_score', 'message_count'];
+const ENUM_FIELDS = {
+  subscription_status: ['active', 'expired', 'free', 'unknown'],
+  spend_tier: ['whale', 'dolphin', 'low']
+};
+const DATE_FIELDS = ['last_active_at', 'last_purchase_at', 'last_message_at', 'subscribed_at'];
+
+const OPS = {
+  number: ['gt', 'gte', 'lt', 'lte', 'eq', 'neq', 'between'],
+  enum: ['eq', 'neq', 'in', 'not_in'],
+  date: ['within_days', 'older_than_days', 'before', 'after', 'is_null', 'not_null'],
+  tags: ['has', 'has_any', 'has_all', 'has_none']
+};
+
+const CUSTOM_PREFIX = 'custom.';
+
+const MAX_DEPTH = 3;
+const MAX_CONDITIONS = 50;
+
+// Rule fields, plus what callers sort and filter matched fans by
+const FAN_COLUMNS = [
+  'id', 'account_id', 'fanvue_fan_id', 'username', 'display_name',
+  ...NUMBER_FIELDS, ...Object.keys(ENUM_FIELDS), ...DATE_FIELDS,
+  'forecast_spend_30d', 'purchase_likelihood_7d', 'custom_fields'
+];
+
+const DAY_MS = 86400000;
+
+function fieldKind(field) {
+  if (NUMBER_FIELDS.includes(field)) return 'number';
+  if (ENUM_FIELDS[field]) return 'enum';
+  if (DATE_FIELDS.includes(field)) return 'date';
+  if (field === 'tags') return 'tags';
+  if (typeof field === 'string' && field.startsWith(CUSTOM_PREFIX)) return 'custom';
+  return null;
+}
+
+/**
+ * A custom.<key> condition as a customFields filter. Values are given as JSON (numbers,
+ * booleans, lists) and run through the same parsing as GET /api/fans custom[key][op]=.
+ * customFields: Map of key → definition. Returns { filter } or { error }.
+ */
+function customFilter({ field, op, value }, customFields) {
+  const key = field.slice(CUSTOM_PREFIX.length);
+  const definition = customFields.get(key);
+  if (!definition) return { error: `Unknown field: ${field}` };
+  if (!FILTER_OPS[definition.type].includes(op)) return { error: `${field} supports ${FILTER_OPS[definition.type].join(', ')}` };
+
+  const empty = value === null || value === undefined || (Array.isArray(value) && !value.length);
+  if (empty || (typeof value === 'object' && !Array.isArray(value))) return { error: `${field} ${op} needs a value` };
+  const raw = Array.isArray(value) ? value.join(',') : value;
+  const { filters, error } = parseFilters({ [key]: { [op]: raw } }, [definition]);
+  return error ? { error } : { filter: filters[0] };
+}
+
+function validateCondition({ field, op, value }, customFields) {
+  const kind = fieldKind(field);
+  if (!kind) return `Unknown field: ${field}`;
+  if (kind === 'custom') return customFilter({ field, op, value }, customFields).error || null;
+  if (!OPS[kind].includes(op)) return `${field} supports ${OPS[kind].join(', ')}`;
+
+  if (kind === 'number') {
+    if (op === 'between') {
+      if (!Array.isArray(value) || value.length !== 2 || value.some(v => typeof v !== 'number')) {
+        return `${field} between needs [min, max]`;
+      }
+    } else if (typeof value !== 'number') {
+      return `${field} needs a number`;
+    }
+  }
+  if (kind === 'enum') {
+    const values = ['in', 'not_in'].includes(op) ? value : [value];
+    if (!Array.isArray(values) || !values.length || values.some(v => !ENUM_FIELDS[field].includes(v))) {
+      return `${field} must be one of ${ENUM_FIELDS[field].join(', ')}`;
+    }
+  }
+  if (kind === 'date') {
+    if (['within_days', 'older_than_days'].includes(op) && !(typeof value === 'number' && value >= 0)) {
+      return `${field} ${op} needs a number of days`;
+    }
+    if (['before', 'after'].includes(op) && isNaN(new Date(value))) return `${field} ${op} needs a date`;
+  }
+  if (kind === 'tags') {
+    const values = op === 'has' ? [value] : value;
+    if (!Array.isArray(values) || !values.length || values.some(v => typeof v !== 'string' || !v)) {
+      return op === 'has' ? 'tags has needs a tag' : `tags ${op} needs a list of tags`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate a rule group against the org's custom field definitions (loadCustomFields).
+ * Returns an error message or null.
+ */
+function validateRules(rules, customFields = []) {
+  const byKey = new Map(customFields.map(f => [f.key, f]));
+  let count = 0;
+
+  function walk(group, depth) {
+    if (!group || typeof group !== 'object') return 'rules must be { match, conditions }';
+    if (!['all', 'any'].includes(group.match)) return "match must be 'all' or 'any'";
+    if (!Array.isArray(group.conditions)) return 'conditions must be an array';
+    if (depth > MAX_DEPTH) return `Groups can nest at most ${MAX_DEPTH} deep`;
+
+    for (const c of group.conditions) {
+      const err = c && c.conditions ? walk(c, depth + 1) : (count++, validateCondition(c || {}, byKey));
+      if (err) return err;
+    }
+    if (count > MAX_CONDITIONS) return `At most ${MAX_CONDITIONS} conditions per segment`;
+    return null;
+  }
+
+  return walk(rules, 1);
+}
+
+function matchesCondition(fan, { field, op, value }, now, customFields) {
+  if (fieldKind(field) === 'custom') {
+    // A field deleted since the segment was saved matches nobody
+    const { filter } = customFilter({ field, op, value }, customFields);
+    return !!filter && matchesFilters(fan.custom_fields, [filter]);
+  }
+
+  if (field === 'tags') {
+    const tags = fan.tags;
+    if (op === 'has') return tags.has(value);
+    if (op === 'has_any') return value.some(t => tags.has(t));
+    if (op === 'has_all') return value.every(t => tags.has(t));
+    return !value.some(t => tags.has(t)); // has_none
+  }
+
+  const raw = fan[field];
+
+  if (DATE_FIELDS.includes(field)) {
+    const at = raw ? new Date(raw).getTime() : null;
+    switch (op) {
+      case 'is_null': return at === null;
+      case 'not_null': return at !== null;
+      case 'within_days': return at !== null && at >= now - value * DAY_MS;
+      case 'older_than_days': return at === null || at < now - value * DAY_MS;
+      case 'before': return at !== null && at < new Date(value).getTime();
+      case 'after': return at !== null && at > new Date(value).getTime();
+      default: return false;
+    }
+  }
+
+  if (ENUM_FIELDS[field]) {
+    switch (op) {
+      case 'eq': return raw === value;
+      case 'neq': return raw !== value;
+      case 'in': return value.includes(raw);
+      case 'not_in': return !value.includes(raw);
+      default: return false;
+    }
+  }
+
+  const n = Number(raw || 0);
+  switch (op) {
+    case 'gt': return n > value;
+    case 'gte': return n >= value;
+    case 'lt': return n < value;
+    case 'lte': return n <= value;
+    case 'eq': return n === value;
+    case 'neq': return n !== value;
+    case 'between': return n >= value[0] && n <= value[1];
+    default: return false;
+  }
+}
+
+/**
+ * Does a fan (with `tags` as a Set) match a rule group?
+ * customFields: Map of key → definition, for custom.<key> conditions.
+ */
+function matchesRules(fan, group, now = Date.now(), customFields = new Map()) {
+  const test = (c) => (c.conditions
+    ? matchesRules(fan, c, now, customFields)
+    : matchesCondition(fan, c, now, customFields));
+  if (!group.conditions.length) return true;
+  return group.match === 'all' ? group.conditions.every(test) : group.conditions.some(test);
+}
+
+/**
+ * Narrow the fans query with top-level `all` conditions the database can check itself.
+ */
+function pushDown(query, rules, now) {
+  if (rules.match !== 'all') return query;
+
+  rules.conditions.forEach(c => {
+    if (c.conditions || c.field === 'tags' || fieldKind(c.field) === 'custom') return;
+    const { field, op, value } = c;
+
+    // Null numbers count as 0 in JS but never match in SQL — only push down bounds that exclude 0
+    if (NUMBER_FIELDS.includes(field) && ['gt', 'gte'].includes(op) && value > 0) {
+      query = query[op](field, value);
+    } else if (NUMBER_FIELDS.includes(field) && op === 'between' && value[0] > 0) {
+      query = query.gte(field, value[0]).lte(field, value[1]);
+    } else if (ENUM_FIELDS[field] && op === 'eq') {
+      query = query.eq(field, value);
+    } else if (ENUM_FIELDS[field] && op === 'in') {
+      query = query.in(field, value);
+    } else if (DATE_FIELDS.includes(field) && op === 'within_days') {
+      query = query.gte(field, new Date(now - value * DAY_MS).toISOString());
+    } else if (DATE_FIELDS.includes(field) && op === 'after') {
+      query = query.gt(field, new Date(value).toISOString());
+    } else if (DATE_FIELDS.includes(field) && op === 'not_null') {
+      query = query.not(field, 'is', null);
+    }
+  });
+
+  return query;
+}
+
+/**
+ * All fans in the org (or one account) matching `rules`.
+ * Each fan has the FAN_COLUMNS plus `tags` (array).
+ */
+async function evaluateRules(organizationId, rules, { accountId = null } = {}) {
+  const now = Date.now();
+  const PAGE = 1000;
+  const matched = [];
+  const customFields = new Map((await loadCustomFields(organizationId)).map(f => [f.key, f]));
+
+  for (let from = 0; ; from += PAGE) {
+    let query = supabase
+      .from('fans')
+      .select(`${FAN_COLUMNS.join(', ')}, fan_tags(tag)`)
+      .eq('organization_id', organizationId)
+      .order('id')
+      .range(from, from + PAGE - 1);
+    if (accountId) query = query.eq('account_id', accountId);
+    query = pushDown(query, rules, now);
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    (data || []).forEach(row => {
+      const { fan_tags: fanTags, ...fan } = row;
+      const tags = (fanTags || []).map(t => t.tag);
+      if (matchesRules({ ...fan, tags: new Set(tags) }, rules, now, customFields)) matched.push({ ...fan, tags });
+    });
+
+    if (!data || data.length < PAGE) break;
+  }
+
+  return matched;
+}
+
+/**
+ * A saved segment, scoped to the org. null if not found.
+ */
+async function loadSegment(segmentId, organizationId) {
+  const { data } = await supabase
+    .from('fan_segments')
+    .select('*')
+    .eq('id', segmentId)
+    .eq('organization_id', organizationId)
+    .maybeSingle();
+  return data;
+}
+
+/**
+ * Fans in a saved segment. accountId narrows an org-wide segment to one account.
+ */
+async function evaluateSegment(segment, { accountId = null } = {}) {
+  if (segment.account_id && accountId && segment.account_id !== accountId) return [];
+  return evaluateRules(segment.organization_id, segment.rules, { accountId: accountId || segment.account_id });
+}
+
+module.exports = {
+  NUMBER_FIELDS,
+  ENUM_FIELDS,
+  DATE_FIELDS,
+  OPS,
+  validateRules,
+  matchesRules,
+  evaluateRules,
+  loadSegment,
+  evaluateSegment
+};
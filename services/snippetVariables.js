@@ -0,0 +1,35 @@
+const { loadCustomFields, displayValues } = require('./customFields');
+
+/**
+ * Resolve {{variables}} in snippet body
+ * {{custom.key}} is the fan's value for an org custom field (context.customFields)
+ */
+function resolveVariables(body, context = {}) {
+  return body
+    .replace(/{{fan_name}}/g, context.fanName || 'babe')
+    .replace(/{{model_name}}/g, context.modelName || 'me')
+    .replace(/{{lifetime_spend}}/g, context.lifetimeSpend ? `$${context.lifetimeSpend}` : '')
+    .replace(/{{days_subscribed}}/g, context.daysSubscribed || '')
+    .replace(/{{last_tip_amount}}/g, context.lastTipAmount ? `$${context.lastTipAmount}` : '')
+    .replace(/{{local_time}}/g, context.localTime || '')
+    .replace(/{{custom\.([a-z0-9_]+)}}/g, (_, key) => context.customFields?.[key] || '');
+}
+
+/**
+ * Variable context for a fan row (username, display_name, lifetime_spend, subscribed_at,
+ * custom_fields). Custom field definitions are only loaded when `body` uses them.
+ */
+async function fanContext(fan, organizationId, body) {
+  const daysSubscribed = fan.subscribed_at
+    ? Math.floor((Date.now() - new Date(fan.subscribed_at).getTime()) / 86400000)
+    : null;
+  const fields = /{{custom\./.test(body) ? await loadCustomFields(organizationId) : [];
+  return {
+    fanName: fan.display_name || fan.username,
+    lifetimeSpend: fan.lifetime_spend,
+    daysSubscribed,
+    customFields: displayValues(fan.custom_fields, fields)
+  };
+}
+
+module.exports = { resolveVariables, fanContext };
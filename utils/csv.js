@@ -0,0 +1,79 @@
+'use strict';
+
+/**
+ * Minimal RFC 4180 CSV helpers.
+ *
+ * Usage:
+ *   const { toCsv, parseCsv } = require('../utils/csv');
+ *   res.type('text/csv').send(toCsv([['name', 'total'], ['Ana', 120.5]]));
+ *   parseCsv('name,total\r\nAna,120.5\r\n'); // → [['name', 'total'], ['Ana', '120.5']]
+ */
+
+// Spreadsheets run a cell starting with one of these as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+const PLAIN_NUMBER = /^[+-]?\d+(\.\d+)?$/;
+
+/**
+ * Quote a single value if it contains a comma, quote or newline.
+ * null/undefined become an empty cell; objects are JSON-encoded. Text that a spreadsheet
+ * would run as a formula (=HYPERLINK(...), +, -, @) is prefixed with ' — plain numbers are left alone.
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let str = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (FORMULA_START.test(str) && !PLAIN_NUMBER.test(str)) str = `'${str}`;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Rows (arrays of values) → CSV text with CRLF line endings.
+ * Rows may have different lengths (e.g. a header block above a table).
+ */
+function toCsv(rows) {
+  return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * CSV text → rows (arrays of strings). Accepts CRLF or LF line endings, quoted cells
+ * with embedded commas, quotes and newlines, and a leading byte order mark.
+ * Blank lines are skipped. Throws on an unterminated quote.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    cell = '';
+  };
+
+  for (; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch !== '"') cell += ch;
+      else if (text[i + 1] === '"') { cell += '"'; i++; }
+      else quoted = false;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      cell += ch;
+    }
+  }
+
+  if (quoted) throw new Error('Unterminated quoted cell');
+  if (cell !== '' || row.length) endRow();
+  return rows;
+}
+
+module.exports = { csvCell, toCsv, parseCsv };
@@ -0,0 +1,196 @@
+'use strict';
+
+/**
+ * Date range + period-over-period helpers shared by the analytics and revenue routes.
+ *
+ * Usage:
+ *   const { resolveRange, previousRange, compareMetric } = require('../utils/dateRange');
+ *   const range = resolveRange(req.query);  // ?period=30d or ?startDate=&endDate=, optional &compare=
+ *   if (range.error) return res.status(400).json({ error: range.error });
+ *   if (range.previous) ... compareMetric(current, previous)
+ *
+ * All ranges are { startDate, endDate } as full ISO-8601 timestamps — the Fanvue API
+ * rejects date-only strings.
+ */
+
+const { getZonedParts, zonedTimeToUtc } = require('./timezone');
+const { pad, dayString } = require('./days');
+const { round2 } = require('./numbers');
+
+const COMPARE_MODES = ['previous_period', 'previous_year'];
+
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Calendar periods (today, yesterday, month, year) with their midnights in `timeZone`.
+ */
+function zonedPeriod(period, timeZone, now) {
+  const p = getZonedParts(now, timeZone);
+  const midnight = (day) => zonedTimeToUtc(`${day}T00:00`, timeZone).toISOString();
+
+  switch (period) {
+    case 'today':
+      return { startDate: midnight(dayString(p.year, p.month, p.day)), endDate: now.toISOString() };
+    case 'yesterday':
+      return {
+        startDate: midnight(dayString(p.year, p.month, p.day - 1)),
+        endDate: midnight(dayString(p.year, p.month, p.day))
+      };
+    case 'month':
+      return { startDate: midnight(`${p.year}-${pad(p.month)}-01`), endDate: now.toISOString() };
+    case 'year':
+      return { startDate: midnight(`${p.year}-01-01`), endDate: now.toISOString() };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Parse period → { startDate, endDate } as ISO timestamp strings.
+ * Supported: today, yesterday, 7d, 14d, 30d, month, year, all, or any `<n>d`
+ * With timeZone, calendar periods start at that zone's midnight instead of the server's.
+ */
+function parsePeriod(period = '30d', timeZone = null) {
+  const now = new Date();
+  const endDate = now.toISOString();
+
+  if (timeZone) {
+    const zoned = zonedPeriod(period, timeZone, now);
+    if (zoned) return zoned;
+  }
+
+  switch (period) {
+    case 'today': {
+      const start = new Date(now);
+      start.setHours(0, 0, 0, 0);
+      return { startDate: start.toISOString(), endDate };
+    }
+    case 'yesterday': {
+      const start = new Date(now);
+      start.setDate(start.getDate() - 1);
+      start.setHours(0, 0, 0, 0);
+      const end = new Date(now);
+      end.setHours(0, 0, 0, 0);
+      return { startDate: start.toISOString(), endDate: end.toISOString() };
+    }
+    case '7d':
+      return { startDate: new Date(Date.now() - 7 * 86400000).toISOString(), endDate };
+    case '14d':
+      return { startDate: new Date(Date.now() - 14 * 86400000).toISOString(), endDate };
+    case '30d':
+      return { startDate: new Date(Date.now() - 30 * 86400000).toISOString(), endDate };
+    case 'month': {
+      const start = new Date(now.getFullYear(), now.getMonth(), 1);
+      return { startDate: start.toISOString(), endDate };
+    }
+    case 'year': {
+      const start = new Date(now.getFullYear(), 0, 1);
+      return { startDate: start.toISOString(), endDate };
+    }
+    case 'all':
+      // 2-year lookback covers any Fanvue account history
+      return { startDate: new Date(Date.now() - 730 * 86400000).toISOString(), endDate };
+    default: {
+      const days = parseInt(period) || 30;
+      return { startDate: new Date(Date.now() - days * 86400000).toISOString(), endDate };
+    }
+  }
+}
+
+/**
+ * Parse one startDate/endDate query value. Date-only values are days in `timeZone`
+ * (UTC by default); an end date-only value includes that whole day.
+ */
+function parseBound(value, isEnd, timeZone = null) {
+  if (DAY_RE.test(value)) {
+    const [y, m, d] = value.split('-').map(Number);
+    const day = dayString(y, m, isEnd ? d + 1 : d);
+    const at = timeZone ? zonedTimeToUtc(`${day}T00:00`, timeZone) : new Date(`${day}T00:00:00.000Z`);
+    return at && !isNaN(at) ? at : null;
+  }
+  const d = new Date(value);
+  return isNaN(d) ? null : d;
+}
+
+/**
+ * Range from query params: explicit startDate/endDate win over `period`.
+ * endDate defaults to now; it is capped at now so "today" stays the live, partial day.
+ * With ?compare=, `previous` is the range to compare against (else null).
+ * timeZone (optional) is where calendar periods and date-only bounds start their days.
+ * Returns { startDate, endDate, period, compare, previous } or { error }.
+ */
+function resolveRange({ period, startDate, endDate, compare } = {}, defaultPeriod = '30d', timeZone = null) {
+  if (compare && !COMPARE_MODES.includes(compare)) {
+    return { error: `compare must be one of ${COMPARE_MODES.join(', ')}` };
+  }
+
+  let range;
+  if (!startDate && !endDate) {
+    const p = period || defaultPeriod;
+    range = { ...parsePeriod(p, timeZone), period: p };
+  } else {
+    if (!startDate) return { error: 'startDate required with endDate' };
+
+    const now = new Date();
+    const start = parseBound(startDate, false, timeZone);
+    let end = endDate ? parseBound(endDate, true, timeZone) : now;
+    if (!start || !end) return { error: 'startDate/endDate must be YYYY-MM-DD or ISO-8601 timestamps' };
+    if (end > now) end = now;
+    if (start >= end) return { error: 'startDate must be before endDate' };
+
+    range = { startDate: start.toISOString(), endDate: end.toISOString(), period: 'custom' };
+  }
+
+  return { ...range, compare: compare || null, previous: compare ? previousRange(range, compare) : null };
+}
+
+/**
+ * The range to compare against: the same length immediately before, or the same
+ * dates one year earlier.
+ */
+function previousRange({ startDate, endDate }, compare) {
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+
+  if (compare === 'previous_year') {
+    start.setUTCFullYear(start.getUTCFullYear() - 1);
+    end.setUTCFullYear(end.getUTCFullYear() - 1);
+    return { startDate: start.toISOString(), endDate: end.toISOString() };
+  }
+
+  const length = end - start;
+  return { startDate: new Date(start - length).toISOString(), endDate: start.toISOString() };
+}
+
+/**
+ * { current, previous, delta, pct } — pct is a percentage, null when previous is 0.
+ */
+function compareMetric(current, previous) {
+  const cur = Number(current) || 0;
+  const prev = Number(previous) || 0;
+  return {
+    current: round2(cur),
+    previous: round2(prev),
+    delta: round2(cur - prev),
+    pct: prev ? round2(((cur - prev) / Math.abs(prev)) * 100) : null
+  };
+}
+
+/**
+ * compareMetric for every key present in either map (e.g. earnings per source).
+ */
+function compareMaps(current = {}, previous = {}) {
+  const keys = new Set([...Object.keys(current), ...Object.keys(previous)]);
+  const out = {};
+  keys.forEach(k => { out[k] = compareMetric(current[k], previous[k]); });
+  return out;
+}
+
+module.exports = {
+  COMPARE_MODES,
+  parsePeriod,
+  resolveRange,
+  previousRange,
+  compareMetric,
+  compareMaps
+};
@@ -0,0 +1,20 @@
+'use strict';
+
+/**
+ * Calendar day strings ('YYYY-MM-DD').
+ *
+ * Usage:
+ *   const { dayOf, dayString } = require('../utils/days');
+ *   dayOf('2026-03-01T23:30:00.000Z'); // → '2026-03-01' (UTC)
+ *   dayString(2026, 2, 30);             // → '2026-03-02'
+ */
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Calendar arithmetic on a y/m/d (day may overflow) → 'YYYY-MM-DD'
+const dayString = (y, m, d) => new Date(Date.UTC(y, m - 1, d)).toISOString().slice(0, 10);
+
+// UTC day of a timestamp
+const dayOf = (ts) => new Date(ts).toISOString().slice(0, 10);
+
+module.exports = { pad, dayString, dayOf };
@@ -0,0 +1,14 @@
+'use strict';
+
+/**
+ * Rounding for money and rates in API responses and stored totals.
+ *
+ * Usage:
+ *   const { round2 } = require('../utils/numbers');
+ *   round2(10 / 3); // → 3.33
+ */
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const round4 = (n) => Math.round(n * 10000) / 10000;
+
+module.exports = { round2, round4 };
@@ -0,0 +1,27 @@
+'use strict';
+
+/**
+ * Read every row of a Supabase query past PostgREST's row cap, a page at a time.
+ *
+ * Usage:
+ *   const { loadAll } = require('../utils/paging');
+ *   const fans = await loadAll(() => supabase.from('fans').select('id').eq('account_id', id).order('id'));
+ *
+ * buildQuery must return a fresh query each call and order on something unique, or rows
+ * can repeat or go missing between pages.
+ */
+
+const PAGE_SIZE = 1000;
+
+async function loadAll(buildQuery) {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1);
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+  return rows;
+}
+
+module.exports = { PAGE_SIZE, loadAll };
@@ -30,19 +30,7 @@ async function withRetry(fn, { maxRetries = 3, baseDelayMs = 1000 } = {}) {
         throw err;
       }
 
-      const retryAfterHeader = err.response?.headers?.['retry-after'];
-      let waitMs;
-
-      if (retryAfterHeader) {
-        // Retry-After can be seconds (number) or an HTTP-date string
-        const parsed = Number(retryAfterHeader);
-        waitMs = isNaN(parsed)
-          ? Math.max(0, new Date(retryAfterHeader) - Date.now())
-          : parsed * 1000;
-      } else {
-        // Exponential backoff with jitter: base * 2^attempt + random 0-500ms
-        waitMs = baseDelayMs * Math.pow(2, attempt) + Math.random() * 500;
-      }
+      const waitMs = backoffDelayMs(err, attempt, baseDelayMs);
 
       console.warn(`[RateLimit] 429 hit (attempt ${attempt + 1}/${maxRetries}), waiting ${Math.round(waitMs)}ms`);
       await new Promise(resolve => setTimeout(resolve, waitMs));
@@ -51,4 +39,29 @@ async function withRetry(fn, { maxRetries = 3, baseDelayMs = 1000 } = {}) {
   }
 }
 
-module.exports = { withRetry };
+/**
+ * How long to wait before retrying a failed request.
+ *
+ * - Uses the Retry-After response header when present (seconds or HTTP-date)
+ * - Otherwise exponential backoff with jitter: baseDelayMs * 2^attempt + random 0-500ms
+ *
+ * @param {Error}  err              – axios error from the failed request
+ * @param {number} attempt          – zero-based retry attempt
+ * @param {number} [baseDelayMs=1000]
+ * @returns {number} delay in ms
+ */
+function backoffDelayMs(err, attempt, baseDelayMs = 1000) {
+  const retryAfterHeader = err.response?.headers?.['retry-after'];
+
+  if (retryAfterHeader) {
+    // Retry-After can be seconds (number) or an HTTP-date string
+    const parsed = Number(retryAfterHeader);
+    return isNaN(parsed)
+      ? Math.max(0, new Date(retryAfterHeader) - Date.now())
+      : parsed * 1000;
+  }
+
+  return baseDelayMs * Math.pow(2, attempt) + Math.random() * 500;
+}
+
+module.exports = { withRetry, backoffDelayMs };
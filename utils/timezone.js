@@ -0,0 +1,90 @@
+'use strict';
+
+/**
+ * IANA timezone helpers built on Intl — no tz database dependency.
+ *
+ * Usage:
+ *   const { zonedTimeToUtc } = require('../utils/timezone');
+ *   zonedTimeToUtc('2026-03-01T08:00', 'America/New_York'); // → Date (13:00Z)
+ */
+
+/**
+ * True if `timeZone` is a zone name Intl understands (e.g. 'Europe/London').
+ */
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Building a DateTimeFormat is far slower than using one — cache per zone (bucketing loops call this a lot)
+const formatters = new Map();
+
+function zonedFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit',
+      weekday: 'short'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Wall-clock parts of `date` as seen in `timeZone`.
+ * @returns {{ year, month, day, hour, minute, second, weekday }} month is 1-12, weekday 0 = Sunday
+ */
+function getZonedParts(date, timeZone) {
+  const parts = zonedFormatter(timeZone).formatToParts(date);
+
+  const v = {};
+  parts.forEach(p => { v[p.type] = p.value; });
+
+  return {
+    year: Number(v.year),
+    month: Number(v.month),
+    day: Number(v.day),
+    hour: Number(v.hour),
+    minute: Number(v.minute),
+    second: Number(v.second),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(v.weekday)
+  };
+}
+
+/**
+ * Offset of `timeZone` from UTC at the instant `date`, in ms (positive east of UTC).
+ */
+function getTimeZoneOffsetMs(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Convert a wall-clock time in `timeZone` to the matching UTC instant.
+ * `local` is 'YYYY-MM-DDTHH:mm' or 'YYYY-MM-DDTHH:mm:ss' with no offset.
+ * Returns null if `local` can't be parsed.
+ */
+function zonedTimeToUtc(local, timeZone) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/.exec(local || '');
+  if (!m) return null;
+
+  const guess = Date.UTC(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], +(m[6] || 0));
+
+  // Offset at the guess can differ from the offset at the result across a DST change — correct once
+  const offset = getTimeZoneOffsetMs(new Date(guess), timeZone);
+  let result = guess - offset;
+  const corrected = getTimeZoneOffsetMs(new Date(result), timeZone);
+  if (corrected !== offset) result = guess - corrected;
+
+  return new Date(result);
+}
+
+module.exports = { isValidTimeZone, getZonedParts, getTimeZoneOffsetMs, zonedTimeToUtc };